@@ -7,15 +7,25 @@
 jest.mock('../lib/kv.js');
 
 const { RSSManager, rssManager } = require('../lib/RSSManager.js');
-const { loadTenant: mockLoadTenant, saveTenant: mockSaveTenant } = require('../lib/kv.js');
+const { MemoryStorage } = require('../lib/storageAdapters.js');
+const { loadTenant: mockLoadTenant, saveTenant: mockSaveTenant, getStorage: mockGetStorage } = require('../lib/kv.js');
 
 describe('RSSManager', () => {
   let rssManagerInstance;
+  let storage;
+
+  const getBackup = async userId => JSON.parse(await storage.get(`feed-backup:${userId}`));
 
   beforeEach(() => {
     rssManagerInstance = new RSSManager();
     rssManagerInstance.clearCache();
     jest.clearAllMocks();
+    storage = new MemoryStorage();
+    mockGetStorage.mockResolvedValue(storage);
+  });
+
+  afterEach(() => {
+    storage.destroy();
   });
 
   describe('escapeXML', () => {
@@ -249,6 +259,194 @@ describe('RSSManager', () => {
     });
   });
 
+  describe('named feeds', () => {
+    const tenant = {
+      selectedMovies: JSON.stringify([
+        { title: 'Inception', imdb_id: 'tt1375666' },
+        { title: 'Toy Story', imdb_id: 'tt0114709' }
+      ]),
+      feeds: JSON.stringify([{ id: 'kids', name: 'Kids collections' }]),
+      people: JSON.stringify([
+        {
+          id: 1,
+          name: 'Christopher Nolan',
+          roles: [{ type: 'director', movies: [{ id: 27205, title: 'Inception', imdb_id: 'tt1375666' }] }]
+        },
+        {
+          id: 10194,
+          name: 'Toy Story Collection',
+          type: 'collection',
+          feedIds: ['kids'],
+          roles: [{
+            type: 'collection',
+            movies: [
+              { id: 862, title: 'Toy Story', imdb_id: 'tt0114709' },
+              { id: 863, title: 'Toy Story 2', imdb_id: 'tt0120363', selected: false }
+            ]
+          }]
+        }
+      ])
+    };
+
+    it('should only include sources assigned to the feed', async () => {
+      const feed = await rssManagerInstance.buildFeed(tenant, 'kids');
+
+      expect(feed).toContain('Helparr Movie List (Kids collections) - 1 movies');
+      expect(feed).toContain('tt0114709');
+      expect(feed).not.toContain('tt1375666');
+      expect(feed).not.toContain('tt0120363');
+    });
+
+    it('should keep the default feed containing every selected movie', async () => {
+      const feed = await rssManagerInstance.buildFeed(tenant);
+
+      expect(feed).toContain('Helparr Movie List - 2 movies');
+      expect(feed).toContain('tt1375666');
+      expect(feed).toContain('tt0114709');
+    });
+
+    it('should reject unknown feeds', async () => {
+      await expect(rssManagerInstance.buildFeed(tenant, 'missing')).rejects.toThrow('Feed not found');
+    });
+
+    it('should cache named feeds separately and skip the backup', async () => {
+      mockLoadTenant.mockResolvedValue(tenant);
+
+      const defaultFeed = await rssManagerInstance.generateFeed('test-user');
+      const kidsFeed = await rssManagerInstance.generateFeed('test-user', { feedId: 'kids' });
+
+      expect(defaultFeed).not.toBe(kidsFeed);
+      expect(rssManagerInstance.getCacheStatus().entries).toEqual(['test-user', 'test-user:kids']);
+      expect((await getBackup('test-user')).feed).toBe(defaultFeed);
+    });
+
+    it('should build named JSON lists', () => {
+      const list = rssManagerInstance.buildList(tenant, 'kids');
+      expect(list.map(item => item.imdb_id)).toEqual(['tt0114709']);
+    });
+  });
+
+  describe('feed filters', () => {
+    const selectedMovies = [
+      { id: 27205, title: 'Inception', imdb_id: 'tt1375666', year: 2010, vote_average: 8.4, genres: ['Action'] },
+      { id: 862, title: 'Toy Story', imdb_id: 'tt0114709', year: 1995, vote_average: 8.0, genres: ['Animation'] },
+      { id: 1, title: 'Bad Sequel', imdb_id: 'tt0000001', year: 2003, vote_average: 4.2, genres: ['Comedy'] }
+    ];
+
+    it('should apply the default feed filters before building XML', async () => {
+      const tenant = {
+        selectedMovies: JSON.stringify(selectedMovies),
+        feedFilters: JSON.stringify({ minRating: 7, excludeGenres: ['Animation'] })
+      };
+
+      const feed = await rssManagerInstance.buildFeed(tenant);
+
+      expect(feed).toContain('Helparr Movie List - 1 movies');
+      expect(feed).toContain('tt1375666');
+      expect(feed).not.toContain('tt0114709');
+      expect(feed).not.toContain('tt0000001');
+    });
+
+    it('should apply filters stored on a named feed', async () => {
+      const tenant = {
+        feeds: JSON.stringify([{ id: 'classics', name: 'Classics', filters: { maxYear: 2000 } }]),
+        people: JSON.stringify([{
+          id: 1,
+          name: 'Test Source',
+          feedIds: ['classics'],
+          roles: [{ type: 'actor', movies: selectedMovies }]
+        }])
+      };
+
+      const feed = await rssManagerInstance.buildFeed(tenant, 'classics');
+
+      expect(feed).toContain('Helparr Movie List (Classics) - 1 movies');
+      expect(feed).toContain('tt0114709');
+    });
+
+    it('should ignore corrupt filter data', async () => {
+      const tenant = {
+        selectedMovies: JSON.stringify(selectedMovies),
+        feedFilters: 'not json'
+      };
+
+      const feed = await rssManagerInstance.buildFeed(tenant);
+      expect(feed).toContain('Helparr Movie List - 3 movies');
+    });
+
+    it('should filter JSON lists the same way', () => {
+      const tenant = {
+        selectedMovies: JSON.stringify(selectedMovies),
+        feedFilters: JSON.stringify({ minRating: 5 })
+      };
+
+      expect(rssManagerInstance.buildList(tenant).map(item => item.imdb_id)).toEqual(['tt1375666', 'tt0114709']);
+    });
+  });
+
+  describe('buildList', () => {
+    it('should build StevenLu-compatible list from tenant data', () => {
+      const tenant = {
+        selectedMovies: JSON.stringify([
+          {
+            id: 550,
+            title: 'Fight Club',
+            imdb_id: 'tt0137523',
+            poster_path: '/pB8BM7pdSp6B6Ih7QZ4DrQ3PmJK.jpg'
+          },
+          {
+            id: 13,
+            title: 'No Poster',
+            imdb_id: 'tt0109830'
+          },
+          {
+            title: 'Invalid Movie (no IMDB ID)'
+          }
+        ])
+      };
+
+      const list = rssManagerInstance.buildList(tenant);
+
+      expect(list).toEqual([
+        {
+          title: 'Fight Club',
+          imdb_id: 'tt0137523',
+          tmdb_id: 550,
+          poster_url: 'https://image.tmdb.org/t/p/w500/pB8BM7pdSp6B6Ih7QZ4DrQ3PmJK.jpg'
+        },
+        {
+          title: 'No Poster',
+          imdb_id: 'tt0109830',
+          tmdb_id: 13,
+          poster_url: null
+        }
+      ]);
+    });
+
+    it('should return an empty array for tenants without movies', () => {
+      expect(rssManagerInstance.buildList({})).toEqual([]);
+      expect(rssManagerInstance.buildList({ selectedMovies: 'invalid json' })).toEqual([]);
+    });
+
+    it('should leave out movies already in Radarr when given a library', async () => {
+      const tenant = {
+        selectedMovies: JSON.stringify([
+          { id: 550, title: 'Fight Club', imdb_id: 'tt0137523' },
+          { id: 13, title: 'Forrest Gump', imdb_id: 'tt0109830' }
+        ])
+      };
+      const library = { tmdb: { 550: true }, imdb: {} };
+
+      // Opt-in only: without a library every movie stays in
+      expect(rssManagerInstance.buildList(tenant).map(item => item.tmdb_id)).toEqual([550, 13]);
+      expect(rssManagerInstance.buildList(tenant, null, { library }).map(item => item.tmdb_id)).toEqual([13]);
+
+      const feed = await rssManagerInstance.buildFeed(tenant, null, { library });
+      expect(feed).toContain('tt0109830');
+      expect(feed).not.toContain('tt0137523');
+    });
+  });
+
   describe('generateEmptyFeed', () => {
     it('should generate empty feed with error message', () => {
       const errorMessage = 'Database connection failed';
@@ -262,9 +460,113 @@ describe('RSSManager', () => {
 
     it('should generate empty feed with default message', () => {
       const feed = rssManagerInstance.generateEmptyFeed('user-123');
-      
+
       expect(feed).toContain('Service temporarily unavailable');
     });
+
+    it('should generate notices in Atom and JSON Feed formats', () => {
+      const atom = rssManagerInstance.generateEmptyFeed('user-123', 'Storage down', 'atom');
+      expect(atom).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+      expect(atom).toContain('Storage down');
+
+      const json = JSON.parse(rssManagerInstance.generateEmptyFeed('user-123', 'Storage down', 'json'));
+      expect(json.version).toBe('https://jsonfeed.org/version/1.1');
+      expect(json.description).toContain('Storage down');
+      expect(json.items).toHaveLength(1);
+    });
+  });
+
+  describe('alternative formats', () => {
+    const tenant = {
+      selectedMovies: JSON.stringify([{
+        id: 27205,
+        title: 'Inception',
+        year: 2010,
+        imdb_id: 'tt1375666',
+        overview: 'A thief who steals corporate secrets & more',
+        release_date: '2010-07-16',
+        poster_path: '/inception.jpg',
+        vote_average: 8.4,
+        runtime: 148,
+        genres: ['Action', 'Science Fiction'],
+        sources: [
+          { personId: 525, personName: 'Christopher Nolan', roleType: 'director' },
+          { personId: 6193, personName: 'Leonardo DiCaprio', roleType: 'actor' }
+        ]
+      }])
+    };
+
+    it('should build Atom 1.0 with the same items and attribution', async () => {
+      const atom = await rssManagerInstance.buildFeed(tenant, null, { format: 'atom', userId: 'user-123' });
+
+      expect(atom).toContain('<feed xmlns="http://www.w3.org/2005/Atom" xmlns:helparr="https://helparr.vercel.app/ns/rss">');
+      expect(atom).toContain('<title>Helparr Movie List - 1 movies</title>');
+      expect(atom).toContain('<id>urn:helparr:user-123</id>');
+      expect(atom).toContain('<id>urn:imdb:tt1375666</id>');
+      expect(atom).toContain('<link href="https://www.imdb.com/title/tt1375666/" />');
+      expect(atom).toContain('<published>2010-07-16T00:00:00.000Z</published>');
+      expect(atom).toContain('Added from: Christopher Nolan (director), Leonardo DiCaprio (actor)');
+      expect(atom).toContain('secrets &amp; more');
+      expect(atom).toContain('<category term="Christopher Nolan (director)" />');
+      expect(atom).toContain('<helparr:rating>8.4</helparr:rating>');
+      expect(atom).toContain('<helparr:genres>Action, Science Fiction</helparr:genres>');
+      expect(atom).toContain('<helparr:runtime>148</helparr:runtime>');
+      expect(rssManagerInstance.countItems(atom, 'atom')).toBe(1);
+    });
+
+    it('should build JSON Feed 1.1 with helparr metadata in an extension', async () => {
+      const json = JSON.parse(await rssManagerInstance.buildFeed(tenant, null, { format: 'json' }));
+
+      expect(json.version).toBe('https://jsonfeed.org/version/1.1');
+      expect(json.title).toBe('Helparr Movie List - 1 movies');
+      expect(json.items).toHaveLength(1);
+
+      const [item] = json.items;
+      expect(item).toMatchObject({
+        id: 'tt1375666',
+        url: 'https://www.imdb.com/title/tt1375666/',
+        title: 'Inception (2010)',
+        image: 'https://image.tmdb.org/t/p/w500/inception.jpg',
+        date_published: '2010-07-16T00:00:00.000Z',
+        tags: ['Christopher Nolan (director)', 'Leonardo DiCaprio (actor)']
+      });
+      expect(item.content_text).toContain('Added from: Christopher Nolan (director), Leonardo DiCaprio (actor)');
+      expect(item._helparr).toEqual({
+        imdb_id: 'tt1375666',
+        tmdb_id: 27205,
+        year: 2010,
+        rating: 8.4,
+        genres: ['Action', 'Science Fiction'],
+        runtime: 148,
+        sources: [
+          { name: 'Christopher Nolan', role: 'director' },
+          { name: 'Leonardo DiCaprio', role: 'actor' }
+        ]
+      });
+      expect(rssManagerInstance.countItems(JSON.stringify(json), 'json')).toBe(1);
+    });
+
+    it('should include a welcome item in empty feeds of every format', async () => {
+      const empty = { selectedMovies: '[]' };
+
+      const atom = await rssManagerInstance.buildFeed(empty, null, { format: 'atom' });
+      expect(atom).toContain('Ready for Movies');
+      expect(rssManagerInstance.countItems(atom, 'atom')).toBe(0);
+
+      const json = await rssManagerInstance.buildFeed(empty, null, { format: 'json' });
+      expect(JSON.parse(json).items).toHaveLength(1);
+      expect(rssManagerInstance.countItems(json, 'json')).toBe(0);
+    });
+
+    it('should cache formats separately and only back up RSS', async () => {
+      mockLoadTenant.mockResolvedValue(tenant);
+
+      const rss = await rssManagerInstance.generateFeed('test-user');
+      await rssManagerInstance.generateFeed('test-user', { format: 'json' });
+
+      expect(rssManagerInstance.getCacheStatus().entries).toEqual(['test-user', 'test-user:json']);
+      expect((await getBackup('test-user')).feed).toBe(rss);
+    });
   });
 
   describe('cache management', () => {
@@ -333,6 +635,159 @@ describe('RSSManager', () => {
     });
   });
 
+  describe('conditional GET validators', () => {
+    const tenant = {
+      revision: 4,
+      lastSync: '2026-03-01T12:30:45.678Z',
+      selectedMovies: JSON.stringify([{ title: 'Test Movie', imdb_id: 'tt1234567' }])
+    };
+
+    it('should date the feed by the last sync instead of the request time', async () => {
+      const xml = await rssManagerInstance.buildFeed(tenant);
+      expect(xml).toContain('<lastBuildDate>Sun, 01 Mar 2026 12:30:45 GMT</lastBuildDate>');
+
+      const atom = await rssManagerInstance.buildFeed(tenant, null, { format: 'atom' });
+      expect(atom).toContain('<updated>2026-03-01T12:30:45.000Z</updated>');
+    });
+
+    it('should keep the ETag stable until the collection changes', async () => {
+      const first = await rssManagerInstance.getFeedValidators('test-user', tenant);
+      const second = await rssManagerInstance.getFeedValidators('test-user', { ...tenant });
+
+      expect(first.etag).toMatch(/^"[a-f0-9]+"$/);
+      expect(second.etag).toBe(first.etag);
+      expect(first.lastModified.toISOString()).toBe('2026-03-01T12:30:45.000Z');
+
+      const synced = await rssManagerInstance.getFeedValidators('test-user', { ...tenant, revision: 5, lastSync: '2026-03-02T08:00:00.000Z' });
+      expect(synced.etag).not.toBe(first.etag);
+
+      const atom = await rssManagerInstance.getFeedValidators('test-user', tenant, { format: 'atom' });
+      expect(atom.etag).not.toBe(first.etag);
+    });
+
+    it('should move Last-Modified forward whenever the ETag changes', async () => {
+      const first = await rssManagerInstance.getFeedValidators('test-user', tenant);
+      expect(first.lastModified.toISOString()).toBe('2026-03-01T12:30:45.000Z');
+
+      // A new version whose sync time didn't move is dated when it was first served
+      const before = Date.now();
+      const changed = await rssManagerInstance.getFeedValidators('test-user', { ...tenant, revision: 5 });
+      expect(changed.etag).not.toBe(first.etag);
+      expect(changed.lastModified.getTime()).toBeGreaterThanOrEqual(Math.floor(before / 1000) * 1000);
+
+      // ...and keeps that date while it stays current
+      const again = await rssManagerInstance.getFeedValidators('test-user', { ...tenant, revision: 5 });
+      expect(again.lastModified).toEqual(changed.lastModified);
+
+      // Going back to an older sync time doesn't move the date backwards either
+      const restored = await rssManagerInstance.getFeedValidators('test-user', { ...tenant, revision: 6, lastSync: '2026-01-01T00:00:00.000Z' });
+      expect(restored.lastModified.getTime()).toBeGreaterThan(changed.lastModified.getTime());
+    });
+
+    it('should fall back to the computed Last-Modified when storage fails', async () => {
+      mockGetStorage.mockRejectedValue(new Error('Storage temporarily unavailable'));
+
+      const validators = await rssManagerInstance.getFeedValidators('test-user', tenant);
+      expect(validators.lastModified.toISOString()).toBe('2026-03-01T12:30:45.000Z');
+    });
+
+    it('should date a generated feed like its response', async () => {
+      mockLoadTenant.mockResolvedValue(tenant);
+      const lastModified = new Date('2026-03-04T10:00:00.000Z');
+
+      const xml = await rssManagerInstance.generateFeed('test-user', { etag: '"v1"', lastModified });
+      expect(xml).toContain('<lastBuildDate>Wed, 04 Mar 2026 10:00:00 GMT</lastBuildDate>');
+    });
+
+    it('should move Last-Modified to today for released-only feeds', () => {
+      const releasedOnly = { ...tenant, feedFilters: JSON.stringify({ releasedOnly: true }) };
+      const lastModified = rssManagerInstance.getLastModified(releasedOnly, null, null, new Date('2026-03-05T18:00:00.000Z'));
+
+      expect(lastModified.toISOString()).toBe('2026-03-05T00:00:00.000Z');
+    });
+
+    it('should only serve a cached feed built for the same version', async () => {
+      mockLoadTenant.mockResolvedValue(tenant);
+      mockSaveTenant.mockResolvedValue();
+
+      await rssManagerInstance.generateFeed('test-user', { etag: '"v1"' });
+      await rssManagerInstance.generateFeed('test-user', { etag: '"v1"' });
+      expect(mockLoadTenant).toHaveBeenCalledTimes(1);
+      expect(rssManagerInstance.isCurrentVersion('test-user', '"v1"')).toBe(true);
+
+      await rssManagerInstance.generateFeed('test-user', { etag: '"v2"' });
+      expect(mockLoadTenant).toHaveBeenCalledTimes(2);
+      expect(rssManagerInstance.isCurrentVersion('test-user', '"v1"')).toBe(false);
+    });
+
+    it('should not rewrite an unchanged backup', async () => {
+      mockLoadTenant.mockResolvedValue(tenant);
+      await rssManagerInstance.generateFeed('test-user');
+
+      const setSpy = jest.spyOn(storage, 'set');
+      await rssManagerInstance.generateFeed('test-user', { bypassCache: true });
+
+      expect(setSpy).not.toHaveBeenCalled();
+      expect(mockSaveTenant).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('paged feeds', () => {
+    const tenant = {
+      revision: 2,
+      lastSync: '2026-03-01T12:00:00.000Z',
+      selectedMovies: JSON.stringify([
+        { title: 'Newest', imdb_id: 'tt0000001', release_date: '2025-01-01', vote_average: 5.5 },
+        { title: 'Middle', imdb_id: 'tt0000002', release_date: '2015-01-01', vote_average: 8.9 },
+        { title: 'Oldest', imdb_id: 'tt0000003', release_date: '2005-01-01', vote_average: 7.2 }
+      ])
+    };
+    const url = 'https://helparr.vercel.app/api/rss/test-user-123?sig=abc&limit=1&offset=1';
+    const paging = { sort: 'release', limit: 1, offset: 1 };
+
+    it('should serve one page with RFC 5005 links in RSS', async () => {
+      const xml = await rssManagerInstance.buildFeed(tenant, null, { paging, url });
+
+      expect(rssManagerInstance.countItems(xml)).toBe(1);
+      expect(xml).toContain('<guid isPermaLink="false">tt0000002</guid>');
+      expect(xml).toContain('Helparr Movie List - 3 movies');
+      expect(xml).toContain('<atom:link href="https://helparr.vercel.app/api/rss/test-user-123?sig=abc&amp;limit=1&amp;offset=1" rel="self"');
+      expect(xml).toContain('<atom:link href="https://helparr.vercel.app/api/rss/test-user-123?sig=abc&amp;limit=1&amp;offset=2" rel="next" type="application/rss+xml" />');
+      expect(xml).toContain('rel="previous"');
+      expect(rssManagerInstance.validateRSSStructure(xml)).toBe(true);
+    });
+
+    it('should link pages in Atom and JSON Feed', async () => {
+      const atom = await rssManagerInstance.buildFeed(tenant, null, { format: 'atom', paging, url });
+      expect(atom).toContain('rel="last" type="application/atom+xml" />');
+
+      const json = JSON.parse(await rssManagerInstance.buildFeed(tenant, null, { format: 'json', paging, url }));
+      expect(json.next_url).toBe('https://helparr.vercel.app/api/rss/test-user-123?sig=abc&limit=1&offset=2');
+      expect(json._helparr.page).toMatchObject({ total: 3, offset: 1, limit: 1 });
+      expect(json.items.map(item => item.id)).toEqual(['tt0000002']);
+    });
+
+    it('should order by rating without paging links when the feed is complete', async () => {
+      const xml = await rssManagerInstance.buildFeed(tenant, null, { paging: { sort: 'rating', limit: null, offset: 0 } });
+
+      expect(xml.indexOf('tt0000002')).toBeLessThan(xml.indexOf('tt0000003'));
+      expect(xml.indexOf('tt0000003')).toBeLessThan(xml.indexOf('tt0000001'));
+      expect(xml).not.toContain('rel="next"');
+    });
+
+    it('should keep pages apart in the cache, validators and backup', async () => {
+      mockLoadTenant.mockResolvedValue(tenant);
+      const full = await rssManagerInstance.getFeedValidators('test-user', tenant);
+      const paged = await rssManagerInstance.getFeedValidators('test-user', tenant, { paging });
+      expect(paged.etag).not.toBe(full.etag);
+
+      await rssManagerInstance.generateFeed('test-user', { etag: paged.etag, paging, url });
+      expect(rssManagerInstance.isCurrentVersion('test-user', paged.etag, { paging })).toBe(true);
+      expect(rssManagerInstance.isCurrentVersion('test-user', paged.etag)).toBe(false);
+      expect(await storage.get('feed-backup:test-user')).toBeNull();
+    });
+  });
+
   describe('error handling and backup', () => {
     it('should handle tenant not found gracefully', async () => {
       mockLoadTenant.mockResolvedValue(null);
@@ -348,16 +803,23 @@ describe('RSSManager', () => {
       const userId = 'test-user';
       const backupFeed = '<rss>backup feed</rss>';
       
-      // Mock mockLoadTenant to fail on first call, succeed on backup call
-      mockLoadTenant
-        .mockRejectedValueOnce(new Error('Database error'))
-        .mockResolvedValueOnce({ lastGeneratedFeed: backupFeed });
+      mockLoadTenant.mockRejectedValueOnce(new Error('Database error'));
+      await storage.set(`feed-backup:${userId}`, JSON.stringify({ feed: backupFeed }));
 
       const result = await rssManagerInstance.generateFeed(userId);
       
       expect(result).toBe(backupFeed);
     });
 
+    it('should fall back to a backup still stored on the tenant record', async () => {
+      const backupFeed = '<rss>legacy backup</rss>';
+      mockLoadTenant
+        .mockRejectedValueOnce(new Error('Database error'))
+        .mockResolvedValueOnce({ lastGeneratedFeed: backupFeed });
+
+      expect(await rssManagerInstance.generateFeed('test-user')).toBe(backupFeed);
+    });
+
     it('should return empty feed when no backup available', async () => {
       const userId = 'test-user';
       
@@ -383,11 +845,12 @@ describe('RSSManager', () => {
 
       await rssManagerInstance.generateFeed(userId);
 
-      expect(mockSaveTenant).toHaveBeenCalledWith(userId, expect.objectContaining({
-        lastGeneratedFeed: expect.stringContaining('Test Movie'),
-        lastFeedGeneration: expect.any(String),
-        feedSize: expect.any(Number)
-      }));
+      expect(await getBackup(userId)).toEqual({
+        feed: expect.stringContaining('Test Movie'),
+        generatedAt: expect.any(String),
+        size: expect.any(Number)
+      });
+      expect(mockSaveTenant).not.toHaveBeenCalled();
     });
 
     it('should handle backup storage failure gracefully', async () => {
@@ -399,7 +862,7 @@ describe('RSSManager', () => {
       };
 
       mockLoadTenant.mockResolvedValue(tenant);
-      mockSaveTenant.mockRejectedValue(new Error('Storage failed'));
+      jest.spyOn(storage, 'set').mockRejectedValue(new Error('Storage failed'));
 
       // Should not throw despite backup storage failure
       const result = await rssManagerInstance.generateFeed(userId);
@@ -0,0 +1,140 @@
+/**
+ * @jest-environment node
+ */
+// Test accounts, device sessions and one-time sign-in links
+
+const {
+  MAX_SESSIONS,
+  MAX_LOGIN_FAILURES,
+  normalizeAccountName,
+  validatePassphrase,
+  verifyPassphrase,
+  getTenantAccount,
+  describeAccount,
+  findAccountUserId,
+  claimAccountName,
+  releaseAccountName,
+  setAccountCredentials,
+  isLoginLocked,
+  recordLoginFailure,
+  clearLoginFailures,
+  createSession,
+  getSession,
+  listSessions,
+  revokeSessions,
+  createLoginLink,
+  consumeLoginLink
+} = require('../lib/accountAuth.js');
+const { saveTenant, cleanup } = require('../lib/kv.js');
+
+const PASSPHRASE = 'correct horse battery';
+const tenant = { tenantSecret: 'secret', selectedMovies: '[]' };
+
+describe('Account authentication', () => {
+  afterAll(() => {
+    cleanup();
+  });
+
+  it('should validate account names and passphrases', () => {
+    expect(normalizeAccountName('  Movie-Night ')).toEqual({ valid: true, accountName: 'movie-night' });
+    expect(normalizeAccountName('ab').valid).toBe(false);
+    expect(normalizeAccountName('has space').valid).toBe(false);
+    expect(validatePassphrase('short').valid).toBe(false);
+    expect(validatePassphrase(PASSPHRASE).valid).toBe(true);
+  });
+
+  it('should store a hashed passphrase', async () => {
+    const updated = await setAccountCredentials(tenant, { accountName: 'movie-night', passphrase: PASSPHRASE });
+
+    const account = getTenantAccount(updated);
+    expect(account.passphraseHash).toMatch(/^scrypt:/);
+    expect(updated.account).not.toContain(PASSPHRASE);
+    expect(await verifyPassphrase(PASSPHRASE, account.passphraseHash)).toBe(true);
+    expect(await verifyPassphrase('wrong passphrase!', account.passphraseHash)).toBe(false);
+    expect(describeAccount(updated)).toEqual({ accountName: 'movie-night', hasPassphrase: true, updatedAt: account.updatedAt });
+  });
+
+  it('should give an account name to one tenant at a time', async () => {
+    await saveTenant('account-user-1', tenant);
+    await saveTenant('account-user-2', tenant);
+
+    expect(await claimAccountName('account-user-1', 'movie-night')).toBe(true);
+    expect(await claimAccountName('account-user-1', 'movie-night')).toBe(false);
+    expect(await findAccountUserId('movie-night')).toBe('account-user-1');
+    await expect(claimAccountName('account-user-2', 'movie-night')).rejects.toMatchObject({ statusCode: 409 });
+
+    // Two tenants racing for a free name: only one claim wins
+    const results = await Promise.allSettled([
+      claimAccountName('account-user-1', 'film-club'),
+      claimAccountName('account-user-2', 'film-club')
+    ]);
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+
+    // Releasing only drops a name the tenant holds
+    await releaseAccountName('account-user-2', 'movie-night');
+    expect(await findAccountUserId('movie-night')).toBe('account-user-1');
+    await releaseAccountName('account-user-1', 'movie-night');
+    expect(await findAccountUserId('movie-night')).toBeNull();
+  });
+
+  it('should let a name whose tenant expired be claimed again', async () => {
+    expect(await claimAccountName('expired-user', 'old-name')).toBe(true);
+    expect(await claimAccountName('account-user-1', 'old-name')).toBe(true);
+    expect(await findAccountUserId('old-name')).toBe('account-user-1');
+  });
+
+  it('should lock an account name after repeated failures from one client', async () => {
+    for (let i = 0; i < MAX_LOGIN_FAILURES - 1; i++) {
+      await recordLoginFailure('locked-out', '203.0.113.7');
+    }
+    expect(await isLoginLocked('locked-out', '203.0.113.7')).toBe(false);
+
+    await recordLoginFailure('locked-out', '203.0.113.7');
+    expect(await isLoginLocked('locked-out', '203.0.113.7')).toBe(true);
+
+    // Someone else's failures don't lock the owner out
+    expect(await isLoginLocked('locked-out', '198.51.100.2')).toBe(false);
+
+    await clearLoginFailures('locked-out', '203.0.113.7');
+    expect(await isLoginLocked('locked-out', '203.0.113.7')).toBe(false);
+  });
+
+  it('should create, list and revoke device sessions', async () => {
+    const phone = await createSession('session-user', { deviceName: 'Safari on iOS', method: 'passphrase' });
+    const laptop = await createSession('session-user', { deviceName: 'Firefox on Linux', method: 'link' });
+
+    expect(laptop.deviceCredential).toBe(`${laptop.session.id}:${laptop.session.deviceKey}`);
+    expect((await getSession(phone.session.id)).userId).toBe('session-user');
+
+    const sessions = await listSessions('session-user', laptop.session.id);
+    expect(sessions.map(session => session.deviceName)).toEqual(['Firefox on Linux', 'Safari on iOS']);
+    expect(sessions[0].current).toBe(true);
+    expect(JSON.stringify(sessions)).not.toContain(laptop.session.deviceKey);
+
+    expect(await revokeSessions('session-user', { sessionId: phone.session.id })).toBe(1);
+    expect(await getSession(phone.session.id)).toBeNull();
+
+    await createSession('session-user', { deviceName: 'Chrome on Windows', method: 'passphrase' });
+    expect(await revokeSessions('session-user', { all: true, except: laptop.session.id })).toBe(1);
+    expect((await listSessions('session-user')).map(session => session.id)).toEqual([laptop.session.id]);
+  });
+
+  it('should sign out the oldest devices beyond the cap', async () => {
+    const first = await createSession('busy-user', { deviceName: 'first', method: 'passphrase' });
+    for (let i = 0; i < MAX_SESSIONS; i++) {
+      await createSession('busy-user', { deviceName: `device ${i}`, method: 'passphrase' });
+    }
+
+    expect(await getSession(first.session.id)).toBeNull();
+    expect(await listSessions('busy-user')).toHaveLength(MAX_SESSIONS);
+  });
+
+  it('should accept a sign-in link once, for its own user', async () => {
+    const jti = await createLoginLink('link-user');
+    expect(await consumeLoginLink(jti, 'someone-else')).toBe(false);
+
+    const second = await createLoginLink('link-user');
+    expect(await consumeLoginLink(second, 'link-user')).toBe(true);
+    expect(await consumeLoginLink(second, 'link-user')).toBe(false);
+  });
+});
@@ -0,0 +1,312 @@
+/**
+ * @jest-environment node
+ */
+// Test the sign-in, account and device endpoints through the helpers and schemas they use.
+// Route modules are ESM, so each handler below follows its route step by step.
+
+const { signRequest, parseDeviceCredential } = require('../../utils/hmac.js');
+const { authorizeTenantRequest } = require('../../utils/requestAuth.js');
+const { createApiHandler } = require('../../utils/apiMiddleware.js');
+const { routeSchemas } = require('../../utils/apiSchemas.js');
+const { getClientIP } = require('../../lib/rateLimit.js');
+const {
+  MAX_LOGIN_FAILURES,
+  normalizeAccountName,
+  validatePassphrase,
+  verifyPassphrase,
+  getTenantAccount,
+  findAccountUserId,
+  claimAccountName,
+  releaseAccountName,
+  setAccountCredentials,
+  isLoginLocked,
+  recordLoginFailure,
+  clearLoginFailures,
+  createSession,
+  listSessions,
+  revokeSessions
+} = require('../../lib/accountAuth.js');
+const { saveTenant, loadTenant, updateTenant, cleanup } = require('../../lib/kv.js');
+
+const PASSPHRASE = 'correct horse battery';
+
+// app/api/auth/login/route.js (passphrase sign-in)
+const login = createApiHandler({
+  validation: routeSchemas.login,
+  rateLimit: { policy: 'login', message: 'Too many sign-in attempts. Please try again later.' },
+  cors: false
+})(async (request, { accountName: accountNameInput, passphrase, deviceName }) => {
+  const clientIP = getClientIP(request);
+  const nameValidation = normalizeAccountName(accountNameInput);
+  if (!nameValidation.valid || typeof passphrase !== 'string' || !passphrase) {
+    return Response.json({ error: 'Enter your account name and passphrase' }, { status: 400 });
+  }
+
+  const { accountName } = nameValidation;
+  if (await isLoginLocked(accountName, clientIP)) {
+    return Response.json({ error: 'Too many failed attempts. Try again in 15 minutes.' }, { status: 429 });
+  }
+
+  const userId = await findAccountUserId(accountName);
+  const tenant = userId ? await loadTenant(userId) : null;
+  const account = getTenantAccount(tenant);
+  if (!account || account.name !== accountName || !(await verifyPassphrase(passphrase, account.passphraseHash))) {
+    await recordLoginFailure(accountName, clientIP);
+    return Response.json({ error: 'Incorrect account name or passphrase' }, { status: 401 });
+  }
+
+  await clearLoginFailures(accountName, clientIP);
+  const { deviceCredential } = await createSession(userId, { deviceName, method: 'passphrase' });
+  return Response.json({ userId, deviceCredential });
+});
+
+// app/api/auth/account/route.js (POST)
+const saveAccount = createApiHandler({ validation: routeSchemas.accountPost, cors: false })(
+  async (request, { userId, accountName, passphrase, currentPassphrase }) => {
+    const url = new URL(request.url);
+    const { tenant, error } = await authorizeTenantRequest(userId, `account:${userId}`, url.searchParams.get('sig') || '');
+    if (error) return error;
+
+    const nameValidation = normalizeAccountName(accountName);
+    if (!nameValidation.valid) {
+      return Response.json({ error: nameValidation.error }, { status: 400 });
+    }
+    const passphraseValidation = validatePassphrase(passphrase);
+    if (!passphraseValidation.valid) {
+      return Response.json({ error: passphraseValidation.error }, { status: 400 });
+    }
+
+    const existing = getTenantAccount(tenant);
+    if (existing && existing.passphraseHash && !(await verifyPassphrase(currentPassphrase, existing.passphraseHash))) {
+      return Response.json({ error: 'Current passphrase is incorrect' }, { status: 403 });
+    }
+
+    const { accountName: name } = nameValidation;
+    let claimed;
+    try {
+      claimed = await claimAccountName(userId, name);
+    } catch (accountError) {
+      return Response.json({ error: accountError.message }, { status: accountError.statusCode || 400 });
+    }
+
+    const updatedTenant = await setAccountCredentials(tenant, { accountName: name, passphrase });
+    let updated = false;
+    try {
+      ({ updated } = await updateTenant(userId, current => (
+        current && current.account === tenant.account ? { ...current, account: updatedTenant.account } : null
+      )));
+    } finally {
+      if (!updated && claimed) {
+        await releaseAccountName(userId, name);
+      }
+    }
+    if (!updated) {
+      return Response.json({ error: 'The account changed on another device, please try again' }, { status: 409 });
+    }
+    if (existing && existing.name !== name) {
+      await releaseAccountName(userId, existing.name);
+    }
+    return Response.json({ saved: true });
+  }
+);
+
+// app/api/auth/sessions/route.js (DELETE)
+const signOutDevices = createApiHandler({ validation: routeSchemas.sessionsDelete, cors: false })(
+  async (request, { userId, sessionId, all = false }) => {
+    const url = new URL(request.url);
+    const { auth, error } = await authorizeTenantRequest(userId, `account:${userId}`, url.searchParams.get('sig') || '');
+    if (error) return error;
+
+    if (!all && !sessionId) {
+      return Response.json({ error: 'Missing session ID' }, { status: 400 });
+    }
+
+    const revoked = await revokeSessions(userId, { sessionId, all: all === true, except: auth.session ? auth.session.id : null });
+    return Response.json({ revoked, sessions: await listSessions(userId, auth.session ? auth.session.id : null) });
+  }
+);
+
+function jsonRequest(path, body, { sig = '', method = 'POST', ip = '203.0.113.10' } = {}) {
+  return new Request(`http://localhost${path}?sig=${encodeURIComponent(sig)}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', 'X-Forwarded-For': ip },
+    body: JSON.stringify(body)
+  });
+}
+
+// Sign `data` the way a browser does, with the tenant secret or a device credential
+function signAs(data, credential) {
+  const device = parseDeviceCredential(credential);
+  return device
+    ? signRequest(data, device.deviceKey, { sessionId: device.sessionId })
+    : signRequest(data, credential);
+}
+
+let nextId = 0;
+async function createTenant() {
+  nextId += 1;
+  const userId = `aaaaaaaa-bbbb-4ccc-8ddd-${String(nextId).padStart(12, '0')}`;
+  const tenant = { tenantSecret: `tenant-secret-${nextId}`, selectedMovies: '[]' };
+  await saveTenant(userId, tenant);
+  return { userId, tenant };
+}
+
+async function createAccount(accountName) {
+  const { userId, tenant } = await createTenant();
+  const response = await saveAccount(jsonRequest('/api/auth/account', { userId, accountName, passphrase: PASSPHRASE }, {
+    sig: signAs(`account:${userId}`, tenant.tenantSecret)
+  }));
+  expect(response.status).toBe(200);
+  return { userId, tenant };
+}
+
+describe('/api/auth endpoint logic', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    console.warn.mockRestore();
+    cleanup();
+  });
+
+  describe('POST /api/auth/login', () => {
+    it('should sign a device in with the right passphrase', async () => {
+      const { userId } = await createAccount('login-ok');
+
+      const response = await login(jsonRequest('/api/auth/login', { accountName: 'Login-OK', passphrase: PASSPHRASE, deviceName: 'Firefox' }));
+      expect(response.status).toBe(200);
+
+      const { deviceCredential, userId: signedIn } = await response.json();
+      expect(signedIn).toBe(userId);
+      // The device credential signs tenant requests on its own
+      const { auth } = await authorizeTenantRequest(userId, `account:${userId}`, signAs(`account:${userId}`, deviceCredential));
+      expect(auth.method).toBe('session');
+    });
+
+    it('should answer 401 the same way for a wrong passphrase and an unknown name', async () => {
+      await createAccount('login-wrong');
+
+      const wrong = await login(jsonRequest('/api/auth/login', { accountName: 'login-wrong', passphrase: 'not the passphrase' }));
+      const unknown = await login(jsonRequest('/api/auth/login', { accountName: 'nobody-here', passphrase: PASSPHRASE }));
+
+      expect(wrong.status).toBe(401);
+      expect(unknown.status).toBe(401);
+      expect(await wrong.json()).toEqual(await unknown.json());
+    });
+
+    it('should lock an account name for the address after repeated failures', async () => {
+      await createAccount('login-locked');
+      const ip = '198.51.100.20';
+
+      for (let i = 0; i < MAX_LOGIN_FAILURES; i++) {
+        expect((await login(jsonRequest('/api/auth/login', { accountName: 'login-locked', passphrase: 'guess' }, { ip }))).status).toBe(401);
+      }
+
+      // Even the right passphrase waits out the lockout from that address, but not from another
+      expect((await login(jsonRequest('/api/auth/login', { accountName: 'login-locked', passphrase: PASSPHRASE }, { ip }))).status).toBe(429);
+      expect((await login(jsonRequest('/api/auth/login', { accountName: 'login-locked', passphrase: PASSPHRASE }, { ip: '198.51.100.21' }))).status).toBe(200);
+    });
+
+    it('should refuse malformed bodies before checking anything', async () => {
+      const response = await login(jsonRequest('/api/auth/login', { accountName: 42, passphrase: PASSPHRASE }));
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/auth/account', () => {
+    it('should answer 403 for a signature made with another secret', async () => {
+      const { userId } = await createTenant();
+
+      const response = await saveAccount(jsonRequest('/api/auth/account', { userId, accountName: 'forged', passphrase: PASSPHRASE }, {
+        sig: signAs(`account:${userId}`, 'someone-elses-secret')
+      }));
+      expect(response.status).toBe(403);
+      expect(await findAccountUserId('forged')).toBeNull();
+    });
+
+    it('should answer 403 when the current passphrase is wrong', async () => {
+      const { userId, tenant } = await createAccount('change-me');
+
+      const response = await saveAccount(jsonRequest('/api/auth/account', {
+        userId,
+        accountName: 'change-me',
+        passphrase: 'a brand new passphrase',
+        currentPassphrase: 'not the passphrase'
+      }, { sig: signAs(`account:${userId}`, tenant.tenantSecret) }));
+      expect(response.status).toBe(403);
+    });
+
+    it('should answer 409 for a name another account holds', async () => {
+      await createAccount('taken-name');
+      const { userId, tenant } = await createTenant();
+
+      const response = await saveAccount(jsonRequest('/api/auth/account', { userId, accountName: 'taken-name', passphrase: PASSPHRASE }, {
+        sig: signAs(`account:${userId}`, tenant.tenantSecret)
+      }));
+      expect(response.status).toBe(409);
+    });
+
+    it('should answer 409 and release the claimed name when another device saved first', async () => {
+      const { userId, tenant } = await createTenant();
+      const sig = signAs(`account:${userId}`, tenant.tenantSecret);
+
+      const responses = await Promise.all([
+        saveAccount(jsonRequest('/api/auth/account', { userId, accountName: 'first-device', passphrase: PASSPHRASE }, { sig })),
+        saveAccount(jsonRequest('/api/auth/account', { userId, accountName: 'second-device', passphrase: PASSPHRASE }, { sig }))
+      ]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+      const saved = getTenantAccount(await loadTenant(userId)).name;
+      const lost = saved === 'first-device' ? 'second-device' : 'first-device';
+      expect(await findAccountUserId(saved)).toBe(userId);
+      expect(await findAccountUserId(lost)).toBeNull();
+    });
+
+    it('should free the old name after a rename', async () => {
+      const { userId, tenant } = await createAccount('old-name');
+
+      const response = await saveAccount(jsonRequest('/api/auth/account', {
+        userId,
+        accountName: 'new-name',
+        passphrase: PASSPHRASE,
+        currentPassphrase: PASSPHRASE
+      }, { sig: signAs(`account:${userId}`, tenant.tenantSecret) }));
+
+      expect(response.status).toBe(200);
+      expect(await findAccountUserId('new-name')).toBe(userId);
+      expect(await findAccountUserId('old-name')).toBeNull();
+    });
+  });
+
+  describe('DELETE /api/auth/sessions', () => {
+    it('should sign out another device and stop accepting its signatures', async () => {
+      const { userId } = await createAccount('two-devices');
+      const laptop = await createSession(userId, { deviceName: 'Laptop', method: 'passphrase' });
+      const phone = await createSession(userId, { deviceName: 'Phone', method: 'passphrase' });
+
+      const response = await signOutDevices(jsonRequest('/api/auth/sessions', { userId, sessionId: phone.session.id }, {
+        method: 'DELETE',
+        sig: signAs(`account:${userId}`, laptop.deviceCredential)
+      }));
+      expect(response.status).toBe(200);
+      expect((await response.json()).revoked).toBe(1);
+
+      const refused = await authorizeTenantRequest(userId, `account:${userId}`, signAs(`account:${userId}`, phone.deviceCredential));
+      expect(refused.error.status).toBe(403);
+    });
+
+    it('should answer 400 without a session id and 403 for a revoked device', async () => {
+      const { userId } = await createAccount('revoked-device');
+      const { session, deviceCredential } = await createSession(userId, { deviceName: 'Old tablet', method: 'passphrase' });
+      const sig = signAs(`account:${userId}`, deviceCredential);
+
+      expect((await signOutDevices(jsonRequest('/api/auth/sessions', { userId }, { method: 'DELETE', sig }))).status).toBe(400);
+
+      await revokeSessions(userId, { sessionId: session.id });
+      expect((await signOutDevices(jsonRequest('/api/auth/sessions', { userId, all: true }, { method: 'DELETE', sig }))).status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * @jest-environment node
+ */
+// Test the CRON_SECRET check in front of the scheduled smart-source refresh.
+// The route module is ESM, so the handler below follows it step by step.
+
+jest.mock('../../lib/smartSources.js', () => ({
+  refreshAllSmartSources: jest.fn()
+}));
+
+const { refreshAllSmartSources } = require('../../lib/smartSources.js');
+
+// app/api/cron/smart-sources/route.js
+async function runCron(request) {
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret) {
+    return Response.json({ error: 'Scheduled refresh is not configured' }, { status: 503 });
+  }
+  if ((request.headers.get('authorization') || '') !== `Bearer ${cronSecret}`) {
+    return Response.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    return Response.json(await refreshAllSmartSources());
+  } catch (error) {
+    return Response.json({ error: 'Smart source refresh failed' }, { status: 500 });
+  }
+}
+
+function cronRequest(authorization) {
+  return new Request('http://localhost/api/cron/smart-sources', {
+    headers: authorization ? { Authorization: authorization } : {}
+  });
+}
+
+describe('/api/cron/smart-sources endpoint logic', () => {
+  const originalSecret = process.env.CRON_SECRET;
+  const summary = { tenants: 2, sourcesChecked: 5, moviesAdded: 3, errors: 0, complete: true };
+
+  beforeEach(() => {
+    process.env.CRON_SECRET = 'cron-secret';
+    refreshAllSmartSources.mockReset();
+    refreshAllSmartSources.mockResolvedValue(summary);
+  });
+
+  afterAll(() => {
+    if (originalSecret === undefined) {
+      delete process.env.CRON_SECRET;
+    } else {
+      process.env.CRON_SECRET = originalSecret;
+    }
+  });
+
+  it('should refresh smart sources for the scheduler', async () => {
+    const response = await runCron(cronRequest('Bearer cron-secret'));
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual(summary);
+    expect(refreshAllSmartSources).toHaveBeenCalledTimes(1);
+  });
+
+  it('should answer 401 without the right bearer token', async () => {
+    expect((await runCron(cronRequest())).status).toBe(401);
+    expect((await runCron(cronRequest('Bearer wrong-secret'))).status).toBe(401);
+    expect((await runCron(cronRequest('cron-secret'))).status).toBe(401);
+    expect(refreshAllSmartSources).not.toHaveBeenCalled();
+  });
+
+  it('should answer 503 when no CRON_SECRET is configured', async () => {
+    delete process.env.CRON_SECRET;
+
+    // Not even an empty bearer token gets through
+    expect((await runCron(cronRequest('Bearer '))).status).toBe(503);
+    expect(refreshAllSmartSources).not.toHaveBeenCalled();
+  });
+
+  it('should answer 500 when the refresh fails', async () => {
+    refreshAllSmartSources.mockRejectedValue(new Error('Storage temporarily unavailable'));
+
+    expect((await runCron(cronRequest('Bearer cron-secret'))).status).toBe(500);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * @jest-environment node
+ */
+// Test the StevenLu JSON list endpoint through the helpers it uses.
+// The route module is ESM, so the handler below follows it step by step.
+
+const { sign, verify } = require('../../utils/hmac.js');
+const { rssManager } = require('../../lib/RSSManager.js');
+const { getExclusionLibrary } = require('../../lib/radarr.js');
+const { getClientIP, isRadarrClient, trackFeedAccess, getFeedAccessStats } = require('../../lib/feedAccess.js');
+const { consumeRateLimit } = require('../../lib/rateLimit.js');
+const { findTenantFeed, getFeedSignatureData } = require('../../utils/feeds.js');
+const { getFeedSecrets, rotateTenantSecret } = require('../../lib/secretRotation.js');
+const { saveTenant, loadTenant, cleanup } = require('../../lib/kv.js');
+
+// app/api/list/[tenant]/route.js
+async function getList(request, userId) {
+  const url = new URL(request.url);
+  const sig = url.searchParams.get('sig') || '';
+  const feedId = url.searchParams.get('feed') || null;
+  const clientIP = getClientIP(request);
+
+  const rateLimit = await consumeRateLimit('feed', clientIP);
+  if (!rateLimit.allowed) {
+    return Response.json({ error: 'Rate limit exceeded. Please try again later.' }, { status: 429 });
+  }
+  if (!userId || !sig) {
+    return Response.json({ error: 'Missing required parameters' }, { status: 400 });
+  }
+  if (userId.length < 10) {
+    return Response.json({ error: 'Invalid user ID format' }, { status: 400 });
+  }
+
+  const tenant = await loadTenant(userId);
+  if (!tenant) {
+    return Response.json({ error: 'User not found' }, { status: 404 });
+  }
+  const expectedSigData = getFeedSignatureData(userId, feedId);
+  if (!getFeedSecrets(tenant).some(secret => verify(expectedSigData, secret, sig))) {
+    return Response.json({ error: 'Invalid signature' }, { status: 403 });
+  }
+  if (feedId && !findTenantFeed(tenant, feedId)) {
+    return Response.json({ error: 'Feed not found' }, { status: 404 });
+  }
+
+  const library = await getExclusionLibrary(userId, tenant);
+  const body = JSON.stringify(rssManager.buildList(tenant, feedId, { library }));
+  await trackFeedAccess(userId, {
+    isRadarr: isRadarrClient(request),
+    clientIP,
+    accessTime: new Date().toISOString(),
+    status: 200,
+    size: Buffer.byteLength(body),
+    feedId,
+    format: 'list'
+  });
+  return new Response(body, { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
+
+const USER_ID = 'list-route-user-1234567890';
+const SECRET = 'list-route-secret';
+
+function listRequest(sig, { feed = null, ip = '203.0.113.30' } = {}) {
+  const query = new URLSearchParams({ sig, ...(feed && { feed }) });
+  return new Request(`http://localhost/api/list/${USER_ID}?${query}`, {
+    headers: { 'User-Agent': 'Radarr/5.0.0', 'X-Forwarded-For': ip }
+  });
+}
+
+describe('/api/list/[tenant] endpoint logic', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    await saveTenant(USER_ID, {
+      tenantSecret: SECRET,
+      selectedMovies: JSON.stringify([{ id: 550, title: 'Fight Club', imdb_id: 'tt0137523', year: 1999 }]),
+      feeds: JSON.stringify([{ id: 'kids', name: 'Kids' }])
+    });
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    cleanup();
+  });
+
+  it('should serve the list for the RSS signature and log the poll', async () => {
+    const response = await getList(listRequest(sign(`rss:${USER_ID}`, SECRET)), USER_ID);
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual([expect.objectContaining({ imdb_id: 'tt0137523' })]);
+    const { entries } = await getFeedAccessStats(USER_ID);
+    expect(entries[0]).toMatchObject({ client: 'radarr', format: 'list', status: 200 });
+  });
+
+  it('should answer 400, 404 and 403 before reading the collection', async () => {
+    expect((await getList(listRequest(''), USER_ID)).status).toBe(400);
+    expect((await getList(listRequest('x'), 'short')).status).toBe(400);
+    expect((await getList(listRequest('x'), 'unknown-user-1234567890')).status).toBe(404);
+    expect((await getList(listRequest(sign(`rss:${USER_ID}`, 'other-secret')), USER_ID)).status).toBe(403);
+    // A named feed's signature doesn't open the default feed
+    expect((await getList(listRequest(sign(`rss:${USER_ID}:kids`, SECRET)), USER_ID)).status).toBe(403);
+  });
+
+  it('should answer 404 for a signed feed that no longer exists', async () => {
+    expect((await getList(listRequest(sign(`rss:${USER_ID}:kids`, SECRET), { feed: 'kids' }), USER_ID)).status).toBe(200);
+    expect((await getList(listRequest(sign(`rss:${USER_ID}:gone`, SECRET), { feed: 'gone' }), USER_ID)).status).toBe(404);
+  });
+
+  it('should keep accepting the previous secret during a rotation grace period', async () => {
+    const { tenant } = rotateTenantSecret(await loadTenant(USER_ID), { graceHours: 1 });
+    await saveTenant(USER_ID, tenant);
+
+    expect((await getList(listRequest(sign(`rss:${USER_ID}`, SECRET)), USER_ID)).status).toBe(200);
+    expect((await getList(listRequest(sign(`rss:${USER_ID}`, tenant.tenantSecret)), USER_ID)).status).toBe(200);
+  });
+
+  it('should answer 429 once an address used up the feed budget', async () => {
+    const sig = sign(`rss:${USER_ID}`, SECRET);
+    const statuses = [];
+    for (let i = 0; i < 31; i++) {
+      statuses.push((await getList(listRequest(sig, { ip: '198.51.100.99' }), USER_ID)).status);
+    }
+
+    expect(statuses.slice(0, 30).every(status => status === 200)).toBe(true);
+    expect(statuses[30]).toBe(429);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * @jest-environment node
+ */
+// Test the Radarr settings and push endpoints through the helpers and schemas they use.
+// Route modules are ESM, so each handler below follows its route step by step.
+
+const { signRequest } = require('../../utils/hmac.js');
+const { verifyTenantRequest } = require('../../utils/requestAuth.js');
+const { createApiHandler } = require('../../utils/apiMiddleware.js');
+const { routeSchemas } = require('../../utils/apiSchemas.js');
+const {
+  normalizeRadarrConfig,
+  getTenantRadarrConfig,
+  testRadarrConnection,
+  invalidateLibraryState,
+  pushTenantMovies
+} = require('../../lib/radarr.js');
+const { saveTenant, loadTenant, updateTenant, getCacheStorage, cleanup } = require('../../lib/kv.js');
+
+async function authorize(userId, sig) {
+  const tenant = await loadTenant(userId);
+  if (!tenant) {
+    return { error: Response.json({ error: 'User not found' }, { status: 404 }) };
+  }
+  const auth = await verifyTenantRequest(userId, tenant, `radarr:${userId}`, sig);
+  if (!auth.valid) {
+    return { error: Response.json({ error: auth.error }, { status: 403 }) };
+  }
+  return { tenant };
+}
+
+// app/api/radarr/config/route.js (POST)
+const saveConfig = createApiHandler({ validation: routeSchemas.radarrConfigPost, cors: false })(
+  async (request, { userId, config, testOnly = false }) => {
+    const url = new URL(request.url);
+    const { tenant, error } = await authorize(userId, url.searchParams.get('sig') || '');
+    if (error) return error;
+
+    const validation = normalizeRadarrConfig(config, getTenantRadarrConfig(tenant));
+    if (!validation.valid) {
+      return Response.json({ error: validation.error }, { status: 400 });
+    }
+
+    let connection;
+    try {
+      connection = await testRadarrConnection(validation.config);
+    } catch (connectionError) {
+      return Response.json({ error: connectionError.message }, { status: connectionError.statusCode || 502 });
+    }
+
+    if (!testOnly) {
+      await updateTenant(userId, current => current && { ...current, radarrConfig: JSON.stringify(validation.config) });
+      await invalidateLibraryState(userId);
+    }
+    return Response.json({ saved: !testOnly, radarr: connection });
+  }
+);
+
+// app/api/radarr/push/route.js
+const push = createApiHandler({ validation: routeSchemas.radarrPush, cors: false })(
+  async (request, { userId, dryRun = false }) => {
+    const url = new URL(request.url);
+    const { tenant, error } = await authorize(userId, url.searchParams.get('sig') || '');
+    if (error) return error;
+
+    if (!getTenantRadarrConfig(tenant)) {
+      return Response.json({ error: 'Radarr is not configured' }, { status: 400 });
+    }
+    try {
+      return Response.json(await pushTenantMovies(tenant, { dryRun: dryRun === true }));
+    } catch (pushError) {
+      return Response.json({ error: pushError.message }, { status: pushError.statusCode || 400 });
+    }
+  }
+);
+
+const USER_ID = 'dddddddd-bbbb-4ccc-8ddd-000000000001';
+const SECRET = 'radarr-route-secret';
+const API_KEY = '0123456789abcdef0123456789abcdef';
+const RADARR_URL = 'http://192.168.1.20:7878';
+
+// Just enough of Radarr's API for a connection test and a dry run
+function radarrResponse(url) {
+  const { pathname } = new URL(url);
+  const bodies = new Map([
+    ['/api/v3/system/status', { version: '5.0.0' }],
+    ['/api/v3/qualityprofile', [{ id: 4, name: 'HD-1080p' }]],
+    ['/api/v3/rootfolder', [{ path: '/movies', freeSpace: 1 }]],
+    ['/api/v3/movie', [{ tmdbId: 550, imdbId: 'tt0137523', hasFile: true }]]
+  ]);
+  return bodies.has(pathname)
+    ? new Response(JSON.stringify(bodies.get(pathname)), { status: 200 })
+    : new Response('Not found', { status: 404 });
+}
+
+function radarrRequest(path, body, sig = signRequest(`radarr:${USER_ID}`, SECRET)) {
+  return new Request(`http://localhost${path}?sig=${encodeURIComponent(sig)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId: USER_ID, ...body })
+  });
+}
+
+describe('/api/radarr endpoint logic', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    global.fetch.mockReset();
+    global.fetch.mockImplementation(async url => radarrResponse(url));
+    await saveTenant(USER_ID, {
+      tenantSecret: SECRET,
+      selectedMovies: JSON.stringify([
+        { id: 550, title: 'Fight Club', imdb_id: 'tt0137523' },
+        { id: 13, title: 'Forrest Gump', imdb_id: 'tt0109830' }
+      ])
+    });
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    cleanup();
+  });
+
+  describe('POST /api/radarr/config', () => {
+    it('should answer 403 for a signature made with another secret', async () => {
+      const response = await saveConfig(radarrRequest('/api/radarr/config', { config: { url: RADARR_URL, apiKey: API_KEY } },
+        signRequest(`radarr:${USER_ID}`, 'other-secret')));
+
+      expect(response.status).toBe(403);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should answer 400 for a missing config and for internal addresses', async () => {
+      expect((await saveConfig(radarrRequest('/api/radarr/config', {}))).status).toBe(400);
+
+      const metadata = await saveConfig(radarrRequest('/api/radarr/config', { config: { url: 'http://169.254.169.254', apiKey: API_KEY } }));
+      expect(metadata.status).toBe(400);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should test without saving, then save and drop the cached library', async () => {
+      const config = { url: RADARR_URL, apiKey: API_KEY, qualityProfileId: 4, rootFolderPath: '/movies' };
+
+      const tested = await saveConfig(radarrRequest('/api/radarr/config', { config, testOnly: true }));
+      expect(tested.status).toBe(200);
+      expect(getTenantRadarrConfig(await loadTenant(USER_ID))).toBeNull();
+
+      const cache = await getCacheStorage();
+      await cache.set(`radarr-library:${USER_ID}`, '{"size":0}');
+
+      const saved = await saveConfig(radarrRequest('/api/radarr/config', { config }));
+      expect(await saved.json()).toMatchObject({ saved: true, radarr: { version: '5.0.0' } });
+      expect(getTenantRadarrConfig(await loadTenant(USER_ID))).toMatchObject({ url: RADARR_URL, qualityProfileId: 4 });
+      expect(await cache.get(`radarr-library:${USER_ID}`)).toBeNull();
+    });
+
+    it('should pass Radarr errors on as a bad gateway', async () => {
+      global.fetch.mockImplementation(async () => new Response('{}', { status: 401 }));
+
+      const response = await saveConfig(radarrRequest('/api/radarr/config', { config: { url: RADARR_URL, apiKey: API_KEY } }));
+      expect(response.status).toBe(502);
+      expect(await response.json()).toEqual({ error: 'Radarr rejected the API key' });
+    });
+  });
+
+  describe('POST /api/radarr/push', () => {
+    it('should answer 403 for a bad signature and 400 before Radarr is set up', async () => {
+      expect((await push(radarrRequest('/api/radarr/push', {}, 'a'.repeat(64)))).status).toBe(403);
+      expect(await (await push(radarrRequest('/api/radarr/push', {}))).json()).toEqual({ error: 'Radarr is not configured' });
+
+      await updateTenant(USER_ID, current => ({ ...current, radarrConfig: JSON.stringify({ url: RADARR_URL, apiKey: API_KEY }) }));
+      const notReady = await push(radarrRequest('/api/radarr/push', {}));
+      expect(notReady.status).toBe(400);
+      expect((await notReady.json()).error).toMatch(/quality profile and root folder/);
+    });
+
+    it('should preview a push without adding movies', async () => {
+      await updateTenant(USER_ID, current => ({
+        ...current,
+        radarrConfig: JSON.stringify({ url: RADARR_URL, apiKey: API_KEY, qualityProfileId: 4, rootFolderPath: '/movies' })
+      }));
+
+      const response = await push(radarrRequest('/api/radarr/push', { dryRun: true }));
+      expect(response.status).toBe(200);
+      expect(await response.json()).toMatchObject({ dryRun: true, existing: 1, wouldAdd: 1, added: 0 });
+      expect(global.fetch.mock.calls.every(([, options]) => (options.method || 'GET') === 'GET')).toBe(true);
+    });
+  });
+});
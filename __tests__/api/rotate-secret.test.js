@@ -0,0 +1,120 @@
+/**
+ * @jest-environment node
+ */
+// Test secret rotation through the helpers and schema the endpoint uses.
+// The route module is ESM, so the handler below follows it step by step.
+
+const { sign, signRequest, parseDeviceCredential } = require('../../utils/hmac.js');
+const { verifyTenantRequest } = require('../../utils/requestAuth.js');
+const { createApiHandler } = require('../../utils/apiMiddleware.js');
+const { routeSchemas } = require('../../utils/apiSchemas.js');
+const { normalizeGraceHours, rotateTenantSecret, getFeedSecrets } = require('../../lib/secretRotation.js');
+const { createSession } = require('../../lib/accountAuth.js');
+const { saveTenant, loadTenant, updateTenant, cleanup } = require('../../lib/kv.js');
+
+// app/api/rotate-secret/route.js (POST)
+const rotate = createApiHandler({ validation: routeSchemas.rotateSecret, cors: false })(
+  async (request, { userId, graceHours, reason }) => {
+    const url = new URL(request.url);
+    const tenant = await loadTenant(userId);
+    if (!tenant) {
+      return Response.json({ error: 'User not found' }, { status: 404 });
+    }
+    const auth = await verifyTenantRequest(userId, tenant, `rotate-secret:${userId}`, url.searchParams.get('sig') || '');
+    if (!auth.valid) {
+      return Response.json({ error: auth.error }, { status: 403 });
+    }
+
+    const graceValidation = normalizeGraceHours(graceHours);
+    if (!graceValidation.valid) {
+      return Response.json({ error: graceValidation.error }, { status: 400 });
+    }
+
+    let rotation;
+    const { tenant: updatedTenant, updated } = await updateTenant(userId, current => {
+      if (!current) return null;
+      const result = rotateTenantSecret(current, { graceHours: graceValidation.graceHours, reason });
+      rotation = result.rotation;
+      return result.tenant;
+    });
+    if (!updated) {
+      return Response.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    return Response.json({
+      rotated: true,
+      ...(!auth.session && { tenantSecret: updatedTenant.tenantSecret }),
+      graceUntil: rotation.graceUntil
+    });
+  }
+);
+
+const USER_ID = 'cccccccc-bbbb-4ccc-8ddd-000000000001';
+const SECRET = 'rotate-route-secret';
+
+function rotateRequest(body, sig) {
+  return new Request(`http://localhost/api/rotate-secret?sig=${encodeURIComponent(sig)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ userId: USER_ID, ...body })
+  });
+}
+
+describe('/api/rotate-secret endpoint logic', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  beforeEach(async () => {
+    await saveTenant(USER_ID, { tenantSecret: SECRET, selectedMovies: '[]' });
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+    cleanup();
+  });
+
+  it('should answer 403 for another secret and 404 for an unknown user', async () => {
+    expect((await rotate(rotateRequest({}, signRequest(`rotate-secret:${USER_ID}`, 'other-secret')))).status).toBe(403);
+    // A feed or sync signature doesn't authorize a rotation
+    expect((await rotate(rotateRequest({}, signRequest(`sync-list:${USER_ID}`, SECRET)))).status).toBe(403);
+
+    const unknown = new Request('http://localhost/api/rotate-secret?sig=x', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ userId: 'cccccccc-bbbb-4ccc-8ddd-000000000099' })
+    });
+    expect((await rotate(unknown)).status).toBe(404);
+    expect((await loadTenant(USER_ID)).tenantSecret).toBe(SECRET);
+  });
+
+  it('should answer 400 for a grace period out of range', async () => {
+    const response = await rotate(rotateRequest({ graceHours: 10000 }, signRequest(`rotate-secret:${USER_ID}`, SECRET)));
+    expect(response.status).toBe(400);
+    expect((await loadTenant(USER_ID)).tenantSecret).toBe(SECRET);
+  });
+
+  it('should issue a new secret and keep old feed URLs working during the grace period', async () => {
+    const oldFeedSig = sign(`rss:${USER_ID}`, SECRET);
+
+    const response = await rotate(rotateRequest({ graceHours: 24, reason: 'shared by mistake' }, signRequest(`rotate-secret:${USER_ID}`, SECRET)));
+    expect(response.status).toBe(200);
+    const { tenantSecret, graceUntil } = await response.json();
+    expect(tenantSecret).not.toBe(SECRET);
+    expect(graceUntil).toBeTruthy();
+
+    const tenant = await loadTenant(USER_ID);
+    expect(getFeedSecrets(tenant).some(secret => sign(`rss:${USER_ID}`, secret) === oldFeedSig)).toBe(true);
+    // The old secret no longer authorizes requests
+    expect((await rotate(rotateRequest({}, signRequest(`rotate-secret:${USER_ID}`, SECRET)))).status).toBe(403);
+  });
+
+  it('should not hand the new secret to a signed-in device', async () => {
+    const { deviceCredential } = await createSession(USER_ID, { deviceName: 'Phone', method: 'passphrase' });
+    const { sessionId, deviceKey } = parseDeviceCredential(deviceCredential);
+
+    const response = await rotate(rotateRequest({}, signRequest(`rotate-secret:${USER_ID}`, deviceKey, { sessionId })));
+    expect(response.status).toBe(200);
+    expect(await response.json()).not.toHaveProperty('tenantSecret');
+  });
+});
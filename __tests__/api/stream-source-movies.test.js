@@ -0,0 +1,91 @@
+/**
+ * @jest-environment node
+ */
+// Test the parameter and signature checks in front of the source movie stream.
+// The route module is ESM, so the checks below follow it step by step.
+
+const { signRequest } = require('../../utils/hmac.js');
+const { verifyTenantRequest } = require('../../utils/requestAuth.js');
+const { STREAM_SOURCE_TYPES, formatSseEvent } = require('../../lib/sourceStream.js');
+const { ALLOWED_ROLE_TYPES } = require('../../utils/filmography.js');
+const { saveTenant, loadTenant, cleanup } = require('../../lib/kv.js');
+
+// app/api/stream-source-movies/route.js, up to the point where the stream starts
+async function openStream(request) {
+  const url = new URL(request.url);
+  const sig = url.searchParams.get('sig') || '';
+  const userId = url.searchParams.get('userId') || '';
+  const sourceType = url.searchParams.get('sourceType') || '';
+  const sourceId = Number(url.searchParams.get('sourceId'));
+  const roleType = url.searchParams.get('roleType') || 'actor';
+
+  if (!userId || !sourceType || !url.searchParams.get('sourceId')) {
+    return Response.json({ error: 'Missing parameters' }, { status: 400 });
+  }
+  if (!STREAM_SOURCE_TYPES.includes(sourceType)) {
+    return Response.json({ error: 'Invalid source type' }, { status: 400 });
+  }
+  if (!Number.isInteger(sourceId) || sourceId <= 0) {
+    return Response.json({ error: 'Invalid source id' }, { status: 400 });
+  }
+  if (sourceType === 'person' && !ALLOWED_ROLE_TYPES.includes(roleType)) {
+    return Response.json({ error: 'Invalid role type' }, { status: 400 });
+  }
+
+  const tenant = await loadTenant(userId);
+  if (!tenant) {
+    return Response.json({ error: 'User not found' }, { status: 404 });
+  }
+  const auth = await verifyTenantRequest(userId, tenant, `stream-source-movies:${userId}`, sig);
+  if (!auth.valid) {
+    return Response.json({ error: auth.error }, { status: 403 });
+  }
+
+  return new Response(formatSseEvent('start', { sourceType, sourceId }), {
+    headers: { 'Content-Type': 'text/event-stream; charset=utf-8' }
+  });
+}
+
+const USER_ID = 'stream-route-user-1234567890';
+const SECRET = 'stream-route-secret';
+
+function streamRequest(params) {
+  return new Request(`http://localhost/api/stream-source-movies?${new URLSearchParams(params)}`);
+}
+
+describe('/api/stream-source-movies endpoint logic', () => {
+  const sig = signRequest(`stream-source-movies:${USER_ID}`, SECRET);
+  const valid = { userId: USER_ID, sourceType: 'person', sourceId: '31', roleType: 'actor', sig };
+
+  beforeAll(async () => {
+    await saveTenant(USER_ID, { tenantSecret: SECRET, selectedMovies: '[]' });
+  });
+
+  afterAll(() => {
+    cleanup();
+  });
+
+  it('should open an event stream for a signed request', async () => {
+    const response = await openStream(streamRequest(valid));
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toMatch(/^text\/event-stream/);
+    expect(await response.text()).toMatch(/^event: start\n/);
+  });
+
+  it('should answer 400 for missing or invalid parameters', async () => {
+    expect((await openStream(streamRequest({ ...valid, sourceId: '' }))).status).toBe(400);
+    expect((await openStream(streamRequest({ ...valid, sourceType: 'keyword' }))).status).toBe(400);
+    expect((await openStream(streamRequest({ ...valid, sourceId: '-3' }))).status).toBe(400);
+    expect((await openStream(streamRequest({ ...valid, roleType: 'caterer' }))).status).toBe(400);
+    // Role types only apply to people
+    expect((await openStream(streamRequest({ ...valid, sourceType: 'company', roleType: 'caterer' }))).status).toBe(200);
+  });
+
+  it('should answer 404 for an unknown user and 403 for a bad signature', async () => {
+    expect((await openStream(streamRequest({ ...valid, userId: 'unknown-user-1234567890' }))).status).toBe(404);
+    expect((await openStream(streamRequest({ ...valid, sig: signRequest(`stream-source-movies:${USER_ID}`, 'other-secret') }))).status).toBe(403);
+    // Signatures are per endpoint
+    expect((await openStream(streamRequest({ ...valid, sig: signRequest(`get-filmography:${USER_ID}`, SECRET) }))).status).toBe(403);
+  });
+});
@@ -96,7 +96,7 @@ describe('API Key Integration', () => {
     
     const handler = createApiHandler({
       cors: true,
-      rateLimit: { maxRequests: 100, windowMs: 60000 },
+      rateLimit: { name: 'test-api-key', maxRequests: 100, windowMs: 60000 },
       apiKey: {
         apiKeys: [validKey]
       },
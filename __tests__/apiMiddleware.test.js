@@ -140,6 +140,7 @@ describe('API Middleware', () => {
   describe('createRateLimitMiddleware', () => {
     it('should allow requests within rate limit', async () => {
       const middleware = createRateLimitMiddleware({
+        name: 'test-within-limit',
         windowMs: 60000,
         maxRequests: 5
       });
@@ -155,6 +156,7 @@ describe('API Middleware', () => {
 
     it('should block requests exceeding rate limit', async () => {
       const middleware = createRateLimitMiddleware({
+        name: 'test-over-limit',
         windowMs: 60000,
         maxRequests: 2
       });
@@ -176,6 +178,7 @@ describe('API Middleware', () => {
 
     it('should use custom key generator', async () => {
       const middleware = createRateLimitMiddleware({
+        name: 'test-custom-key',
         windowMs: 60000,
         maxRequests: 1,
         keyGenerator: (req) => 'custom-key'
@@ -317,7 +320,7 @@ describe('API Middleware', () => {
   describe('createApiHandler', () => {
     it('should create a complete API handler', async () => {
       const handler = createApiHandler({
-        rateLimit: { maxRequests: 10, windowMs: 60000 },
+        rateLimit: { name: 'test-handler', maxRequests: 10, windowMs: 60000 },
         cors: true
       });
 
@@ -345,5 +348,43 @@ describe('API Middleware', () => {
       expect(mockApiFunction).not.toHaveBeenCalled();
       expect(result.status).toBe(204);
     });
+
+    it('should pass validated body data to the handler and leave the body readable', async () => {
+      const handler = createApiHandler({
+        validation: { query: { type: 'string', required: true } },
+        logging: false
+      });
+      const wrappedHandler = handler(async (request, data) => Response.json({ data, body: await request.json() }));
+
+      const request = new Request('http://test.com/api/search', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query: '  Nolan ' })
+      });
+      const result = await wrappedHandler(request);
+
+      expect(result.status).toBe(200);
+      expect(await result.json()).toEqual({ data: { query: 'Nolan' }, body: { query: '  Nolan ' } });
+    });
+
+    it('should answer 400 with the failing fields before the handler runs', async () => {
+      const handler = createApiHandler({
+        validation: { query: { type: 'string', required: true } },
+        logging: false
+      });
+      const mockApiFunction = jest.fn();
+      const wrappedHandler = handler(mockApiFunction);
+
+      const request = new Request('http://test.com/api/search', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ query: 42 })
+      });
+      const result = await wrappedHandler(request);
+
+      expect(mockApiFunction).not.toHaveBeenCalled();
+      expect(result.status).toBe(400);
+      expect((await result.json()).details).toEqual([{ field: 'query', error: 'Value must be a string' }]);
+    });
   });
-});
\ No newline at end of file
+});
@@ -67,7 +67,7 @@ describe('API Middleware Integration with Logging', () => {
     const handler = createApiHandler({
       logging: { logLevel: 'info' },
       cors: true,
-      rateLimit: { maxRequests: 100, windowMs: 60000 }
+      rateLimit: { name: 'test-logging', maxRequests: 100, windowMs: 60000 }
     });
 
     const testHandler = handler(async (request) => {
@@ -93,7 +93,7 @@ describe('API Middleware Integration with Logging', () => {
   it('should log errors appropriately', async () => {
     const handler = createApiHandler({
       logging: { logLevel: 'info' },
-      rateLimit: { maxRequests: 1, windowMs: 60000 } // Very restrictive
+      rateLimit: { name: 'test-logging-errors', maxRequests: 1, windowMs: 60000 } // Very restrictive
     });
 
     const testHandler = handler(async (request) => {
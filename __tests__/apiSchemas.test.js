@@ -0,0 +1,102 @@
+/**
+ * @jest-environment node
+ */
+// Test the request schemas of the tenant-facing API routes
+
+const { validateRequestBody } = require('../utils/validation.js');
+const { routeSchemas } = require('../utils/apiSchemas.js');
+
+const userId = '550e8400-e29b-41d4-a716-446655440000';
+const fightClub = { id: 550, title: 'Fight Club', imdb_id: 'tt0137523', selected: true };
+
+describe('API route schemas', () => {
+  it('should accept the bodies the browser sends', () => {
+    expect(validateRequestBody({ userId, tmdbKey: 'a'.repeat(32) }, routeSchemas.createUser).valid).toBe(true);
+    expect(validateRequestBody({ userId, tmdbKey: 'b'.repeat(32) }, routeSchemas.updateTmdbKey).valid).toBe(true);
+    expect(validateRequestBody({ userId, personId: 287, roleType: 'director' }, routeSchemas.getFilmography).valid).toBe(true);
+    expect(validateRequestBody({ userId, sourceId: 10, sourceType: 'collection' }, routeSchemas.getSourceMovies).valid).toBe(true);
+    expect(validateRequestBody({ userId, query: 'Nolan' }, routeSchemas.searchPeople).valid).toBe(true);
+  });
+
+  it('should reject malformed ids, keys and role types', () => {
+    expect(validateRequestBody({ userId: 'not-a-uuid', tmdbKey: 'a'.repeat(32) }, routeSchemas.createUser).errors)
+      .toEqual([{ field: 'userId', error: 'Value must be a valid UUID' }]);
+    expect(validateRequestBody({ userId, tmdbKey: 'short' }, routeSchemas.createUser).valid).toBe(false);
+    expect(validateRequestBody({ userId }, routeSchemas.updateTmdbKey).valid).toBe(false);
+    expect(validateRequestBody({ userId, personId: 287, roleType: 'grip' }, routeSchemas.getFilmography).valid).toBe(false);
+    expect(validateRequestBody({ userId, personId: 0 }, routeSchemas.getFilmography).valid).toBe(false);
+    expect(validateRequestBody({ userId, sourceId: 10, sourceType: 'tv' }, routeSchemas.getSourceMovies).valid).toBe(false);
+    expect(validateRequestBody({ userId, query: 'a' }, routeSchemas.searchCompanies).valid).toBe(false);
+  });
+
+  it('should check the people tree of a full sync', () => {
+    const people = [{
+      id: 287,
+      name: 'Brad Pitt',
+      type: 'person',
+      profile_path: '/brad.jpg',
+      feedIds: ['family'],
+      roles: [{ type: 'actor', addedAt: '2026-01-01T00:00:00.000Z', movies: [fightClub] }]
+    }];
+
+    const result = validateRequestBody({ userId, revision: 3, people, selectedMovies: [], feeds: [], feedFilters: {} }, routeSchemas.syncListPost);
+    expect(result.valid).toBe(true);
+    expect(result.data.people).toEqual(people);
+
+    const badRole = [{ ...people[0], roles: [{ type: 'stunts', movies: [] }] }];
+    expect(validateRequestBody({ userId, people: badRole }, routeSchemas.syncListPost).errors)
+      .toEqual([{ field: 'people[0].roles[0].type', error: 'String format is invalid' }]);
+
+    expect(validateRequestBody({ userId, people: [{ id: '287', name: 'Brad Pitt', roles: [] }] }, routeSchemas.syncListPost).valid).toBe(false);
+    expect(validateRequestBody({ userId }, routeSchemas.syncListPost).errors).toEqual([{ field: 'people', error: 'Field is required' }]);
+    expect(validateRequestBody({ userId, people: [], revision: -1 }, routeSchemas.syncListPost).valid).toBe(false);
+  });
+
+  it('should leave individual movies to the feed rebuild', () => {
+    const people = [{ id: 287, name: 'Brad Pitt', roles: [{ type: 'actor', movies: [fightClub, { id: -1 }] }] }];
+    expect(validateRequestBody({ userId, people }, routeSchemas.syncListPost).valid).toBe(true);
+  });
+
+  it('should check patch operations', () => {
+    const operations = [
+      { op: 'add-source', source: { id: 31, name: 'Tom Hanks', type: 'person' }, role: { type: 'actor', movies: [fightClub] } },
+      { op: 'toggle-movie', sourceId: 287, roleType: 'actor', movieId: 550, selected: false },
+      { op: 'set-feeds', sourceId: 287, feedIds: ['kids'] }
+    ];
+    expect(validateRequestBody({ userId, revision: 2, operations }, routeSchemas.syncListPatch).valid).toBe(true);
+
+    const unknownOp = validateRequestBody({ userId, operations: [{ op: 'drop-table' }] }, routeSchemas.syncListPatch);
+    expect(unknownOp.errors).toEqual([{ field: 'operations[0].op', error: 'String format is invalid' }]);
+
+    const extraField = validateRequestBody({ userId, operations: [{ op: 'remove-source', sourceId: 1, force: true }] }, routeSchemas.syncListPatch);
+    expect(extraField.errors).toEqual([{ field: 'operations[0].force', error: 'Unknown field' }]);
+  });
+
+  it('should validate the collection query of GET /api/sync-list', () => {
+    expect(validateRequestBody({ userId, sig: 'a'.repeat(64) }, routeSchemas.syncListGet).valid).toBe(true);
+    expect(validateRequestBody({ userId, sig: 'nope' }, routeSchemas.syncListGet).valid).toBe(false);
+  });
+
+  it('should check account, device and secret rotation bodies', () => {
+    const login = validateRequestBody({ accountName: 'movie-night', passphrase: '  spaced out  ', deviceName: 'Firefox' }, routeSchemas.login);
+    expect(login.data.passphrase).toBe('  spaced out  ');
+    expect(validateRequestBody({ loginToken: 'token' }, routeSchemas.login).valid).toBe(true);
+    expect(validateRequestBody({ passphrase: 12345 }, routeSchemas.login).valid).toBe(false);
+
+    expect(validateRequestBody({ userId, accountName: 'movie-night', passphrase: 'correct horse battery' }, routeSchemas.accountPost).valid).toBe(true);
+    expect(validateRequestBody({ userId, sessionId: 'AbCdEfGhIjKlMnOpQrStUv' }, routeSchemas.sessionsDelete).valid).toBe(true);
+    expect(validateRequestBody({ userId, all: 'yes' }, routeSchemas.sessionsDelete).valid).toBe(false);
+    expect(validateRequestBody({ userId, graceHours: 24, reason: 'Shared by mistake' }, routeSchemas.rotateSecret).valid).toBe(true);
+    expect(validateRequestBody({ userId, graceHours: 'soon' }, routeSchemas.rotateSecret).valid).toBe(false);
+    expect(validateRequestBody({}, routeSchemas.loginLink).valid).toBe(false);
+  });
+
+  it('should check Radarr bodies', () => {
+    const config = { url: 'http://radarr.local:7878', apiKey: 'a'.repeat(32), qualityProfileId: 1 };
+    expect(validateRequestBody({ userId, config, testOnly: true }, routeSchemas.radarrConfigPost).valid).toBe(true);
+    expect(validateRequestBody({ userId, config: 'http://radarr.local' }, routeSchemas.radarrConfigPost).valid).toBe(false);
+    expect(validateRequestBody({ userId }, routeSchemas.radarrConfigDelete).valid).toBe(true);
+    expect(validateRequestBody({ userId, dryRun: true }, routeSchemas.radarrPush).valid).toBe(true);
+    expect(validateRequestBody({ userId, dryRun: true, force: true }, routeSchemas.radarrPush).valid).toBe(false);
+  });
+});
@@ -276,6 +276,33 @@ describe('Cache Headers Middleware', () => {
       expect(result.status).toBe(304);
     });
 
+    it('should answer 304 for a supplied ETag without the content', async () => {
+      const middleware = createCacheMiddleware({ etag: true });
+      const request = new MockRequest('https://api.example.com/rss/user', {
+        headers: { 'if-none-match': '"v1"' }
+      });
+
+      const result = await middleware(request, { etag: '"v1"' });
+
+      expect(result.notModified).toBe(true);
+      expect(result.cacheHeaders['ETag']).toBe('"v1"');
+    });
+
+    it('should ignore If-Modified-Since when If-None-Match is sent', async () => {
+      const middleware = createCacheMiddleware({ etag: true, lastModified: true });
+      const request = new MockRequest('https://api.example.com/rss/user', {
+        headers: {
+          'if-none-match': '"v1"',
+          'if-modified-since': new Date(Date.now() + 1000).toUTCString()
+        }
+      });
+
+      const result = await middleware(request, { etag: '"v2"', lastModified: new Date(Date.now() - 3600000) });
+
+      expect(result.notModified).toBeUndefined();
+      expect(result.cacheHeaders['ETag']).toBe('"v2"');
+    });
+
     it('should apply path-based caching rules', async () => {
       const middleware = createCacheMiddleware({
         rules: [
@@ -233,7 +233,7 @@ describe('Cache Headers Integration', () => {
   it('should integrate with other middleware', async () => {
     const handler = createApiHandler({
       cors: true,
-      rateLimit: { maxRequests: 100, windowMs: 60000 },
+      rateLimit: { name: 'test-cache', maxRequests: 100, windowMs: 60000 },
       cache: {
         maxAge: 300,
         vary: ['Accept']
@@ -0,0 +1,92 @@
+/**
+ * @jest-environment node
+ */
+// Test incremental collection operations used by PATCH /api/sync-list
+
+const { MAX_PATCH_OPERATIONS, applyCollectionPatch } = require('../utils/collectionPatch.js');
+const { deduplicateMovies } = require('../utils/movieDeduplication.js');
+
+const movie = (id, imdbId, extra = {}) => ({ id, imdb_id: imdbId, title: `Movie ${id}`, ...extra });
+
+const people = [
+  {
+    id: 287,
+    name: 'Brad Pitt',
+    type: 'person',
+    roles: [
+      { type: 'actor', addedAt: '2026-01-01T00:00:00.000Z', movies: [movie(550, 'tt0137523'), movie(807, 'tt0114369')] },
+      { type: 'producer', addedAt: '2026-01-01T00:00:00.000Z', movies: [movie(1422, 'tt0407887')] }
+    ]
+  }
+];
+
+describe('Collection patch operations', () => {
+  it('should add a new source and add or replace a role on an existing one', () => {
+    const result = applyCollectionPatch(people, [
+      { op: 'add-source', source: { id: 31, name: 'Tom Hanks', type: 'person', roles: [] }, role: { type: 'actor', movies: [movie(13, 'tt0109830')] } },
+      { op: 'add-source', source: { id: 287, name: 'Brad Pitt' }, role: { type: 'actor', movies: [movie(550, 'tt0137523')] } }
+    ]);
+
+    expect(result.valid).toBe(true);
+    expect(result.people.map(p => p.id)).toEqual([287, 31]);
+    expect(result.people[0].roles.map(r => r.type)).toEqual(['actor', 'producer']);
+    expect(result.people[0].roles[0].movies).toHaveLength(1);
+    expect(result.people[1].roles).toEqual([{ type: 'actor', movies: [movie(13, 'tt0109830')] }]);
+  });
+
+  it('should remove roles and drop a source left without roles', () => {
+    const withoutProducer = applyCollectionPatch(people, [{ op: 'remove-role', sourceId: 287, roleType: 'producer' }]);
+    expect(withoutProducer.people[0].roles.map(r => r.type)).toEqual(['actor']);
+
+    const withoutRoles = applyCollectionPatch(withoutProducer.people, [{ op: 'remove-role', sourceId: 287, roleType: 'actor' }]);
+    expect(withoutRoles.people).toEqual([]);
+
+    expect(applyCollectionPatch(people, [{ op: 'remove-source', sourceId: 287 }]).people).toEqual([]);
+  });
+
+  it('should set movie selections idempotently and skip missing sources', () => {
+    const toggle = { op: 'toggle-movie', sourceId: 287, roleType: 'actor', movieId: 550, selected: false };
+    const once = applyCollectionPatch(people, [toggle]);
+    const twice = applyCollectionPatch(once.people, [toggle]);
+    expect(twice.people).toEqual(once.people);
+    expect(once.people[0].roles[0].movies[0].selected).toBe(false);
+
+    const allOff = applyCollectionPatch(people, [{ op: 'set-selections', sourceId: 287, roleType: 'actor', selected: false }]);
+    expect(allOff.people[0].roles[0].movies.every(m => m.selected === false)).toBe(true);
+
+    const missing = applyCollectionPatch(people, [{ op: 'toggle-movie', sourceId: 999, roleType: 'actor', movieId: 1, selected: true }]);
+    expect(missing.people).toEqual(people);
+  });
+
+  it('should assign feeds and switch smart sources off with their baseline', () => {
+    const smartPeople = [{ ...people[0], roles: [{ ...people[0].roles[0], autoInclude: true, knownMovieIds: [550], lastResolvedAt: 'x' }] }];
+    const result = applyCollectionPatch(smartPeople, [
+      { op: 'set-feeds', sourceId: 287, feedIds: ['kids', 'kids'] },
+      { op: 'set-auto-include', sourceId: 287, roleType: 'actor', enabled: false }
+    ]);
+
+    expect(result.people[0].feedIds).toEqual(['kids']);
+    expect(result.people[0].roles[0]).toMatchObject({ autoInclude: false });
+    expect(result.people[0].roles[0].knownMovieIds).toBeUndefined();
+  });
+
+  it('should reject malformed operations and oversized batches', () => {
+    expect(applyCollectionPatch(people, 'nope').valid).toBe(false);
+    expect(applyCollectionPatch(people, [{ op: 'drop-table' }]).error).toMatch(/Unknown operation/);
+    expect(applyCollectionPatch(people, [{ op: 'toggle-movie', sourceId: 287, roleType: 'actor', movieId: 550 }]).valid).toBe(false);
+    expect(applyCollectionPatch(people, [{ op: 'add-source', source: { id: 1 }, role: { type: 'actor', movies: [] } }]).valid).toBe(false);
+
+    const tooMany = Array.from({ length: MAX_PATCH_OPERATIONS + 1 }, () => ({ op: 'remove-source', sourceId: 1 }));
+    expect(applyCollectionPatch(people, tooMany).valid).toBe(false);
+  });
+
+  it('should produce a feed the server can rebuild with deduplicateMovies', () => {
+    const result = applyCollectionPatch(people, [
+      { op: 'add-source', source: { id: 1, name: 'David Fincher', type: 'person' }, role: { type: 'director', movies: [movie(550, 'tt0137523')] } },
+      { op: 'toggle-movie', sourceId: 287, roleType: 'producer', movieId: 1422, selected: false }
+    ]);
+
+    const selectedMovies = deduplicateMovies(result.people);
+    expect(selectedMovies.map(m => m.imdb_id).sort()).toEqual(['tt0114369', 'tt0137523']);
+  });
+});
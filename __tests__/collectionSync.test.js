@@ -0,0 +1,107 @@
+/**
+ * @jest-environment node
+ */
+// Test reconciling a browser's collection with the copy synced from other devices
+
+const { getCollectionRevision, getCollectionState, reconcileCollection, mergeCollections } = require('../utils/collectionSync.js');
+
+const person = (id, roles) => ({ id, name: `Person ${id}`, type: 'person', roles });
+const role = (type, addedAt, movies = []) => ({ type, addedAt, movies });
+
+describe('Collection sync', () => {
+  const server = {
+    people: [person(1, [role('actor', '2026-01-01T00:00:00.000Z')])],
+    lastSync: '2026-02-01T00:00:00.000Z'
+  };
+
+  it('should read the stored collection from a tenant', () => {
+    const state = getCollectionState({
+      people: JSON.stringify(server.people),
+      selectedMovies: 'not json',
+      lastSync: server.lastSync,
+      revision: 4
+    });
+
+    expect(state.people).toEqual(server.people);
+    expect(state.selectedMovies).toEqual([]);
+    expect(state.feeds).toEqual([]);
+    expect(state.exclusions).toEqual([]);
+    expect(state.lastSync).toBe(server.lastSync);
+    expect(state.revision).toBe(4);
+  });
+
+  it('should treat a missing or malformed revision as 0', () => {
+    expect(getCollectionRevision({})).toBe(0);
+    expect(getCollectionRevision({ revision: 'x' })).toBe(0);
+    expect(getCollectionRevision({ revision: -2 })).toBe(0);
+    expect(getCollectionRevision({ revision: 7 })).toBe(7);
+  });
+
+  it('should leave a browser alone when no other device synced', () => {
+    const local = { people: [person(2, [])] };
+
+    expect(reconcileCollection({ local, server, lastSyncedAt: server.lastSync })).toBe('in-sync');
+    expect(reconcileCollection({ local, server, lastSyncedAt: server.lastSync, pendingSince: '2026-02-02T00:00:00.000Z' }))
+      .toBe('push-local');
+    expect(reconcileCollection({ local, server: { people: [], lastSync: null } })).toBe('in-sync');
+    // A record that was created but never synced
+    expect(reconcileCollection({ local, server: { people: [], lastSync: '2026-02-01T00:00:00.000Z', revision: 0 } })).toBe('in-sync');
+  });
+
+  it('should take the server copy when only another device changed', () => {
+    const local = { people: [person(2, [])] };
+
+    expect(reconcileCollection({ local: { people: [] }, server })).toBe('use-server');
+    expect(reconcileCollection({ local, server, lastSyncedAt: '2026-01-15T00:00:00.000Z' })).toBe('use-server');
+
+    // Another device removed every source: the empty copy is newer and must not be pushed over
+    const emptied = { people: [], lastSync: '2026-02-01T00:00:00.000Z', revision: 5 };
+    expect(reconcileCollection({ local, server: emptied, lastSyncedAt: '2026-01-15T00:00:00.000Z' })).toBe('use-server');
+    expect(reconcileCollection({ local, server: emptied, lastSyncedAt: '2026-01-15T00:00:00.000Z', pendingSince: '2026-01-20T00:00:00.000Z' }))
+      .toBe('conflict');
+  });
+
+  it('should report a conflict when both sides changed', () => {
+    const local = { people: [person(2, [])] };
+
+    expect(reconcileCollection({ local, server, lastSyncedAt: '2026-01-15T00:00:00.000Z', pendingSince: '2026-01-20T00:00:00.000Z' }))
+      .toBe('conflict');
+    // Removing every source is an edit too, so an emptied browser doesn't silently take the server copy
+    expect(reconcileCollection({ local: { people: [] }, server, lastSyncedAt: '2026-01-15T00:00:00.000Z', pendingSince: '2026-01-20T00:00:00.000Z' }))
+      .toBe('conflict');
+    // Without a recorded sync there is no telling which side is newer
+    expect(reconcileCollection({ local, server })).toBe('conflict');
+    expect(reconcileCollection({ local: { people: server.people }, server })).toBe('in-sync');
+  });
+
+  it('should merge sources, roles, feeds and exclusions from both sides', () => {
+    const local = {
+      people: [
+        { ...person(1, [role('actor', '2026-03-01T00:00:00.000Z', [{ id: 10 }]), role('director', '2026-03-01T00:00:00.000Z')]), feedIds: ['family'] },
+        person(2, [role('actor', '2026-03-01T00:00:00.000Z')])
+      ],
+      feeds: [{ id: 'family', name: 'Family' }],
+      feedFilters: { minRating: 7 },
+      exclusions: [{ imdb_id: 'tt0000001', tmdb_id: 1, title: 'One' }]
+    };
+    const remote = {
+      people: [
+        { ...person(1, [role('actor', '2026-02-01T00:00:00.000Z'), role('writer', '2026-02-01T00:00:00.000Z')]), feedIds: ['kids'] },
+        person(3, [role('actor', '2026-02-01T00:00:00.000Z')])
+      ],
+      feeds: [{ id: 'kids', name: 'Kids' }],
+      feedFilters: { minRating: 5 },
+      exclusions: [{ imdb_id: 'tt0000001', tmdb_id: 1, title: 'One' }, { imdb_id: 'tt0000002', tmdb_id: 2, title: 'Two' }]
+    };
+
+    const merged = mergeCollections(local, remote);
+
+    expect(merged.people.map(p => p.id)).toEqual([1, 2, 3]);
+    expect(merged.people[0].roles.map(r => r.type).sort()).toEqual(['actor', 'director', 'writer']);
+    expect(merged.people[0].roles.find(r => r.type === 'actor').movies).toEqual([{ id: 10 }]);
+    expect(merged.people[0].feedIds).toEqual(['kids', 'family']);
+    expect(merged.feeds.map(feed => feed.id)).toEqual(['kids', 'family']);
+    expect(merged.feedFilters).toEqual({ minRating: 7 });
+    expect(merged.exclusions.map(entry => entry.imdb_id)).toEqual(['tt0000001', 'tt0000002']);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * @jest-environment node
+ */
+// Test validation of synced people trees and the server-side canonical movie list
+
+const { validateMovie, normalizePeople } = require('../utils/collectionValidation.js');
+const { deduplicateMoviesWithStats } = require('../utils/movieDeduplication.js');
+
+const fightClub = { id: 550, title: 'Fight Club', imdb_id: 'tt0137523', year: 1999, vote_average: 8.4, release_date: '1999-10-15' };
+const se7en = { id: 807, title: 'Se7en', imdb_id: 'tt0114369', year: 1995, release_date: '1995-09-22' };
+
+describe('Collection validation', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  it('should accept movies shaped like the browser stores them', () => {
+    expect(validateMovie(fightClub)).toBeNull();
+    expect(validateMovie({ id: 1, title: 'No IMDb yet', imdb_id: null, selected: false })).toBeNull();
+  });
+
+  it('should reject malformed movies', () => {
+    expect(validateMovie(null)).toMatch(/object/);
+    expect(validateMovie({ ...fightClub, id: '550' })).toMatch(/TMDb id/);
+    expect(validateMovie({ ...fightClub, title: '' })).toMatch(/title/);
+    expect(validateMovie({ ...fightClub, imdb_id: 'nm0000093' })).toMatch(/IMDb/);
+    expect(validateMovie({ ...fightClub, selected: 'yes' })).toMatch(/selected/);
+    expect(validateMovie({ ...fightClub, vote_average: 'great' })).toMatch(/numbers/);
+    expect(validateMovie({ ...fightClub, genres: 'Drama' })).toMatch(/genres/);
+  });
+
+  it('should drop malformed movies and report them', () => {
+    const result = normalizePeople([
+      {
+        id: 287,
+        name: 'Brad Pitt',
+        roles: [{ type: 'actor', movies: [fightClub, { id: -1, title: 'Broken' }, se7en] }]
+      }
+    ]);
+
+    expect(result.valid).toBe(true);
+    expect(result.people[0].roles[0].movies.map(m => m.id)).toEqual([550, 807]);
+    expect(result.rejectedCount).toBe(1);
+    expect(result.rejected).toEqual([{ source: 'Brad Pitt', role: 'actor', movieId: -1, error: 'Movie id must be a positive TMDb id' }]);
+  });
+
+  it('should refuse sources and roles that are not shaped like a collection', () => {
+    expect(normalizePeople('[]').valid).toBe(false);
+    expect(normalizePeople([{ name: 'No id', roles: [] }]).valid).toBe(false);
+    expect(normalizePeople([{ id: 1, name: 'No roles' }]).error).toMatch(/no roles/);
+    expect(normalizePeople([{ id: 1, name: 'Bad role', roles: [{ type: 'actor' }] }]).error).toMatch(/malformed role/);
+  });
+
+  it('should rebuild the feed from people and count duplicates', () => {
+    const { people } = normalizePeople([
+      { id: 287, name: 'Brad Pitt', roles: [{ type: 'actor', movies: [fightClub, se7en] }] },
+      { id: 7467, name: 'David Fincher', roles: [{ type: 'director', movies: [fightClub, { ...se7en, selected: false }] }] }
+    ]);
+
+    const { movies, stats } = deduplicateMoviesWithStats(people, [{ imdb_id: 'tt0114369' }]);
+
+    expect(movies.map(m => m.imdb_id)).toEqual(['tt0137523']);
+    expect(movies[0].sources.map(source => source.personName)).toEqual(['Brad Pitt', 'David Fincher']);
+    expect(stats).toEqual({ totalMovieSelections: 2, uniqueMovies: 1, duplicatesRemoved: 1, excluded: 1 });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * @jest-environment node
+ */
+// Test the tenant-level movie exclusion list
+
+const {
+  createExclusion,
+  normalizeExclusions,
+  getTenantExclusions,
+  isExcluded,
+  applyExclusions,
+  mergeExclusions,
+  removeExclusion,
+  MAX_EXCLUSIONS
+} = require('../utils/exclusions.js');
+const { deduplicateMovies } = require('../utils/movieDeduplication.js');
+const { getFeedMovies } = require('../utils/feeds.js');
+const { RSSManager } = require('../lib/RSSManager.js');
+
+describe('Movie exclusions', () => {
+  const fightClub = { id: 550, title: 'Fight Club', imdb_id: 'tt0137523', release_date: '1999-10-15' };
+  const forrestGump = { id: 13, title: 'Forrest Gump', imdb_id: 'tt0109830', release_date: '1994-07-06' };
+  const pulpFiction = { id: 680, title: 'Pulp Fiction', imdb_id: 'tt0110912', release_date: '1994-10-14' };
+
+  const exclusion = { imdb_id: 'tt0137523', tmdb_id: 550, title: 'Fight Club', reason: 'Own it', excludedAt: '2026-01-01T00:00:00.000Z' };
+
+  const people = [
+    { id: 287, name: 'Brad Pitt', roles: [{ type: 'actor', movies: [fightClub, pulpFiction] }], feedIds: ['crime'] },
+    { id: 7467, name: 'David Fincher', roles: [{ type: 'director', movies: [fightClub, forrestGump] }] }
+  ];
+
+  describe('normalizeExclusions', () => {
+    it('should treat missing exclusions as none', () => {
+      expect(normalizeExclusions(undefined)).toEqual({ valid: true, exclusions: [] });
+    });
+
+    it('should keep valid entries and drop duplicates', () => {
+      const result = normalizeExclusions([exclusion, { imdb_id: 'tt0137523' }, { tmdb_id: '13', reason: '  meh  ' }]);
+
+      expect(result.valid).toBe(true);
+      expect(result.exclusions).toHaveLength(2);
+      expect(result.exclusions[0]).toEqual(exclusion);
+      expect(result.exclusions[1]).toMatchObject({ imdb_id: null, tmdb_id: 13, reason: 'meh' });
+    });
+
+    it('should reject malformed entries', () => {
+      expect(normalizeExclusions({}).valid).toBe(false);
+      expect(normalizeExclusions([{ title: 'No ids' }]).error).toBe('Each exclusion needs an IMDb or TMDb id');
+      expect(normalizeExclusions([{ imdb_id: '0137523' }]).valid).toBe(false);
+      expect(normalizeExclusions([{ tmdb_id: -4 }]).valid).toBe(false);
+      expect(normalizeExclusions([{ imdb_id: 'tt1', reason: 42 }]).valid).toBe(false);
+      expect(normalizeExclusions(new Array(MAX_EXCLUSIONS + 1).fill(exclusion)).valid).toBe(false);
+    });
+  });
+
+  describe('matching', () => {
+    it('should match by IMDb or TMDb id', () => {
+      expect(isExcluded(fightClub, [{ imdb_id: 'tt0137523' }])).toBe(true);
+      expect(isExcluded({ id: 550, imdb_id: null }, [{ tmdb_id: 550 }])).toBe(true);
+      expect(isExcluded(forrestGump, [exclusion])).toBe(false);
+    });
+
+    it('should filter movie lists', () => {
+      expect(applyExclusions([fightClub, forrestGump], [exclusion])).toEqual([forrestGump]);
+
+      const movies = [fightClub];
+      expect(applyExclusions(movies, [])).toBe(movies);
+    });
+
+    it('should build entries from movies', () => {
+      expect(createExclusion(fightClub, ' Own it ')).toMatchObject({
+        imdb_id: 'tt0137523',
+        tmdb_id: 550,
+        title: 'Fight Club',
+        reason: 'Own it'
+      });
+    });
+  });
+
+  describe('editing', () => {
+    it('should merge imported exclusions without duplicates', () => {
+      const merged = mergeExclusions([exclusion], [{ imdb_id: 'tt0137523', reason: 'other' }, { imdb_id: 'tt0109830' }]);
+
+      expect(merged.map(entry => entry.imdb_id)).toEqual(['tt0137523', 'tt0109830']);
+      expect(merged[0].reason).toBe('Own it');
+      expect(mergeExclusions([exclusion], 'garbage')).toEqual([exclusion]);
+    });
+
+    it('should remove an exclusion', () => {
+      expect(removeExclusion([exclusion, { imdb_id: 'tt0109830' }], exclusion)).toEqual([{ imdb_id: 'tt0109830' }]);
+    });
+  });
+
+  describe('enforcement', () => {
+    const tenant = {
+      selectedMovies: JSON.stringify([fightClub, forrestGump, pulpFiction]),
+      people: JSON.stringify(people),
+      feeds: JSON.stringify([{ id: 'crime', name: 'Crime' }]),
+      exclusions: JSON.stringify([exclusion])
+    };
+
+    it('should read exclusions from the tenant', () => {
+      expect(getTenantExclusions(tenant)).toEqual([exclusion]);
+      expect(getTenantExclusions({ exclusions: 'not json' })).toEqual([]);
+      expect(getTenantExclusions({})).toEqual([]);
+    });
+
+    it('should keep an excluded movie out of deduplication for every source', () => {
+      expect(deduplicateMovies(people).map(movie => movie.id)).toContain(550);
+      expect(deduplicateMovies(people, [exclusion]).map(movie => movie.id)).toEqual([680, 13]);
+    });
+
+    it('should keep excluded movies out of the default and named feeds', () => {
+      expect(getFeedMovies(tenant).map(movie => movie.id)).toEqual([13, 680]);
+      expect(getFeedMovies(tenant, 'crime').map(movie => movie.id)).toEqual([680]);
+    });
+
+    it('should leave excluded movies out of generated feeds', async () => {
+      const rssManager = new RSSManager();
+
+      const xml = await rssManager.buildFeed(tenant);
+      expect(xml).not.toContain('Fight Club');
+      expect(xml).toContain('Forrest Gump');
+
+      expect(rssManager.buildList(tenant).map(item => item.imdb_id)).toEqual(['tt0109830', 'tt0110912']);
+    });
+  });
+});
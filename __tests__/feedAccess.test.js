@@ -0,0 +1,176 @@
+/**
+ * @jest-environment node
+ */
+// Test feed access tracking outside the tenant record and Radarr poll-interval detection
+
+const crypto = require('crypto');
+
+const { MemoryStorage } = require('../lib/storageAdapters.js');
+
+const mockGetStorage = jest.fn();
+const mockSaveTenant = jest.fn();
+jest.mock('../lib/kv.js', () => ({
+  getStorage: (...args) => mockGetStorage(...args),
+  saveTenant: (...args) => mockSaveTenant(...args)
+}));
+
+const {
+  DEFAULT_POLL_INTERVAL_MS,
+  hashClientIP,
+  trackFeedAccess,
+  getFeedAccessStats,
+  inferPollSchedule,
+  withoutFeedState
+} = require('../lib/feedAccess.js');
+
+const HOUR = 60 * 60 * 1000;
+const start = Date.UTC(2026, 2, 1, 0, 0);
+
+const radarrPoll = time => ({ time: new Date(time).toISOString(), client: 'radarr' });
+
+describe('Feed access tracking', () => {
+  let storage;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    mockGetStorage.mockResolvedValue(storage);
+    mockSaveTenant.mockClear();
+  });
+
+  afterEach(() => {
+    storage.destroy();
+  });
+
+  it('should log polls without writing the tenant', async () => {
+    await trackFeedAccess('user-1', { isRadarr: true, clientIP: '203.0.113.42', accessTime: '2026-03-01T10:00:00.000Z', status: 200, size: 5120 });
+    await trackFeedAccess('user-1', { isRadarr: false, clientIP: '198.51.100.7', accessTime: '2026-03-01T10:05:00.000Z', status: 304, feedId: 'kids', format: 'atom' });
+
+    expect(mockSaveTenant).not.toHaveBeenCalled();
+
+    const stats = await getFeedAccessStats('user-1');
+    expect(stats.totalAccesses).toBe(2);
+    expect(stats.entries).toEqual([
+      { time: '2026-03-01T10:05:00.000Z', client: 'browser', ipHash: hashClientIP('user-1', '198.51.100.7'), status: 304, size: 0, feed: 'kids', format: 'atom' },
+      { time: '2026-03-01T10:00:00.000Z', client: 'radarr', ipHash: hashClientIP('user-1', '203.0.113.42'), status: 200, size: 5120, feed: null, format: 'rss' }
+    ]);
+    expect(stats.lastAccess).toBe(stats.entries[0]);
+  });
+
+  it('should hash client IPs per tenant', () => {
+    expect(hashClientIP('user-1', '203.0.113.42')).toMatch(/^[a-f0-9]{12}$/);
+    expect(hashClientIP('user-1', '203.0.113.42')).not.toBe(hashClientIP('user-2', '203.0.113.42'));
+    // Keyed, so it isn't a plain hash anyone can recompute for every address
+    const unkeyed = crypto.createHash('sha256').update('user-1:203.0.113.42').digest('hex').substring(0, 12);
+    expect(hashClientIP('user-1', '203.0.113.42')).not.toBe(unkeyed);
+  });
+
+  it('should drop log entries older than 30 days', async () => {
+    await trackFeedAccess('user-1', { isRadarr: true, clientIP: '203.0.113.42', accessTime: '2026-01-01T00:00:00.000Z' });
+    await trackFeedAccess('user-1', { isRadarr: true, clientIP: '203.0.113.42', accessTime: '2026-03-01T00:00:00.000Z' });
+
+    const stats = await getFeedAccessStats('user-1');
+    expect(stats.totalAccesses).toBe(2);
+    expect(stats.entries.map(entry => entry.time)).toEqual(['2026-03-01T00:00:00.000Z']);
+  });
+
+  it('should keep the newest 500 polls without rewriting the log', async () => {
+    const set = jest.spyOn(storage, 'set');
+    for (let i = 0; i < 505; i++) {
+      await trackFeedAccess('user-1', { isRadarr: true, clientIP: '203.0.113.42', accessTime: new Date(start + i * 1000).toISOString() });
+    }
+
+    // Only the poll counter is set; each entry is one push onto the capped list
+    expect(set.mock.calls.every(([key]) => key === 'feed-access-count:user-1')).toBe(true);
+    const stats = await getFeedAccessStats('user-1');
+    expect(stats.totalAccesses).toBe(505);
+    expect(stats.entries).toHaveLength(500);
+    expect(stats.lastAccess.time).toBe(new Date(start + 504 * 1000).toISOString());
+  });
+
+  it('should read a log written as one JSON array by older versions', async () => {
+    await storage.set('feed-access-log:user-1', JSON.stringify([radarrPoll(start + HOUR), radarrPoll(start)]));
+    expect((await getFeedAccessStats('user-1')).entries).toEqual([radarrPoll(start + HOUR), radarrPoll(start)]);
+
+    await trackFeedAccess('user-1', { isRadarr: true, clientIP: '203.0.113.42', accessTime: new Date(start + 2 * HOUR).toISOString() });
+    expect((await getFeedAccessStats('user-1')).entries.map(entry => entry.time)).toEqual([new Date(start + 2 * HOUR).toISOString()]);
+  });
+
+  it('should report empty stats for tenants never polled', async () => {
+    expect(await getFeedAccessStats('user-2')).toEqual({ totalAccesses: 0, lastAccess: null, entries: [] });
+  });
+
+  it('should not fail the feed request when storage is down', async () => {
+    mockGetStorage.mockRejectedValue(new Error('Redis down'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(trackFeedAccess('user-1', { isRadarr: true, clientIP: '203.0.113.42', accessTime: '2026-03-01T10:00:00.000Z' }))
+      .resolves.toBeUndefined();
+
+    console.warn.mockRestore();
+  });
+
+  it('should drop feed state left on old tenant records', () => {
+    const tenant = { tenantSecret: 's', revision: 3, totalRSSAccesses: 40, recentRSSAccesses: [], lastGeneratedFeed: '<rss/>' };
+    expect(withoutFeedState(tenant)).toEqual({ tenantSecret: 's', revision: 3 });
+    expect(tenant.lastGeneratedFeed).toBe('<rss/>');
+  });
+});
+
+describe('Radarr poll schedule', () => {
+  it('should assume the default interval before Radarr has polled', () => {
+    const schedule = inferPollSchedule([{ time: new Date(start).toISOString(), client: 'browser' }], new Date(start));
+
+    expect(schedule).toMatchObject({ status: 'never', pulls: 0, intervalMs: DEFAULT_POLL_INTERVAL_MS, intervalSource: 'assumed', nextPullAt: null });
+  });
+
+  it('should measure the interval from the gaps between pulls', () => {
+    const entries = [0, 6, 12, 18, 24].map(hours => radarrPoll(start + hours * HOUR));
+    const schedule = inferPollSchedule(entries, new Date(start + 25 * HOUR));
+
+    expect(schedule).toMatchObject({
+      status: 'on-schedule',
+      pulls: 5,
+      intervalMs: 6 * HOUR,
+      intervalSource: 'observed',
+      confidence: 'high',
+      lastPullAt: new Date(start + 24 * HOUR).toISOString(),
+      nextPullAt: new Date(start + 30 * HOUR).toISOString()
+    });
+  });
+
+  it('should treat requests for several lists in one refresh as one pull', () => {
+    const entries = [0, 12].flatMap(hours => [
+      radarrPoll(start + hours * HOUR),
+      radarrPoll(start + hours * HOUR + 20 * 1000),
+      radarrPoll(start + hours * HOUR + 45 * 1000)
+    ]);
+
+    const schedule = inferPollSchedule(entries, new Date(start + 13 * HOUR));
+    expect(schedule.pulls).toBe(2);
+    expect(schedule.intervalMs).toBe(12 * HOUR);
+    expect(schedule.confidence).toBe('low');
+  });
+
+  it('should not let a missed pull change the interval', () => {
+    const entries = [0, 6, 12, 24, 30, 36].map(hours => radarrPoll(start + hours * HOUR));
+    expect(inferPollSchedule(entries, new Date(start + 37 * HOUR)).intervalMs).toBe(6 * HOUR);
+  });
+
+  it('should flag late and stale pulls', () => {
+    const entries = [0, 6, 12].map(hours => radarrPoll(start + hours * HOUR));
+
+    expect(inferPollSchedule(entries, new Date(start + 20 * HOUR)).status).toBe('overdue');
+
+    const stale = inferPollSchedule(entries, new Date(start + 12 * HOUR + 3 * 24 * HOUR));
+    expect(stale.status).toBe('stale');
+    expect(stale.sinceLastPullMs).toBe(3 * 24 * HOUR);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * @jest-environment node
+ */
+// Test feed-level filtering rules
+
+const {
+  normalizeFeedFilters,
+  hasActiveFilters,
+  movieMatchesFilters,
+  applyFeedFilters,
+  describeFeedFilters
+} = require('../utils/feedFilters.js');
+
+describe('Feed filters', () => {
+  const now = new Date('2025-06-01T00:00:00Z');
+
+  const movies = [
+    { title: 'Inception', year: 2010, release_date: '2010-07-16', vote_average: 8.4, runtime: 148, genres: ['Action', 'Science Fiction'] },
+    { title: 'Toy Story', year: 1995, release_date: '1995-11-22', vote_average: 8.0, runtime: 81, genres: ['Animation', 'Family'] },
+    { title: 'Bad Sequel', year: 2003, release_date: '2003-05-01', vote_average: 4.2, runtime: 95, genres: ['Comedy'] },
+    { title: 'Upcoming Epic', year: 2026, release_date: '2026-07-17', vote_average: 0, runtime: null, genres: ['Drama'] }
+  ];
+
+  const titles = result => result.map(movie => movie.title);
+
+  describe('normalizeFeedFilters', () => {
+    it('should treat missing filters as no filters', () => {
+      expect(normalizeFeedFilters(undefined)).toEqual({ valid: true, filters: {} });
+      expect(normalizeFeedFilters(null)).toEqual({ valid: true, filters: {} });
+    });
+
+    it('should coerce numbers and drop empty values', () => {
+      const result = normalizeFeedFilters({
+        minRating: '6.5',
+        minYear: '',
+        maxYear: 2020,
+        includeGenres: [' Horror ', 'Horror', ''],
+        excludeGenres: [],
+        releasedOnly: false
+      });
+
+      expect(result).toEqual({ valid: true, filters: { minRating: 6.5, maxYear: 2020, includeGenres: ['Horror'] } });
+    });
+
+    it('should reject out of range or inverted values', () => {
+      expect(normalizeFeedFilters({ minRating: 11 }).valid).toBe(false);
+      expect(normalizeFeedFilters({ minYear: 'soon' }).valid).toBe(false);
+      expect(normalizeFeedFilters({ minYear: 2020, maxYear: 2010 }).error).toBe('minYear cannot be after maxYear');
+      expect(normalizeFeedFilters({ minRuntime: 200, maxRuntime: 90 }).valid).toBe(false);
+    });
+
+    it('should reject malformed genre lists', () => {
+      expect(normalizeFeedFilters({ includeGenres: 'Horror' }).valid).toBe(false);
+      expect(normalizeFeedFilters({ excludeGenres: [42] }).valid).toBe(false);
+      expect(normalizeFeedFilters([]).valid).toBe(false);
+    });
+  });
+
+  describe('applyFeedFilters', () => {
+    it('should return every movie without filters', () => {
+      expect(applyFeedFilters(movies, {}, now)).toBe(movies);
+      expect(hasActiveFilters({})).toBe(false);
+    });
+
+    it('should filter by minimum rating', () => {
+      expect(titles(applyFeedFilters(movies, { minRating: 7 }, now))).toEqual(['Inception', 'Toy Story']);
+    });
+
+    it('should filter by release year range', () => {
+      expect(titles(applyFeedFilters(movies, { minYear: 2000, maxYear: 2010 }, now))).toEqual(['Inception', 'Bad Sequel']);
+    });
+
+    it('should derive the year from the release date when needed', () => {
+      expect(movieMatchesFilters({ release_date: '1999-03-31' }, { maxYear: 2000 }, now)).toBe(true);
+      expect(movieMatchesFilters({}, { maxYear: 2000 }, now)).toBe(false);
+    });
+
+    it('should filter by runtime but keep movies with unknown runtime', () => {
+      expect(titles(applyFeedFilters(movies, { minRuntime: 90, maxRuntime: 150 }, now)))
+        .toEqual(['Inception', 'Bad Sequel', 'Upcoming Epic']);
+    });
+
+    it('should include and exclude genres case-insensitively', () => {
+      expect(titles(applyFeedFilters(movies, { includeGenres: ['science fiction', 'Comedy'] }, now)))
+        .toEqual(['Inception', 'Bad Sequel']);
+      expect(titles(applyFeedFilters(movies, { excludeGenres: ['Animation'] }, now)))
+        .toEqual(['Inception', 'Bad Sequel', 'Upcoming Epic']);
+    });
+
+    it('should drop upcoming movies when released only is set', () => {
+      expect(titles(applyFeedFilters(movies, { releasedOnly: true }, now)))
+        .toEqual(['Inception', 'Toy Story', 'Bad Sequel']);
+      expect(movieMatchesFilters({ title: 'No date' }, { releasedOnly: true }, now)).toBe(false);
+    });
+
+    it('should require every rule to match', () => {
+      expect(titles(applyFeedFilters(movies, { minRating: 7, excludeGenres: ['Family'], releasedOnly: true }, now)))
+        .toEqual(['Inception']);
+    });
+  });
+
+  describe('describeFeedFilters', () => {
+    it('should summarize active rules', () => {
+      expect(describeFeedFilters({})).toBe('No filters');
+      expect(describeFeedFilters({ minRating: 6.5, minYear: 1990, excludeGenres: ['Animation'], releasedOnly: true }))
+        .toBe('⭐ 6.5+ • 1990-… • no Animation • released only');
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * @jest-environment node
+ */
+// Test feed ordering, item caps and RFC 5005 paging links
+
+const {
+  MAX_FEED_PAGE_SIZE,
+  parseFeedPaging,
+  getMaxFeedItems,
+  isDefaultPaging,
+  sortFeedMovies,
+  pageFeedMovies,
+  buildPageLinks
+} = require('../utils/feedPaging.js');
+const { deduplicateMovies } = require('../utils/movieDeduplication.js');
+
+const query = string => new URLSearchParams(string);
+
+const movies = [
+  { imdb_id: 'tt0000001', release_date: '2020-01-01', vote_average: 6.1, sources: [{ addedAt: '2026-03-01T00:00:00.000Z' }] },
+  { imdb_id: 'tt0000002', release_date: '2024-05-01', vote_average: 8.4, sources: [{ addedAt: '2026-01-01T00:00:00.000Z' }] },
+  { imdb_id: 'tt0000003', release_date: '2022-09-01', addedAt: '2026-02-01T00:00:00.000Z' },
+  { imdb_id: 'tt0000004', vote_average: 7.0 }
+];
+
+const ids = list => list.map(movie => movie.imdb_id);
+
+describe('Feed paging', () => {
+  const originalMax = process.env.FEED_MAX_ITEMS;
+
+  afterEach(() => {
+    if (originalMax === undefined) {
+      delete process.env.FEED_MAX_ITEMS;
+    } else {
+      process.env.FEED_MAX_ITEMS = originalMax;
+    }
+  });
+
+  describe('parseFeedPaging', () => {
+    it('should default to the complete feed by release date', () => {
+      const { valid, paging } = parseFeedPaging(query('sig=abc'));
+      expect(valid).toBe(true);
+      expect(paging).toEqual({ sort: 'release', limit: null, offset: 0 });
+      expect(isDefaultPaging(paging)).toBe(true);
+    });
+
+    it('should read sort, limit and offset', () => {
+      const { paging } = parseFeedPaging(query('sort=Rating&limit=50&offset=100'));
+      expect(paging).toEqual({ sort: 'rating', limit: 50, offset: 100 });
+      expect(isDefaultPaging(paging)).toBe(false);
+    });
+
+    it('should refuse unknown orders and out-of-range numbers', () => {
+      expect(parseFeedPaging(query('sort=title'))).toEqual({ valid: false, error: 'sort must be one of: release, added, rating' });
+      expect(parseFeedPaging(query('limit=0')).valid).toBe(false);
+      expect(parseFeedPaging(query(`limit=${MAX_FEED_PAGE_SIZE + 1}`)).valid).toBe(false);
+      expect(parseFeedPaging(query('limit=2.5')).valid).toBe(false);
+      expect(parseFeedPaging(query('offset=-1')).error).toBe('offset must be a non-negative integer');
+    });
+  });
+
+  describe('sortFeedMovies', () => {
+    it('should order by release date, newest first', () => {
+      expect(ids(sortFeedMovies(movies, 'release'))).toEqual(['tt0000002', 'tt0000003', 'tt0000001', 'tt0000004']);
+    });
+
+    it('should order by when movies were added, unknown last', () => {
+      expect(ids(sortFeedMovies(movies, 'added'))).toEqual(['tt0000001', 'tt0000003', 'tt0000002', 'tt0000004']);
+    });
+
+    it('should order by rating, unrated last', () => {
+      expect(ids(sortFeedMovies(movies, 'rating'))).toEqual(['tt0000002', 'tt0000004', 'tt0000001', 'tt0000003']);
+    });
+
+    it('should not reorder the input', () => {
+      sortFeedMovies(movies, 'rating');
+      expect(ids(movies)).toEqual(['tt0000001', 'tt0000002', 'tt0000003', 'tt0000004']);
+    });
+
+    it('should date deduplicated movies by when their role was added', () => {
+      const people = [{
+        id: 1,
+        name: 'Brad Pitt',
+        roles: [
+          { type: 'actor', addedAt: '2026-01-01T00:00:00.000Z', movies: [{ title: 'Old Pick', imdb_id: 'tt0000010', release_date: '2024-01-01' }] },
+          { type: 'producer', addedAt: '2026-04-01T00:00:00.000Z', movies: [{ title: 'New Pick', imdb_id: 'tt0000011', release_date: '2001-01-01' }] }
+        ]
+      }];
+
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const deduplicated = deduplicateMovies(people);
+      console.log.mockRestore();
+
+      expect(deduplicated[1].sources[0].addedAt).toBe('2026-04-01T00:00:00.000Z');
+      expect(ids(sortFeedMovies(deduplicated, 'added'))).toEqual(['tt0000011', 'tt0000010']);
+    });
+  });
+
+  describe('pageFeedMovies', () => {
+    it('should serve everything when nothing limits the feed', () => {
+      delete process.env.FEED_MAX_ITEMS;
+      const page = pageFeedMovies(movies, { sort: 'release', limit: null, offset: 0 }, getMaxFeedItems());
+
+      expect(page).toMatchObject({ total: 4, offset: 0, limit: null, paged: false });
+      expect(page.movies).toHaveLength(4);
+    });
+
+    it('should cut the requested page', () => {
+      const page = pageFeedMovies(movies, { sort: 'release', limit: 2, offset: 2 }, null);
+
+      expect(page).toMatchObject({ total: 4, offset: 2, limit: 2, paged: true });
+      expect(ids(page.movies)).toEqual(['tt0000001', 'tt0000004']);
+    });
+
+    it('should cap requested page sizes at FEED_MAX_ITEMS', () => {
+      process.env.FEED_MAX_ITEMS = '3';
+      expect(getMaxFeedItems()).toBe(3);
+
+      expect(pageFeedMovies(movies, { limit: 100 }).movies).toHaveLength(3);
+      expect(pageFeedMovies(movies, { limit: 1 }).limit).toBe(1);
+
+      process.env.FEED_MAX_ITEMS = '0';
+      expect(getMaxFeedItems()).toBeNull();
+    });
+
+    it('should never cut the feed Radarr reads', () => {
+      process.env.FEED_MAX_ITEMS = '3';
+
+      const page = pageFeedMovies(movies, {});
+      expect(page).toMatchObject({ total: 4, limit: null, paged: false });
+      expect(page.movies).toHaveLength(4);
+      expect(pageFeedMovies(movies, { sort: 'added' }).movies).toHaveLength(4);
+    });
+  });
+
+  describe('buildPageLinks', () => {
+    const base = 'https://helparr.vercel.app/api/rss/user-1234567?sig=abc&sort=added&bypass=true';
+
+    it('should link first, previous, next and last pages', () => {
+      const links = buildPageLinks(base, { total: 5, offset: 2, limit: 2, paged: true });
+
+      expect(links).toEqual({
+        self: 'https://helparr.vercel.app/api/rss/user-1234567?sig=abc&sort=added&limit=2&offset=2',
+        first: 'https://helparr.vercel.app/api/rss/user-1234567?sig=abc&sort=added&limit=2',
+        previous: 'https://helparr.vercel.app/api/rss/user-1234567?sig=abc&sort=added&limit=2',
+        next: 'https://helparr.vercel.app/api/rss/user-1234567?sig=abc&sort=added&limit=2&offset=4',
+        last: 'https://helparr.vercel.app/api/rss/user-1234567?sig=abc&sort=added&limit=2&offset=4'
+      });
+    });
+
+    it('should leave out pages that do not exist', () => {
+      const links = buildPageLinks(base, { total: 5, offset: 4, limit: 2, paged: true });
+      expect(links.next).toBeNull();
+      expect(links.previous).toContain('offset=2');
+
+      expect(buildPageLinks(base, { total: 2, offset: 0, limit: 2, paged: true })).toMatchObject({ previous: null, next: null });
+    });
+  });
+});
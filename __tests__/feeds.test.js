@@ -0,0 +1,117 @@
+/**
+ * @jest-environment node
+ */
+// Test named feed helpers
+
+const {
+  MAX_FEEDS,
+  generateFeedId,
+  createFeed,
+  normalizeFeeds,
+  getTenantFeeds,
+  findTenantFeed,
+  getFeedSignatureData,
+  getFeedPeople,
+  removeFeedFromPeople
+} = require('../utils/feeds.js');
+
+describe('Named feeds', () => {
+  const people = [
+    { id: 1, name: 'Christopher Nolan', feedIds: ['4k-directors'], roles: [] },
+    { id: 2, name: 'Pixar', type: 'collection', feedIds: ['kids', '4k-directors'], roles: [] },
+    { id: 3, name: 'Tom Hanks', roles: [] }
+  ];
+
+  describe('generateFeedId', () => {
+    it('should slugify feed names', () => {
+      expect(generateFeedId('4K Directors')).toBe('4k-directors');
+      expect(generateFeedId('  Kids & Family!  ')).toBe('kids-family');
+    });
+
+    it('should fall back to a generic id for empty names', () => {
+      expect(generateFeedId('!!!')).toBe('feed');
+    });
+
+    it('should avoid collisions with existing feeds', () => {
+      const existing = [{ id: 'kids' }, { id: 'kids-2' }];
+      expect(generateFeedId('Kids', existing)).toBe('kids-3');
+    });
+  });
+
+  describe('createFeed', () => {
+    it('should create a feed definition with id, name and timestamp', () => {
+      const feed = createFeed(' Kids collections ');
+      expect(feed.id).toBe('kids-collections');
+      expect(feed.name).toBe('Kids collections');
+      expect(new Date(feed.createdAt).toString()).not.toBe('Invalid Date');
+    });
+  });
+
+  describe('normalizeFeeds', () => {
+    it('should accept valid feed definitions', () => {
+      const result = normalizeFeeds([{ id: 'kids', name: ' Kids ', createdAt: '2024-01-01T00:00:00.000Z' }]);
+      expect(result).toEqual({
+        valid: true,
+        feeds: [{ id: 'kids', name: 'Kids', createdAt: '2024-01-01T00:00:00.000Z', filters: {} }]
+      });
+    });
+
+    it('should reject non-arrays', () => {
+      expect(normalizeFeeds('kids').valid).toBe(false);
+    });
+
+    it('should reject invalid or duplicate ids', () => {
+      expect(normalizeFeeds([{ id: 'Not Valid', name: 'x' }]).valid).toBe(false);
+      expect(normalizeFeeds([{ id: 'kids', name: 'a' }, { id: 'kids', name: 'b' }]).error).toBe('Duplicate feed id: kids');
+    });
+
+    it('should reject missing names', () => {
+      expect(normalizeFeeds([{ id: 'kids', name: '   ' }]).valid).toBe(false);
+    });
+
+    it('should enforce the feed limit', () => {
+      const tooMany = Array.from({ length: MAX_FEEDS + 1 }, (_, i) => ({ id: `feed-${i}`, name: `Feed ${i}` }));
+      expect(normalizeFeeds(tooMany).valid).toBe(false);
+    });
+  });
+
+  describe('tenant feeds', () => {
+    it('should parse feeds stored as JSON', () => {
+      const tenant = { feeds: JSON.stringify([{ id: 'kids', name: 'Kids' }]) };
+      expect(getTenantFeeds(tenant)).toEqual([{ id: 'kids', name: 'Kids' }]);
+      expect(findTenantFeed(tenant, 'kids')).toEqual({ id: 'kids', name: 'Kids' });
+      expect(findTenantFeed(tenant, 'missing')).toBeNull();
+    });
+
+    it('should handle tenants without feeds or with corrupt data', () => {
+      expect(getTenantFeeds({})).toEqual([]);
+      expect(getTenantFeeds(null)).toEqual([]);
+      expect(getTenantFeeds({ feeds: 'not json' })).toEqual([]);
+    });
+  });
+
+  describe('getFeedSignatureData', () => {
+    it('should keep the original signature payload for the default feed', () => {
+      expect(getFeedSignatureData('user-123')).toBe('rss:user-123');
+    });
+
+    it('should include the feed id for named feeds', () => {
+      expect(getFeedSignatureData('user-123', 'kids')).toBe('rss:user-123:kids');
+    });
+  });
+
+  describe('feed membership', () => {
+    it('should select only sources assigned to a feed', () => {
+      expect(getFeedPeople(people, '4k-directors').map(p => p.id)).toEqual([1, 2]);
+      expect(getFeedPeople(people, 'kids').map(p => p.id)).toEqual([2]);
+      expect(getFeedPeople(undefined, 'kids')).toEqual([]);
+    });
+
+    it('should remove a deleted feed from every source', () => {
+      const updated = removeFeedFromPeople(people, '4k-directors');
+      expect(updated[0].feedIds).toEqual([]);
+      expect(updated[1].feedIds).toEqual(['kids']);
+      expect(updated[2]).toBe(people[2]);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * @jest-environment node
+ */
+// Test static, timestamped and session request signatures and signed tokens
+
+const {
+  SIGNATURE_MAX_AGE_SECONDS,
+  sign,
+  verify,
+  parseDeviceCredential,
+  parseRequestSignature,
+  signRequest,
+  signRequestAsync,
+  verifyRequest,
+  signToken,
+  decodeToken,
+  verifyToken
+} = require('../utils/hmac.js');
+
+const SECRET = 'tenant-secret';
+const DATA = 'sync-list:user-1234567890';
+const SESSION_ID = 'AbCdEfGhIjKlMnOpQrStUv';
+const NOW = 1760000000;
+
+describe('HMAC signatures', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should verify static signatures and reject other data or secrets', () => {
+    const signature = sign(DATA, SECRET);
+
+    expect(signature).toMatch(/^[a-f0-9]{64}$/);
+    expect(verify(DATA, SECRET, signature)).toBe(true);
+    expect(verify(DATA, SECRET, signature.toUpperCase())).toBe(true);
+    expect(verify('rss:user-1234567890', SECRET, signature)).toBe(false);
+    expect(verify(DATA, 'other-secret', signature)).toBe(false);
+    expect(verify(DATA, SECRET, signature.substring(1))).toBe(false);
+    expect(verify(DATA, SECRET, undefined)).toBe(false);
+  });
+
+  it('should parse timestamped and session signatures only', () => {
+    const digest = 'a'.repeat(64);
+
+    expect(parseRequestSignature(`${NOW}.${digest}`)).toEqual({ sessionId: null, timestamp: NOW, digest });
+    expect(parseRequestSignature(`${SESSION_ID}.${NOW}.${digest}`)).toEqual({ sessionId: SESSION_ID, timestamp: NOW, digest });
+    expect(parseRequestSignature(digest)).toBeNull(); // static
+    expect(parseRequestSignature(`${NOW}.${digest.substring(1)}`)).toBeNull();
+    expect(parseRequestSignature(`soon.${digest}`)).toBeNull();
+    expect(parseRequestSignature(`bad id!.${NOW}.${digest}`)).toBeNull();
+    expect(parseRequestSignature(`a.b.${NOW}.${digest}`)).toBeNull();
+    expect(parseRequestSignature(null)).toBeNull();
+  });
+
+  it('should split device credentials but not plain secrets', () => {
+    expect(parseDeviceCredential(`${SESSION_ID}:device-key`)).toEqual({ sessionId: SESSION_ID, deviceKey: 'device-key' });
+    expect(parseDeviceCredential(SECRET)).toBeNull();
+    expect(parseDeviceCredential(':device-key')).toBeNull();
+    expect(parseDeviceCredential(`${SESSION_ID}:`)).toBeNull();
+    expect(parseDeviceCredential('short:device-key')).toBeNull();
+  });
+
+  it('should accept a timestamped signature until it is too old', () => {
+    const signature = signRequest(DATA, SECRET, { timestamp: NOW });
+
+    expect(signature).toMatch(new RegExp(`^${NOW}\\.[a-f0-9]{64}$`));
+    expect(verifyRequest(DATA, SECRET, signature, { now: NOW })).toBe(true);
+    expect(verifyRequest(DATA, SECRET, signature, { now: NOW + SIGNATURE_MAX_AGE_SECONDS })).toBe(true);
+    expect(verifyRequest(DATA, SECRET, signature, { now: NOW + SIGNATURE_MAX_AGE_SECONDS + 1 })).toBe(false);
+    expect(verifyRequest(DATA, SECRET, signature, { now: NOW + 60, maxAgeSeconds: 30 })).toBe(false);
+  });
+
+  it('should tolerate a minute of clock skew for signatures from the future', () => {
+    const signature = signRequest(DATA, SECRET, { timestamp: NOW + 60 });
+
+    expect(verifyRequest(DATA, SECRET, signature, { now: NOW })).toBe(true);
+    expect(verifyRequest(DATA, SECRET, signRequest(DATA, SECRET, { timestamp: NOW + 61 }), { now: NOW })).toBe(false);
+  });
+
+  it('should reject a timestamped signature with another timestamp, data or secret', () => {
+    const signature = signRequest(DATA, SECRET, { timestamp: NOW });
+    const digest = signature.split('.')[1];
+
+    // The timestamp is part of the signed data, so it can't be refreshed
+    expect(verifyRequest(DATA, SECRET, `${NOW + 10}.${digest}`, { now: NOW + 10 })).toBe(false);
+    expect(verifyRequest('rotate-secret:user-1234567890', SECRET, signature, { now: NOW })).toBe(false);
+    expect(verifyRequest(DATA, 'other-secret', signature, { now: NOW })).toBe(false);
+    expect(verifyRequest(DATA, SECRET, sign(DATA, SECRET), { now: NOW })).toBe(false); // static
+  });
+
+  it('should sign session requests with the device key', async () => {
+    const signature = signRequest(DATA, 'device-key', { sessionId: SESSION_ID, timestamp: NOW });
+
+    expect(signature.startsWith(`${SESSION_ID}.${NOW}.`)).toBe(true);
+    expect(verifyRequest(DATA, 'device-key', signature, { now: NOW })).toBe(true);
+    expect(verifyRequest(DATA, SECRET, signature, { now: NOW })).toBe(false);
+
+    // The browser signs the same way from a device credential or a plain secret
+    expect(await signRequestAsync(DATA, `${SESSION_ID}:device-key`, NOW)).toBe(signature);
+    expect(await signRequestAsync(DATA, SECRET, NOW)).toBe(signRequest(DATA, SECRET, { timestamp: NOW }));
+  });
+
+  it('should verify tokens until they expire', () => {
+    jest.useFakeTimers().setSystemTime(NOW * 1000);
+    const token = signToken({ sub: 'user-1234567890', purpose: 'login' }, SECRET, 900);
+
+    expect(decodeToken(token)).toEqual({ sub: 'user-1234567890', purpose: 'login', iat: NOW, exp: NOW + 900 });
+    expect(verifyToken(token, SECRET)).toMatchObject({ sub: 'user-1234567890', purpose: 'login' });
+    expect(verifyToken(token, SECRET, { now: NOW + 899 })).not.toBeNull();
+    expect(verifyToken(token, SECRET, { now: NOW + 900 })).toBeNull();
+    expect(verifyToken(token, 'other-secret')).toBeNull();
+  });
+
+  it('should reject tampered or malformed tokens', () => {
+    jest.useFakeTimers().setSystemTime(NOW * 1000);
+    const token = signToken({ sub: 'user-1234567890' }, SECRET, 900);
+    const [payload, digest] = token.split('.');
+
+    // Changing the claims (here the subject and a later expiry) breaks the signature
+    const forged = Buffer.from(JSON.stringify({ sub: 'someone-else', iat: NOW, exp: NOW + 99999 })).toString('base64url');
+    expect(verifyToken(`${forged}.${digest}`, SECRET)).toBeNull();
+    expect(verifyToken(`${payload}.${'0'.repeat(64)}`, SECRET)).toBeNull();
+
+    expect(decodeToken(`${payload}.${digest}.extra`)).toBeNull();
+    expect(decodeToken('not-base64!.abc')).toBeNull();
+    expect(decodeToken(payload)).toBeNull();
+
+    // A token without an expiry is never valid, even when correctly signed
+    const unbounded = Buffer.from(JSON.stringify({ sub: 'user-1234567890' })).toString('base64url');
+    expect(verifyToken(`${unbounded}.${sign(unbounded, SECRET)}`, SECRET)).toBeNull();
+  });
+});
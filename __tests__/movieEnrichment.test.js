@@ -0,0 +1,167 @@
+/**
+ * @jest-environment node
+ */
+// Test IMDb id enrichment with the shared lookup cache
+
+jest.mock('../utils/tmdbClient.js', () => ({
+  tmdbClient: { queueRequest: jest.fn() }
+}));
+
+const { enrichMovies, getCachedLookups, toLookup, MISSING_IMDB_TTL } = require('../lib/movieEnrichment.js');
+const { extractMovieCredits, extractMovieIds } = require('../utils/filmography.js');
+const { tmdbClient } = require('../utils/tmdbClient.js');
+const { getStorage, cleanup } = require('../lib/kv.js');
+const { getTmdbCacheStats, resetTmdbCache } = require('../lib/tmdbCache.js');
+const { MemoryStorage } = require('../lib/storageAdapters.js');
+
+function movieDetails(id) {
+  return {
+    id,
+    title: `Movie ${id}`,
+    release_date: '2020-01-01',
+    runtime: 100 + (id % 50),
+    genres: [{ name: 'Drama' }, { name: 'Crime' }, { name: 'Thriller' }, { name: 'Mystery' }],
+    external_ids: { imdb_id: `tt${String(id).padStart(7, '0')}` }
+  };
+}
+
+describe('Movie enrichment', () => {
+  afterAll(() => {
+    cleanup();
+  });
+
+  // The lookup cache outlives each test, so every test uses its own TMDb ids
+  describe('enrichMovies', () => {
+    it('should request details with external ids and keep listing fields', async () => {
+      tmdbClient.queueRequest.mockImplementation(async (url) => {
+        const id = Number(url.match(/\/movie\/(\d+)\?/)[1]);
+        return id === 102 ? { ...movieDetails(id), external_ids: { imdb_id: null } } : movieDetails(id);
+      });
+
+      const { movies, stats } = await enrichMovies([
+        { id: 101, title: 'Listed Title', release_date: '1999-10-15', selected: true },
+        { id: 102, title: 'No IMDb yet' },
+        103,
+        { id: 101, title: 'Duplicate credit' }
+      ], 'test-key');
+
+      expect(tmdbClient.queueRequest).toHaveBeenCalledTimes(3);
+      expect(tmdbClient.queueRequest.mock.calls[0][0]).toBe(
+        'https://api.themoviedb.org/3/movie/101?api_key=test-key&append_to_response=external_ids'
+      );
+
+      expect(movies.map(movie => movie.id)).toEqual([101, 103]);
+      expect(movies[0]).toMatchObject({
+        title: 'Listed Title',
+        imdb_id: 'tt0000101',
+        year: 1999,
+        runtime: 101,
+        genres: ['Drama', 'Crime', 'Thriller'],
+        selected: true
+      });
+      expect(movies[1]).toMatchObject({ title: 'Movie 103', year: 2020 });
+      expect(stats).toEqual({ total: 3, cached: 0, fetched: 3, withoutImdb: 1, failed: 0 });
+    });
+
+    it('should serve repeat lookups from the cache without calling TMDb', async () => {
+      tmdbClient.queueRequest.mockImplementation(async (url) => movieDetails(Number(url.match(/\/movie\/(\d+)\?/)[1])));
+      await enrichMovies([201, 202], 'test-key');
+      tmdbClient.queueRequest.mockClear();
+
+      const { movies, stats } = await enrichMovies([201, 202, 203], 'other-tenant-key');
+
+      expect(tmdbClient.queueRequest).toHaveBeenCalledTimes(1);
+      expect(movies).toHaveLength(3);
+      expect(stats).toMatchObject({ cached: 2, fetched: 1 });
+
+      const lookups = await getCachedLookups([201, 999]);
+      expect([...lookups.keys()]).toEqual([201]);
+    });
+
+    it('should enrich large filmographies without a cap', async () => {
+      tmdbClient.queueRequest.mockImplementation(async (url) => movieDetails(Number(url.match(/\/movie\/(\d+)\?/)[1])));
+      const ids = Array.from({ length: 450 }, (_, i) => 10000 + i);
+      const onProgress = jest.fn();
+
+      const { movies } = await enrichMovies(ids, 'test-key', { onProgress });
+
+      expect(movies).toHaveLength(450);
+      expect(onProgress).toHaveBeenLastCalledWith(450, 450);
+    });
+
+    it('should remember removed movies but retry failures', async () => {
+      tmdbClient.queueRequest.mockImplementation(async (url) => {
+        if (url.includes('/movie/301?')) throw new Error('TMDb API error: 404');
+        throw new Error('TMDb API error: 500');
+      });
+
+      const first = await enrichMovies([301, 302], 'test-key');
+      expect(first.movies).toEqual([]);
+      expect(first.stats).toMatchObject({ fetched: 1, withoutImdb: 1, failed: 1 });
+
+      const lookups = await getCachedLookups([301, 302]);
+      expect(lookups.get(301).imdb_id).toBeNull();
+      expect(lookups.has(302)).toBe(false);
+
+      tmdbClient.queueRequest.mockClear();
+      await enrichMovies([301, 302], 'test-key');
+      expect(tmdbClient.queueRequest).toHaveBeenCalledTimes(1);
+      expect(MISSING_IMDB_TTL).toBeGreaterThan(0);
+    });
+
+    it('should keep lookups in the bounded memory cache without shared storage', async () => {
+      tmdbClient.queueRequest.mockImplementation(async (url) => movieDetails(Number(url.match(/\/movie\/(\d+)\?/)[1])));
+      await enrichMovies([401], 'test-key');
+
+      const storage = await getStorage();
+      expect(await storage.get('imdb-id:401')).toBeNull();
+      expect(getTmdbCacheStats().memoryEntries).toBeGreaterThan(0);
+
+      resetTmdbCache();
+      expect((await getCachedLookups([401])).size).toBe(0);
+    });
+
+    it('should share lookups through persistent storage', async () => {
+      const redisLike = new MemoryStorage();
+      redisLike.persistent = true;
+
+      let isolated;
+      jest.isolateModules(() => {
+        jest.doMock('../lib/kv.js', () => ({ getCacheStorage: async () => redisLike }));
+        isolated = require('../lib/movieEnrichment.js');
+      });
+
+      tmdbClient.queueRequest.mockImplementation(async (url) => movieDetails(Number(url.match(/\/movie\/(\d+)\?/)[1])));
+      await isolated.enrichMovies([501], 'test-key');
+      expect(JSON.parse(await redisLike.get('imdb-id:501')).imdb_id).toBe('tt0000501');
+      expect((await isolated.getCachedLookups([501])).get(501).title).toBe('Movie 501');
+
+      jest.dontMock('../lib/kv.js');
+      redisLike.destroy();
+    });
+  });
+
+  describe('toLookup', () => {
+    it('should prefer the details imdb_id and fall back to external ids', () => {
+      expect(toLookup({ title: 'A', imdb_id: 'tt1', external_ids: { imdb_id: 'tt2' } }).imdb_id).toBe('tt1');
+      expect(toLookup({ title: 'A', imdb_id: '', external_ids: { imdb_id: 'tt2' } }).imdb_id).toBe('tt2');
+      expect(toLookup({}).imdb_id).toBeNull();
+    });
+  });
+
+  describe('extractMovieCredits', () => {
+    it('should return one credit per movie, newest first', () => {
+      const credits = {
+        cast: [
+          { id: 1, title: 'Old', release_date: '1990-01-01', character: 'A' },
+          { id: 2, title: 'New', release_date: '2020-01-01', character: 'B' },
+          { id: 1, title: 'Old', release_date: '1990-01-01', character: 'C' },
+          { id: 3, title: 'Unreleased' }
+        ]
+      };
+
+      expect(extractMovieCredits(credits, 'actor').map(credit => credit.character)).toEqual(['B', 'A']);
+      expect(extractMovieIds(credits, 'actor')).toEqual([2, 1]);
+    });
+  });
+});
@@ -0,0 +1,366 @@
+/**
+ * @jest-environment node
+ */
+// Test direct Radarr push against the local mock Radarr
+const dns = require('dns');
+const http = require('http');
+
+const {
+  normalizeRadarrConfig,
+  maskRadarrConfig,
+  isPushReady,
+  testRadarrConnection,
+  getPushCandidates,
+  pushMoviesToRadarr,
+  pushTenantMovies,
+  appendPushLog,
+  getTenantPushLog,
+  buildLibraryState,
+  annotateLibraryState,
+  annotateTenantMovies,
+  getExclusionLibrary,
+  excludeOwnedMovies,
+  invalidateLibraryState,
+  MAX_MOVIES_PER_PUSH
+} = require('../lib/radarr.js');
+const { cleanup } = require('../lib/kv.js');
+const { createMockRadarr, DEFAULT_API_KEY } = require('../scripts/mock-radarr.js');
+
+// jest.setup.js replaces fetch with a mock; route it to the mock server over plain http
+function httpFetch(url, options = {}) {
+  return new Promise((resolve, reject) => {
+    const request = http.request(url, { method: options.method || 'GET', headers: options.headers, agent: false }, response => {
+      let body = '';
+      response.on('data', chunk => { body += chunk; });
+      response.on('end', () => resolve({
+        ok: response.statusCode >= 200 && response.statusCode < 300,
+        status: response.statusCode,
+        text: async () => body
+      }));
+    });
+    request.on('error', reject);
+    if (options.body) request.write(options.body);
+    request.end();
+  });
+}
+
+const originalAllowLocal = process.env.RADARR_ALLOW_LOCAL_URLS;
+
+function restoreAllowLocal() {
+  if (originalAllowLocal === undefined) {
+    delete process.env.RADARR_ALLOW_LOCAL_URLS;
+  } else {
+    process.env.RADARR_ALLOW_LOCAL_URLS = originalAllowLocal;
+  }
+}
+
+describe('Radarr push', () => {
+  let mock;
+  let config;
+
+  // The mock Radarr listens on loopback, which only self-hosted installs may use
+  beforeAll(() => {
+    process.env.RADARR_ALLOW_LOCAL_URLS = 'true';
+  });
+
+  afterAll(() => {
+    restoreAllowLocal();
+  });
+
+  beforeEach(() => {
+    global.fetch.mockImplementation(httpFetch);
+  });
+
+  const movies = [
+    { id: 550, title: 'Fight Club', imdb_id: 'tt0137523', year: 1999, vote_average: 8.4 },
+    { id: 13, title: 'Forrest Gump', imdb_id: 'tt0109830', year: 1994, vote_average: 8.8 },
+    { id: 680, title: 'Pulp Fiction', imdb_id: 'tt0110912', year: 1994, vote_average: 8.5 }
+  ];
+
+  const startMock = async (options) => {
+    mock = createMockRadarr(options);
+    await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+    const { port } = mock.server.address();
+    config = normalizeRadarrConfig({
+      url: `http://127.0.0.1:${port}/`,
+      apiKey: DEFAULT_API_KEY,
+      qualityProfileId: 4,
+      rootFolderPath: '/movies'
+    }).config;
+  };
+
+  afterEach(async () => {
+    if (mock) {
+      await new Promise(resolve => mock.server.close(resolve));
+      mock = null;
+    }
+  });
+
+  describe('normalizeRadarrConfig', () => {
+    it('should apply defaults and strip the trailing slash', () => {
+      const result = normalizeRadarrConfig({ url: 'http://radarr:7878/', apiKey: DEFAULT_API_KEY });
+      expect(result).toEqual({
+        valid: true,
+        config: {
+          url: 'http://radarr:7878',
+          apiKey: DEFAULT_API_KEY,
+          monitored: true,
+          searchForMovie: false,
+          minimumAvailability: 'released',
+          pushOnSync: false,
+          excludeOwned: false
+        }
+      });
+      expect(isPushReady(result.config)).toBe(false);
+    });
+
+    it('should keep the stored API key when none is sent', () => {
+      const result = normalizeRadarrConfig({ url: 'http://radarr:7878', apiKey: '' }, { apiKey: DEFAULT_API_KEY });
+      expect(result.config.apiKey).toBe(DEFAULT_API_KEY);
+    });
+
+    it('should reject invalid settings', () => {
+      expect(normalizeRadarrConfig({ url: 'ftp://radarr', apiKey: DEFAULT_API_KEY }).valid).toBe(false);
+      expect(normalizeRadarrConfig({ url: 'not a url', apiKey: DEFAULT_API_KEY }).valid).toBe(false);
+      expect(normalizeRadarrConfig({ url: 'http://radarr', apiKey: 'short' }).valid).toBe(false);
+      expect(normalizeRadarrConfig({ url: 'http://radarr', apiKey: DEFAULT_API_KEY, qualityProfileId: 'HD' }).valid).toBe(false);
+      expect(normalizeRadarrConfig({ url: 'http://radarr', apiKey: DEFAULT_API_KEY, minimumAvailability: 'soon' }).valid).toBe(false);
+    });
+
+    it('should mask the API key', () => {
+      const masked = maskRadarrConfig({ url: 'http://radarr', apiKey: DEFAULT_API_KEY });
+      expect(masked).toEqual({ url: 'http://radarr', apiKeyHint: '••••cdef' });
+    });
+  });
+
+  describe('testRadarrConnection', () => {
+    it('should return version, profiles and root folders', async () => {
+      await startMock();
+      const result = await testRadarrConnection(config);
+
+      expect(result.version).toBe('5.0.0-mock');
+      expect(result.qualityProfiles).toEqual([{ id: 1, name: 'Any' }, { id: 4, name: 'HD-1080p' }]);
+      expect(result.rootFolders[0].path).toBe('/movies');
+      expect(result.warnings).toEqual([]);
+    });
+
+    it('should warn about a missing profile or folder', async () => {
+      await startMock();
+      const result = await testRadarrConnection({ ...config, qualityProfileId: 99, rootFolderPath: '/nope' });
+      expect(result.warnings).toHaveLength(2);
+    });
+
+    it('should surface a rejected API key', async () => {
+      await startMock({ apiKey: 'ffffffffffffffffffffffffffffffff' });
+      await expect(testRadarrConnection(config)).rejects.toMatchObject({
+        message: 'Radarr rejected the API key',
+        statusCode: 502
+      });
+    });
+  });
+
+  describe('pushMoviesToRadarr', () => {
+    it('should add missing movies with the configured options', async () => {
+      await startMock({ movies: [{ tmdbId: 550, imdbId: 'tt0137523', title: 'Fight Club' }] });
+      const run = await pushMoviesToRadarr({ ...config, searchForMovie: true }, movies);
+
+      expect(run).toMatchObject({ dryRun: false, total: 3, added: 2, existing: 1, failed: 0 });
+      expect(run.results.map(result => result.status)).toEqual(['exists', 'added', 'added']);
+
+      const post = mock.requests.find(request => request.method === 'POST');
+      expect(post.body).toMatchObject({
+        tmdbId: 13,
+        title: 'Forrest Gump',
+        qualityProfileId: 4,
+        rootFolderPath: '/movies',
+        monitored: true,
+        minimumAvailability: 'released',
+        addOptions: { searchForMovie: true, monitor: 'movieOnly' }
+      });
+      expect(mock.library).toHaveLength(3);
+    });
+
+    it('should not touch Radarr in dry-run mode', async () => {
+      await startMock({ movies: [{ tmdbId: 13, imdbId: 'tt0109830', title: 'Forrest Gump' }] });
+      const run = await pushMoviesToRadarr(config, movies, { dryRun: true });
+
+      expect(run).toMatchObject({ dryRun: true, wouldAdd: 2, existing: 1, added: 0 });
+      expect(mock.requests.some(request => request.method === 'POST')).toBe(false);
+    });
+
+    it('should record per-movie failures and keep going', async () => {
+      await startMock({ failTmdbIds: [13] });
+      const run = await pushMoviesToRadarr(config, movies);
+
+      expect(run).toMatchObject({ added: 2, failed: 1 });
+      expect(run.results[1]).toEqual({
+        tmdbId: 13,
+        imdbId: 'tt0109830',
+        title: 'Forrest Gump',
+        status: 'failed',
+        error: 'Path is not writable'
+      });
+    });
+
+    it('should defer movies beyond the per-push limit', async () => {
+      await startMock();
+      const many = Array.from({ length: MAX_MOVIES_PER_PUSH + 3 }, (_, i) => ({
+        id: 1000 + i,
+        title: `Movie ${i}`,
+        imdb_id: `tt${String(1000 + i).padStart(7, '0')}`
+      }));
+      const run = await pushMoviesToRadarr(config, many);
+
+      expect(run.added).toBe(MAX_MOVIES_PER_PUSH);
+      expect(run.remaining).toBe(3);
+    });
+
+    it('should stop adding once the push deadline has passed', async () => {
+      await startMock({ addDelayMs: 500 });
+      const run = await pushMoviesToRadarr(config, movies, { deadlineMs: 1400 });
+
+      // The first add leaves less than a second before the deadline, so the others wait
+      expect(run.added).toBe(1);
+      expect(run.remaining).toBe(2);
+      expect(mock.requests.filter(request => request.method === 'POST')).toHaveLength(1);
+    });
+
+    it('should refuse to push without a profile and root folder', async () => {
+      await expect(pushMoviesToRadarr({ url: 'http://radarr', apiKey: DEFAULT_API_KEY }, movies))
+        .rejects.toThrow('quality profile and root folder');
+    });
+  });
+
+  describe('tenant helpers', () => {
+    it('should push the default feed movies respecting feed filters', async () => {
+      await startMock();
+      const tenant = {
+        selectedMovies: JSON.stringify([...movies, { id: 99, title: 'No IMDb', imdb_id: null }]),
+        feedFilters: JSON.stringify({ minRating: 8.45 }),
+        radarrConfig: JSON.stringify(config)
+      };
+
+      expect(getPushCandidates(tenant).map(movie => movie.id)).toEqual([13, 680]);
+
+      const run = await pushTenantMovies(tenant);
+      expect(run.added).toBe(2);
+    });
+
+    it('should keep a short push log with capped results', () => {
+      let tenant = {};
+      for (let i = 0; i < 7; i++) {
+        tenant = { radarrPushLog: appendPushLog(tenant, { pushedAt: String(i), results: new Array(150).fill({ status: 'added' }) }) };
+      }
+
+      const log = getTenantPushLog(tenant);
+      expect(log).toHaveLength(5);
+      expect(log[0].pushedAt).toBe('6');
+      expect(log[0].results).toHaveLength(100);
+    });
+  });
+
+  describe('library state', () => {
+    afterAll(() => {
+      cleanup();
+    });
+
+    const library = buildLibraryState([
+      { tmdbId: 550, imdbId: 'tt0137523', hasFile: true },
+      { tmdbId: 0, imdbId: 'tt0109830', hasFile: false }
+    ]);
+
+    it('should match by TMDb or IMDb id and report files', () => {
+      const annotated = annotateLibraryState(movies, library);
+      expect(annotated.map(movie => [movie.inLibrary, movie.hasFile])).toEqual([
+        [true, true],
+        [true, false],
+        [false, false]
+      ]);
+      expect(annotateLibraryState(movies, null)).toBe(movies);
+    });
+
+    it('should exclude owned movies', () => {
+      expect(excludeOwnedMovies(movies, library).map(movie => movie.id)).toEqual([680]);
+      expect(excludeOwnedMovies(movies, null)).toBe(movies);
+    });
+
+    it('should leave movies untouched for tenants without Radarr', async () => {
+      expect(await annotateTenantMovies('no-radarr', {}, movies)).toEqual({ movies, library: null });
+    });
+
+    it('should annotate from a cached library', async () => {
+      await startMock({ movies: [{ tmdbId: 13, imdbId: 'tt0109830', hasFile: true }] });
+      const tenant = { radarrConfig: JSON.stringify(config) };
+
+      const first = await annotateTenantMovies('library-user', tenant, movies);
+      expect(first.library.size).toBe(1);
+      expect(first.movies[1]).toMatchObject({ inLibrary: true, hasFile: true });
+
+      await annotateTenantMovies('library-user', tenant, movies);
+      const libraryFetches = mock.requests.filter(request => request.path === '/api/v3/movie');
+      expect(libraryFetches).toHaveLength(1);
+
+      await invalidateLibraryState('library-user');
+      await annotateTenantMovies('library-user', tenant, movies);
+      expect(mock.requests.filter(request => request.path === '/api/v3/movie')).toHaveLength(2);
+    });
+
+    it('should report an unreachable Radarr without failing', async () => {
+      const tenant = { radarrConfig: JSON.stringify({ ...config, url: 'http://127.0.0.1:1' }) };
+      const result = await annotateTenantMovies('offline-user', tenant, movies);
+
+      expect(result.movies).toBe(movies);
+      expect(result.library.error).toMatch(/Could not reach Radarr/);
+    });
+
+    it('should only load an exclusion library when the tenant opted in', async () => {
+      await startMock({ movies: [{ tmdbId: 13, imdbId: 'tt0109830' }] });
+
+      expect(await getExclusionLibrary('opt-out', { radarrConfig: JSON.stringify(config) })).toBeNull();
+
+      const optedIn = await getExclusionLibrary('opt-in', { radarrConfig: JSON.stringify({ ...config, excludeOwned: true }) });
+      expect(optedIn.tmdb).toEqual({ 13: false });
+    });
+  });
+});
+
+describe('Radarr URL addresses', () => {
+  afterEach(() => {
+    restoreAllowLocal();
+    jest.restoreAllMocks();
+  });
+
+  const check = url => normalizeRadarrConfig({ url, apiKey: DEFAULT_API_KEY });
+
+  it('should refuse loopback URLs unless the install allows them', () => {
+    delete process.env.RADARR_ALLOW_LOCAL_URLS;
+    for (const url of ['http://127.0.0.1:7878', 'http://localhost:7878', 'http://[::1]:7878', 'http://[::ffff:127.0.0.1]/']) {
+      expect(check(url)).toEqual({ valid: false, error: expect.stringMatching(/RADARR_ALLOW_LOCAL_URLS/) });
+    }
+
+    process.env.RADARR_ALLOW_LOCAL_URLS = 'true';
+    expect(check('http://localhost:7878').valid).toBe(true);
+  });
+
+  it('should always refuse link-local and metadata addresses', () => {
+    process.env.RADARR_ALLOW_LOCAL_URLS = 'true';
+    for (const url of ['http://169.254.169.254/latest', 'http://metadata.google.internal', 'http://[fe80::1]:7878', 'http://[fd00:ec2::254]']) {
+      expect(check(url)).toEqual({ valid: false, error: 'Radarr URL points at a link-local or cloud metadata address' });
+    }
+  });
+
+  it('should allow LAN and public addresses', () => {
+    delete process.env.RADARR_ALLOW_LOCAL_URLS;
+    expect(check('http://192.168.1.20:7878').valid).toBe(true);
+    expect(check('http://10.0.0.5:7878').valid).toBe(true);
+    expect(check('https://radarr.example.com').valid).toBe(true);
+  });
+
+  it('should refuse a hostname that resolves to a blocked address before calling it', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '169.254.169.254', family: 4 }]);
+    const { config } = check('http://radarr.example.com');
+
+    await expect(testRadarrConnection(config)).rejects.toMatchObject({ statusCode: 400, code: 'RADARR_ADDRESS_BLOCKED' });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * @jest-environment node
+ */
+// Test the shared, storage-backed rate limiter in lib/rateLimit.js
+
+const { MemoryStorage } = require('../lib/storageAdapters.js');
+
+const mockGetCacheStorage = jest.fn();
+jest.mock('../lib/kv.js', () => ({
+  getCacheStorage: (...args) => mockGetCacheStorage(...args)
+}));
+
+const {
+  RATE_LIMIT_POLICIES,
+  globalRateLimiter,
+  resolvePolicy,
+  consumeRateLimit,
+  rateLimitHeaders
+} = require('../lib/rateLimit.js');
+
+describe('Shared rate limiting', () => {
+  let storage;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.warn.mockRestore();
+    globalRateLimiter.destroy();
+  });
+
+  beforeEach(() => {
+    storage = new MemoryStorage();
+    mockGetCacheStorage.mockResolvedValue(storage);
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:10.000Z'), doNotFake: ['setInterval', 'clearInterval'] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    storage.destroy();
+  });
+
+  it('should resolve named and inline policies', () => {
+    expect(resolvePolicy('feed')).toEqual({ name: 'feed', ...RATE_LIMIT_POLICIES.feed });
+    expect(resolvePolicy({ name: 'uploads', maxRequests: 5, windowMs: 1000 })).toEqual({ name: 'uploads', limit: 5, windowMs: 1000 });
+    // Inline policies would otherwise share another policy's counters
+    expect(() => resolvePolicy({ maxRequests: 5, windowMs: 1000 })).toThrow('Inline rate limit policies need a name of their own');
+    expect(() => resolvePolicy({ name: 'feed', maxRequests: 500 })).toThrow('Inline rate limit policies need a name of their own');
+    expect(() => resolvePolicy('nope')).toThrow('Unknown rate limit policy: nope');
+  });
+
+  it('should allow requests up to the limit and refuse the next', async () => {
+    const policy = { name: 'test', limit: 3, windowMs: 60000 };
+
+    const results = [];
+    for (let i = 0; i < 4; i++) {
+      results.push(await consumeRateLimit(policy, '1.2.3.4'));
+    }
+
+    expect(results.map(r => r.allowed)).toEqual([true, true, true, false]);
+    expect(results.map(r => r.remaining)).toEqual([2, 1, 0, 0]);
+    expect(await storage.get('ratelimit:test:1.2.3.4:29453760')).toBe('3');
+
+    // Other clients have their own budget
+    expect((await consumeRateLimit(policy, '5.6.7.8')).allowed).toBe(true);
+  });
+
+  it('should not count refused requests', async () => {
+    const policy = { name: 'test', limit: 1, windowMs: 60000 };
+    await consumeRateLimit(policy, 'client');
+    await consumeRateLimit(policy, 'client');
+    await consumeRateLimit(policy, 'client');
+
+    const counters = await storage.keys('ratelimit:test:client:*');
+    expect(await storage.get(counters[0])).toBe('1');
+  });
+
+  it('should weigh the previous window while it still overlaps', async () => {
+    const policy = { name: 'test', limit: 4, windowMs: 60000 };
+    for (let i = 0; i < 4; i++) {
+      await consumeRateLimit(policy, 'client');
+    }
+
+    // 15s into the next window, 3 of the previous 4 requests still count
+    jest.setSystemTime(new Date('2026-01-01T00:01:15.000Z'));
+    expect((await consumeRateLimit(policy, 'client')).allowed).toBe(true);
+    expect((await consumeRateLimit(policy, 'client')).allowed).toBe(false);
+
+    // Halfway through, only 2 of them do
+    jest.setSystemTime(new Date('2026-01-01T00:01:30.000Z'));
+    expect((await consumeRateLimit(policy, 'client')).allowed).toBe(true);
+  });
+
+  it('should limit in memory when storage is unavailable', async () => {
+    mockGetCacheStorage.mockRejectedValue(new Error('Redis down'));
+    const policy = { name: 'fallback', limit: 1, windowMs: 60000 };
+
+    expect((await consumeRateLimit(policy, 'client')).allowed).toBe(true);
+    expect((await consumeRateLimit(policy, 'client')).allowed).toBe(false);
+  });
+
+  it('should build standard RateLimit headers', async () => {
+    const policy = { name: 'test', limit: 1, windowMs: 60000 };
+
+    expect(rateLimitHeaders(await consumeRateLimit(policy, 'client'))).toEqual({
+      'RateLimit-Limit': '1',
+      'RateLimit-Remaining': '0',
+      'RateLimit-Reset': '50',
+      'RateLimit-Policy': '1;w=60'
+    });
+    expect(rateLimitHeaders(await consumeRateLimit(policy, 'client'))).toMatchObject({ 'Retry-After': '50' });
+  });
+});
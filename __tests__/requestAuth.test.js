@@ -0,0 +1,90 @@
+/**
+ * @jest-environment node
+ */
+// Test how tenant API requests are authorized: static, timestamped and device session signatures
+
+const { sign, signRequest } = require('../utils/hmac.js');
+const { staticSignaturesAllowed, verifyTenantRequest, authorizeTenantRequest } = require('../utils/requestAuth.js');
+const { createSession, revokeSessions } = require('../lib/accountAuth.js');
+const { saveTenant, cleanup } = require('../lib/kv.js');
+
+const USER_ID = 'auth-user-1234567890';
+const DATA = `sync-list:${USER_ID}`;
+const tenant = { tenantSecret: 'tenant-secret', selectedMovies: '[]' };
+
+describe('Tenant request authorization', () => {
+  const originalStatic = process.env.ALLOW_STATIC_SIGNATURES;
+
+  beforeAll(async () => {
+    await saveTenant(USER_ID, tenant);
+  });
+
+  afterEach(() => {
+    if (originalStatic === undefined) {
+      delete process.env.ALLOW_STATIC_SIGNATURES;
+    } else {
+      process.env.ALLOW_STATIC_SIGNATURES = originalStatic;
+    }
+  });
+
+  afterAll(() => {
+    cleanup();
+  });
+
+  it('should accept static signatures from older clients unless they are switched off', async () => {
+    const signature = sign(DATA, tenant.tenantSecret);
+
+    expect(staticSignaturesAllowed()).toBe(true);
+    expect(await verifyTenantRequest(USER_ID, tenant, DATA, signature)).toEqual({ valid: true, method: 'static', session: null });
+    expect((await verifyTenantRequest(USER_ID, tenant, `rotate-secret:${USER_ID}`, signature)).valid).toBe(false);
+
+    process.env.ALLOW_STATIC_SIGNATURES = 'false';
+    expect(await verifyTenantRequest(USER_ID, tenant, DATA, signature)).toEqual({ valid: false, error: 'Invalid signature' });
+  });
+
+  it('should accept fresh timestamped signatures made with the tenant secret', async () => {
+    process.env.ALLOW_STATIC_SIGNATURES = 'false';
+
+    expect(await verifyTenantRequest(USER_ID, tenant, DATA, signRequest(DATA, tenant.tenantSecret)))
+      .toEqual({ valid: true, method: 'secret', session: null });
+
+    const stale = signRequest(DATA, tenant.tenantSecret, { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+    expect(await verifyTenantRequest(USER_ID, tenant, DATA, stale))
+      .toEqual({ valid: false, error: 'Invalid or expired signature' });
+    expect((await verifyTenantRequest(USER_ID, tenant, DATA, signRequest(DATA, 'other-secret'))).valid).toBe(false);
+  });
+
+  it('should look up the device session and check its key', async () => {
+    const { session } = await createSession(USER_ID, { deviceName: 'Firefox on Linux', method: 'passphrase' });
+
+    const result = await verifyTenantRequest(USER_ID, tenant, DATA, signRequest(DATA, session.deviceKey, { sessionId: session.id }));
+    expect(result).toMatchObject({ valid: true, method: 'session' });
+    expect(result.session.id).toBe(session.id);
+
+    // The tenant secret doesn't stand in for the device key
+    expect(await verifyTenantRequest(USER_ID, tenant, DATA, signRequest(DATA, tenant.tenantSecret, { sessionId: session.id })))
+      .toEqual({ valid: false, error: 'Invalid or expired signature' });
+
+    // Another user's session is refused even with a valid signature
+    expect(await verifyTenantRequest('other-user-1234567890', tenant, `sync-list:other-user-1234567890`,
+      signRequest('sync-list:other-user-1234567890', session.deviceKey, { sessionId: session.id })))
+      .toEqual({ valid: false, error: 'Session expired or revoked' });
+
+    await revokeSessions(USER_ID, { sessionId: session.id });
+    expect(await verifyTenantRequest(USER_ID, tenant, DATA, signRequest(DATA, session.deviceKey, { sessionId: session.id })))
+      .toEqual({ valid: false, error: 'Session expired or revoked' });
+  });
+
+  it('should answer 400, 404 and 403 before handing back the tenant', async () => {
+    expect((await authorizeTenantRequest('', DATA, '')).error.status).toBe(400);
+    expect((await authorizeTenantRequest('missing-user-1234567890', 'sync-list:missing-user-1234567890', '')).error.status).toBe(404);
+
+    const refused = await authorizeTenantRequest(USER_ID, DATA, 'a'.repeat(64));
+    expect(refused.error.status).toBe(403);
+    expect(await refused.error.json()).toEqual({ error: 'Invalid signature' });
+
+    const authorized = await authorizeTenantRequest(USER_ID, DATA, signRequest(DATA, tenant.tenantSecret));
+    expect(authorized.tenant.tenantSecret).toBe(tenant.tenantSecret);
+    expect(authorized.auth.method).toBe('secret');
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * @jest-environment node
+ */
+// Test tenant secret rotation and the feed URL grace period
+
+const {
+  MAX_GRACE_HOURS,
+  MAX_ROTATION_HISTORY,
+  normalizeGraceHours,
+  fingerprintSecret,
+  getSecretRotations,
+  getFeedSecrets,
+  rotateTenantSecret
+} = require('../lib/secretRotation.js');
+const { buildFeedUrls } = require('../utils/feeds.js');
+
+const tenant = {
+  tenantSecret: 'a'.repeat(32),
+  tmdbKey: 'a1b2c3d4e5f67890123456789abcdef0',
+  selectedMovies: '[]'
+};
+
+describe('Secret rotation', () => {
+  it('should validate the grace period', () => {
+    expect(normalizeGraceHours(undefined)).toEqual({ valid: true, graceHours: 0 });
+    expect(normalizeGraceHours('24')).toEqual({ valid: true, graceHours: 24 });
+    expect(normalizeGraceHours(MAX_GRACE_HOURS + 1).valid).toBe(false);
+    expect(normalizeGraceHours(-1).valid).toBe(false);
+    expect(normalizeGraceHours(1.5).valid).toBe(false);
+  });
+
+  it('should revoke the old secret immediately without a grace period', () => {
+    const { tenant: rotated, rotation } = rotateTenantSecret(tenant, { reason: '  leaked  ' });
+
+    expect(rotated.tenantSecret).toMatch(/^[a-f0-9]{32}$/);
+    expect(rotated.tenantSecret).not.toBe(tenant.tenantSecret);
+    expect(rotated.previousTenantSecret).toBeUndefined();
+    expect(getFeedSecrets(rotated)).toEqual([rotated.tenantSecret]);
+    expect(rotation).toMatchObject({
+      graceHours: 0,
+      graceUntil: null,
+      previousSecretFingerprint: fingerprintSecret(tenant.tenantSecret),
+      reason: 'leaked'
+    });
+    expect(rotated.secretRotations).not.toContain(tenant.tenantSecret);
+  });
+
+  it('should keep the old secret for feeds during the grace period', () => {
+    const { tenant: rotated, rotation } = rotateTenantSecret(tenant, { graceHours: 24 });
+
+    expect(rotated.previousTenantSecret).toBe(tenant.tenantSecret);
+    expect(rotated.previousSecretExpiresAt).toBe(rotation.graceUntil);
+    expect(getFeedSecrets(rotated)).toEqual([rotated.tenantSecret, tenant.tenantSecret]);
+
+    const expired = { ...rotated, previousSecretExpiresAt: new Date(Date.now() - 1000).toISOString() };
+    expect(getFeedSecrets(expired)).toEqual([rotated.tenantSecret]);
+  });
+
+  it('should retire the older secret when rotating again', () => {
+    const { tenant: first } = rotateTenantSecret(tenant, { graceHours: 24 });
+    const { tenant: second } = rotateTenantSecret(first, { graceHours: 24 });
+
+    expect(getFeedSecrets(second)).toEqual([second.tenantSecret, first.tenantSecret]);
+    expect(getFeedSecrets(second)).not.toContain(tenant.tenantSecret);
+    expect(getSecretRotations(second)).toHaveLength(2);
+  });
+
+  it('should cap the rotation history', () => {
+    let current = tenant;
+    for (let i = 0; i < MAX_ROTATION_HISTORY + 5; i++) {
+      current = rotateTenantSecret(current).tenant;
+    }
+    expect(getSecretRotations(current)).toHaveLength(MAX_ROTATION_HISTORY);
+    expect(getSecretRotations({ secretRotations: 'not json' })).toEqual([]);
+  });
+
+  it('should sign every feed URL with the given signer', () => {
+    const urls = buildFeedUrls('user-1234567890', [{ id: '4k', name: '4K' }], data => `sig(${data})`);
+
+    expect(urls.rssUrl).toBe('https://helparr.vercel.app/api/rss/user-1234567890?sig=sig(rss:user-1234567890)');
+    expect(urls.listUrl).toBe('https://helparr.vercel.app/api/list/user-1234567890?sig=sig(rss:user-1234567890)');
+    expect(urls.feedUrls).toEqual([{
+      id: '4k',
+      name: '4K',
+      rssUrl: 'https://helparr.vercel.app/api/rss/user-1234567890?feed=4k&sig=sig(rss:user-1234567890:4k)',
+      listUrl: 'https://helparr.vercel.app/api/list/user-1234567890?feed=4k&sig=sig(rss:user-1234567890:4k)'
+    }]);
+  });
+});
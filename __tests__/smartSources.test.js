@@ -0,0 +1,355 @@
+/**
+ * @jest-environment node
+ */
+// Test server-side smart source rules
+
+jest.mock('../lib/kv.js');
+jest.mock('../utils/tmdbClient.js', () => ({
+  tmdbClient: { queueRequest: jest.fn() }
+}));
+
+const {
+  getSmartRules,
+  refreshSmartSources,
+  refreshTenantSmartSources,
+  refreshAllSmartSources,
+  mergeAutoAddedMovies
+} = require('../lib/smartSources.js');
+const { tmdbClient } = require('../utils/tmdbClient.js');
+const { resetTmdbCache } = require('../lib/tmdbCache.js');
+const { loadTenant: mockLoadTenant, updateTenant: mockUpdateTenant, getStorage: mockGetStorage } = require('../lib/kv.js');
+
+const movieDetails = {
+  27205: { title: 'Inception', imdb_id: 'tt1375666', release_date: '2010-07-16' },
+  872585: { title: 'Oppenheimer', imdb_id: 'tt15398776', release_date: '2023-07-19' },
+  999999: { title: 'Untitled Nolan Event Film', imdb_id: null, release_date: '2026-07-17' }
+};
+
+function mockTmdb(credits) {
+  tmdbClient.queueRequest.mockImplementation(async (url) => {
+    if (url.includes('/movie_credits')) return credits;
+    const match = url.match(/\/movie\/(\d+)\?/);
+    if (match) return movieDetails[match[1]];
+    throw new Error(`Unexpected URL ${url}`);
+  });
+}
+
+function createTenant(role) {
+  return {
+    tmdbKey: 'test-key',
+    selectedMovies: JSON.stringify([{ id: 27205, title: 'Inception', imdb_id: 'tt1375666' }]),
+    people: JSON.stringify([{
+      id: 525,
+      name: 'Christopher Nolan',
+      type: 'person',
+      roles: [{
+        type: 'director',
+        movies: [{ id: 27205, title: 'Inception', imdb_id: 'tt1375666' }],
+        ...role
+      }]
+    }])
+  };
+}
+
+const nolanCredits = {
+  cast: [],
+  crew: [
+    { id: 999999, job: 'Director', release_date: '2026-07-17' },
+    { id: 872585, job: 'Director', release_date: '2023-07-19' },
+    { id: 27205, job: 'Director', release_date: '2010-07-16' },
+    { id: 1, job: 'Producer', release_date: '2024-01-01' }
+  ]
+};
+
+describe('Smart sources', () => {
+  let saved;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    resetTmdbCache(); // Each test mocks different TMDb responses for the same URLs
+
+    // Runs the mutator on whatever loadTenant returns, like the real compare-and-set on a quiet record
+    saved = {};
+    mockUpdateTenant.mockImplementation(async (userId, mutator) => {
+      const tenant = await mutator(await mockLoadTenant(userId));
+      if (tenant) saved[userId] = tenant;
+      return { tenant, updated: Boolean(tenant) };
+    });
+  });
+
+  describe('getSmartRules', () => {
+    it('should only return roles with auto-include enabled', () => {
+      const people = [
+        { id: 1, name: 'A', roles: [{ type: 'actor', autoInclude: true }, { type: 'director' }] },
+        { id: 2, name: 'B', type: 'collection', roles: [{ type: 'company', autoInclude: true }] }
+      ];
+
+      const rules = getSmartRules(JSON.stringify(people));
+      expect(rules.map(rule => `${rule.person.id}:${rule.role.type}`)).toEqual(['1:actor', '2:company']);
+    });
+
+    it('should handle missing or corrupt people data', () => {
+      expect(getSmartRules(undefined)).toEqual([]);
+      expect(getSmartRules('not json')).toEqual([]);
+    });
+  });
+
+  describe('refreshSmartSources', () => {
+    it('should record a baseline on the first run without adding movies', async () => {
+      mockTmdb(nolanCredits);
+
+      const result = await refreshSmartSources(createTenant({ autoInclude: true }));
+      const role = result.people[0].roles[0];
+
+      expect(result.added).toEqual([]);
+      expect(role.knownMovieIds.sort()).toEqual([27205, 872585, 999999].sort());
+      expect(role.lastResolvedAt).toBeDefined();
+      expect(result.selectedMovies).toHaveLength(1);
+    });
+
+    it('should add credits that appeared after the baseline', async () => {
+      mockTmdb(nolanCredits);
+
+      const result = await refreshSmartSources(createTenant({ autoInclude: true, knownMovieIds: [27205] }));
+      const role = result.people[0].roles[0];
+
+      expect(result.added.map(movie => movie.imdb_id)).toEqual(['tt15398776']);
+      expect(role.movies[0]).toMatchObject({ id: 872585, autoAdded: true, selected: true });
+      expect(result.selectedMovies.map(movie => movie.imdb_id)).toEqual(['tt15398776', 'tt1375666']);
+      expect(result.selectedMovies[0].sources).toEqual([
+        { personName: 'Christopher Nolan', personId: 525, roleType: 'director', addedAt: role.movies[0].addedAt }
+      ]);
+    });
+
+    it('should rebuild the feed without duplicates or excluded movies', async () => {
+      mockTmdb(nolanCredits);
+      const tenant = createTenant({ autoInclude: true, knownMovieIds: [27205] });
+      const people = JSON.parse(tenant.people);
+      people.push({ id: 1892, name: 'Cillian Murphy', type: 'person', roles: [{ type: 'actor', movies: [{ id: 27205, title: 'Inception', imdb_id: 'tt1375666' }] }] });
+
+      const result = await refreshSmartSources({
+        ...tenant,
+        people: JSON.stringify(people),
+        exclusions: JSON.stringify([{ imdb_id: 'tt15398776', title: 'Oppenheimer' }])
+      });
+
+      expect(result.added.map(movie => movie.imdb_id)).toEqual(['tt15398776']);
+      expect(result.selectedMovies.map(movie => movie.imdb_id)).toEqual(['tt1375666']);
+      expect(result.selectedMovies[0].sources.map(source => source.personName)).toEqual(['Christopher Nolan', 'Cillian Murphy']);
+    });
+
+    it('should retry movies without an IMDb id on the next run', async () => {
+      mockTmdb(nolanCredits);
+
+      const result = await refreshSmartSources(createTenant({ autoInclude: true, knownMovieIds: [27205] }));
+
+      expect(result.people[0].roles[0].knownMovieIds).not.toContain(999999);
+    });
+
+    it('should report TMDb errors per source', async () => {
+      tmdbClient.queueRequest.mockRejectedValue(new Error('TMDb API error: 401'));
+
+      const result = await refreshSmartSources(createTenant({ autoInclude: true, knownMovieIds: [] }));
+
+      expect(result.errors).toEqual([{ source: 'Christopher Nolan', role: 'director', error: 'TMDb API error: 401' }]);
+      expect(result.added).toEqual([]);
+    });
+
+    it('should resolve collections from their parts', async () => {
+      tmdbClient.queueRequest.mockImplementation(async (url) => {
+        if (url.includes('/collection/10')) {
+          return { parts: [{ id: 27205, release_date: '2010-07-16' }, { id: 872585, release_date: '2023-07-19' }] };
+        }
+        return movieDetails[url.match(/\/movie\/(\d+)\?/)[1]];
+      });
+
+      const result = await refreshSmartSources({
+        tmdbKey: 'test-key',
+        selectedMovies: '[]',
+        people: JSON.stringify([{
+          id: 10,
+          name: 'Test Collection',
+          type: 'collection',
+          collectionType: 'collection',
+          roles: [{ type: 'collection', autoInclude: true, knownMovieIds: [27205], movies: [] }]
+        }])
+      });
+
+      expect(result.added.map(movie => movie.id)).toEqual([872585]);
+      expect(result.added[0].source.type).toBe('collection');
+    });
+  });
+
+  describe('refreshTenantSmartSources', () => {
+    it('should save new movies to the tenant', async () => {
+      mockTmdb(nolanCredits);
+      mockLoadTenant.mockResolvedValue(createTenant({ autoInclude: true, knownMovieIds: [27205] }));
+
+      const result = await refreshTenantSmartSources('test-user');
+
+      expect(result).toEqual({ sourcesChecked: 1, moviesAdded: 1, errors: [] });
+      const tenant = saved['test-user'];
+      expect(JSON.parse(tenant.selectedMovies)).toHaveLength(2);
+      expect(tenant.movieCount).toBe(2);
+      expect(tenant.lastSmartRefresh).toBeDefined();
+      expect(tenant.revision).toBe(1);
+      expect(tenant.lastSync).toBe(tenant.lastSmartRefresh);
+    });
+
+    it('should merge into a collection that was synced during the refresh', async () => {
+      mockTmdb(nolanCredits);
+      const before = createTenant({ autoInclude: true, knownMovieIds: [27205] });
+      const synced = {
+        ...before,
+        revision: 4,
+        people: JSON.stringify([
+          ...JSON.parse(before.people),
+          { id: 138, name: 'Quentin Tarantino', type: 'person', roles: [{ type: 'director', movies: [] }] }
+        ])
+      };
+      // TMDb is queried for the first copy, the write lands on the synced one
+      mockLoadTenant.mockResolvedValueOnce(before).mockResolvedValue(synced);
+
+      const result = await refreshTenantSmartSources('test-user');
+
+      expect(result.moviesAdded).toBe(1);
+      const tenant = saved['test-user'];
+      const people = JSON.parse(tenant.people);
+      expect(people.map(person => person.name)).toEqual(['Christopher Nolan', 'Quentin Tarantino']);
+      expect(people[0].roles[0].movies.map(movie => movie.id)).toEqual([872585, 27205]);
+      expect(tenant.revision).toBe(5);
+    });
+
+    it('should not add movies to a rule switched off during the refresh', async () => {
+      mockTmdb(nolanCredits);
+      mockLoadTenant
+        .mockResolvedValueOnce(createTenant({ autoInclude: true, knownMovieIds: [27205] }))
+        .mockResolvedValue({ ...createTenant({ autoInclude: false, knownMovieIds: [27205] }), revision: 2 });
+
+      const result = await refreshTenantSmartSources('test-user');
+
+      expect(result.moviesAdded).toBe(0);
+      expect(JSON.parse(saved['test-user'].selectedMovies)).toHaveLength(1);
+      expect(saved['test-user'].revision).toBe(2);
+    });
+
+    it('should skip tenants without rules', async () => {
+      mockLoadTenant.mockResolvedValue(createTenant({}));
+
+      const result = await refreshTenantSmartSources('test-user');
+
+      expect(result.sourcesChecked).toBe(0);
+      expect(mockUpdateTenant).not.toHaveBeenCalled();
+      expect(tmdbClient.queueRequest).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('refreshAllSmartSources', () => {
+    function mockTenantKeys(batches, storedCursor = null) {
+      const storage = {
+        get: jest.fn().mockResolvedValue(storedCursor),
+        set: jest.fn().mockResolvedValue('OK'),
+        del: jest.fn().mockResolvedValue(1),
+        scan: jest.fn(async (cursor) => {
+          const index = Number(cursor);
+          return { cursor: index + 1 < batches.length ? String(index + 1) : '0', keys: batches[index] };
+        })
+      };
+      mockGetStorage.mockResolvedValue(storage);
+      return storage;
+    }
+
+    it('should refresh every stored tenant', async () => {
+      mockTmdb(nolanCredits);
+      const storage = mockTenantKeys([['tenant:user-a'], ['tenant:user-b']]);
+      mockLoadTenant.mockImplementation(async (userId) => (
+        userId === 'user-a' ? createTenant({ autoInclude: true, knownMovieIds: [27205] }) : createTenant({})
+      ));
+
+      const summary = await refreshAllSmartSources();
+
+      expect(summary).toEqual({ tenants: 1, sourcesChecked: 1, moviesAdded: 1, errors: 0, complete: true });
+      expect(saved['user-a']).toBeDefined();
+      expect(storage.scan).toHaveBeenCalledWith('0', expect.objectContaining({ MATCH: 'tenant:*' }));
+      expect(storage.del).toHaveBeenCalledWith('smart-sources:cursor');
+    });
+
+    it('should stop after the time budget and resume on the next run', async () => {
+      mockLoadTenant.mockResolvedValue(createTenant({}));
+      const storage = mockTenantKeys([['tenant:user-a'], ['tenant:user-b'], ['tenant:user-c']]);
+
+      const first = await refreshAllSmartSources({ budgetMs: 0 });
+
+      expect(first.complete).toBe(false);
+      expect(storage.scan).toHaveBeenCalledTimes(1);
+      expect(storage.set).toHaveBeenCalledWith('smart-sources:cursor', '1', expect.any(Object));
+
+      storage.get.mockResolvedValue('1');
+      const second = await refreshAllSmartSources();
+
+      expect(second.complete).toBe(true);
+      expect(storage.scan.mock.calls.slice(1).map(call => call[0])).toEqual(['1', '2']);
+    });
+  });
+
+  describe('mergeAutoAddedMovies', () => {
+    const storedPeople = JSON.stringify([{
+      id: 525,
+      name: 'Christopher Nolan',
+      roles: [{
+        type: 'director',
+        autoInclude: true,
+        knownMovieIds: [27205, 872585],
+        movies: [
+          { id: 872585, title: 'Oppenheimer', imdb_id: 'tt15398776', autoAdded: true },
+          { id: 27205, title: 'Inception', imdb_id: 'tt1375666' }
+        ]
+      }]
+    }]);
+
+    it('should restore movies the client has not seen yet', () => {
+      const result = mergeAutoAddedMovies({
+        people: [{
+          id: 525,
+          name: 'Christopher Nolan',
+          roles: [{ type: 'director', autoInclude: true, movies: [{ id: 27205, title: 'Inception', imdb_id: 'tt1375666' }] }]
+        }]
+      }, storedPeople);
+
+      const role = result.people[0].roles[0];
+      expect(role.movies.map(movie => movie.id)).toEqual([872585, 27205]);
+      expect(role.knownMovieIds).toEqual([27205, 872585]);
+    });
+
+    it('should let the client deselect auto-added movies', () => {
+      const result = mergeAutoAddedMovies({
+        people: [{
+          id: 525,
+          name: 'Christopher Nolan',
+          roles: [{
+            type: 'director',
+            autoInclude: true,
+            movies: [{ id: 872585, title: 'Oppenheimer', imdb_id: 'tt15398776', autoAdded: true, selected: false }]
+          }]
+        }]
+      }, storedPeople);
+
+      expect(result.people[0].roles[0].movies).toEqual([
+        { id: 872585, title: 'Oppenheimer', imdb_id: 'tt15398776', autoAdded: true, selected: false }
+      ]);
+    });
+
+    it('should drop auto-added movies once the rule is turned off', () => {
+      const result = mergeAutoAddedMovies({
+        people: [{ id: 525, name: 'Christopher Nolan', roles: [{ type: 'director', autoInclude: false, movies: [] }] }]
+      }, storedPeople);
+
+      expect(result.people[0].roles[0].movies).toEqual([]);
+      expect(result.people[0].roles[0].knownMovieIds).toBeUndefined();
+    });
+
+    it('should tolerate missing client data', () => {
+      expect(mergeAutoAddedMovies({}, storedPeople)).toEqual({ people: [] });
+    });
+  });
+});
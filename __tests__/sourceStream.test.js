@@ -0,0 +1,142 @@
+/**
+ * @jest-environment node
+ */
+// Test server-side source streaming (SSE events for studios, filmographies and collections)
+
+const { formatSseEvent, streamSourceMovies } = require('../lib/sourceStream.js');
+const { getCachedResponse, resetTmdbCache } = require('../lib/tmdbCache.js');
+const { cleanup } = require('../lib/kv.js');
+
+const API_KEY = 'secret-tmdb-key-0123456789abcdef';
+
+function jsonResponse(data, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: () => null },
+    json: async () => data
+  };
+}
+
+function movie(id) {
+  return { id, title: `Movie ${id}`, release_date: `20${String(id % 100).padStart(2, '0')}-01-01`, vote_average: 7 };
+}
+
+// Minimal TMDb: studio 41077 has three discover pages, person 31 has 45 acting credits
+function mockTmdb(url) {
+  const { pathname, searchParams } = new URL(url);
+
+  if (pathname === '/3/company/41077') return jsonResponse({ id: 41077, name: 'A24' });
+  if (pathname === '/3/discover/movie') {
+    const page = Number(searchParams.get('page'));
+    const ids = [page * 10 + 1, page * 10 + 2];
+    return jsonResponse({ page, total_pages: 3, total_results: 6, results: ids.map(movie) });
+  }
+  if (pathname === '/3/person/31') return jsonResponse({ id: 31, name: 'Tom Hanks' });
+  if (pathname === '/3/person/31/movie_credits') {
+    return jsonResponse({ cast: Array.from({ length: 45 }, (_, i) => movie(500 + i)), crew: [] });
+  }
+  if (pathname === '/3/collection/10') {
+    return jsonResponse({ id: 10, name: 'Star Wars Collection', parts: [movie(901), movie(902)] });
+  }
+
+  const match = pathname.match(/^\/3\/movie\/(\d+)$/);
+  if (match) {
+    const id = Number(match[1]);
+    return jsonResponse({ ...movie(id), runtime: 100, genres: [{ name: 'Drama' }], external_ids: { imdb_id: `tt${String(id).padStart(7, '0')}` } });
+  }
+
+  return jsonResponse({}, 404);
+}
+
+async function collectEvents(options) {
+  const events = [];
+  await streamSourceMovies({
+    userId: 'stream-user',
+    tenant: { tmdbKey: API_KEY },
+    send: (event, data) => events.push({ event, data }),
+    ...options
+  });
+  return events;
+}
+
+describe('Source streaming', () => {
+  beforeEach(() => {
+    resetTmdbCache();
+    global.fetch.mockImplementation(async (url) => mockTmdb(url));
+  });
+
+  afterAll(() => {
+    cleanup();
+  });
+
+  it('should format Server-Sent Events', () => {
+    expect(formatSseEvent('progress', { percentage: 50 })).toBe('event: progress\ndata: {"percentage":50}\n\n');
+  });
+
+  it('should stream every studio page without exposing the TMDb key', async () => {
+    const events = await collectEvents({ sourceType: 'company', sourceId: 41077 });
+    const names = events.map(entry => entry.event);
+
+    expect(events[0]).toEqual({
+      event: 'start',
+      data: { sourceName: 'A24', sourceType: 'company', totalResults: 6, totalPages: 3 }
+    });
+    expect(names.filter(name => name === 'movies')).toHaveLength(3);
+    expect(names[names.length - 1]).toBe('complete');
+    expect(events[events.length - 1].data).toEqual({ totalFound: 6, withImdbIds: 6 });
+
+    const movies = events.filter(entry => entry.event === 'movies').flatMap(entry => entry.data.movies);
+    expect(movies.map(entry => entry.id).sort()).toEqual([11, 12, 21, 22, 31, 32]);
+    expect(movies[0]).toMatchObject({ imdb_id: 'tt0000011', selected: true, runtime: 100 });
+
+    expect(JSON.stringify(events)).not.toContain(API_KEY);
+  });
+
+  it('should write streamed pages to the shared TMDb cache', async () => {
+    await collectEvents({ sourceType: 'company', sourceId: 41077 });
+
+    const page = await getCachedResponse(`https://api.themoviedb.org/3/discover/movie?api_key=other&with_companies=41077&sort_by=release_date.desc&page=3`);
+    expect(page.results.map(entry => entry.id)).toEqual([31, 32]);
+  });
+
+  it('should enrich long filmographies in chunks', async () => {
+    const events = await collectEvents({ sourceType: 'person', sourceId: 31, roleType: 'actor' });
+
+    expect(events[0].data).toEqual({ sourceName: 'Tom Hanks', sourceType: 'person', totalResults: 45, totalPages: 2 });
+
+    const batches = events.filter(entry => entry.event === 'movies');
+    expect(batches.map(entry => entry.data.movies.length)).toEqual([40, 5]);
+
+    const progress = events.filter(entry => entry.event === 'progress').map(entry => entry.data);
+    expect(progress[progress.length - 1]).toEqual({
+      loadedPages: 2,
+      totalPages: 2,
+      moviesLoaded: 45,
+      totalEstimated: 45,
+      percentage: 100
+    });
+  });
+
+  it('should load collections in one batch', async () => {
+    const events = await collectEvents({ sourceType: 'collection', sourceId: 10 });
+
+    expect(events.map(entry => entry.event)).toEqual(['start', 'movies', 'progress', 'complete']);
+    expect(events[1].data.movies.map(entry => entry.id)).toEqual([902, 901]);
+  });
+
+  it('should report failures as stream-error events', async () => {
+    global.fetch.mockImplementation(async () => jsonResponse({ status_message: 'Invalid API key' }, 401));
+
+    const events = await collectEvents({ sourceType: 'person', sourceId: 32, roleType: 'actor' });
+    expect(events).toEqual([{ event: 'stream-error', data: { error: 'Invalid TMDb API key' } }]);
+  });
+
+  it('should stop quietly when the client disconnects', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const events = await collectEvents({ sourceType: 'person', sourceId: 31, roleType: 'actor', signal: controller.signal });
+    expect(events.map(entry => entry.event)).toEqual(['start']);
+  });
+});
@@ -2,7 +2,7 @@
  * @jest-environment node
  */
 // Test Redis connection and fallback to memory storage
-const { getStorage, getStorageStatus, saveTenant, loadTenant, cleanup } = require('../lib/kv.js');
+const { getStorage, getStorageStatus, saveTenant, loadTenant, updateTenant, cleanup } = require('../lib/kv.js');
 
 describe('Storage System', () => {
   afterAll(() => {
@@ -50,6 +50,41 @@ describe('Storage System', () => {
     expect(loadedData).toEqual(testData);
   });
 
+  it('should update tenants on top of the stored record', async () => {
+    const userId = 'update-user-123';
+
+    const created = await updateTenant(userId, current => (current ? null : { revision: 1 }));
+    expect(created).toEqual({ tenant: { revision: 1 }, updated: true });
+
+    // A mutator returning null leaves the record alone
+    const skipped = await updateTenant(userId, () => null);
+    expect(skipped).toEqual({ tenant: { revision: 1 }, updated: false });
+
+    // Two concurrent updates both land instead of one overwriting the other
+    const bump = current => ({ ...current, revision: current.revision + 1 });
+    await Promise.all([updateTenant(userId, bump), updateTenant(userId, bump)]);
+    expect((await loadTenant(userId)).revision).toBe(3);
+  });
+
+  it('should re-run the mutator when the record changes before the write', async () => {
+    const userId = 'update-user-456';
+    await saveTenant(userId, { revision: 1 });
+
+    let calls = 0;
+    const { tenant } = await updateTenant(userId, async current => {
+      calls++;
+      if (calls === 1) {
+        // Another request writes while this one is still working
+        await saveTenant(userId, { revision: 5 });
+      }
+      return { ...current, revision: current.revision + 1 };
+    });
+
+    expect(calls).toBe(2);
+    expect(tenant.revision).toBe(6);
+    expect(await loadTenant(userId)).toEqual({ revision: 6 });
+  });
+
   it('should return null for non-existent tenant', async () => {
     const nonExistentUserId = 'non-existent-user';
     const result = await loadTenant(nonExistentUserId);
@@ -0,0 +1,336 @@
+/**
+ * @jest-environment node
+ */
+// Test the storage adapters behind lib/kv.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MemoryStorage, FileStorage, RedisStorage, patternToRegExp } = require('../lib/storageAdapters.js');
+
+describe('Storage adapters', () => {
+  describe('patternToRegExp', () => {
+    it('should match Redis glob patterns', () => {
+      expect(patternToRegExp('tenant:*').test('tenant:abc')).toBe(true);
+      expect(patternToRegExp('tenant:*').test('user:abc')).toBe(false);
+      expect(patternToRegExp('rss:?').test('rss:a')).toBe(true);
+    });
+
+    it('should treat regex characters literally', () => {
+      expect(patternToRegExp('a.b').test('axb')).toBe(false);
+      expect(patternToRegExp('a.b').test('a.b')).toBe(true);
+    });
+  });
+
+  describe('MemoryStorage', () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = new MemoryStorage();
+    });
+
+    afterEach(() => {
+      storage.destroy();
+    });
+
+    it('should describe itself as a volatile adapter', () => {
+      expect(storage.name).toBe('memory');
+      expect(storage.persistent).toBe(false);
+    });
+
+    it('should delete keys', async () => {
+      await storage.set('tenant:1', 'a');
+      expect(await storage.del('tenant:1')).toBe(1);
+      expect(await storage.del('tenant:1')).toBe(0);
+      expect(await storage.get('tenant:1')).toBeNull();
+    });
+
+    it('should clear a previous TTL when a key is set without one', async () => {
+      await storage.set('key', 'a', { EX: 1 });
+      await storage.set('key', 'b');
+      expect(storage.expirations.has('key')).toBe(false);
+    });
+
+    it('should count with incr and restart once the counter expires', async () => {
+      expect(await storage.incr('counter', { EX: 60 })).toBe(1);
+      expect(await storage.incr('counter', { EX: 60 })).toBe(2);
+      expect(await storage.get('counter')).toBe('2');
+
+      storage.expirations.set('counter', Date.now() - 1);
+      expect(await storage.incr('counter', { EX: 60 })).toBe(1);
+    });
+
+    it('should keep capped lists newest first', async () => {
+      expect(await storage.lpush('log', 'a', { MAXLEN: 2, EX: 60 })).toBe(1);
+      await storage.lpush('log', 'b', { MAXLEN: 2 });
+      await storage.lpush('log', 'c', { MAXLEN: 2 });
+
+      expect(await storage.lrange('log', 0, -1)).toEqual(['c', 'b']);
+      expect(await storage.lrange('log', 0, 0)).toEqual(['c']);
+      expect(await storage.lrange('log', -1, -1)).toEqual(['b']);
+      expect(await storage.lrange('missing', 0, -1)).toEqual([]);
+      // A push without EX keeps the TTL, like LPUSH
+      expect(storage.expirations.has('log')).toBe(true);
+    });
+
+    it('should only write with compareAndSet while the expected value is stored', async () => {
+      expect(await storage.compareAndSet('tenant:abc', null, 'v1')).toBe(true);
+      expect(await storage.compareAndSet('tenant:abc', null, 'v2')).toBe(false);
+      expect(await storage.compareAndSet('tenant:abc', 'stale', 'v2')).toBe(false);
+      expect(await storage.get('tenant:abc')).toBe('v1');
+
+      expect(await storage.compareAndSet('tenant:abc', 'v1', 'v2', { EX: 60 })).toBe(true);
+      expect(await storage.get('tenant:abc')).toBe('v2');
+      expect(storage.expirations.has('tenant:abc')).toBe(true);
+
+      // An expired key counts as absent
+      storage.expirations.set('tenant:abc', Date.now() - 1);
+      expect(await storage.compareAndSet('tenant:abc', null, 'v3')).toBe(true);
+    });
+
+    it('should let only one of two concurrent writers win', async () => {
+      await storage.set('tenant:abc', 'v1');
+      const results = await Promise.all([
+        storage.compareAndSet('tenant:abc', 'v1', 'a'),
+        storage.compareAndSet('tenant:abc', 'v1', 'b')
+      ]);
+
+      expect(results).toEqual([true, false]);
+      expect(await storage.get('tenant:abc')).toBe('a');
+    });
+
+    it('should scan through all matching keys with a cursor', async () => {
+      for (let i = 0; i < 25; i++) {
+        await storage.set(`tenant:${i}`, 'x');
+        await storage.set(`user:${i}`, 'y');
+      }
+
+      const found = [];
+      let cursor = '0';
+      let rounds = 0;
+      do {
+        const result = await storage.scan(cursor, { MATCH: 'tenant:*', COUNT: 10 });
+        found.push(...result.keys);
+        cursor = result.cursor;
+        rounds++;
+      } while (cursor !== '0');
+
+      expect(found).toHaveLength(25);
+      expect(found.every(key => key.startsWith('tenant:'))).toBe(true);
+      expect(rounds).toBe(5);
+    });
+  });
+
+  describe('FileStorage', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'helparr-storage-'));
+      filePath = path.join(dir, 'nested', 'store.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should describe itself as a persistent adapter', () => {
+      const storage = new FileStorage(filePath);
+      expect(storage.name).toBe('file');
+      expect(storage.persistent).toBe(true);
+      storage.destroy();
+    });
+
+    it('should persist data across instances', async () => {
+      const first = new FileStorage(filePath);
+      await first.set('tenant:abc', JSON.stringify({ tenantSecret: 's' }));
+      await first.set('rss:abc', '<rss/>', { EX: 3600 });
+      await first.flush();
+
+      const second = new FileStorage(filePath);
+      expect(JSON.parse(await second.get('tenant:abc'))).toEqual({ tenantSecret: 's' });
+      expect(await second.get('rss:abc')).toBe('<rss/>');
+      expect(second.expirations.has('rss:abc')).toBe(true);
+
+      first.destroy();
+      second.destroy();
+    });
+
+    it('should persist lists', async () => {
+      const first = new FileStorage(filePath);
+      await first.lpush('log', 'a');
+      await first.lpush('log', 'b');
+      await first.flush();
+
+      const second = new FileStorage(filePath);
+      expect(await second.lrange('log', 0, -1)).toEqual(['b', 'a']);
+
+      first.destroy();
+      second.destroy();
+    });
+
+    it('should flush pending writes on destroy', async () => {
+      const storage = new FileStorage(filePath, { flushDelay: 60000 });
+      await storage.set('tenant:abc', 'data');
+      storage.destroy();
+
+      const reloaded = new FileStorage(filePath);
+      expect(await reloaded.get('tenant:abc')).toBe('data');
+      reloaded.destroy();
+    });
+
+    it('should persist deletions', async () => {
+      const storage = new FileStorage(filePath);
+      await storage.set('tenant:abc', 'data');
+      await storage.del('tenant:abc');
+      await storage.flush();
+
+      const reloaded = new FileStorage(filePath);
+      expect(await reloaded.get('tenant:abc')).toBeNull();
+
+      storage.destroy();
+      reloaded.destroy();
+    });
+
+    it('should skip expired entries when loading', async () => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify({
+        version: 1,
+        entries: {
+          fresh: { value: 'a', expiresAt: Date.now() + 60000 },
+          stale: { value: 'b', expiresAt: Date.now() - 1000 },
+          forever: { value: 'c', expiresAt: null }
+        }
+      }));
+
+      const storage = new FileStorage(filePath);
+      expect(await storage.keys('*')).toEqual(['fresh', 'forever']);
+      storage.destroy();
+    });
+
+    it('should move a corrupt file aside and start empty', async () => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, '{not json');
+
+      const storage = new FileStorage(filePath);
+      expect(storage.size).toBe(0);
+      expect(fs.readdirSync(path.dirname(filePath)).some(name => name.startsWith('store.json.corrupt-'))).toBe(true);
+      storage.destroy();
+    });
+  });
+
+  describe('RedisStorage', () => {
+    it('should delegate to the Redis client and normalize scan results', async () => {
+      const client = {
+        isOpen: true,
+        get: jest.fn().mockResolvedValue('value'),
+        set: jest.fn().mockResolvedValue('OK'),
+        del: jest.fn().mockResolvedValue(1),
+        keys: jest.fn().mockResolvedValue(['tenant:1']),
+        scan: jest.fn().mockResolvedValue({ cursor: 0, keys: ['tenant:1'] }),
+        ping: jest.fn().mockResolvedValue('PONG')
+      };
+      const storage = new RedisStorage(client);
+
+      expect(storage.name).toBe('redis');
+      expect(storage.isOpen).toBe(true);
+      expect(await storage.get('k')).toBe('value');
+      await storage.set('k', 'v', { EX: 10 });
+      expect(client.set).toHaveBeenCalledWith('k', 'v', { EX: 10 });
+      expect(await storage.del('k')).toBe(1);
+      expect(await storage.scan('0', { MATCH: 'tenant:*' })).toEqual({ cursor: '0', keys: ['tenant:1'] });
+      expect(client.scan).toHaveBeenCalledWith('0', { MATCH: 'tenant:*', COUNT: 10 });
+    });
+
+    it('should increment and refresh the TTL in one transaction', async () => {
+      const transaction = { incr: jest.fn(), expire: jest.fn(), exec: jest.fn().mockResolvedValue([3, true]) };
+      transaction.incr.mockReturnValue(transaction);
+      transaction.expire.mockReturnValue(transaction);
+      const storage = new RedisStorage({ multi: () => transaction });
+
+      expect(await storage.incr('ratelimit:feed:1.2.3.4:1', { EX: 120 })).toBe(3);
+      expect(transaction.incr).toHaveBeenCalledWith('ratelimit:feed:1.2.3.4:1');
+      expect(transaction.expire).toHaveBeenCalledWith('ratelimit:feed:1.2.3.4:1', 120);
+    });
+
+    it('should push, trim and refresh the TTL of a list in one transaction', async () => {
+      const transaction = { lPush: jest.fn(), lTrim: jest.fn(), expire: jest.fn(), exec: jest.fn().mockResolvedValue([501, 'OK', true]) };
+      transaction.lPush.mockReturnValue(transaction);
+      transaction.lTrim.mockReturnValue(transaction);
+      transaction.expire.mockReturnValue(transaction);
+      const client = { multi: () => transaction, lRange: jest.fn().mockResolvedValue(['entry']) };
+      const storage = new RedisStorage(client);
+
+      expect(await storage.lpush('feed-access-polls:abc', 'entry', { MAXLEN: 500, EX: 60 })).toBe(501);
+      expect(transaction.lPush).toHaveBeenCalledWith('feed-access-polls:abc', 'entry');
+      expect(transaction.lTrim).toHaveBeenCalledWith('feed-access-polls:abc', 0, 499);
+      expect(transaction.expire).toHaveBeenCalledWith('feed-access-polls:abc', 60);
+
+      expect(await storage.lrange('feed-access-polls:abc', 0, -1)).toEqual(['entry']);
+      expect(client.lRange).toHaveBeenCalledWith('feed-access-polls:abc', 0, -1);
+    });
+
+    it('should compare and set in a single script', async () => {
+      const client = { eval: jest.fn().mockResolvedValueOnce(1).mockResolvedValueOnce(0) };
+      const storage = new RedisStorage(client);
+
+      expect(await storage.compareAndSet('tenant:abc', 'old', 'new', { EX: 60 })).toBe(true);
+      expect(client.eval).toHaveBeenCalledWith(expect.stringContaining("redis.call('GET', KEYS[1])"), {
+        keys: ['tenant:abc'],
+        arguments: ['1', 'old', 'new', '60']
+      });
+
+      expect(await storage.compareAndSet('tenant:abc', null, 'new')).toBe(false);
+      expect(client.eval).toHaveBeenLastCalledWith(expect.any(String), {
+        keys: ['tenant:abc'],
+        arguments: ['0', '', 'new', '']
+      });
+    });
+  });
+
+  describe('backend selection in lib/kv.js', () => {
+    const originalEnv = { ...process.env };
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'helparr-kv-'));
+    });
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should use the file adapter when STORAGE_BACKEND=file', async () => {
+      process.env.STORAGE_BACKEND = 'file';
+      process.env.STORAGE_FILE_PATH = path.join(dir, 'store.json');
+
+      let kv;
+      jest.isolateModules(() => {
+        kv = require('../lib/kv.js');
+      });
+
+      const storage = await kv.getStorage();
+      expect(storage.name).toBe('file');
+
+      await kv.saveTenant('abc', { tenantSecret: 's' });
+      const status = kv.getStorageStatus();
+      expect(status).toMatchObject({ mode: 'file', adapter: 'file', persistent: true, fileEntries: 1 });
+
+      kv.cleanup();
+      expect(JSON.parse(fs.readFileSync(process.env.STORAGE_FILE_PATH, 'utf8')).entries).toHaveProperty('tenant:abc');
+    });
+
+    it('should default to memory without REDIS_URL and ignore unknown backends', () => {
+      delete process.env.REDIS_URL;
+      process.env.STORAGE_BACKEND = 'sqlite';
+
+      let kv;
+      jest.isolateModules(() => {
+        kv = require('../lib/kv.js');
+      });
+
+      expect(kv.getConfiguredBackend()).toBe('memory');
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * @jest-environment node
+ */
+// Test envelope encryption of sensitive tenant fields
+
+const crypto = require('crypto');
+
+const { sealTenant, openTenant, isEncryptedValue, getEncryptionStatus } = require('../lib/tenantCrypto.js');
+const { getStorage, saveTenant, loadTenant, cleanup, TenantUnreadableError } = require('../lib/kv.js');
+
+const OLD_KEY = crypto.randomBytes(32).toString('base64');
+const NEW_KEY = crypto.randomBytes(32).toString('hex');
+const TMDB_KEY = 'a1b2c3d4e5f67890123456789abcdef0';
+
+const tenant = {
+  tenantSecret: 'secret',
+  tmdbKey: TMDB_KEY,
+  radarrConfig: JSON.stringify({ url: 'http://radarr:7878', apiKey: '0123456789abcdef0123456789abcdef' }),
+  selectedMovies: '[]'
+};
+
+describe('Tenant encryption', () => {
+  afterEach(() => {
+    delete process.env.TENANT_ENCRYPTION_KEY;
+    delete process.env.TENANT_ENCRYPTION_KEYS;
+  });
+
+  afterAll(() => {
+    cleanup();
+  });
+
+  it('should leave tenants untouched without a master key', () => {
+    expect(sealTenant(tenant)).toBe(tenant);
+    expect(openTenant(tenant)).toEqual({ tenant, needsReseal: false });
+    expect(getEncryptionStatus().enabled).toBe(false);
+  });
+
+  it('should encrypt sensitive fields and decrypt them again', () => {
+    process.env.TENANT_ENCRYPTION_KEY = OLD_KEY;
+
+    const sealed = sealTenant(tenant);
+    expect(isEncryptedValue(sealed.tmdbKey)).toBe(true);
+    expect(isEncryptedValue(sealed.radarrConfig)).toBe(true);
+    expect(sealed.selectedMovies).toBe('[]');
+    expect(sealed.encryption).toMatchObject({ version: 1, keyId: 'primary' });
+    expect(JSON.stringify(sealed)).not.toContain(TMDB_KEY);
+    expect(JSON.stringify(sealed)).not.toContain('0123456789abcdef0123456789abcdef');
+
+    // A fresh data key per save
+    expect(sealTenant(tenant).tmdbKey).not.toBe(sealed.tmdbKey);
+
+    expect(openTenant(sealed)).toEqual({ tenant, needsReseal: false });
+  });
+
+  it('should flag plaintext and old-key records for re-encryption', () => {
+    process.env.TENANT_ENCRYPTION_KEY = OLD_KEY;
+    const sealedWithOld = sealTenant(tenant);
+    expect(openTenant(tenant).needsReseal).toBe(true);
+
+    process.env.TENANT_ENCRYPTION_KEYS = `2026-10:${NEW_KEY},primary:${OLD_KEY}`;
+    const opened = openTenant(sealedWithOld);
+    expect(opened).toEqual({ tenant, needsReseal: true });
+    expect(sealTenant(opened.tenant).encryption.keyId).toBe('2026-10');
+  });
+
+  it('should refuse records whose key is missing or tampered with', () => {
+    process.env.TENANT_ENCRYPTION_KEY = OLD_KEY;
+    const sealed = sealTenant(tenant);
+
+    const tampered = { ...sealed, tmdbKey: sealed.tmdbKey.slice(0, -2) + (sealed.tmdbKey.endsWith('AA') ? 'BB' : 'AA') };
+    expect(() => openTenant(tampered)).toThrow();
+
+    process.env.TENANT_ENCRYPTION_KEY = NEW_KEY; // Same id, different key
+    expect(() => openTenant(sealed)).toThrow();
+
+    process.env.TENANT_ENCRYPTION_KEYS = `2026-10:${NEW_KEY}`;
+    expect(() => openTenant(sealed)).toThrow('Tenant encryption key "primary" is not configured');
+  });
+
+  it('should report malformed keys', () => {
+    process.env.TENANT_ENCRYPTION_KEY = 'too-short';
+    expect(() => sealTenant(tenant)).toThrow('32-byte');
+    expect(getEncryptionStatus()).toEqual({ enabled: false, error: expect.stringContaining('32-byte') });
+
+    process.env.TENANT_ENCRYPTION_KEYS = `no-colon-${OLD_KEY}`;
+    expect(getEncryptionStatus().error).toMatch(/<id>:<32-byte/);
+  });
+
+  it('should migrate plaintext tenants when they are loaded', async () => {
+    const storage = await getStorage();
+    await storage.set('tenant:legacy-user', JSON.stringify(tenant));
+
+    process.env.TENANT_ENCRYPTION_KEY = OLD_KEY;
+    expect(await loadTenant('legacy-user')).toEqual(tenant);
+
+    const stored = await storage.get('tenant:legacy-user');
+    expect(stored).not.toContain(TMDB_KEY);
+    expect(JSON.parse(stored).encryption.keyId).toBe('primary');
+
+    await saveTenant('legacy-user', { ...tenant, movieCount: 3 });
+    expect(await loadTenant('legacy-user')).toEqual({ ...tenant, movieCount: 3 });
+  });
+
+  it('should not mistake an unreadable tenant for a missing one', async () => {
+    process.env.TENANT_ENCRYPTION_KEY = OLD_KEY;
+    await saveTenant('retired-key-user', tenant);
+    const storage = await getStorage();
+    const stored = await storage.get('tenant:retired-key-user');
+
+    process.env.TENANT_ENCRYPTION_KEYS = `2026-10:${NEW_KEY}`;
+    await expect(loadTenant('retired-key-user')).rejects.toBeInstanceOf(TenantUnreadableError);
+    expect(await storage.get('tenant:retired-key-user')).toBe(stored);
+
+    expect(await loadTenant('never-created')).toBeNull();
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * @jest-environment node
+ */
+// Test the shared TMDb response cache (memory LRU + Redis tier)
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'helparr-tmdb-cache-'));
+process.env.STORAGE_BACKEND = 'file';
+process.env.STORAGE_FILE_PATH = path.join(tmpDir, 'store.json');
+
+const {
+  TMDB_CACHE_TTLS,
+  describeTmdbUrl,
+  cachedTmdbRequest,
+  fetchCachedTmdbJson,
+  getTmdbCacheStats,
+  resetTmdbCache
+} = require('../lib/tmdbCache.js');
+const { getStorage, getCacheStorage, cleanup } = require('../lib/kv.js');
+const { MemoryStorage } = require('../lib/storageAdapters.js');
+
+const TMDB = 'https://api.themoviedb.org/3';
+
+describe('TMDb cache', () => {
+  beforeEach(() => {
+    resetTmdbCache();
+    delete process.env.TMDB_CACHE_MAX_ENTRIES;
+  });
+
+  afterAll(() => {
+    cleanup();
+    delete process.env.STORAGE_BACKEND;
+    delete process.env.STORAGE_FILE_PATH;
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('describeTmdbUrl', () => {
+    it('should classify endpoints and drop the API key from the cache key', () => {
+      expect(describeTmdbUrl(`${TMDB}/person/31/movie_credits?api_key=abc`)).toEqual({
+        kind: 'personCredits',
+        key: 'tmdb:personCredits:/person/31/movie_credits',
+        ttl: TMDB_CACHE_TTLS.personCredits
+      });
+      expect(describeTmdbUrl(`${TMDB}/movie/550?api_key=abc`).kind).toBe('movie');
+      expect(describeTmdbUrl(`${TMDB}/collection/10?api_key=abc`).kind).toBe('collection');
+      expect(describeTmdbUrl(`${TMDB}/search/person?api_key=abc&query=Tom`).kind).toBe('search');
+      expect(describeTmdbUrl(`${TMDB}/configuration`).kind).toBe('default');
+    });
+
+    it('should share keys between tenants and normalize parameter order', () => {
+      const a = describeTmdbUrl(`${TMDB}/discover/movie?api_key=one&with_companies=41077&page=2`);
+      const b = describeTmdbUrl(`${TMDB}/discover/movie?page=2&with_companies=41077&api_key=two`);
+
+      expect(a.key).toBe(b.key);
+      expect(a.key).toBe('tmdb:discover:/discover/movie?page=2&with_companies=41077');
+    });
+  });
+
+  // Storage outlives resetTmdbCache(), so each test uses its own URLs
+  describe('cachedTmdbRequest', () => {
+    const url = `${TMDB}/movie/550?api_key=abc`;
+
+    it('should call the loader once and serve later requests from memory', async () => {
+      const loader = jest.fn().mockResolvedValue({ id: 550, title: 'Fight Club' });
+
+      expect(await cachedTmdbRequest(url, loader)).toEqual({ id: 550, title: 'Fight Club' });
+      expect(await cachedTmdbRequest(`${TMDB}/movie/550?api_key=other`, loader)).toEqual({ id: 550, title: 'Fight Club' });
+      expect(loader).toHaveBeenCalledTimes(1);
+
+      const stats = getTmdbCacheStats();
+      expect(stats).toMatchObject({ hits: 1, memoryHits: 1, misses: 1, writes: 1, hitRate: 50 });
+      expect(stats.byKind.movie).toEqual({ hits: 1, misses: 1 });
+    });
+
+    it('should share one request between concurrent misses', async () => {
+      let resolveLoad;
+      const loader = jest.fn(() => new Promise(resolve => { resolveLoad = resolve; }));
+
+      const movieUrl = `${TMDB}/movie/13?api_key=abc`;
+
+      const first = cachedTmdbRequest(movieUrl, loader);
+      const second = cachedTmdbRequest(movieUrl, loader);
+      await new Promise(resolve => setImmediate(resolve));
+      resolveLoad({ id: 13 });
+
+      expect(await first).toEqual({ id: 13 });
+      expect(await second).toEqual({ id: 13 });
+      expect(loader).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not cache failures', async () => {
+      const movieUrl = `${TMDB}/movie/680?api_key=abc`;
+      const loader = jest.fn()
+        .mockRejectedValueOnce(new Error('TMDb API error: 500'))
+        .mockResolvedValueOnce({ id: 680 });
+
+      await expect(cachedTmdbRequest(movieUrl, loader)).rejects.toThrow('TMDb API error: 500');
+      expect(await cachedTmdbRequest(movieUrl, loader)).toEqual({ id: 680 });
+      expect(loader).toHaveBeenCalledTimes(2);
+    });
+
+    it('should evict the least recently used entries', async () => {
+      process.env.TMDB_CACHE_MAX_ENTRIES = '2';
+      const load = id => cachedTmdbRequest(`${TMDB}/person/${id}?api_key=abc`, async () => ({ id }));
+
+      await load(1);
+      await load(2);
+      await load(1); // 1 is now the most recent
+      await load(3); // evicts 2
+
+      const stats = getTmdbCacheStats();
+      expect(stats.memoryEntries).toBe(2);
+      expect(stats.evictions).toBe(1);
+      expect(stats.maxMemoryEntries).toBe(2);
+    });
+
+    it('should keep responses out of the file store', async () => {
+      const creditsUrl = `${TMDB}/person/31/movie_credits?api_key=abc`;
+      await cachedTmdbRequest(creditsUrl, async () => ({ cast: [{ id: 13 }] }));
+
+      const storage = await getStorage();
+      expect(storage.name).toBe('file');
+      expect(await storage.keys('tmdb:*')).toEqual([]);
+      expect((await getCacheStorage()).persistent).toBe(false);
+    });
+
+    it('should reuse responses from Redis after a restart', async () => {
+      const redisLike = new MemoryStorage();
+      redisLike.name = 'redis';
+      redisLike.persistent = true;
+
+      let isolated;
+      jest.isolateModules(() => {
+        jest.doMock('../lib/kv.js', () => ({ getCacheStorage: async () => redisLike }));
+        isolated = require('../lib/tmdbCache.js');
+      });
+
+      const creditsUrl = `${TMDB}/person/31/movie_credits?api_key=abc`;
+      await isolated.cachedTmdbRequest(creditsUrl, async () => ({ cast: [{ id: 13 }] }));
+      expect(JSON.parse(await redisLike.get('tmdb:personCredits:/person/31/movie_credits'))).toEqual({ cast: [{ id: 13 }] });
+
+      isolated.resetTmdbCache(); // Simulates a fresh process: memory tier is empty
+      const loader = jest.fn();
+      expect(await isolated.cachedTmdbRequest(creditsUrl, loader)).toEqual({ cast: [{ id: 13 }] });
+      expect(loader).not.toHaveBeenCalled();
+      expect(isolated.getTmdbCacheStats().storageHits).toBe(1);
+
+      jest.dontMock('../lib/kv.js');
+      redisLike.destroy();
+    });
+  });
+
+  describe('fetchCachedTmdbJson', () => {
+    it('should surface TMDb status codes without caching errors', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: false, status: 404 });
+
+      await expect(fetchCachedTmdbJson(`${TMDB}/person/999999999?api_key=abc`)).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'TMDB_ERROR'
+      });
+      expect(getTmdbCacheStats().writes).toBe(0);
+    });
+
+    it('should cache successful responses', async () => {
+      global.fetch.mockResolvedValueOnce({ ok: true, status: 200, json: async () => ({ id: 10, name: 'Star Wars Collection' }) });
+
+      const url = `${TMDB}/collection/10?api_key=abc`;
+      await fetchCachedTmdbJson(url);
+      expect(await fetchCachedTmdbJson(url)).toEqual({ id: 10, name: 'Star Wars Collection' });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+});
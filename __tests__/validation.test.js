@@ -191,6 +191,64 @@ describe('Validation Utilities', () => {
     });
   });
 
+  describe('nested schemas', () => {
+    const schema = {
+      people: {
+        type: 'array',
+        required: true,
+        options: {
+          items: {
+            type: 'object',
+            options: {
+              allowUnknown: true,
+              properties: {
+                id: { type: 'number', required: true, options: { strict: true, integer: true } },
+                roles: { type: 'array', options: { items: { type: 'string', options: { pattern: /^(actor|director)$/ } } } }
+              }
+            }
+          }
+        }
+      }
+    };
+
+    it('should validate objects inside arrays and keep unlisted fields when allowed', () => {
+      const result = validateRequestBody({ people: [{ id: 1, name: ' Kept ', roles: ['actor'] }] }, schema);
+
+      expect(result.valid).toBe(true);
+      expect(result.data.people).toEqual([{ id: 1, name: ' Kept ', roles: ['actor'] }]);
+    });
+
+    it('should report the path of every nested error', () => {
+      const result = validateRequestBody({ people: [{ id: 1, roles: ['actor'] }, { id: '2', roles: ['actor', 'grip'] }] }, schema);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        { field: 'people[1].id', error: 'Value must be a number' },
+        { field: 'people[1].roles[1]', error: 'String format is invalid' }
+      ]);
+    });
+
+    it('should reject unknown nested fields unless allowed', () => {
+      const strict = { type: 'object', options: { properties: { id: { type: 'number' } } } };
+      const result = validateRequestBody({ source: { id: 1, extra: true } }, { source: strict });
+
+      expect(result.errors).toEqual([{ field: 'source.extra', error: 'Unknown field' }]);
+    });
+
+    it('should replace nested errors with a rule message', () => {
+      const result = validateRequestBody({ movie: { title: '' } }, {
+        movie: { type: 'object', options: { properties: { title: { type: 'string', required: true } } }, message: 'Invalid movie' }
+      });
+
+      expect(result.errors).toEqual([{ field: 'movie', error: 'Invalid movie' }]);
+    });
+
+    it('should refuse numeric strings for strict numbers', () => {
+      expect(validators.number('42', { strict: true }).valid).toBe(false);
+      expect(validators.number(42, { strict: true }).valid).toBe(true);
+    });
+  });
+
   describe('createValidationMiddleware', () => {
     const schema = {
       query: { type: 'string', required: true }
@@ -220,6 +278,37 @@ describe('Validation Utilities', () => {
       expect(result.status).toBe(400);
     });
 
+    it('should read Fetch API request bodies', async () => {
+      const middleware = createValidationMiddleware(schema);
+
+      const valid = await middleware(new Request('http://localhost/api/search', { method: 'POST', body: JSON.stringify({ query: 'test' }) }));
+      expect(valid.data).toEqual({ query: 'test' });
+
+      const notObject = await middleware(new Request('http://localhost/api/search', { method: 'POST', body: '[]' }));
+      expect(notObject.valid).toBe(false);
+      expect(notObject.status).toBe(400);
+    });
+
+    it('should validate DELETE request bodies', async () => {
+      const middleware = createValidationMiddleware(schema);
+
+      const valid = await middleware(new Request('http://localhost/api/search', { method: 'DELETE', body: JSON.stringify({ query: 'test' }) }));
+      expect(valid.data).toEqual({ query: 'test' });
+
+      const malformed = await middleware(new Request('http://localhost/api/search', { method: 'DELETE', body: '{"query":' }));
+      expect(malformed).toMatchObject({ valid: false, status: 400, error: 'Invalid JSON in request body' });
+    });
+
+    it('should leave fields marked sanitize: false as sent', async () => {
+      const middleware = createValidationMiddleware({
+        query: { type: 'string', required: true },
+        passphrase: { type: 'string', sanitize: false, options: { trim: false } }
+      });
+
+      const result = await middleware({ method: 'POST', body: { query: '<b>test</b>', passphrase: ' <b>onion=</b> ' } });
+      expect(result.data).toEqual({ query: 'test', passphrase: ' <b>onion=</b> ' });
+    });
+
     it('should validate GET query parameters', async () => {
       const middleware = createValidationMiddleware(schema);
       const req = {
@@ -16,10 +16,7 @@ const handler = createApiHandler({
   },
   cors: true,
   logging: true,
-  rateLimit: {
-    maxRequests: 10,
-    windowMs: 60 * 1000 // 10 requests per minute for admin endpoints
-  }
+  rateLimit: { policy: 'admin' } // 10 requests per minute (lib/rateLimit.js)
 });
 
 // GET /api/admin/keys - List all API keys
@@ -0,0 +1,101 @@
+// app/api/auth/account/route.js
+// Account name and passphrase used to sign in on other devices
+
+import { updateTenant } from '../../../../lib/kv';
+import {
+  normalizeAccountName,
+  validatePassphrase,
+  verifyPassphrase,
+  getTenantAccount,
+  describeAccount,
+  claimAccountName,
+  releaseAccountName,
+  setAccountCredentials
+} from '../../../../lib/accountAuth';
+import { authorizeTenantRequest } from '../../../../utils/requestAuth';
+import { createApiHandler } from '../../../../utils/apiMiddleware';
+import { routeSchemas } from '../../../../utils/apiSchemas';
+
+const postHandler = createApiHandler({ validation: routeSchemas.accountPost, cors: false });
+
+// Account status (never the passphrase hash)
+export async function GET(request) {
+  try {
+    const url = new URL(request.url);
+    const userId = url.searchParams.get('userId');
+    const { tenant, auth, error } = await authorizeTenantRequest(userId, `account:${userId}`, url.searchParams.get('sig') || '');
+    if (error) return error;
+
+    return Response.json({
+      account: describeAccount(tenant),
+      signedInWith: auth.method === 'session' ? 'session' : 'secret'
+    });
+  } catch (error) {
+    console.error('Account Error:', error);
+    return Response.json({ error: 'Failed to load account' }, { status: 500 });
+  }
+}
+
+// Set the account name and passphrase; changing an existing passphrase needs the current one
+export const POST = postHandler(async (request, { userId, accountName, passphrase, currentPassphrase }) => {
+  try {
+    const url = new URL(request.url);
+
+    const { tenant, error } = await authorizeTenantRequest(userId, `account:${userId}`, url.searchParams.get('sig') || '');
+    if (error) return error;
+
+    const nameValidation = normalizeAccountName(accountName);
+    if (!nameValidation.valid) {
+      return Response.json({ error: nameValidation.error }, { status: 400 });
+    }
+
+    const passphraseValidation = validatePassphrase(passphrase);
+    if (!passphraseValidation.valid) {
+      return Response.json({ error: passphraseValidation.error }, { status: 400 });
+    }
+
+    const existing = getTenantAccount(tenant);
+    if (existing && existing.passphraseHash && !(await verifyPassphrase(currentPassphrase, existing.passphraseHash))) {
+      return Response.json({ error: 'Current passphrase is incorrect' }, { status: 403 });
+    }
+
+    const { accountName: name } = nameValidation;
+    let claimed;
+    try {
+      claimed = await claimAccountName(userId, name);
+    } catch (accountError) {
+      return Response.json({ error: accountError.message }, { status: accountError.statusCode || 400 });
+    }
+
+    // Only the account field is written, onto the record as stored now; if the account itself
+    // changed since it was checked above, the passphrase check has to run again
+    const updatedTenant = await setAccountCredentials(tenant, { accountName: name, passphrase });
+    let updated = false;
+    try {
+      ({ updated } = await updateTenant(userId, current => (
+        current && current.account === tenant.account
+          ? { ...current, account: updatedTenant.account }
+          : null
+      )));
+    } finally {
+      // The tenant still holds its old name, so a name claimed for it goes back
+      if (!updated && claimed) {
+        await releaseAccountName(userId, name);
+      }
+    }
+    if (!updated) {
+      return Response.json({ error: 'The account changed on another device, please try again' }, { status: 409 });
+    }
+    if (existing && existing.name !== name) {
+      await releaseAccountName(userId, existing.name);
+    }
+    console.log(`User ${userId} ${existing ? 'updated' : 'created'} account ${name}`);
+
+    return Response.json({ account: describeAccount(updatedTenant) });
+  } catch (error) {
+    console.error('Account Error:', error);
+    return Response.json({ error: 'Failed to save account' }, { status: 500 });
+  }
+});
+
+export const dynamic = 'force-dynamic';
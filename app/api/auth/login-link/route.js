@@ -0,0 +1,33 @@
+// app/api/auth/login-link/route.js
+// One-time sign-in link for adding a device, created on a device that is already signed in
+
+import { signToken } from '../../../../utils/hmac';
+import { createLoginLink, LOGIN_LINK_TTL_SECONDS } from '../../../../lib/accountAuth';
+import { authorizeTenantRequest } from '../../../../utils/requestAuth';
+import { createApiHandler } from '../../../../utils/apiMiddleware';
+import { routeSchemas } from '../../../../utils/apiSchemas';
+
+const handler = createApiHandler({ validation: routeSchemas.loginLink, cors: false });
+
+export const POST = handler(async (request, { userId }) => {
+  try {
+    const url = new URL(request.url);
+
+    const { tenant, error } = await authorizeTenantRequest(userId, `account:${userId}`, url.searchParams.get('sig') || '');
+    if (error) return error;
+
+    // Signed with the tenant secret, so rotating it also cancels outstanding links
+    const jti = await createLoginLink(userId);
+    const loginToken = signToken({ sub: userId, purpose: 'login', jti }, tenant.tenantSecret, LOGIN_LINK_TTL_SECONDS);
+
+    return Response.json({
+      loginUrl: `${url.origin}/?login=${encodeURIComponent(loginToken)}`,
+      expiresAt: new Date(Date.now() + LOGIN_LINK_TTL_SECONDS * 1000).toISOString()
+    });
+  } catch (error) {
+    console.error('Login Link Error:', error);
+    return Response.json({ error: 'Failed to create sign-in link' }, { status: 500 });
+  }
+});
+
+export const dynamic = 'force-dynamic';
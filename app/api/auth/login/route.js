@@ -0,0 +1,103 @@
+// app/api/auth/login/route.js
+// Sign a device in with an account passphrase or a one-time sign-in link
+
+import { sign, decodeToken, verifyToken } from '../../../../utils/hmac';
+import { loadTenant } from '../../../../lib/kv';
+import {
+  normalizeAccountName,
+  verifyPassphrase,
+  getTenantAccount,
+  findAccountUserId,
+  isLoginLocked,
+  recordLoginFailure,
+  clearLoginFailures,
+  createSession,
+  consumeLoginLink
+} from '../../../../lib/accountAuth';
+import { getClientIP } from '../../../../lib/rateLimit';
+import { getTenantFeeds, buildFeedUrls } from '../../../../utils/feeds';
+import { getCollectionState } from '../../../../utils/collectionSync';
+import { createApiHandler } from '../../../../utils/apiMiddleware';
+import { routeSchemas } from '../../../../utils/apiSchemas';
+
+// Resolve the user behind a sign-in link; the link works once
+async function loginWithLink(loginToken) {
+  const claims = decodeToken(loginToken);
+  const tenant = claims && typeof claims.sub === 'string' ? await loadTenant(claims.sub) : null;
+  const verified = tenant ? verifyToken(loginToken, tenant.tenantSecret) : null;
+
+  if (!verified || verified.purpose !== 'login' || !(await consumeLoginLink(verified.jti, verified.sub))) {
+    return { error: Response.json({ error: 'This sign-in link is invalid, used or expired' }, { status: 401 }) };
+  }
+
+  return { userId: verified.sub, tenant };
+}
+
+async function loginWithPassphrase(accountNameInput, passphrase, clientIP) {
+  const nameValidation = normalizeAccountName(accountNameInput);
+  if (!nameValidation.valid || typeof passphrase !== 'string' || !passphrase) {
+    return { error: Response.json({ error: 'Enter your account name and passphrase' }, { status: 400 }) };
+  }
+
+  const { accountName } = nameValidation;
+  if (await isLoginLocked(accountName, clientIP)) {
+    return { error: Response.json({ error: 'Too many failed attempts. Try again in 15 minutes.' }, { status: 429 }) };
+  }
+
+  const userId = await findAccountUserId(accountName);
+  const tenant = userId ? await loadTenant(userId) : null;
+  const account = getTenantAccount(tenant);
+
+  // Same answer for unknown names and wrong passphrases
+  if (!account || account.name !== accountName || !(await verifyPassphrase(passphrase, account.passphraseHash))) {
+    await recordLoginFailure(accountName, clientIP);
+    return { error: Response.json({ error: 'Incorrect account name or passphrase' }, { status: 401 }) };
+  }
+
+  await clearLoginFailures(accountName, clientIP);
+  return { userId, tenant };
+}
+
+// Unauthenticated and expensive (scrypt), so every attempt counts against the caller's address,
+// malformed ones included (the limit is checked before the body)
+const handler = createApiHandler({
+  validation: routeSchemas.login,
+  rateLimit: { policy: 'login', message: 'Too many sign-in attempts. Please try again later.' },
+  cors: false
+});
+
+export const POST = handler(async (request, { accountName, passphrase, loginToken, deviceName }) => {
+  try {
+    const clientIP = getClientIP(request);
+
+    const { userId, tenant, error } = loginToken
+      ? await loginWithLink(loginToken)
+      : await loginWithPassphrase(accountName, passphrase, clientIP);
+    if (error) return error;
+
+    const method = loginToken ? 'link' : 'passphrase';
+    const { session, deviceCredential } = await createSession(userId, { deviceName, method });
+
+    // The device gets its own credential plus server-signed feed URLs, never the tenant secret
+    const feeds = getTenantFeeds(tenant);
+    const { rssUrl, listUrl, feedUrls } = buildFeedUrls(userId, feeds, data => sign(data, tenant.tenantSecret));
+
+    console.log(`User ${userId} signed in a device (${method})`);
+
+    return Response.json({
+      userId,
+      deviceCredential,
+      session: { id: session.id, deviceName: session.deviceName, expiresAt: session.expiresAt },
+      rssUrl,
+      listUrl,
+      feedUrls,
+      // The collection lives in the browser, so a new device starts from the synced copy
+      collection: getCollectionState(tenant)
+    });
+  } catch (error) {
+    console.error('Login Error:', error);
+    return Response.json({ error: 'Sign-in failed. Please try again.' }, { status: 500 });
+  }
+});
+
+export const dynamic = 'force-dynamic';
@@ -0,0 +1,56 @@
+// app/api/auth/sessions/route.js
+// Signed-in devices: list them and sign them out
+
+import { listSessions, revokeSessions } from '../../../../lib/accountAuth';
+import { authorizeTenantRequest } from '../../../../utils/requestAuth';
+import { createApiHandler } from '../../../../utils/apiMiddleware';
+import { routeSchemas } from '../../../../utils/apiSchemas';
+
+const deleteHandler = createApiHandler({ validation: routeSchemas.sessionsDelete, cors: false });
+
+export async function GET(request) {
+  try {
+    const url = new URL(request.url);
+    const userId = url.searchParams.get('userId');
+    const { auth, error } = await authorizeTenantRequest(userId, `account:${userId}`, url.searchParams.get('sig') || '');
+    if (error) return error;
+
+    return Response.json({
+      sessions: await listSessions(userId, auth.session ? auth.session.id : null)
+    });
+  } catch (error) {
+    console.error('Sessions Error:', error);
+    return Response.json({ error: 'Failed to load devices' }, { status: 500 });
+  }
+}
+
+// Sign out one device ({ sessionId }) or every other device ({ all: true })
+export const DELETE = deleteHandler(async (request, { userId, sessionId, all = false }) => {
+  try {
+    const url = new URL(request.url);
+
+    const { auth, error } = await authorizeTenantRequest(userId, `account:${userId}`, url.searchParams.get('sig') || '');
+    if (error) return error;
+
+    if (!all && !sessionId) {
+      return Response.json({ error: 'Missing session ID' }, { status: 400 });
+    }
+
+    const revoked = await revokeSessions(userId, {
+      sessionId,
+      all: all === true,
+      except: auth.session ? auth.session.id : null
+    });
+    console.log(`User ${userId} signed out ${revoked} device${revoked !== 1 ? 's' : ''}`);
+
+    return Response.json({
+      revoked,
+      sessions: await listSessions(userId, auth.session ? auth.session.id : null)
+    });
+  } catch (error) {
+    console.error('Sessions Error:', error);
+    return Response.json({ error: 'Failed to sign out device' }, { status: 500 });
+  }
+});
+
+export const dynamic = 'force-dynamic';
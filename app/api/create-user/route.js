@@ -3,95 +3,110 @@
 import { v4 as uuidv4 } from 'uuid';
 
 import { sign } from '../../../utils/hmac';
-import { saveTenant, loadTenant } from '../../../lib/kv';
+import { updateTenant, TenantUnreadableError } from '../../../lib/kv';
+import { getTenantAccount } from '../../../lib/accountAuth';
+import { buildFeedUrls } from '../../../utils/feeds';
+import { createApiHandler } from '../../../utils/apiMiddleware';
+import { routeSchemas } from '../../../utils/apiSchemas';
 
-export async function POST(request) {
-  try {
-    const { userId, tmdbKey } = await request.json();
+// The body (user ID and a 32-character hex TMDb key) is checked against the schema before this runs
+const handler = createApiHandler({ validation: routeSchemas.createUser, cors: false });
 
-    // Validate required parameters
-    if (!userId || !tmdbKey) {
-      return Response.json({ error: 'Missing userId or tmdbKey' }, { status: 400 });
-    }
+export const POST = handler(async (request, { userId, tmdbKey }) => {
+  try {
+    // New users get a tenant secret (only changes when the user rotates it)
+    const newSecret = uuidv4().replace(/-/g, '');
+    const now = new Date().toISOString();
+
+    // Create the record only while none exists, and update a returning user's lastLogin on the
+    // record as stored. A record that can't be read throws instead, so it is never replaced.
+    let refusal = null;
+    let returning = false;
+    const { tenant, updated } = await updateTenant(userId, existingTenant => {
+      returning = Boolean(existingTenant);
+      if (!existingTenant) {
+        // Initialize tenant with empty but valid structure
+        return {
+          tenantSecret: newSecret,
+          tmdbKey,
+          createdAt: now,
+          lastLogin: now,
+          // Initialize with empty collections - RSS works immediately
+          selectedMovies: JSON.stringify([]),
+          people: JSON.stringify([]),
+          feeds: JSON.stringify([]), // Named feeds (the default feed is implicit)
+          feedFilters: JSON.stringify({}), // Filtering rules for the default feed
+          exclusions: JSON.stringify([]), // Movies kept out of every feed
+          movieCount: 0,
+          personCount: 0,
+          lastSync: now
+        };
+      }
+
+      if (!existingTenant.tenantSecret) {
+        console.error(`Create user refused for ${userId}: stored record has no tenant secret`);
+        refusal = Response.json({ error: 'This user record is incomplete. Please contact the administrator.' }, { status: 500 });
+        return null;
+      }
+
+      // User IDs appear in feed URLs, so they are no proof of ownership: only hand the secret back
+      // to someone who knows the stored TMDb key, and never for accounts that sign in instead
+      if (getTenantAccount(existingTenant)) {
+        refusal = Response.json({ error: 'This user is already set up. Sign in with your account instead.' }, { status: 403 });
+        return null;
+      }
+      if (String(existingTenant.tmdbKey).toLowerCase() !== tmdbKey.toLowerCase()) {
+        refusal = Response.json({
+          error: 'This user is set up with a different TMDb API key. If you generated a new key, update it in the Feed URL Security panel on a device that is already set up.'
+        }, { status: 403 });
+        return null;
+      }
+
+      return { ...existingTenant, lastLogin: now };
+    });
 
-    // Validate TMDb API key format (32 hex characters)
-    if (!/^[a-f0-9]{32}$/i.test(tmdbKey)) {
-      return Response.json({ error: 'Invalid TMDb API key format' }, { status: 400 });
+    if (!updated) {
+      return refusal;
     }
 
-    // Check if user already exists - if so, return existing RSS URL
-    const existingTenant = await loadTenant(userId);
-    if (existingTenant && existingTenant.tenantSecret) {
-      // User already exists, generate RSS URL with existing secret
-      const base = 'https://helparr.vercel.app';
-      const rssSig = sign(`rss:${userId}`, existingTenant.tenantSecret);
-      
-      const bypassParam = process.env.VERCEL_AUTOMATION_BYPASS_SECRET 
-        ? `&x-vercel-protection-bypass=${process.env.VERCEL_AUTOMATION_BYPASS_SECRET}` 
-        : '';
-
-      const rssUrl = `${base}/api/rss/${userId}?sig=${rssSig}${bypassParam}`;
-
-      // Update TMDb key in case it changed
-      await saveTenant(userId, {
-        ...existingTenant,
-        tmdbKey,
-        lastLogin: new Date().toISOString()
-      });
+    // Generate the RSS URL (stable until the user rotates the secret via /api/rotate-secret)
+    const { tenantSecret } = tenant;
+    const { rssUrl, listUrl } = buildFeedUrls(userId, [], data => sign(data, tenantSecret));
 
+    // User already exists: hand back the RSS URL for the existing secret
+    if (returning) {
       return Response.json({ 
         rssUrl, 
-        tenantSecret: existingTenant.tenantSecret,
+        listUrl,
+        tenantSecret,
         message: 'Welcome back! Your RSS URL is ready.',
         returning: true
       }, { status: 200 });
     }
 
-    // New user - create permanent tenant secret (never changes)
-    const tenantSecret = uuidv4().replace(/-/g, '');
-    
-    // Initialize tenant with empty but valid structure
-    await saveTenant(userId, { 
-      tenantSecret, 
-      tmdbKey,
-      createdAt: new Date().toISOString(),
-      lastLogin: new Date().toISOString(),
-      // Initialize with empty collections - RSS works immediately
-      selectedMovies: JSON.stringify([]),
-      people: JSON.stringify([]),
-      movieCount: 0,
-      personCount: 0,
-      lastSync: new Date().toISOString(),
-      // RSS backup for reliability
-      lastGeneratedFeed: null,
-      lastFeedGeneration: null
-    });
-
-    // Generate PERMANENT RSS URL (never changes for this user)
-    const base = 'https://helparr.vercel.app';
-    const rssSig = sign(`rss:${userId}`, tenantSecret);
-    
-    const bypassParam = process.env.VERCEL_AUTOMATION_BYPASS_SECRET 
-      ? `&x-vercel-protection-bypass=${process.env.VERCEL_AUTOMATION_BYPASS_SECRET}` 
-      : '';
-
-    const rssUrl = `${base}/api/rss/${userId}?sig=${rssSig}${bypassParam}`;
-
-    console.log(`Created new user ${userId} with permanent RSS URL`);
+    console.log(`Created new user ${userId} with RSS URL`);
 
     return Response.json({ 
       rssUrl, 
+      listUrl,
       tenantSecret,
-      message: 'Setup complete! Your RSS URL is ready and will never change. Add it to Radarr now.',
+      message: 'Setup complete! Your RSS URL is ready and stays the same unless you rotate it. Add it to Radarr now.',
       returning: false
     }, { status: 200 });
 
   } catch (error) {
+    if (error instanceof TenantUnreadableError) {
+      console.error(`Create user refused for ${userId}:`, error.message);
+      return Response.json({
+        error: 'Your saved data cannot be opened right now. Please try again later.'
+      }, { status: 503 });
+    }
+
     console.error('Create user error:', error);
     return Response.json({ 
       error: 'Failed to create user account. Please try again.' 
     }, { status: 500 });
   }
-}
+});
 
 export const dynamic = 'force-dynamic';
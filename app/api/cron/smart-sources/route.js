@@ -0,0 +1,36 @@
+// app/api/cron/smart-sources/route.js
+// Scheduled refresh of smart sources - new releases from followed people, collections and studios
+
+import { refreshAllSmartSources } from '../../../../lib/smartSources';
+
+export async function GET(request) {
+  const startTime = Date.now();
+
+  // Vercel Cron sends "Authorization: Bearer <CRON_SECRET>"; self-hosted schedulers can do the same
+  const cronSecret = process.env.CRON_SECRET;
+  if (!cronSecret) {
+    return Response.json({ error: 'Scheduled refresh is not configured' }, { status: 503 });
+  }
+
+  const authHeader = request.headers.get('authorization') || '';
+  if (authHeader !== `Bearer ${cronSecret}`) {
+    return Response.json({ error: 'Unauthorized' }, { status: 401 });
+  }
+
+  try {
+    const summary = await refreshAllSmartSources();
+    const responseTime = Date.now() - startTime;
+
+    console.log(`Smart sources refreshed: ${summary.moviesAdded} movies added across ${summary.tenants} tenants, ${responseTime}ms`);
+
+    return Response.json({
+      ...summary,
+      responseTime: `${responseTime}ms`
+    });
+  } catch (error) {
+    console.error('Smart Sources Refresh Error:', error);
+    return Response.json({ error: 'Smart source refresh failed' }, { status: 500 });
+  }
+}
+
+export const dynamic = 'force-dynamic';
@@ -1,16 +1,10 @@
 // app/api/demo/filmography/route.js
 // Enhanced demo filmography endpoint - supports people, collections, and companies
 
-const TMDB_BASE = 'https://api.themoviedb.org/3';
-
-// Demo cache for filmography
-const demoFilmographyCache = new Map();
-const CACHE_DURATION = 72 * 60 * 60 * 1000; // 24 hours
+import { fetchCachedTmdbJson } from '../../../../lib/tmdbCache';
+import { consumeRateLimit, getClientIP, rateLimitHeaders } from '../../../../lib/rateLimit';
 
-// Rate limiting (shared across all filmography types)
-const demoRateLimitStore = new Map();
-const DEMO_RATE_LIMIT = 12; // Total filmography views per hour
-const DEMO_WINDOW = 60 * 60 * 1000; // 1 hour
+const TMDB_BASE = 'https://api.themoviedb.org/3';
 
 // Movie limits per source type
 const MOVIE_LIMITS = {
@@ -19,60 +13,18 @@ const MOVIE_LIMITS = {
   company: 5
 };
 
-function getClientIP(request) {
-  const forwarded = request.headers.get('x-forwarded-for');
-  const realIP = request.headers.get('x-real-ip');
-  const cfConnectingIP = request.headers.get('cf-connecting-ip');
-  
-  return cfConnectingIP || 
-         (forwarded ? forwarded.split(',')[0].trim() : null) || 
-         realIP || 
-         'unknown';
-}
-
-function checkDemoRateLimit(clientIP) {
-  const now = Date.now();
-  const key = `demo_filmography_limit:${clientIP}`;
-  const requests = demoRateLimitStore.get(key) || [];
-  
-  const recentRequests = requests.filter(timestamp => now - timestamp < DEMO_WINDOW);
-  
-  if (recentRequests.length >= DEMO_RATE_LIMIT) {
-    return {
-      allowed: false,
-      remaining: 0,
-      resetTime: Math.min(...recentRequests) + DEMO_WINDOW
-    };
-  }
-  
-  recentRequests.push(now);
-  demoRateLimitStore.set(key, recentRequests);
-  return {
-    allowed: true,
-    remaining: DEMO_RATE_LIMIT - recentRequests.length,
-    resetTime: null
-  };
-}
-
 // Get person filmography (existing logic)
 async function getPersonFilmography(personId, roleType, apiKey) {
-  const [personResponse, creditsResponse] = await Promise.all([
-    fetch(`${TMDB_BASE}/person/${personId}?api_key=${apiKey}`),
-    fetch(`${TMDB_BASE}/person/${personId}/movie_credits?api_key=${apiKey}`)
-  ]);
-  
-  if (!personResponse.ok || !creditsResponse.ok) {
-    if (personResponse.status === 404) {
-      throw new Error('Person not found');
-    }
-    throw new Error('Failed to fetch person data');
+  let person, credits;
+  try {
+    [person, credits] = await Promise.all([
+      fetchCachedTmdbJson(`${TMDB_BASE}/person/${personId}?api_key=${apiKey}`),
+      fetchCachedTmdbJson(`${TMDB_BASE}/person/${personId}/movie_credits?api_key=${apiKey}`)
+    ]);
+  } catch (error) {
+    throw new Error(error.statusCode === 404 ? 'Person not found' : 'Failed to fetch person data');
   }
   
-  const [person, credits] = await Promise.all([
-    personResponse.json(),
-    creditsResponse.json()
-  ]);
-  
   const movieIds = extractMovieIds(credits, roleType, 12); // Get more than we'll show
   const movies = await fetchMovieDetails(movieIds, apiKey, MOVIE_LIMITS.person);
   
@@ -86,17 +38,13 @@ async function getPersonFilmography(personId, roleType, apiKey) {
 
 // Get collection movies
 async function getCollectionMovies(collectionId, apiKey) {
-  const collectionResponse = await fetch(`${TMDB_BASE}/collection/${collectionId}?api_key=${apiKey}`);
-  
-  if (!collectionResponse.ok) {
-    if (collectionResponse.status === 404) {
-      throw new Error('Collection not found');
-    }
-    throw new Error('Failed to fetch collection data');
+  let collection;
+  try {
+    collection = await fetchCachedTmdbJson(`${TMDB_BASE}/collection/${collectionId}?api_key=${apiKey}`);
+  } catch (error) {
+    throw new Error(error.statusCode === 404 ? 'Collection not found' : 'Failed to fetch collection data');
   }
   
-  const collection = await collectionResponse.json();
-  
   const allMovies = (collection.parts || [])
     .filter(movie => movie && movie.title && movie.release_date)
     .sort((a, b) => new Date(b.release_date) - new Date(a.release_date)); // Newest first
@@ -114,23 +62,16 @@ async function getCollectionMovies(collectionId, apiKey) {
 
 // Get company movies with random sampling
 async function getCompanyMovies(companyId, apiKey) {
-  const [companyResponse, moviesResponse] = await Promise.all([
-    fetch(`${TMDB_BASE}/company/${companyId}?api_key=${apiKey}`),
-    fetch(`${TMDB_BASE}/discover/movie?api_key=${apiKey}&with_companies=${companyId}&sort_by=release_date.desc&page=1`)
-  ]);
-  
-  if (!companyResponse.ok || !moviesResponse.ok) {
-    if (companyResponse.status === 404) {
-      throw new Error('Company not found');
-    }
-    throw new Error('Failed to fetch company data');
+  let company, moviesData;
+  try {
+    [company, moviesData] = await Promise.all([
+      fetchCachedTmdbJson(`${TMDB_BASE}/company/${companyId}?api_key=${apiKey}`),
+      fetchCachedTmdbJson(`${TMDB_BASE}/discover/movie?api_key=${apiKey}&with_companies=${companyId}&sort_by=release_date.desc&page=1`)
+    ]);
+  } catch (error) {
+    throw new Error(error.statusCode === 404 ? 'Company not found' : 'Failed to fetch company data');
   }
   
-  const [company, moviesData] = await Promise.all([
-    companyResponse.json(),
-    moviesResponse.json()
-  ]);
-  
   const allMovies = moviesData.results || [];
   const totalMovies = moviesData.total_results || allMovies.length;
   
@@ -194,10 +135,7 @@ async function fetchMovieDetails(movieIds, apiKey, maxMovies) {
     const promises = batch.map(async (tmdbId) => {
       try {
         const url = `${TMDB_BASE}/movie/${tmdbId}?api_key=${apiKey}`;
-        const res = await fetch(url);
-        if (!res.ok) return null;
-        
-        const movie = await res.json();
+        const movie = await fetchCachedTmdbJson(url);
         
         return {
           id: tmdbId,
@@ -265,28 +203,15 @@ export async function POST(request) {
       }
     }
 
-    // Rate limiting
-    const rateLimit = checkDemoRateLimit(clientIP);
+    // Rate limiting (shared across all filmography types)
+    const rateLimit = await consumeRateLimit('demo-filmography', clientIP);
     if (!rateLimit.allowed) {
       const resetMinutes = Math.ceil((rateLimit.resetTime - Date.now()) / (1000 * 60));
       return Response.json({ 
         error: `Demo limit reached. Try again in ${resetMinutes} minutes or sign up for unlimited access.`,
         demo: true,
         rateLimited: true
-      }, { status: 429 });
-    }
-
-    // Check cache first
-    const cacheKey = `demo_filmography:${sourceType}:${sourceId}:${roleType}`;
-    const cached = demoFilmographyCache.get(cacheKey);
-    
-    if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-      return Response.json({ 
-        ...cached.data,
-        demo: true,
-        cached: true,
-        remaining: rateLimit.remaining
-      });
+      }, { status: 429, headers: rateLimitHeaders(rateLimit) });
     }
 
     // Check if demo API key is available
@@ -327,30 +252,9 @@ export async function POST(request) {
         message: `No movies found for ${sourceLabel}. They might have more content in the full version - sign up to explore!`
       };
       
-      // Cache empty result
-      demoFilmographyCache.set(cacheKey, {
-        data: result_response,
-        timestamp: Date.now()
-      });
-      
       return Response.json(result_response);
     }
 
-    // Cache the result
-    const responseData = {
-      movies: result.movies,
-      sourceName: result.sourceName,
-      totalFound: result.totalFound,
-      showing: result.movies.length,
-      sourceType: result.sourceType,
-      timestamp: Date.now()
-    };
-    
-    demoFilmographyCache.set(cacheKey, {
-      data: responseData,
-      timestamp: Date.now()
-    });
-
     // Log demo usage
     const sourceLabel = sourceType === 'person' ? `${result.sourceName} (${roleType})` : result.sourceName;
     console.log(`Demo filmography: ${sourceLabel} from ${clientIP.substring(0, 8)}*** - ${result.movies.length}/${result.totalFound} movies`);
@@ -1,79 +1,10 @@
 // app/api/demo/search/route.js
 // Enhanced demo search endpoint - supports people, collections, and companies
 
-const TMDB_BASE = 'https://api.themoviedb.org/3';
-
-// Separate rate limiting for each search type
-const demoRateLimitStore = new Map();
-
-// Rate limits per search type per hour per IP
-const RATE_LIMITS = {
-  people: 8,
-  collections: 5,
-  companies: 5
-};
-
-const DEMO_WINDOW = 60 * 60 * 1000; // 1 hour
-
-// Cache for demo results
-const demoCache = new Map();
-const CACHE_DURATION = 72 * 60 * 60 * 1000; // 24 hours
-
-function getClientIP(request) {
-  const forwarded = request.headers.get('x-forwarded-for');
-  const realIP = request.headers.get('x-real-ip');
-  const cfConnectingIP = request.headers.get('cf-connecting-ip');
-  
-  return cfConnectingIP || 
-         (forwarded ? forwarded.split(',')[0].trim() : null) || 
-         realIP || 
-         'unknown';
-}
-
-function checkDemoRateLimit(clientIP, searchType) {
-  const now = Date.now();
-  const key = `demo_rate_limit_${searchType}:${clientIP}`;
-  const requests = demoRateLimitStore.get(key) || [];
-  
-  const recentRequests = requests.filter(timestamp => now - timestamp < DEMO_WINDOW);
-  const limit = RATE_LIMITS[searchType] || 5;
-  
-  if (recentRequests.length >= limit) {
-    return {
-      allowed: false,
-      remaining: 0,
-      resetTime: Math.min(...recentRequests) + DEMO_WINDOW,
-      limit
-    };
-  }
-  
-  recentRequests.push(now);
-  demoRateLimitStore.set(key, recentRequests);
-  
-  // Cleanup old entries periodically
-  if (Math.random() < 0.05) {
-    cleanupDemoRateLimit();
-  }
-  
-  return {
-    allowed: true,
-    remaining: limit - recentRequests.length,
-    resetTime: null,
-    limit
-  };
-}
+import { fetchCachedTmdbJson } from '../../../../lib/tmdbCache';
+import { consumeRateLimit, getClientIP, rateLimitHeaders } from '../../../../lib/rateLimit';
 
-function cleanupDemoRateLimit() {
-  const now = Date.now();
-  for (const [key, requests] of demoRateLimitStore.entries()) {
-    const recentRequests = requests.filter(timestamp => now - timestamp < DEMO_WINDOW);
-    if (recentRequests.length === 0) {
-      demoRateLimitStore.delete(key);
-    } else {
-      demoRateLimitStore.set(key, recentRequests);
-    }
-  }
-}
+const TMDB_BASE = 'https://api.themoviedb.org/3';
 
 // Enhanced processing function for people known_for
 function processKnownFor(knownForArray) {
@@ -91,19 +22,22 @@ function processKnownFor(knownForArray) {
     .join(', ');
 }
 
-// Search people (existing functionality)
-async function searchPeople(query, apiKey) {
-  const searchUrl = `${TMDB_BASE}/search/person?api_key=${apiKey}&query=${encodeURIComponent(query)}&page=1`;
-  const response = await fetch(searchUrl);
-  
-  if (!response.ok) {
-    if (response.status === 401) {
+// Search responses are shared through the TMDb cache; only successful ones are stored
+async function searchTmdb(searchUrl) {
+  try {
+    return await fetchCachedTmdbJson(searchUrl);
+  } catch (error) {
+    if (error.statusCode === 401) {
       throw new Error('Invalid TMDb API key');
     }
-    throw new Error(`TMDb API error: ${response.status}`);
+    throw new Error(error.statusCode ? `TMDb API error: ${error.statusCode}` : error.message);
   }
-  
-  const data = await response.json();
+}
+
+// Search people (existing functionality)
+async function searchPeople(query, apiKey) {
+  const searchUrl = `${TMDB_BASE}/search/person?api_key=${apiKey}&query=${encodeURIComponent(query)}&page=1`;
+  const data = await searchTmdb(searchUrl);
   
   const people = data.results.slice(0, 6).map(person => ({
     id: person.id,
@@ -124,16 +58,7 @@ async function searchPeople(query, apiKey) {
 // Search movie collections
 async function searchCollections(query, apiKey) {
   const searchUrl = `${TMDB_BASE}/search/collection?api_key=${apiKey}&query=${encodeURIComponent(query)}&page=1`;
-  const response = await fetch(searchUrl);
-  
-  if (!response.ok) {
-    if (response.status === 401) {
-      throw new Error('Invalid TMDb API key');
-    }
-    throw new Error(`TMDb API error: ${response.status}`);
-  }
-  
-  const data = await response.json();
+  const data = await searchTmdb(searchUrl);
   
   // Get enhanced collection data with movie counts
   const collectionsWithDetails = await Promise.all(
@@ -141,27 +66,15 @@ async function searchCollections(query, apiKey) {
       try {
         // Get collection details for movie count
         const detailUrl = `${TMDB_BASE}/collection/${collection.id}?api_key=${apiKey}`;
-        const detailResponse = await fetch(detailUrl);
-        
-        if (detailResponse.ok) {
-          const details = await detailResponse.json();
-          return {
-            id: collection.id,
-            name: collection.name || 'Unknown Collection',
-            poster_path: collection.poster_path,
-            backdrop_path: collection.backdrop_path,
-            overview: collection.overview || '',
-            movie_count: details.parts?.length || 0,
-            type: 'collection'
-          };
-        }
+        const details = await fetchCachedTmdbJson(detailUrl);
         
         return {
           id: collection.id,
           name: collection.name || 'Unknown Collection',
           poster_path: collection.poster_path,
+          backdrop_path: collection.backdrop_path,
           overview: collection.overview || '',
-          movie_count: null,
+          movie_count: details.parts?.length || 0,
           type: 'collection'
         };
       } catch (error) {
@@ -188,16 +101,7 @@ async function searchCollections(query, apiKey) {
 // Search production companies
 async function searchCompanies(query, apiKey) {
   const searchUrl = `${TMDB_BASE}/search/company?api_key=${apiKey}&query=${encodeURIComponent(query)}&page=1`;
-  const response = await fetch(searchUrl);
-  
-  if (!response.ok) {
-    if (response.status === 401) {
-      throw new Error('Invalid TMDb API key');
-    }
-    throw new Error(`TMDb API error: ${response.status}`);
-  }
-  
-  const data = await response.json();
+  const data = await searchTmdb(searchUrl);
   
   // Get enhanced company data
   const companiesWithDetails = await Promise.all(
@@ -205,28 +109,16 @@ async function searchCompanies(query, apiKey) {
       try {
         // Get company details for additional info
         const detailUrl = `${TMDB_BASE}/company/${company.id}?api_key=${apiKey}`;
-        const detailResponse = await fetch(detailUrl);
-        
-        if (detailResponse.ok) {
-          const details = await detailResponse.json();
-          return {
-            id: company.id,
-            name: company.name || 'Unknown Company',
-            logo_path: company.logo_path,
-            origin_country: company.origin_country || details.origin_country || '',
-            description: details.description || '',
-            headquarters: details.headquarters || '',
-            homepage: details.homepage || '',
-            type: 'company'
-          };
-        }
+        const details = await fetchCachedTmdbJson(detailUrl);
         
         return {
           id: company.id,
           name: company.name || 'Unknown Company',
           logo_path: company.logo_path,
-          origin_country: company.origin_country || '',
-          description: '',
+          origin_country: company.origin_country || details.origin_country || '',
+          description: details.description || '',
+          headquarters: details.headquarters || '',
+          homepage: details.homepage || '',
           type: 'company'
         };
       } catch (error) {
@@ -271,8 +163,8 @@ export async function POST(request) {
       }, { status: 400 });
     }
 
-    // Rate limiting check for specific search type
-    const rateLimit = checkDemoRateLimit(clientIP, searchType);
+    // Rate limiting check for specific search type (each type has its own hourly budget)
+    const rateLimit = await consumeRateLimit(`demo-search-${searchType}`, clientIP);
     if (!rateLimit.allowed) {
       const resetMinutes = Math.ceil((rateLimit.resetTime - Date.now()) / (1000 * 60));
       return Response.json({ 
@@ -282,22 +174,7 @@ export async function POST(request) {
         searchType,
         resetMinutes,
         limit: rateLimit.limit
-      }, { status: 429 });
-    }
-
-    // Check cache first
-    const cacheKey = `demo_search:${searchType}:${query.toLowerCase().trim()}`;
-    const cached = demoCache.get(cacheKey);
-    
-    if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-      return Response.json({ 
-        ...cached.data,
-        demo: true,
-        cached: true,
-        remaining: rateLimit.remaining,
-        searchType,
-        limit: rateLimit.limit
-      });
+      }, { status: 429, headers: rateLimitHeaders(rateLimit) });
     }
 
     // Check if demo API key is available
@@ -325,7 +202,6 @@ export async function POST(request) {
         throw new Error('Invalid search type');
     }
 
-    // Cache the results
     const responseData = {
       [searchType]: searchResults.results,
       totalResults: searchResults.totalResults,
@@ -333,11 +209,6 @@ export async function POST(request) {
       searchType
     };
 
-    demoCache.set(cacheKey, {
-      data: responseData,
-      timestamp: Date.now()
-    });
-
     // Log demo usage for monitoring
     console.log(`Demo search: "${query}" (${searchType}) from ${clientIP.substring(0, 8)}*** returned ${searchResults.showing}/${searchResults.totalResults} results`);
 
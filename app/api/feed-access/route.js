@@ -0,0 +1,34 @@
+// app/api/feed-access/route.js
+// Feed access history and the Radarr poll schedule inferred from it
+
+import { authorizeTenantRequest } from '../../../utils/requestAuth';
+import { getFeedAccessStats, inferPollSchedule } from '../../../lib/feedAccess';
+import { createApiHandler } from '../../../utils/apiMiddleware';
+import { routeSchemas } from '../../../utils/apiSchemas';
+
+const RECENT_ENTRIES = 20;
+
+const handler = createApiHandler({ validation: routeSchemas.feedAccessGet, cors: false });
+
+export const GET = handler(async (request, { userId, sig = '' }) => {
+  try {
+    const { error } = await authorizeTenantRequest(userId, `feed-access:${userId}`, sig);
+    if (error) return error;
+
+    const { totalAccesses, entries } = await getFeedAccessStats(userId);
+
+    return Response.json({
+      schedule: inferPollSchedule(entries),
+      totalAccesses,
+      loggedAccesses: entries.length,
+      recentAccesses: entries.slice(0, RECENT_ENTRIES)
+    }, {
+      headers: { 'Cache-Control': 'private, no-store' }
+    });
+  } catch (error) {
+    console.error('Feed Access Error:', error);
+    return Response.json({ error: 'Failed to load feed activity' }, { status: 500 });
+  }
+});
+
+export const dynamic = 'force-dynamic';
@@ -1,24 +1,20 @@
 // app/api/get-source-movies/route.js
-import { verify } from '../../../utils/hmac';
+import { verifyTenantRequest } from '../../../utils/requestAuth';
 import { loadTenant } from '../../../lib/kv';
-import { tmdbClient } from '../../../utils/tmdbClient';
+import { annotateTenantMovies } from '../../../lib/radarr';
+import { queueCachedTmdbRequest } from '../../../lib/tmdbCache';
+import { enrichMovies } from '../../../lib/movieEnrichment';
+import { createApiHandler } from '../../../utils/apiMiddleware';
+import { routeSchemas } from '../../../utils/apiSchemas';
 
 const TMDB_BASE = 'https://api.themoviedb.org/3';
 
-// Enhanced cache for streaming operations
-const sourceMoviesCache = new Map();
-const streamingCache = new Map(); // Cache complete datasets
-
-function getCacheKey(sourceId, sourceType, roleType = null) {
-  return `${sourceType}-${sourceId}-complete-${roleType || 'default'}`;
-}
-
 // Get movies from a collection (no streaming needed - typically small)
 async function getCollectionMovies(collectionId, apiKey) {
   console.log(`🎬 Fetching collection movies for ID: ${collectionId}`);
   
   const url = `${TMDB_BASE}/collection/${collectionId}?api_key=${apiKey}`;
-  const collection = await tmdbClient.queueRequest(url);
+  const collection = await queueCachedTmdbRequest(url);
   
   console.log(`🎬 Collection "${collection.name}" has ${collection.parts?.length || 0} movies`);
   
@@ -59,7 +55,7 @@ async function getCompanyMoviesWithStreaming(companyId, apiKey) {
   
   // Get first page to determine total scope
   const firstPageUrl = `${TMDB_BASE}/discover/movie?api_key=${apiKey}&with_companies=${companyId}&sort_by=release_date.desc&page=1`;
-  const firstPageData = await tmdbClient.queueRequest(firstPageUrl);
+  const firstPageData = await queueCachedTmdbRequest(firstPageUrl);
   
   const totalResults = firstPageData.total_results || 0;
   const totalPages = firstPageData.total_pages || 1;
@@ -90,7 +86,6 @@ async function getCompanyMoviesWithStreaming(companyId, apiKey) {
     currentPage: 1,
     hasMore: totalPages > 1,
     streamingInfo: totalPages > 1 ? {
-      baseUrl: `${TMDB_BASE}/discover/movie?api_key=${apiKey}&with_companies=${companyId}&sort_by=release_date.desc`,
       totalPages,
       remainingPages: totalPages - 1,
       estimatedTotal: totalResults
@@ -98,77 +93,16 @@ async function getCompanyMoviesWithStreaming(companyId, apiKey) {
   };
 }
 
-// Enhanced movie enrichment with smart batching for streaming
-async function enrichMoviesWithImdbIds(movies, apiKey, onProgress = null) {
-  console.log(`🔍 Enriching ${movies.length} movies with IMDB IDs`);
-  
-  const enrichedMovies = [];
-  const batchSize = 8; // Balanced for streaming operations
-  const maxMovies = movies.length; // Process all movies in streaming mode
-  
-  const moviesToProcess = movies.slice(0, maxMovies);
-  
-  for (let i = 0; i < moviesToProcess.length; i += batchSize) {
-    const batch = moviesToProcess.slice(i, i + batchSize);
-    
-    const promises = batch.map(async (movie) => {
-      try {
-        const url = `${TMDB_BASE}/movie/${movie.id}?api_key=${apiKey}`;
-        const movieDetails = await tmdbClient.queueRequest(url);
-        
-        // Only include movies with IMDB IDs for RSS compatibility
-        if (!movieDetails.imdb_id) {
-          console.log(`🔍 Movie ${movieDetails.title} has no IMDB ID, skipping`);
-          return null;
-        }
-        
-        return {
-          ...movie,
-          imdb_id: movieDetails.imdb_id,
-          runtime: movieDetails.runtime,
-          genres: Array.isArray(movieDetails.genres) ? movieDetails.genres.slice(0, 3).map(g => g.name) : []
-        };
-        
-      } catch (error) {
-        console.warn(`🔍 Error fetching movie ${movie.id}:`, error.message);
-        return null;
-      }
-    });
-    
-    const batchResults = await Promise.all(promises);
-    const validMovies = batchResults.filter(movie => movie !== null);
-    enrichedMovies.push(...validMovies);
-    
-    // Report progress if callback provided
-    if (onProgress) {
-      onProgress(i + batch.length, moviesToProcess.length);
-    }
-  }
-  
-  console.log(`🔍 Successfully enriched ${enrichedMovies.length} movies with IMDB IDs from ${movies.length} total`);
-  return enrichedMovies;
-}
+const handler = createApiHandler({ validation: routeSchemas.getSourceMovies, cors: false });
 
-export async function POST(request) {
+export const POST = handler(async (request, { userId, sourceId, sourceType, roleType = null, streaming = false }) => {
   try {
     console.log('🔍 Source movies API called');
     
     const url = new URL(request.url);
     const sig = url.searchParams.get('sig') || '';
     
-    const { userId, sourceId, sourceType, roleType = null, streaming = false } = await request.json();
-    
     console.log('🔍 Request params:', { userId: !!userId, sourceId, sourceType, roleType, streaming });
-    
-    if (!userId || !sourceId || !sourceType) {
-      return Response.json({ error: 'Missing parameters' }, { status: 400 });
-    }
-
-    // Validate source type
-    const allowedTypes = ['person', 'collection', 'company'];
-    if (!allowedTypes.includes(sourceType)) {
-      return Response.json({ error: 'Invalid source type' }, { status: 400 });
-    }
 
     const tenant = await loadTenant(userId);
     if (!tenant) {
@@ -178,25 +112,11 @@ export async function POST(request) {
 
     // Verify signature
     const expectedSigData = `get-source-movies:${userId}`;
-    const isValidSig = verify(expectedSigData, tenant.tenantSecret, sig);
+    const auth = await verifyTenantRequest(userId, tenant, expectedSigData, sig);
     
-    if (!isValidSig) {
+    if (!auth.valid) {
       console.error('🔍 Invalid signature');
-      return Response.json({ error: 'Invalid signature' }, { status: 403 });
-    }
-
-    // Check cache first for complete datasets
-    const cacheKey = getCacheKey(sourceId, sourceType, roleType);
-    const cached = streamingCache.get(cacheKey);
-    
-    if (cached && Date.now() - cached.timestamp < 3600000) { // 1 hour cache
-      console.log('🔍 Returning cached complete dataset');
-      return Response.json({ 
-        movies: cached.movies,
-        sourceName: cached.sourceName,
-        streaming: cached.streaming,
-        cached: true 
-      });
+      return Response.json({ error: auth.error }, { status: 403 });
     }
 
     let result = {};
@@ -214,7 +134,7 @@ export async function POST(request) {
         
         // Get collection name
         try {
-          const collectionResponse = await tmdbClient.queueRequest(`${TMDB_BASE}/collection/${sourceId}?api_key=${tenant.tmdbKey}`);
+          const collectionResponse = await queueCachedTmdbRequest(`${TMDB_BASE}/collection/${sourceId}?api_key=${tenant.tmdbKey}`);
           sourceName = collectionResponse.name;
         } catch (error) {
           console.warn('Failed to get collection name:', error);
@@ -228,7 +148,7 @@ export async function POST(request) {
         
         // Get company name
         try {
-          const companyResponse = await tmdbClient.queueRequest(`${TMDB_BASE}/company/${sourceId}?api_key=${tenant.tmdbKey}`);
+          const companyResponse = await queueCachedTmdbRequest(`${TMDB_BASE}/company/${sourceId}?api_key=${tenant.tmdbKey}`);
           sourceName = companyResponse.name;
         } catch (error) {
           console.warn('Failed to get company name:', error);
@@ -253,19 +173,24 @@ export async function POST(request) {
     // For initial load, enrich the first batch of movies
     let enrichedMovies = [];
     if (result.movies.length > 0) {
-      enrichedMovies = await enrichMoviesWithImdbIds(result.movies, tenant.tmdbKey);
+      ({ movies: enrichedMovies } = await enrichMovies(result.movies, tenant.tmdbKey));
     }
 
+    // Library flags are per tenant, so they are never part of the shared TMDb cache
+    const annotated = await annotateTenantMovies(userId, tenant, enrichedMovies);
+
     // Prepare response
     const response = {
-      movies: enrichedMovies,
+      movies: annotated.movies,
       sourceName,
+      library: annotated.library,
+      // The remaining pages are loaded server-side by /api/stream-source-movies; the TMDb
+      // key and discover URL never leave the server
       streaming: result.streamingInfo ? {
         totalResults: result.totalResults,
         totalPages: result.totalPages,
-        baseUrl: result.streamingInfo.baseUrl,
-        apiKey: tenant.tmdbKey, // Include for client-side streaming
-        estimatedTotal: result.streamingInfo.estimatedTotal
+        estimatedTotal: result.streamingInfo.estimatedTotal,
+        streamUrl: '/api/stream-source-movies'
       } : null,
       totalFound: result.totalResults || result.movies.length,
       withImdbIds: enrichedMovies.length,
@@ -274,16 +199,6 @@ export async function POST(request) {
         : `Complete ${sourceType} catalog: ${enrichedMovies.length} movies`
     };
 
-    // Cache complete datasets only (not streaming partials)
-    if (!result.streamingInfo) {
-      streamingCache.set(cacheKey, {
-        movies: enrichedMovies,
-        sourceName,
-        streaming: null,
-        timestamp: Date.now()
-      });
-    }
-
     console.log(`🔍 Source movies API complete: ${enrichedMovies.length} movies initially loaded`);
     if (result.streamingInfo) {
       console.log(`🔍 Streaming info provided for ${result.totalResults} total movies`);
@@ -300,6 +215,6 @@ export async function POST(request) {
              'Failed to fetch movies' 
     }, { status: 500 });
   }
-}
+});
 
 export const dynamic = 'force-dynamic';
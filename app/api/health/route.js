@@ -2,7 +2,9 @@
 // Enhanced health check with Redis fallback support
 
 import { rssManager } from '../../../lib/RSSManager';
-import { getStorageStatus } from '../../../lib/kv';
+import { getStorageStatus, getCacheStorage } from '../../../lib/kv';
+import { getEncryptionStatus } from '../../../lib/tenantCrypto';
+import { getTmdbCacheStats } from '../../../lib/tmdbCache';
 
 const startTime = Date.now();
 
@@ -18,7 +20,7 @@ export async function GET(request) {
   };
 
   try {
-    // Check storage (Redis or memory fallback)
+    // Check storage (Redis, file or memory fallback)
     try {
       const { getStorage } = await import('../../../lib/kv');
       const storage = await getStorage();
@@ -30,14 +32,21 @@ export async function GET(request) {
       healthCheck.services.storage = {
         status: 'healthy',
         mode: storageStatus.mode,
+        adapter: storageStatus.adapter,
+        persistent: storageStatus.persistent,
         redisConnected: storageStatus.redisConnected,
         memoryEntries: storageStatus.memoryEntries,
         connectionAttempted: storageStatus.connectionAttempted
       };
+
+      if (storageStatus.mode === 'file') {
+        healthCheck.services.storage.fileEntries = storageStatus.fileEntries;
+        healthCheck.services.storage.lastFlush = storageStatus.lastFlush;
+      }
       
       // Add informational message for memory mode
       if (storageStatus.mode === 'memory') {
-        healthCheck.services.storage.note = 'Using in-memory storage (Redis unavailable)';
+        healthCheck.services.storage.note = 'Using in-memory storage (data is lost on restart; set STORAGE_BACKEND=file or REDIS_URL to persist)';
       }
       
     } catch (storageError) {
@@ -72,6 +81,25 @@ export async function GET(request) {
       healthCheck.errors.push(`RSS: ${rssError.message}`);
     }
 
+    // Shared TMDb response cache (counters are per instance, since its last restart). The
+    // shared tier is the cache storage, which leaves out the file backend
+    const cacheStorage = await getCacheStorage();
+    healthCheck.services.tmdbCache = {
+      status: 'healthy',
+      sharedTier: cacheStorage && cacheStorage.persistent ? cacheStorage.name : null,
+      ...getTmdbCacheStats()
+    };
+
+    // Tenant API key encryption; a malformed master key blocks every tenant save
+    const encryption = getEncryptionStatus();
+    healthCheck.services.tenantEncryption = {
+      status: encryption.error ? 'degraded' : 'healthy',
+      ...encryption
+    };
+    if (encryption.error) {
+      healthCheck.errors.push(`Encryption: ${encryption.error}`);
+    }
+
     // Check TMDb API connectivity (optional, with timeout)
     if (process.env.TMDB_HEALTH_CHECK === 'true') {
       try {
@@ -155,6 +183,7 @@ export async function GET(request) {
     // Add deployment information
     healthCheck.deployment = {
       storageMode: healthCheck.services.storage?.mode || 'unknown',
+      storageAdapter: healthCheck.services.storage?.adapter || 'unknown',
       hasRedis: process.env.REDIS_URL ? 'configured' : 'not_configured',
       platform: process.platform || 'unknown'
     };
@@ -170,6 +199,7 @@ export async function GET(request) {
         'Cache-Control': 'no-cache, no-store, must-revalidate',
         'X-Health-Status': healthCheck.status,
         'X-Storage-Mode': healthCheck.services.storage?.mode || 'unknown',
+        'X-Storage-Adapter': healthCheck.services.storage?.adapter || 'unknown',
         'X-Service-Count': Object.keys(healthCheck.services).length.toString(),
         'X-Error-Count': healthCheck.errors.length.toString()
       }
@@ -214,7 +244,8 @@ export async function HEAD(request) {
       status: 200,
       headers: {
         'X-Health-Status': 'healthy',
-        'X-Storage-Mode': storageStatus.mode
+        'X-Storage-Mode': storageStatus.mode,
+        'X-Storage-Adapter': storageStatus.adapter
       }
     });
   } catch (error) {
@@ -0,0 +1,101 @@
+// app/api/list/[tenant]/route.js
+// StevenLu-compatible JSON list for Radarr's "Custom List" import (same signature as the RSS feed)
+
+import { verify } from '../../../../utils/hmac';
+import { rssManager } from '../../../../lib/RSSManager';
+import { loadTenant } from '../../../../lib/kv';
+import { getExclusionLibrary } from '../../../../lib/radarr';
+import { getClientIP, isRadarrClient, trackFeedAccess } from '../../../../lib/feedAccess';
+import { consumeRateLimit, rateLimitHeaders } from '../../../../lib/rateLimit';
+import { findTenantFeed, getFeedSignatureData } from '../../../../utils/feeds';
+import { getFeedSecrets } from '../../../../lib/secretRotation';
+
+export async function GET(request, { params }) {
+  const startTime = Date.now();
+  const { tenant: userId } = params;
+  const url = new URL(request.url);
+  const sig = url.searchParams.get('sig') || '';
+  const feedId = url.searchParams.get('feed') || null;
+
+  const clientIP = getClientIP(request);
+  const isRadarr = isRadarrClient(request);
+
+  try {
+    // Rate limiting check (shared budget with the RSS feed)
+    const rateLimit = await consumeRateLimit('feed', clientIP);
+    if (!rateLimit.allowed) {
+      console.warn(`List rate limit exceeded for IP: ${clientIP}`);
+      return Response.json({ error: 'Rate limit exceeded. Please try again later.' }, {
+        status: 429,
+        headers: rateLimitHeaders(rateLimit)
+      });
+    }
+
+    // Basic parameter validation
+    if (!userId || !sig) {
+      return Response.json({ error: 'Missing required parameters' }, { status: 400 });
+    }
+
+    // Validate userId format (basic sanity check)
+    if (typeof userId !== 'string' || userId.length < 10) {
+      return Response.json({ error: 'Invalid user ID format' }, { status: 400 });
+    }
+
+    // Load tenant for signature verification
+    const tenant = await loadTenant(userId);
+    if (!tenant) {
+      console.warn(`Tenant not found: ${userId}`);
+      return Response.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    // The list is the same movie set as the RSS feed, so it accepts the RSS signature
+    // (including one made with the previous secret during a rotation grace period)
+    const expectedSigData = getFeedSignatureData(userId, feedId);
+    const isValidSig = getFeedSecrets(tenant).some(secret => verify(expectedSigData, secret, sig));
+
+    if (!isValidSig) {
+      console.warn(`Invalid signature for tenant: ${userId}`);
+      return Response.json({ error: 'Invalid signature' }, { status: 403 });
+    }
+
+    if (feedId && !findTenantFeed(tenant, feedId)) {
+      return Response.json({ error: 'Feed not found' }, { status: 404 });
+    }
+
+    const accessTime = new Date().toISOString();
+    const library = await getExclusionLibrary(userId, tenant);
+    const list = rssManager.buildList(tenant, feedId, { library });
+    const body = JSON.stringify(list);
+
+    // Track access so the Radarr countdown works for list users too
+    await trackFeedAccess(userId, { isRadarr, clientIP, accessTime, status: 200, size: Buffer.byteLength(body), feedId, format: 'list' });
+    const responseTime = Date.now() - startTime;
+
+    console.log(`JSON list generated for ${userId}: ${list.length} movies, ${responseTime}ms`);
+
+    return new Response(body, {
+      status: 200,
+      headers: {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'public, max-age=60, stale-while-revalidate=300',
+        'X-Content-Type-Options': 'nosniff',
+        'X-RSS-Generator': 'Helparr v2.0',
+        'X-Movie-Count': list.length.toString(),
+        'X-Response-Time': `${responseTime}ms`,
+        'X-Client-Type': isRadarr ? 'radarr' : 'browser',
+        'X-Access-Time': accessTime,
+        ...rateLimitHeaders(rateLimit)
+      }
+    });
+
+  } catch (error) {
+    const responseTime = Date.now() - startTime;
+    console.error(`JSON List Error [${userId}] after ${responseTime}ms:`, error.message);
+
+    // Unlike the RSS feed, never answer an error with an empty 200 list:
+    // Radarr treats an empty list as "remove everything" when list cleaning is enabled
+    return Response.json({ error: 'Failed to generate list' }, { status: 500 });
+  }
+}
+
+export const dynamic = 'force-dynamic';
@@ -0,0 +1,124 @@
+// app/api/radarr/config/route.js
+// Per-tenant Radarr connection settings for direct push
+
+import { verifyTenantRequest } from '../../../../utils/requestAuth';
+import { loadTenant, updateTenant } from '../../../../lib/kv';
+import {
+  normalizeRadarrConfig,
+  maskRadarrConfig,
+  getTenantRadarrConfig,
+  getTenantPushLog,
+  testRadarrConnection,
+  invalidateLibraryState
+} from '../../../../lib/radarr';
+import { createApiHandler } from '../../../../utils/apiMiddleware';
+import { routeSchemas } from '../../../../utils/apiSchemas';
+
+const postHandler = createApiHandler({ validation: routeSchemas.radarrConfigPost, cors: false });
+const deleteHandler = createApiHandler({ validation: routeSchemas.radarrConfigDelete, cors: false });
+
+// Shared by every method: all Radarr endpoints use the `radarr:<userId>` signature
+async function authorize(userId, sig) {
+  if (!userId) {
+    return { error: Response.json({ error: 'Missing user ID' }, { status: 400 }) };
+  }
+
+  const tenant = await loadTenant(userId);
+  if (!tenant) {
+    return { error: Response.json({ error: 'User not found' }, { status: 404 }) };
+  }
+
+  const auth = await verifyTenantRequest(userId, tenant, `radarr:${userId}`, sig);
+  if (!auth.valid) {
+    return { error: Response.json({ error: auth.error }, { status: 403 }) };
+  }
+
+  return { tenant };
+}
+
+// Current settings (API key masked) and the recent push log
+export async function GET(request) {
+  try {
+    const url = new URL(request.url);
+    const { tenant, error } = await authorize(url.searchParams.get('userId'), url.searchParams.get('sig') || '');
+    if (error) return error;
+
+    const config = getTenantRadarrConfig(tenant);
+
+    return Response.json({
+      configured: Boolean(config),
+      config: maskRadarrConfig(config),
+      pushLog: getTenantPushLog(tenant)
+    });
+  } catch (error) {
+    console.error('Radarr Config Error:', error);
+    return Response.json({ error: 'Failed to load Radarr settings' }, { status: 500 });
+  }
+}
+
+// Test the connection and, unless `testOnly`, save the settings
+export const POST = postHandler(async (request, { userId, config, testOnly = false }) => {
+  try {
+    const url = new URL(request.url);
+
+    const { tenant, error } = await authorize(userId, url.searchParams.get('sig') || '');
+    if (error) return error;
+
+    const validation = normalizeRadarrConfig(config, getTenantRadarrConfig(tenant));
+    if (!validation.valid) {
+      return Response.json({ error: validation.error }, { status: 400 });
+    }
+
+    let connection;
+    try {
+      connection = await testRadarrConnection(validation.config);
+    } catch (connectionError) {
+      return Response.json({ error: connectionError.message }, { status: connectionError.statusCode || 502 });
+    }
+
+    if (!testOnly) {
+      await updateTenant(userId, current => current && {
+        ...current,
+        radarrConfig: JSON.stringify(validation.config)
+      });
+      // The cached library may come from the previous Radarr or API key
+      await invalidateLibraryState(userId);
+      console.log(`User ${userId} saved Radarr settings (Radarr ${connection.version || 'unknown version'})`);
+    }
+
+    return Response.json({
+      saved: !testOnly,
+      config: maskRadarrConfig(validation.config),
+      radarr: connection
+    });
+  } catch (error) {
+    console.error('Radarr Config Error:', error);
+    return Response.json({ error: 'Failed to save Radarr settings' }, { status: 500 });
+  }
+});
+
+// Disconnect Radarr and drop the push log
+export const DELETE = deleteHandler(async (request, { userId }) => {
+  try {
+    const url = new URL(request.url);
+
+    const { error } = await authorize(userId, url.searchParams.get('sig') || '');
+    if (error) return error;
+
+    let removed = false;
+    await updateTenant(userId, current => {
+      if (!current) return null;
+      const { radarrConfig, radarrPushLog, ...rest } = current;
+      removed = Boolean(radarrConfig || radarrPushLog);
+      return rest;
+    });
+    await invalidateLibraryState(userId);
+
+    return Response.json({ removed });
+  } catch (error) {
+    console.error('Radarr Config Error:', error);
+    return Response.json({ error: 'Failed to remove Radarr settings' }, { status: 500 });
+  }
+});
+
+export const dynamic = 'force-dynamic';
@@ -0,0 +1,52 @@
+// app/api/radarr/push/route.js
+// Push the feed's movies straight into Radarr (or preview the push with dryRun)
+
+import { verifyTenantRequest } from '../../../../utils/requestAuth';
+import { loadTenant } from '../../../../lib/kv';
+import { getTenantRadarrConfig, pushTenantMovies, recordPushRun } from '../../../../lib/radarr';
+import { createApiHandler } from '../../../../utils/apiMiddleware';
+import { routeSchemas } from '../../../../utils/apiSchemas';
+
+const handler = createApiHandler({ validation: routeSchemas.radarrPush, cors: false });
+
+export const POST = handler(async (request, { userId, dryRun = false }) => {
+  try {
+    const url = new URL(request.url);
+    const sig = url.searchParams.get('sig') || '';
+
+    const tenant = await loadTenant(userId);
+    if (!tenant) {
+      return Response.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    const auth = await verifyTenantRequest(userId, tenant, `radarr:${userId}`, sig);
+    if (!auth.valid) {
+      return Response.json({ error: auth.error }, { status: 403 });
+    }
+
+    if (!getTenantRadarrConfig(tenant)) {
+      return Response.json({ error: 'Radarr is not configured' }, { status: 400 });
+    }
+
+    let run;
+    try {
+      run = await pushTenantMovies(tenant, { dryRun: dryRun === true });
+    } catch (pushError) {
+      return Response.json({ error: pushError.message }, { status: pushError.statusCode || 400 });
+    }
+
+    // Previews are not logged; real pushes are, so the UI can show per-movie outcomes later
+    if (!run.dryRun) {
+      await recordPushRun(userId, run);
+    }
+
+    console.log(`User ${userId} Radarr push${run.dryRun ? ' preview' : ''}: ${run.added} added, ${run.failed} failed`);
+
+    return Response.json(run);
+  } catch (error) {
+    console.error('Radarr Push Error:', error);
+    return Response.json({ error: 'Radarr push failed' }, { status: 500 });
+  }
+});
+
+export const dynamic = 'force-dynamic';
@@ -0,0 +1,105 @@
+// app/api/rotate-secret/route.js
+// Issue a new tenant secret so leaked RSS/list URLs stop working
+
+import { sign } from '../../../utils/hmac';
+import { verifyTenantRequest } from '../../../utils/requestAuth';
+import { loadTenant, updateTenant } from '../../../lib/kv';
+import { getTenantFeeds, buildFeedUrls } from '../../../utils/feeds';
+import { normalizeGraceHours, rotateTenantSecret, getSecretRotations, getGraceSecret } from '../../../lib/secretRotation';
+import { createApiHandler } from '../../../utils/apiMiddleware';
+import { routeSchemas } from '../../../utils/apiSchemas';
+
+const postHandler = createApiHandler({ validation: routeSchemas.rotateSecret, cors: false });
+
+// Shared by both methods: `rotate-secret:<userId>`, signed with the tenant secret or a device session
+async function authorize(userId, sig) {
+  if (!userId) {
+    return { error: Response.json({ error: 'Missing user ID' }, { status: 400 }) };
+  }
+
+  const tenant = await loadTenant(userId);
+  if (!tenant) {
+    return { error: Response.json({ error: 'User not found' }, { status: 404 }) };
+  }
+
+  const auth = await verifyTenantRequest(userId, tenant, `rotate-secret:${userId}`, sig);
+  if (!auth.valid) {
+    return { error: Response.json({ error: auth.error }, { status: 403 }) };
+  }
+
+  return { tenant, auth };
+}
+
+// Rotation history and whether old feed URLs are still in their grace period
+export async function GET(request) {
+  try {
+    const url = new URL(request.url);
+    const { tenant, error } = await authorize(url.searchParams.get('userId'), url.searchParams.get('sig') || '');
+    if (error) return error;
+
+    return Response.json({
+      rotations: getSecretRotations(tenant),
+      graceUntil: getGraceSecret(tenant) ? tenant.previousSecretExpiresAt : null
+    });
+  } catch (error) {
+    console.error('Rotate Secret Error:', error);
+    return Response.json({ error: 'Failed to load rotation history' }, { status: 500 });
+  }
+}
+
+// Rotate the secret; `graceHours` keeps the old feed URLs valid for a while (default: revoke now)
+export const POST = postHandler(async (request, { userId, graceHours, reason }) => {
+  try {
+    const url = new URL(request.url);
+
+    const { auth, error } = await authorize(userId, url.searchParams.get('sig') || '');
+    if (error) return error;
+
+    const graceValidation = normalizeGraceHours(graceHours);
+    if (!graceValidation.valid) {
+      return Response.json({ error: graceValidation.error }, { status: 400 });
+    }
+
+    // Rotate on top of whatever is stored at write time, so a concurrent sync isn't undone
+    let rotation;
+    const { tenant: updatedTenant, updated } = await updateTenant(userId, current => {
+      if (!current) return null;
+      const result = rotateTenantSecret(current, {
+        graceHours: graceValidation.graceHours,
+        reason
+      });
+      rotation = result.rotation;
+      return result.tenant;
+    });
+    if (!updated) {
+      return Response.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    const { rssUrl, listUrl, feedUrls } = buildFeedUrls(
+      userId,
+      getTenantFeeds(updatedTenant),
+      data => sign(data, updatedTenant.tenantSecret)
+    );
+
+    console.log(`User ${userId} rotated their tenant secret (grace: ${rotation.graceHours}h)`);
+
+    // Signed-in devices use their own session key and never receive the tenant secret
+    return Response.json({
+      rotated: true,
+      ...(!auth.session && { tenantSecret: updatedTenant.tenantSecret }),
+      rssUrl,
+      listUrl,
+      feedUrls,
+      graceUntil: rotation.graceUntil,
+      rotations: getSecretRotations(updatedTenant),
+      message: rotation.graceUntil
+        ? `New feed URLs issued. The old ones keep working until ${rotation.graceUntil}.`
+        : 'New feed URLs issued. The old ones no longer work.'
+    });
+  } catch (error) {
+    console.error('Rotate Secret Error:', error);
+    return Response.json({ error: 'Failed to rotate secret' }, { status: 500 });
+  }
+});
+
+export const dynamic = 'force-dynamic';
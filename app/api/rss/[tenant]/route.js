@@ -1,122 +1,144 @@
 // app/api/rss/[tenant]/route.js
 
 import { verify } from '../../../../utils/hmac';
-import { rssManager } from '../../../../lib/RSSManager';
-import { loadTenant, saveTenant } from '../../../../lib/kv';
-
-// Basic rate limiting to prevent abuse
-const rateLimitStore = new Map();
-const RATE_LIMIT = 30; // requests per minute
-const RATE_WINDOW = 60 * 1000; // 1 minute
-
-function checkRateLimit(clientIP) {
-  const now = Date.now();
-  const key = `rss_rate_limit:${clientIP}`;
-  const requests = rateLimitStore.get(key) || [];
-  
-  // Remove old requests outside the window
-  const recentRequests = requests.filter(timestamp => now - timestamp < RATE_WINDOW);
-  
-  if (recentRequests.length >= RATE_LIMIT) {
-    return false;
-  }
-  
-  recentRequests.push(now);
-  rateLimitStore.set(key, recentRequests);
-  return true;
-}
-
-function getClientIP(request) {
-  const forwarded = request.headers.get('x-forwarded-for');
-  const realIP = request.headers.get('x-real-ip');
-  const cfConnectingIP = request.headers.get('cf-connecting-ip');
-  
-  return cfConnectingIP || 
-         (forwarded ? forwarded.split(',')[0].trim() : null) || 
-         realIP || 
-         'unknown';
-}
+import { rssManager, FEED_FORMATS } from '../../../../lib/RSSManager';
+import { loadTenant } from '../../../../lib/kv';
+import { getClientIP, isRadarrClient, trackFeedAccess } from '../../../../lib/feedAccess';
+import { consumeRateLimit, rateLimitHeaders } from '../../../../lib/rateLimit';
+import { findTenantFeed, getFeedSignatureData } from '../../../../utils/feeds';
+import { parseFeedPaging } from '../../../../utils/feedPaging';
+import { getFeedSecrets } from '../../../../lib/secretRotation';
+import { createCacheMiddleware, createNotModifiedResponse } from '../../../../utils/cacheHeaders';
+
+// Feeds may be cached for a minute; after that clients revalidate with If-None-Match / If-Modified-Since
+const feedCacheHeaders = createCacheMiddleware({
+  public: true,
+  maxAge: 60,
+  staleWhileRevalidate: 300,
+  etag: true,
+  lastModified: true
+});
 
 export async function GET(request, { params }) {
   const startTime = Date.now();
   const { tenant: userId } = params;
   const url = new URL(request.url);
   const sig = url.searchParams.get('sig') || '';
+  const feedId = url.searchParams.get('feed') || null;
   const bypassCache = url.searchParams.get('bypass') === 'true';
+  const format = (url.searchParams.get('format') || 'rss').toLowerCase();
   
   const clientIP = getClientIP(request);
-  const userAgent = request.headers.get('user-agent') || 'Unknown';
-  const isRadarr = userAgent.toLowerCase().includes('radarr');
+  const isRadarr = isRadarrClient(request);
 
   try {
-    // Rate limiting check
-    if (!checkRateLimit(clientIP)) {
+    // Rate limiting check (shared budget with the JSON list)
+    const rateLimit = await consumeRateLimit('feed', clientIP);
+    if (!rateLimit.allowed) {
       console.warn(`RSS rate limit exceeded for IP: ${clientIP}`);
       return new Response('Rate limit exceeded. Please try again later.', { 
         status: 429,
         headers: {
           'Content-Type': 'text/plain',
-          'Retry-After': '60'
+          ...rateLimitHeaders(rateLimit)
         }
       });
     }
 
+    // Output format: rss (default, what Radarr reads), atom or json (JSON Feed 1.1)
+    if (!Object.prototype.hasOwnProperty.call(FEED_FORMATS, format)) {
+      return createErrorResponse(`Unsupported format: ${format.substring(0, 20)}`, 400);
+    }
+
+    // Optional ordering and paging (sort, limit, offset); without them the whole feed is served
+    const pagingValidation = parseFeedPaging(url.searchParams);
+    if (!pagingValidation.valid) {
+      return createErrorResponse(pagingValidation.error, 400, format);
+    }
+    const { paging } = pagingValidation;
+
     // Basic parameter validation
     if (!userId || !sig) {
       console.warn(`RSS request missing parameters: userId=${!!userId}, sig=${!!sig}`);
-      return createErrorResponse('Missing required parameters', 400);
+      return createErrorResponse('Missing required parameters', 400, format);
     }
 
     // Validate userId format (basic sanity check)
     if (typeof userId !== 'string' || userId.length < 10) {
       console.warn(`Invalid userId format: ${userId}`);
-      return createErrorResponse('Invalid user ID format', 400);
+      return createErrorResponse('Invalid user ID format', 400, format);
     }
 
     // Load tenant for signature verification
     const tenant = await loadTenant(userId);
     if (!tenant) {
       console.warn(`Tenant not found: ${userId}`);
-      return createErrorResponse('User not found', 404);
+      return createErrorResponse('User not found', 404, format);
     }
 
-    // Verify signature (ensures request is authorized)
-    const expectedSigData = `rss:${userId}`;
-    const isValidSig = verify(expectedSigData, tenant.tenantSecret, sig);
+    // Verify signature (ensures request is authorized; named feeds sign their feed id too).
+    // After a rotation the previous secret keeps working until its grace period ends.
+    const expectedSigData = getFeedSignatureData(userId, feedId);
+    const isValidSig = getFeedSecrets(tenant).some(secret => verify(expectedSigData, secret, sig));
     
     if (!isValidSig) {
       console.warn(`Invalid signature for tenant: ${userId}`);
-      return createErrorResponse('Invalid signature', 403);
+      return createErrorResponse('Invalid signature', 403, format);
+    }
+
+    if (feedId && !findTenantFeed(tenant, feedId)) {
+      console.warn(`Feed not found for tenant ${userId}: ${feedId}`);
+      return createErrorResponse('Feed not found', 404, format);
     }
 
-    // Track RSS access for analytics and countdown
     const accessTime = new Date().toISOString();
-    await trackRSSAccess(userId, tenant, isRadarr, clientIP, accessTime);
+
+    // Conditional GET: answer 304 without building the feed when nothing changed
+    const { etag, lastModified } = await rssManager.getFeedValidators(userId, tenant, { feedId, format, paging });
+    const cache = await feedCacheHeaders(request, { etag, lastModified });
+    if (cache.notModified && !bypassCache) {
+      // A revalidation is still a poll for the Radarr countdown
+      await trackFeedAccess(userId, { isRadarr, clientIP, accessTime, status: 304, size: 0, feedId, format });
+      console.log(`${format} feed not modified for ${userId}${feedId ? ` [${feedId}]` : ''} (${Date.now() - startTime}ms)`);
+      return createNotModifiedResponse({
+        ...cache.cacheHeaders,
+        'X-Access-Time': accessTime,
+        ...rateLimitHeaders(rateLimit)
+      });
+    }
 
     // Generate RSS feed using simplified but robust manager
-    console.log(`Generating RSS feed for ${userId} (${isRadarr ? 'Radarr' : 'Browser'})`);
+    console.log(`Generating ${format} feed for ${userId}${feedId ? ` [${feedId}]` : ''} (${isRadarr ? 'Radarr' : 'Browser'})`);
     
-    const rssContent = await rssManager.generateFeed(userId, { bypassCache });
+    const rssContent = await rssManager.generateFeed(userId, { bypassCache, feedId, format, etag, lastModified, paging, url: request.url });
     const responseTime = Date.now() - startTime;
+
+    // A backup or error feed must not be cached under the current version
+    const cacheHeaders = rssManager.isCurrentVersion(userId, etag, { feedId, format, paging })
+      ? cache.cacheHeaders
+      : { 'Cache-Control': 'no-cache' };
     
     // Count movies in feed for metrics
-    const movieCountMatch = rssContent.match(/<item>/g);
-    const movieCount = movieCountMatch ? Math.max(0, movieCountMatch.length - 1) : 0;
+    const movieCount = rssManager.countItems(rssContent, format);
+
+    // Track RSS access for analytics and countdown
+    await trackFeedAccess(userId, { isRadarr, clientIP, accessTime, status: 200, size: Buffer.byteLength(rssContent), feedId, format });
     
-    console.log(`RSS feed generated for ${userId}: ${movieCount} movies, ${rssContent.length} bytes, ${responseTime}ms`);
+    console.log(`${format} feed generated for ${userId}: ${movieCount} movies, ${rssContent.length} bytes, ${responseTime}ms`);
     
-    // Return RSS with appropriate headers
+    // Return feed with appropriate headers
     return new Response(rssContent, {
       status: 200,
       headers: {
-        'Content-Type': 'application/rss+xml; charset=utf-8',
-        'Cache-Control': 'public, max-age=60, stale-while-revalidate=300',
+        'Content-Type': FEED_FORMATS[format].contentType,
+        ...cacheHeaders,
         'X-Content-Type-Options': 'nosniff',
         'X-RSS-Generator': 'Helparr v2.0',
         'X-Movie-Count': movieCount.toString(),
         'X-Response-Time': `${responseTime}ms`,
         'X-Client-Type': isRadarr ? 'radarr' : 'browser',
-        'X-Access-Time': accessTime
+        'X-Access-Time': accessTime,
+        ...rateLimitHeaders(rateLimit)
       }
     });
 
@@ -125,49 +147,22 @@ export async function GET(request, { params }) {
     console.error(`RSS Feed Error [${userId}] after ${responseTime}ms:`, error.message);
 
     // Return error response that won't break Radarr
-    return createErrorResponse(error.message, 500);
+    return createErrorResponse(error.message, 500, format);
   }
 }
 
-// Track RSS access for analytics and Radarr countdown
-async function trackRSSAccess(userId, tenant, isRadarr, clientIP, accessTime) {
-  try {
-    // Update tenant with latest access information
-    const updatedTenant = {
-      ...tenant,
-      lastRSSAccess: accessTime,
-      lastRSSClient: isRadarr ? 'radarr' : 'browser',
-      lastRSSIP: clientIP.substring(0, 8) + '***', // Privacy
-      totalRSSAccesses: (tenant.totalRSSAccesses || 0) + 1,
-      // Track recent accesses for pattern analysis
-      recentRSSAccesses: [
-        {
-          time: accessTime,
-          client: isRadarr ? 'radarr' : 'browser',
-          ip: clientIP.substring(0, 8) + '***'
-        },
-        ...(tenant.recentRSSAccesses || []).slice(0, 9) // Keep last 10
-      ]
-    };
-
-    // Save updated tenant data
-    await saveTenant(userId, updatedTenant);
-
-    // For browser clients, update localStorage for countdown
-    if (!isRadarr) {
-      // This won't work directly, but we can pass it to the client via headers
-      // Client will need to handle storing this for countdown calculation
-    }
-
-    console.log(`RSS access tracked for ${userId}: ${isRadarr ? 'Radarr' : 'Browser'} at ${accessTime}`);
-  } catch (error) {
-    console.warn(`Failed to track RSS access for ${userId}:`, error.message);
-    // Don't fail the RSS request if tracking fails
+// Create error response that's still a valid feed (won't break Radarr)
+function createErrorResponse(message, status, format = 'rss') {
+  if (format !== 'rss') {
+    return new Response(rssManager.generateEmptyFeed(null, message, format), {
+      status: Math.min(status, 299),
+      headers: {
+        'Content-Type': FEED_FORMATS[format].contentType,
+        'X-Error': message.substring(0, 100)
+      }
+    });
   }
-}
 
-// Create error response that's still valid RSS (won't break Radarr)
-function createErrorResponse(message, status) {
   const errorFeed = `<?xml version="1.0" encoding="UTF-8"?>
 <rss version="2.0">
   <channel>
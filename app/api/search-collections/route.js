@@ -1,32 +1,13 @@
 // app/api/search-collections/route.js
 
-import { verify } from '../../../utils/hmac';
+import { verifyTenantRequest } from '../../../utils/requestAuth';
 import { loadTenant } from '../../../lib/kv';
+import { createApiHandler } from '../../../utils/apiMiddleware';
+import { routeSchemas } from '../../../utils/apiSchemas';
+import { consumeRateLimit, rateLimitHeaders } from '../../../lib/rateLimit';
 
 const TMDB_BASE = 'https://api.themoviedb.org/3';
 
-// Rate limiting store
-const rateLimitStore = new Map();
-
-function checkRateLimit(userId) {
-  const now = Date.now();
-  const windowMs = 60 * 1000; // 1 minute
-  const maxRequests = 20; // Same limit as people search
-  
-  const key = `collection_search_rate_limit:${userId}`;
-  const userRequests = rateLimitStore.get(key) || [];
-  
-  const recentRequests = userRequests.filter(timestamp => now - timestamp < windowMs);
-  
-  if (recentRequests.length >= maxRequests) {
-    return false;
-  }
-  
-  recentRequests.push(now);
-  rateLimitStore.set(key, recentRequests);
-  return true;
-}
-
 // Sanitize and validate collection data
 function sanitizeCollection(collection) {
   try {
@@ -50,20 +31,17 @@ function sanitizeCollection(collection) {
   }
 }
 
-export async function POST(request) {
+const handler = createApiHandler({ validation: routeSchemas.searchCollections, cors: false });
+
+export const POST = handler(async (request, { userId, query }) => {
   try {
     const url = new URL(request.url);
     const sig = url.searchParams.get('sig') || '';
-    
-    const { userId, query } = await request.json();
-    
-    if (!userId || !query || query.trim().length < 2) {
-      return Response.json({ error: 'Query must be at least 2 characters' }, { status: 400 });
-    }
 
-    // Rate limiting
-    if (!checkRateLimit(userId)) {
-      return Response.json({ error: 'Too many requests. Please wait.' }, { status: 429 });
+    // Rate limiting (per user)
+    const rateLimit = await consumeRateLimit('search-collections', userId);
+    if (!rateLimit.allowed) {
+      return Response.json({ error: 'Too many requests. Please wait.' }, { status: 429, headers: rateLimitHeaders(rateLimit) });
     }
 
     const tenant = await loadTenant(userId);
@@ -73,10 +51,10 @@ export async function POST(request) {
 
     // Verify signature
     const expectedSigData = `search-collections:${userId}`;
-    const isValidSig = verify(expectedSigData, tenant.tenantSecret, sig);
+    const auth = await verifyTenantRequest(userId, tenant, expectedSigData, sig);
     
-    if (!isValidSig) {
-      return Response.json({ error: 'Invalid signature' }, { status: 403 });
+    if (!auth.valid) {
+      return Response.json({ error: auth.error }, { status: 403 });
     }
 
     // Search TMDb for collections
@@ -136,7 +114,7 @@ export async function POST(request) {
     
     console.log(`Collection search completed for "${query}": ${collections.length} results processed`);
     
-    return Response.json({ collections });
+    return Response.json({ collections }, { headers: rateLimitHeaders(rateLimit) });
     
   } catch (error) {
     console.error('Search Collections Error:', error);
@@ -144,6 +122,6 @@ export async function POST(request) {
       error: error.message.includes('Invalid TMDb') ? error.message : 'Collection search failed. Please try again.' 
     }, { status: 500 });
   }
-}
+});
 
 export const dynamic = 'force-dynamic';
@@ -1,32 +1,13 @@
 // app/api/search-companies/route.js
 
-import { verify } from '../../../utils/hmac';
+import { verifyTenantRequest } from '../../../utils/requestAuth';
 import { loadTenant } from '../../../lib/kv';
+import { createApiHandler } from '../../../utils/apiMiddleware';
+import { routeSchemas } from '../../../utils/apiSchemas';
+import { consumeRateLimit, rateLimitHeaders } from '../../../lib/rateLimit';
 
 const TMDB_BASE = 'https://api.themoviedb.org/3';
 
-// Rate limiting store
-const rateLimitStore = new Map();
-
-function checkRateLimit(userId) {
-  const now = Date.now();
-  const windowMs = 60 * 1000; // 1 minute
-  const maxRequests = 20; // Same limit as people search
-  
-  const key = `company_search_rate_limit:${userId}`;
-  const userRequests = rateLimitStore.get(key) || [];
-  
-  const recentRequests = userRequests.filter(timestamp => now - timestamp < windowMs);
-  
-  if (recentRequests.length >= maxRequests) {
-    return false;
-  }
-  
-  recentRequests.push(now);
-  rateLimitStore.set(key, recentRequests);
-  return true;
-}
-
 // Sanitize and validate company data
 function sanitizeCompany(company) {
   try {
@@ -50,20 +31,17 @@ function sanitizeCompany(company) {
   }
 }
 
-export async function POST(request) {
+const handler = createApiHandler({ validation: routeSchemas.searchCompanies, cors: false });
+
+export const POST = handler(async (request, { userId, query }) => {
   try {
     const url = new URL(request.url);
     const sig = url.searchParams.get('sig') || '';
-    
-    const { userId, query } = await request.json();
-    
-    if (!userId || !query || query.trim().length < 2) {
-      return Response.json({ error: 'Query must be at least 2 characters' }, { status: 400 });
-    }
 
-    // Rate limiting
-    if (!checkRateLimit(userId)) {
-      return Response.json({ error: 'Too many requests. Please wait.' }, { status: 429 });
+    // Rate limiting (per user)
+    const rateLimit = await consumeRateLimit('search-companies', userId);
+    if (!rateLimit.allowed) {
+      return Response.json({ error: 'Too many requests. Please wait.' }, { status: 429, headers: rateLimitHeaders(rateLimit) });
     }
 
     const tenant = await loadTenant(userId);
@@ -73,10 +51,10 @@ export async function POST(request) {
 
     // Verify signature
     const expectedSigData = `search-companies:${userId}`;
-    const isValidSig = verify(expectedSigData, tenant.tenantSecret, sig);
+    const auth = await verifyTenantRequest(userId, tenant, expectedSigData, sig);
     
-    if (!isValidSig) {
-      return Response.json({ error: 'Invalid signature' }, { status: 403 });
+    if (!auth.valid) {
+      return Response.json({ error: auth.error }, { status: 403 });
     }
 
     // Search TMDb for companies
@@ -135,7 +113,7 @@ export async function POST(request) {
     
     console.log(`Company search completed for "${query}": ${companies.length} results processed`);
     
-    return Response.json({ companies });
+    return Response.json({ companies }, { headers: rateLimitHeaders(rateLimit) });
     
   } catch (error) {
     console.error('Search Companies Error:', error);
@@ -143,6 +121,6 @@ export async function POST(request) {
       error: error.message.includes('Invalid TMDb') ? error.message : 'Company search failed. Please try again.' 
     }, { status: 500 });
   }
-}
+});
 
 export const dynamic = 'force-dynamic';
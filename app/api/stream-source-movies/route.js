@@ -0,0 +1,86 @@
+// app/api/stream-source-movies/route.js
+import { verifyTenantRequest } from '../../../utils/requestAuth';
+import { loadTenant } from '../../../lib/kv';
+import { STREAM_SOURCE_TYPES, formatSseEvent, streamSourceMovies } from '../../../lib/sourceStream';
+import { ALLOWED_ROLE_TYPES } from '../../../utils/filmography';
+
+// GET because EventSource cannot POST; the signature works like every other tenant route
+export async function GET(request) {
+  const url = new URL(request.url);
+  const sig = url.searchParams.get('sig') || '';
+  const userId = url.searchParams.get('userId') || '';
+  const sourceType = url.searchParams.get('sourceType') || '';
+  const sourceId = Number(url.searchParams.get('sourceId'));
+  const roleType = url.searchParams.get('roleType') || 'actor';
+
+  console.log('📡 Source stream requested:', { userId: !!userId, sourceId, sourceType, roleType });
+
+  if (!userId || !sourceType || !url.searchParams.get('sourceId')) {
+    return Response.json({ error: 'Missing parameters' }, { status: 400 });
+  }
+
+  if (!STREAM_SOURCE_TYPES.includes(sourceType)) {
+    return Response.json({ error: 'Invalid source type' }, { status: 400 });
+  }
+
+  if (!Number.isInteger(sourceId) || sourceId <= 0) {
+    return Response.json({ error: 'Invalid source id' }, { status: 400 });
+  }
+
+  if (sourceType === 'person' && !ALLOWED_ROLE_TYPES.includes(roleType)) {
+    return Response.json({ error: 'Invalid role type' }, { status: 400 });
+  }
+
+  const tenant = await loadTenant(userId);
+  if (!tenant) {
+    return Response.json({ error: 'User not found' }, { status: 404 });
+  }
+
+  const auth = await verifyTenantRequest(userId, tenant, `stream-source-movies:${userId}`, sig);
+  if (!auth.valid) {
+    console.error('📡 Invalid signature');
+    return Response.json({ error: auth.error }, { status: 403 });
+  }
+
+  const encoder = new TextEncoder();
+  let closed = false;
+
+  const stream = new ReadableStream({
+    async start(controller) {
+      // Late page results can arrive after the client went away; drop them
+      const send = (event, data) => {
+        if (closed) return;
+        controller.enqueue(encoder.encode(formatSseEvent(event, data)));
+      };
+
+      await streamSourceMovies({
+        userId,
+        tenant,
+        sourceType,
+        sourceId,
+        roleType,
+        send,
+        signal: request.signal
+      });
+
+      if (!closed) {
+        closed = true;
+        controller.close();
+      }
+    },
+    cancel() {
+      closed = true;
+    }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Keep reverse proxies from buffering the stream
+    }
+  });
+}
+
+export const dynamic = 'force-dynamic';
@@ -1,86 +1,333 @@
 // app/api/sync-list/route.js
-import { verify, sign } from '../../../utils/hmac';
-import { loadTenant, saveTenant } from '../../../lib/kv';
+import { sign } from '../../../utils/hmac';
+import { verifyTenantRequest } from '../../../utils/requestAuth';
+import { loadTenant, updateTenant } from '../../../lib/kv';
+import { getTenantFeeds, normalizeFeeds, getFeedFilters, buildFeedUrls } from '../../../utils/feeds';
+import { normalizeFeedFilters } from '../../../utils/feedFilters';
+import { getTenantExclusions, normalizeExclusions } from '../../../utils/exclusions';
+import { getCollectionRevision, getCollectionState } from '../../../utils/collectionSync';
+import { applyCollectionPatch } from '../../../utils/collectionPatch';
+import { normalizePeople } from '../../../utils/collectionValidation';
+import { deduplicateMoviesWithStats } from '../../../utils/movieDeduplication';
+import { mergeAutoAddedMovies } from '../../../lib/smartSources';
+import { withoutFeedState } from '../../../lib/feedAccess';
+import { getTenantRadarrConfig, isPushReady, pushTenantMovies, recordPushRun, SYNC_PUSH_DEADLINE_MS } from '../../../lib/radarr';
+import { createApiHandler } from '../../../utils/apiMiddleware';
+import { routeSchemas } from '../../../utils/apiSchemas';
 
-export async function POST(request) {
+// Full uploads carry the whole people tree, which outgrows the 1MB default for large collections
+const SYNC_BODY_LIMIT = 4 * 1024 * 1024;
+
+const postHandler = createApiHandler({ validation: routeSchemas.syncListPost, sizeLimit: SYNC_BODY_LIMIT, cors: false });
+const patchHandler = createApiHandler({ validation: routeSchemas.syncListPatch, cors: false });
+const getHandler = createApiHandler({ validation: routeSchemas.syncListGet, cors: false });
+
+// Refuse a push based on an outdated revision and hand back the stored collection to merge with
+function conflictResponse(tenant) {
+  return Response.json({
+    error: 'Your collection changed on another device',
+    conflict: true,
+    collection: getCollectionState(tenant)
+  }, { status: 409 });
+}
+
+// Validate feed definitions, default filters and exclusions; anything not sent keeps its stored value
+function resolveFeedSettings(tenant, { feeds: feedDefinitions, feedFilters: defaultFeedFilters, exclusions: exclusionList }) {
+  // Named feeds: keep the stored definitions when an older client doesn't send any
+  let feeds = getTenantFeeds(tenant);
+  if (feedDefinitions !== undefined) {
+    const feedValidation = normalizeFeeds(feedDefinitions);
+    if (!feedValidation.valid) {
+      return { error: feedValidation.error };
+    }
+    feeds = feedValidation.feeds;
+  }
+
+  // Filtering rules for the default feed (named feeds carry their own)
+  let feedFilters = getFeedFilters(tenant);
+  if (defaultFeedFilters !== undefined) {
+    const filterValidation = normalizeFeedFilters(defaultFeedFilters);
+    if (!filterValidation.valid) {
+      return { error: filterValidation.error };
+    }
+    feedFilters = filterValidation.filters;
+  }
+
+  // Tenant-wide blocklist: excluded movies stay out of every feed whichever source selects them
+  let exclusions = getTenantExclusions(tenant);
+  if (exclusionList !== undefined) {
+    const exclusionValidation = normalizeExclusions(exclusionList);
+    if (!exclusionValidation.valid) {
+      return { error: exclusionValidation.error };
+    }
+    exclusions = exclusionValidation.exclusions;
+  }
+
+  return { feeds, feedFilters, exclusions };
+}
+
+// Load the tenant and check the signature shared by POST and PATCH
+async function authorizeSync(userId, sig) {
+  const tenant = await loadTenant(userId);
+  if (!tenant) {
+    return { error: Response.json({ error: 'User not found' }, { status: 404 }) };
+  }
+
+  // Verify signature
+  const expectedSigData = `sync-list:${userId}`;
+  const auth = await verifyTenantRequest(userId, tenant, expectedSigData, sig);
+
+  if (!auth.valid) {
+    return { error: Response.json({ error: auth.error }, { status: 403 }) };
+  }
+
+  return { tenant };
+}
+
+// The feed is always rebuilt here from `people`; selected movies sent by a client are never trusted.
+// Malformed movies are dropped and counted in the returned stats.
+function buildCanonicalMovies(people, exclusions) {
+  const validation = normalizePeople(people);
+  if (!validation.valid) {
+    return { error: validation.error };
+  }
+
+  const { movies, stats } = deduplicateMoviesWithStats(validation.people, exclusions);
+  return {
+    people: validation.people,
+    selectedMovies: movies,
+    deduplication: {
+      ...stats,
+      rejectedMovies: validation.rejectedCount,
+      ...(validation.rejected.length > 0 && { rejected: validation.rejected })
+    }
+  };
+}
+
+// New tenant record for a collection built on top of `tenant`
+function buildUpdatedTenant(tenant, collection, currentTime) {
+  const { people, selectedMovies, feeds, feedFilters, exclusions } = collection;
+
+  // Store selected movies and people data in Redis with enhanced tracking
+  const updateData = {
+    selectedMovies: JSON.stringify(selectedMovies),
+    people: JSON.stringify(people),
+    feeds: JSON.stringify(feeds),
+    feedFilters: JSON.stringify(feedFilters),
+    exclusions: JSON.stringify(exclusions),
+    movieCount: selectedMovies.length,
+    personCount: people.length,
+    lastSync: currentTime,
+    revision: getCollectionRevision(tenant) + 1,
+    // Track user engagement for analytics
+    lastActivity: currentTime,
+    totalSyncs: (tenant.totalSyncs || 0) + 1,
+    // Store activity history for better analytics (last 5 sync timestamps)
+    recentSyncs: [
+      currentTime,
+      ...(tenant.recentSyncs || []).slice(0, 4)
+    ]
+  };
+
+  // Feed access stats and backups from before they moved to their own keys are dropped here
+  return {
+    ...withoutFeedState(tenant),
+    ...updateData
+  };
+}
+
+// Opt-in direct Radarr push: add new feed movies now instead of waiting for Radarr's next list poll.
+// It holds up the sync response, so it gets a short deadline; a failing Radarr never fails the
+// sync - the RSS feed still carries every movie.
+async function pushAfterSync(userId, tenant) {
+  const radarrConfig = getTenantRadarrConfig(tenant);
+  if (!radarrConfig?.pushOnSync || !isPushReady(radarrConfig)) {
+    return null;
+  }
+
+  let run;
+  let radarrPush;
+  try {
+    run = await pushTenantMovies(tenant, { deadlineMs: SYNC_PUSH_DEADLINE_MS });
+    radarrPush = { added: run.added, existing: run.existing, failed: run.failed, remaining: run.remaining };
+  } catch (pushError) {
+    console.warn(`Radarr push for ${userId} failed:`, pushError.message);
+    run = { dryRun: false, pushedAt: new Date().toISOString(), error: pushError.message, results: [] };
+    radarrPush = { error: pushError.message };
+  }
+
+  try {
+    await recordPushRun(userId, run);
+  } catch (logError) {
+    console.warn(`Could not log Radarr push for ${userId}:`, logError.message);
+  }
+  return radarrPush;
+}
+
+// Save a new version of the collection, push to Radarr when enabled and answer with the feed URLs.
+// `buildCollection` gets the stored tenant and returns { collection, extraResponse } to save, or
+// { response } to answer without saving. It runs again on the newer record whenever another write
+// lands between read and save, so its checks always see what is actually stored.
+async function storeCollection(userId, buildCollection) {
+  const currentTime = new Date().toISOString();
+  let outcome;
+
+  const { tenant: updatedTenant, updated } = await updateTenant(userId, tenant => {
+    if (!tenant) {
+      outcome = { response: Response.json({ error: 'User not found' }, { status: 404 }) };
+      return null;
+    }
+    outcome = buildCollection(tenant);
+    return outcome.response ? null : buildUpdatedTenant(tenant, outcome.collection, currentTime);
+  });
+
+  if (!updated) {
+    return outcome.response;
+  }
+
+  const { collection: { feeds, deduplication }, extraResponse = {} } = outcome;
+  const { movieCount, personCount, revision } = updatedTenant;
+
+  // Radarr is only contacted once the new version is stored
+  const radarrPush = await pushAfterSync(userId, updatedTenant);
+
+  // Generate clean RSS URLs (no movie data in params)
+  const { rssUrl, listUrl, feedUrls } = buildFeedUrls(userId, feeds, data => sign(data, updatedTenant.tenantSecret));
+
+  // Log activity for debugging
+  console.log(`User ${userId} synced: ${movieCount} movies, ${personCount} people/collections${deduplication.rejectedMovies ? `, ${deduplication.rejectedMovies} malformed movies dropped` : ''}`);
+
+  return Response.json({ 
+    rssUrl,
+    listUrl,
+    feedUrls,
+    synced: true,
+    lastSync: currentTime,
+    revision,
+    movieCount,
+    personCount,
+    deduplication,
+    ...(radarrPush && { radarrPush }),
+    ...extraResponse,
+    message: (movieCount > 0 
+      ? `Successfully synced ${movieCount} movies from ${personCount} sources`
+      : 'Collection synced - add movies to see them in your RSS feed') +
+      (deduplication.rejectedMovies > 0 ? ` (${deduplication.rejectedMovies} malformed movies skipped)` : '')
+  });
+}
+
+// Full upload: the client's people tree replaces the stored one. Clients that don't send a
+// revision are treated as never having synced.
+export const POST = postHandler(async (request, data) => {
   try {
     const url = new URL(request.url);
     const sig = url.searchParams.get('sig') || '';
     
-    const { userId, selectedMovies, people } = await request.json();
+    // `selectedMovies` from older clients is ignored: the feed is rebuilt from `people`
+    const { userId, revision: baseRevision = 0, selectedMovies: _clientMovies, people: clientPeople, ...settings } = data;
+
+    const { error } = await authorizeSync(userId, sig);
+    if (error) return error;
+
+    return await storeCollection(userId, tenant => {
+      // Optimistic concurrency: the client names the revision its changes are based on
+      if (baseRevision !== getCollectionRevision(tenant)) {
+        return { response: conflictResponse(tenant) };
+      }
+
+      const { feeds, feedFilters, exclusions, error: settingsError } = resolveFeedSettings(tenant, settings);
+      if (settingsError) {
+        return { response: Response.json({ error: settingsError }, { status: 400 }) };
+      }
+
+      // Keep movies that smart sources added server-side since this client last loaded its list
+      const { people: mergedPeople } = mergeAutoAddedMovies({ people: clientPeople }, tenant.people);
+
+      const canonical = buildCanonicalMovies(mergedPeople, exclusions);
+      if (canonical.error) {
+        return { response: Response.json({ error: canonical.error }, { status: 400 }) };
+      }
+
+      return { collection: { ...canonical, feeds, feedFilters, exclusions } };
+    });
     
-    if (!userId) {
-      return Response.json({ error: 'Missing user ID' }, { status: 400 });
-    }
+  } catch (error) {
+    console.error('Sync List Error:', error);
+    return Response.json({ error: 'Sync failed' }, { status: 500 });
+  }
+});
+
+// Incremental sync: apply the client's operations to the stored collection and rebuild the feed here
+export const PATCH = patchHandler(async (request, data) => {
+  try {
+    const url = new URL(request.url);
+    const sig = url.searchParams.get('sig') || '';
+
+    const { userId, revision: baseRevision = 0, operations = [], ...settings } = data;
+
+    const { error } = await authorizeSync(userId, sig);
+    if (error) return error;
+
+    return await storeCollection(userId, tenant => {
+      // Settings replace the stored lists wholesale, so unlike operations they can't be applied on
+      // top of changes this client hasn't seen: it gets the stored collection back to merge into
+      const rebased = baseRevision !== getCollectionRevision(tenant);
+      if (rebased && [settings.feeds, settings.feedFilters, settings.exclusions].some(value => value !== undefined)) {
+        return { response: conflictResponse(tenant) };
+      }
+
+      const { feeds, feedFilters, exclusions, error: settingsError } = resolveFeedSettings(tenant, settings);
+      if (settingsError) {
+        return { response: Response.json({ error: settingsError }, { status: 400 }) };
+      }
+
+      const patch = applyCollectionPatch(getCollectionState(tenant).people, operations);
+      if (!patch.valid) {
+        return { response: Response.json({ error: patch.error }, { status: 400 }) };
+      }
+
+      const canonical = buildCanonicalMovies(patch.people, exclusions);
+      if (canonical.error) {
+        return { response: Response.json({ error: canonical.error }, { status: 400 }) };
+      }
+      const { people, selectedMovies } = canonical;
+
+      // Operations apply to whatever is stored, so a stale client isn't refused; it gets the
+      // resulting collection back instead, since its copy is missing another device's changes
+      return {
+        collection: { ...canonical, feeds, feedFilters, exclusions },
+        extraResponse: {
+          operationsApplied: operations.length,
+          ...(rebased && { collection: { people, selectedMovies, feeds, feedFilters, exclusions } })
+        }
+      };
+    });
+  } catch (error) {
+    console.error('Sync List Error:', error);
+    return Response.json({ error: 'Sync failed' }, { status: 500 });
+  }
+});
 
+// Stored collection, so a browser can pick up changes synced from another device
+export const GET = getHandler(async (request, { userId, sig = '' }) => {
+  try {
     const tenant = await loadTenant(userId);
     if (!tenant) {
       return Response.json({ error: 'User not found' }, { status: 404 });
     }
 
-    // Verify signature
-    const expectedSigData = `sync-list:${userId}`;
-    const isValidSig = verify(expectedSigData, tenant.tenantSecret, sig);
-    
-    if (!isValidSig) {
-      return Response.json({ error: 'Invalid signature' }, { status: 403 });
+    const auth = await verifyTenantRequest(userId, tenant, `sync-list:${userId}`, sig);
+    if (!auth.valid) {
+      return Response.json({ error: auth.error }, { status: 403 });
     }
 
-    // Calculate metrics for activity tracking
-    const movieCount = selectedMovies?.length || 0;
-    const personCount = people?.length || 0;
-    const currentTime = new Date().toISOString();
-
-    // Store selected movies and people data in Redis with enhanced tracking
-    const updateData = {
-      selectedMovies: JSON.stringify(selectedMovies || []),
-      people: JSON.stringify(people || []),
-      movieCount: movieCount,
-      personCount: personCount,
-      lastSync: currentTime,
-      // Track user engagement for analytics
-      lastActivity: currentTime,
-      totalSyncs: (tenant.totalSyncs || 0) + 1,
-      // Store activity history for better analytics (last 5 sync timestamps)
-      recentSyncs: [
-        currentTime,
-        ...(tenant.recentSyncs || []).slice(0, 4)
-      ]
-    };
-
-    // Update tenant with movie list and activity tracking
-    await saveTenant(userId, {
-      ...tenant,
-      ...updateData
+    return Response.json(getCollectionState(tenant), {
+      headers: { 'Cache-Control': 'private, no-store' }
     });
-
-    // Generate clean RSS URL (no movie data in params)
-    const base = 'https://helparr.vercel.app';
-    const rssSig = sign(`rss:${userId}`, tenant.tenantSecret, '');
-    
-    const bypassParam = process.env.VERCEL_AUTOMATION_BYPASS_SECRET 
-      ? `&x-vercel-protection-bypass=${process.env.VERCEL_AUTOMATION_BYPASS_SECRET}` 
-      : '';
-
-    const rssUrl = `${base}/api/rss/${userId}?sig=${rssSig}${bypassParam}`;
-
-    // Log activity for debugging
-    console.log(`User ${userId} synced: ${movieCount} movies, ${personCount} people/collections`);
-
-    return Response.json({ 
-      rssUrl,
-      synced: true,
-      movieCount: updateData.movieCount,
-      personCount: updateData.personCount,
-      message: movieCount > 0 
-        ? `Successfully synced ${movieCount} movies from ${personCount} sources`
-        : 'Collection synced - add movies to see them in your RSS feed'
-    });
-    
   } catch (error) {
     console.error('Sync List Error:', error);
-    return Response.json({ error: 'Sync failed' }, { status: 500 });
+    return Response.json({ error: 'Failed to load collection' }, { status: 500 });
   }
-}
+});
 
 export const dynamic = 'force-dynamic';
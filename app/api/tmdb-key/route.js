@@ -0,0 +1,42 @@
+// app/api/tmdb-key/route.js
+// Replace the stored TMDb API key after the user regenerated it on TMDb
+
+import { authorizeTenantRequest } from '../../../utils/requestAuth';
+import { updateTenant } from '../../../lib/kv';
+import { createApiHandler } from '../../../utils/apiMiddleware';
+import { routeSchemas } from '../../../utils/apiSchemas';
+
+const handler = createApiHandler({ validation: routeSchemas.updateTmdbKey, cors: false });
+
+// Signed with `tmdb-key:<userId>` by the tenant secret or a device session. create-user refuses a
+// key that differs from the stored one, so this is the only way to replace it.
+export const POST = handler(async (request, { userId, tmdbKey }) => {
+  try {
+    const url = new URL(request.url);
+    const { error } = await authorizeTenantRequest(userId, `tmdb-key:${userId}`, url.searchParams.get('sig') || '');
+    if (error) return error;
+
+    const updatedAt = new Date().toISOString();
+    const { updated } = await updateTenant(userId, current => current && {
+      ...current,
+      tmdbKey,
+      tmdbKeyUpdatedAt: updatedAt
+    });
+    if (!updated) {
+      return Response.json({ error: 'User not found' }, { status: 404 });
+    }
+
+    console.log(`User ${userId} updated their TMDb API key`);
+
+    return Response.json({
+      updated: true,
+      updatedAt,
+      message: 'TMDb API key updated. Smart sources and feeds use the new key from now on.'
+    });
+  } catch (error) {
+    console.error('TMDb Key Error:', error);
+    return Response.json({ error: 'Failed to update the TMDb API key' }, { status: 500 });
+  }
+});
+
+export const dynamic = 'force-dynamic';
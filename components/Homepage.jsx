@@ -1,7 +1,9 @@
 // components/Homepage.jsx
 import { useState, useEffect, useCallback } from 'react';
 
-import { trackEvent } from '../utils/analytics';
+import { storeSyncedRevision, setSyncedSettings } from '../hooks/useUserManagement';
+import { trackEvent, generateSignature } from '../utils/analytics';
+import { parseDeviceCredential } from '../utils/hmac';
 import DataMigration from '../utils/dataMigration';
 import DemoView from './DemoView';
 import SetupView from './SetupView';
@@ -35,12 +37,26 @@ const logger = {
   }
 };
 
+const BROWSERS = [[/Edg\//, 'Edge'], [/Firefox\//, 'Firefox'], [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari']];
+const SYSTEMS = [[/iPhone|iPad/, 'iOS'], [/Android/, 'Android'], [/Mac OS X/, 'macOS'], [/Windows/, 'Windows'], [/Linux/, 'Linux']];
+
+// Label for the device list, e.g. "Firefox on macOS"
+function describeDevice() {
+  const userAgent = typeof navigator !== 'undefined' ? navigator.userAgent : '';
+  const browser = BROWSERS.find(([pattern]) => pattern.test(userAgent));
+  const system = SYSTEMS.find(([pattern]) => pattern.test(userAgent));
+  return [browser ? browser[1] : 'Browser', system && `on ${system[1]}`].filter(Boolean).join(' ');
+}
+
 export default function Homepage() {
   const [view, setView] = useState('demo'); // Start with demo
   const [userId, setUserId] = useState('');
   const [tmdbKey, setTmdbKey] = useState('');
+  // What this browser signs API requests with: the tenant secret (browsers set up before
+  // accounts) or a device credential from signing in (`<sessionId>:<deviceKey>`)
   const [tenantSecret, setTenantSecret] = useState('');
   const [rssUrl, setRssUrl] = useState('');
+  const [feeds, setFeeds] = useState([]); // Named feeds (the default feed is implicit)
   const [movieCount, setMovieCount] = useState(0);
   const [autoSyncStatus, setAutoSyncStatus] = useState('');
   const [loading, setLoading] = useState(false);
@@ -60,6 +76,82 @@ export default function Homepage() {
     }
   }, []);
 
+  // Persist named feeds alongside the rest of the collection
+  const updateFeeds = useCallback((updatedFeeds) => {
+    setFeeds(updatedFeeds);
+    localStorage.setItem('feeds', JSON.stringify(updatedFeeds));
+  }, []);
+
+  // A rotated secret invalidates the stored RSS URL, so both are replaced together.
+  // Signed-in devices keep their own credential and only get the new URL.
+  const handleSecretRotated = useCallback((newSecret, newRssUrl) => {
+    if (newSecret) {
+      localStorage.setItem('tenantSecret', newSecret);
+      setTenantSecret(newSecret);
+    }
+    localStorage.setItem('rssUrl', newRssUrl);
+    setRssUrl(newRssUrl);
+  }, []);
+
+  // Store a device session from /api/auth/login; a new device also takes the synced collection
+  const handleSignedIn = useCallback((data, { restoreCollection = true } = {}) => {
+    localStorage.setItem('userId', data.userId);
+    localStorage.setItem('deviceCredential', data.deviceCredential);
+    localStorage.setItem('rssUrl', data.rssUrl);
+    localStorage.setItem('feedUrls', JSON.stringify(data.feedUrls || []));
+    // The device credential replaces the long-lived secret and the TMDb key
+    localStorage.removeItem('tenantSecret');
+    localStorage.removeItem('tmdbKey');
+
+    if (restoreCollection && data.collection) {
+      localStorage.setItem('people', JSON.stringify(data.collection.people));
+      localStorage.setItem('selectedMovies', JSON.stringify(data.collection.selectedMovies));
+      localStorage.setItem('feedFilters', JSON.stringify(data.collection.feedFilters));
+      localStorage.setItem('exclusions', JSON.stringify(data.collection.exclusions));
+      if (data.collection.lastSync) {
+        localStorage.setItem('lastSync', data.collection.lastSync);
+      }
+      localStorage.removeItem('syncPending');
+      storeSyncedRevision(data.collection.revision);
+      setSyncedSettings(data.collection);
+      updateFeeds(data.collection.feeds);
+      setMovieCount(data.collection.selectedMovies.length);
+    }
+
+    setUserId(data.userId);
+    setTenantSecret(data.deviceCredential);
+    setRssUrl(data.rssUrl);
+    setView('app');
+  }, [updateFeeds]);
+
+  // Sign in with an account passphrase or a one-time link
+  const handleSignIn = useCallback(async (credentials) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...credentials, deviceName: describeDevice() })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Sign-in failed');
+      }
+
+      handleSignedIn(data);
+      setSuccess('Signed in. Your collection is ready on this device.');
+      trackEvent('device_signed_in', { method: credentials.loginToken ? 'link' : 'passphrase' });
+    } catch (err) {
+      logger.error('Sign-in error:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [handleSignedIn]);
+
   // Generate UUID that works across all browser environments
   const generateUUID = () => {
     // Try modern crypto.randomUUID first
@@ -90,11 +182,12 @@ export default function Homepage() {
     // Check if user is returning (has saved credentials)
     const savedKey = localStorage.getItem('tmdbKey');
     const savedSecret = localStorage.getItem('tenantSecret');
+    const savedCredential = localStorage.getItem('deviceCredential');
     const savedRssUrl = localStorage.getItem('rssUrl');
     
-    if (savedKey && savedSecret) {
-      setTmdbKey(savedKey);
-      setTenantSecret(savedSecret);
+    if (savedCredential || (savedKey && savedSecret)) {
+      setTmdbKey(savedKey || '');
+      setTenantSecret(savedCredential || savedSecret);
       setRssUrl(savedRssUrl || '');
       setView('app'); // Skip to main app
       
@@ -109,18 +202,52 @@ export default function Homepage() {
     // Initialize movie count from localStorage
     updateMovieCountFromStorage();
 
-    // Listen for RSS access updates from the API
-    const handleStorageChange = (e) => {
-      if (e.key === 'lastRSSAccess') {
-        // RSS was accessed, this can help with countdown calculation
-        logger.info('RSS access detected for countdown calculation');
-      }
-    };
-
-    window.addEventListener('storage', handleStorageChange);
-    return () => window.removeEventListener('storage', handleStorageChange);
+    try {
+      const savedFeeds = localStorage.getItem('feeds');
+      setFeeds(savedFeeds ? JSON.parse(savedFeeds) : []);
+    } catch (error) {
+      logger.warn('Failed to load feeds from storage:', error);
+    }
   }, []);
 
+  // One-time sign-in links open the app with ?login=<token>
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    const loginToken = url.searchParams.get('login');
+    if (!loginToken) return;
+
+    // Take the token out of the address bar and history before using it
+    url.searchParams.delete('login');
+    window.history.replaceState(null, '', url.toString());
+    handleSignIn({ loginToken });
+  }, [handleSignIn]);
+
+  // A device signed out from another device (or whose session expired) goes back to sign-in
+  useEffect(() => {
+    if (!userId || !parseDeviceCredential(tenantSecret)) return;
+
+    let cancelled = false;
+    generateSignature(`account:${userId}`, tenantSecret)
+      .then(sig => fetch(`/api/auth/account?userId=${encodeURIComponent(userId)}&sig=${sig}`))
+      .then(async res => {
+        if (cancelled || res.status !== 403) return;
+        const json = await res.json();
+        if (json.error === 'Session expired or revoked') {
+          localStorage.removeItem('deviceCredential');
+          setTenantSecret('');
+          setView('setup');
+          setError('This device was signed out. Sign in again to continue.');
+        }
+      })
+      .catch(() => {
+        // Offline or server unavailable: keep the session until a request fails
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, tenantSecret]);
+
   // Handle movie count changes (called from auto-sync and manual operations)
   const handleMovieCountChange = useCallback((newCount) => {
     if (typeof newCount === 'number') {
@@ -219,15 +346,15 @@ export default function Homepage() {
     }
   };
 
-  // Copy RSS URL to clipboard
-  const copyRssUrl = async () => {
-    if (!rssUrl) {
+  // Copy RSS URL (or a named feed's URL) to clipboard
+  const copyRssUrl = async (url = rssUrl) => {
+    if (!url) {
       setError('No RSS URL to copy');
       return;
     }
 
     try {
-      await navigator.clipboard.writeText(rssUrl);
+      await navigator.clipboard.writeText(url);
       setCopySuccess(true);
       trackEvent('rss_url_copied', { fromSetup: true, movieCount });
     } catch (err) {
@@ -251,6 +378,9 @@ export default function Homepage() {
           copySuccess={copySuccess}
           movieCount={movieCount}
           autoSyncStatus={autoSyncStatus}
+          feeds={feeds}
+          userId={userId}
+          tenantSecret={tenantSecret}
         />
       )}
 
@@ -292,6 +422,7 @@ export default function Homepage() {
         {view === 'setup' && (
           <SetupView 
             onComplete={handleSetupComplete}
+            onSignIn={handleSignIn}
             isLoading={loading}
           />
         )}
@@ -302,6 +433,10 @@ export default function Homepage() {
             tenantSecret={tenantSecret}
             rssUrl={rssUrl}
             setRssUrl={setRssUrl}
+            onSecretRotated={handleSecretRotated}
+            onSignedIn={handleSignedIn}
+            feeds={feeds}
+            setFeeds={updateFeeds}
             onMovieCountChange={handleMovieCountChange}
             setAutoSyncStatus={setAutoSyncStatus}
           />
@@ -1,15 +1,17 @@
 // components/MainApp.jsx
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 
 import { useSourceSearch } from '../hooks/useSourceSearch';
 import { useFilmography } from '../hooks/useFilmography';
-import { useUserManagement } from '../hooks/useUserManagement';
+import { useUserManagement, setSyncedSettings } from '../hooks/useUserManagement';
 import { updateSelectedMoviesWithDeduplication } from '../utils/movieDeduplication';
+import { mergeCollections } from '../utils/collectionSync';
 import { trackEvent } from '../utils/analytics';
 import SearchView from './views/SearchView';
 import ManageView from './views/ManageView';
 import HelpView from './views/HelpView';
 import MessageContainer from './ui/MessageContainer';
+import SyncConflictBanner from './ui/SyncConflictBanner';
 // Client-safe logging that works in both SSR and browser environments
 const logger = {
   error: (message, ...args) => {
@@ -43,6 +45,10 @@ export default function MainApp({
   tenantSecret, 
   rssUrl, 
   setRssUrl, 
+  onSecretRotated,
+  onSignedIn,
+  feeds = [],
+  setFeeds,
   onMovieCountChange,
   setAutoSyncStatus 
 }) {
@@ -59,14 +65,15 @@ export default function MainApp({
   const [selectedMovies, setSelectedMovies] = useState([]); // Deduplicated movies
   const [rawSelectedMovies, setRawSelectedMovies] = useState([]); // Original selections for display
   const [expandedPeople, setExpandedPeople] = useState(new Set());
+  const [exclusions, setExclusions] = useState([]); // Movies kept out of every feed
+  const [syncConflict, setSyncConflict] = useState(null); // Server collection awaiting a merge choice
 
   // Initialize hooks with proper error handling
   const sourceSearch = useSourceSearch(userId, tenantSecret);
   const filmography = useFilmography(userId, tenantSecret);
-  const userManagement = useUserManagement();
 
   // Enhanced movie selection update with deduplication
-  const updateSelectedMovies = (peopleData) => {
+  const updateSelectedMovies = (peopleData, exclusionList = exclusions) => {
     try {
       // Generate raw selected movies for display purposes (shows under each person)
       const allRawMovies = peopleData.flatMap(person =>
@@ -86,7 +93,7 @@ export default function MainApp({
       );
       
       // Generate deduplicated movies for RSS feed
-      const deduplicatedMovies = updateSelectedMoviesWithDeduplication(peopleData);
+      const deduplicatedMovies = updateSelectedMoviesWithDeduplication(peopleData, exclusionList);
       
       // Update both raw and deduplicated states
       setRawSelectedMovies(allRawMovies);
@@ -110,6 +117,73 @@ export default function MainApp({
     }
   };
 
+  // Replace the exclusion list and recompute the feed without the excluded movies
+  const updateExclusions = (nextExclusions) => {
+    setExclusions(nextExclusions);
+    localStorage.setItem('exclusions', JSON.stringify(nextExclusions));
+    updateSelectedMovies(people, nextExclusions);
+  };
+
+  // Show a collection that a sync merged with changes from another tab or device
+  const showMergedCollection = (merged) => {
+    setPeople(merged.people);
+    setExclusions(merged.exclusions);
+    setFeeds?.(merged.feeds);
+    updateSelectedMovies(merged.people, merged.exclusions);
+    setSuccess('Merged in changes synced from another device.');
+  };
+
+  // One instance for the whole app, shared with the views, so every edit joins the same sync queue
+  const userManagement = useUserManagement({ onCollectionMerged: showMergedCollection });
+
+  // Push this browser's collection (after a merge or when the other device's copy is discarded)
+  const pushLocalCollection = (peopleData, exclusionList) => {
+    const movies = updateSelectedMoviesWithDeduplication(peopleData, exclusionList);
+    userManagement.triggerAutoSync(userId, tenantSecret, movies, peopleData, setRssUrl, setSuccess, setError, onMovieCountChange);
+  };
+
+  // Replace this browser's collection with one from the server (or a merge of both)
+  const applyCollection = (collection, server) => {
+    setPeople(collection.people);
+    setExclusions(collection.exclusions);
+    localStorage.setItem('people', JSON.stringify(collection.people));
+    localStorage.setItem('exclusions', JSON.stringify(collection.exclusions));
+    localStorage.setItem('feedFilters', JSON.stringify(collection.feedFilters));
+    setFeeds?.(collection.feeds);
+    updateSelectedMovies(collection.people, collection.exclusions);
+    localStorage.setItem('lastSync', server.lastSync);
+    localStorage.removeItem('syncPending');
+    userManagement.setSyncedRevision(server.revision);
+    setSyncedSettings(server);
+  };
+
+  // Settle a conflict between this browser's edits and another device's sync
+  const resolveSyncConflict = (choice) => {
+    const server = syncConflict;
+    setSyncConflict(null);
+    trackEvent('sync_conflict_resolved', { choice });
+
+    if (choice === 'server') {
+      applyCollection(server, server);
+      setSuccess('Loaded the collection from your other device.');
+    } else if (choice === 'merge') {
+      const local = {
+        people,
+        feeds,
+        feedFilters: JSON.parse(localStorage.getItem('feedFilters') || '{}'),
+        exclusions
+      };
+      const merged = mergeCollections(local, server);
+      applyCollection(merged, server);
+      pushLocalCollection(merged.people, merged.exclusions);
+      setSuccess(`Merged both collections (${merged.people.length} sources). Syncing...`);
+    } else {
+      // Base the push on the server's revision so it replaces the other device's copy
+      userManagement.setSyncedRevision(server.revision);
+      pushLocalCollection(people, exclusions);
+    }
+  };
+
   // Pass auto-sync status up to parent for RSS URL bar
   useEffect(() => {
     if (setAutoSyncStatus) {
@@ -117,29 +191,78 @@ export default function MainApp({
     }
   }, [userManagement.autoSyncStatus, setAutoSyncStatus]);
 
+  // The load and reconcile effects below run once per account, not on every render, so they
+  // reach this render's handlers through a ref instead of listing them as dependencies
+  const collectionHandlersRef = useRef(null);
+  collectionHandlersRef.current = { updateSelectedMovies, applyCollection, pushLocalCollection };
+  const { loadSyncedRevision, checkServerCollection } = userManagement;
+
   // Load saved data on mount
   useEffect(() => {
     if (!userId || !tenantSecret) return;
     
     try {
       const savedPeople = localStorage.getItem('people');
+      const savedExclusions = localStorage.getItem('exclusions');
+      const parsedExclusions = savedExclusions ? JSON.parse(savedExclusions) : [];
+      setExclusions(parsedExclusions);
       
+      const parsedPeople = savedPeople ? JSON.parse(savedPeople) : [];
+      loadSyncedRevision();
       if (savedPeople) {
-        const parsedPeople = JSON.parse(savedPeople);
         setPeople(parsedPeople);
-        updateSelectedMovies(parsedPeople);
+        collectionHandlersRef.current.updateSelectedMovies(parsedPeople, parsedExclusions);
       }
 
       trackEvent('app_loaded', { 
         hasSavedData: Boolean(savedPeople), 
         hasRssUrl: Boolean(rssUrl),
-        peopleCount: savedPeople ? JSON.parse(savedPeople).length : 0
+        peopleCount: parsedPeople.length
       });
     } catch (err) {
       logger.error('Failed to load saved data:', err);
       setError('Failed to load your saved data. Starting fresh.');
     }
-  }, [userId, tenantSecret, rssUrl]);
+  }, [userId, tenantSecret, rssUrl, loadSyncedRevision]);
+
+  // Pick up changes synced from another device since this browser last synced. Keyed on the
+  // account only, so a new feed URL doesn't check (and possibly push) the collection again.
+  useEffect(() => {
+    if (!userId || !tenantSecret) return undefined;
+
+    let localPeople;
+    let localExclusions;
+    try {
+      localPeople = JSON.parse(localStorage.getItem('people') || '[]');
+      localExclusions = JSON.parse(localStorage.getItem('exclusions') || '[]');
+    } catch (err) {
+      // The load effect has already reported unreadable saved data
+      return undefined;
+    }
+
+    let cancelled = false;
+    checkServerCollection(userId, tenantSecret, localPeople)
+      .then(({ action, server }) => {
+        if (cancelled) return;
+        const { applyCollection: applyServerCollection, pushLocalCollection: pushCollection } = collectionHandlersRef.current;
+        if (action === 'use-server') {
+          applyServerCollection(server, server);
+          setSuccess('Loaded your latest collection from another device.');
+        } else if (action === 'push-local') {
+          pushCollection(localPeople, localExclusions);
+        } else if (action === 'conflict') {
+          setSyncConflict(server);
+        }
+      })
+      .catch(err => {
+        // Offline or not synced yet: keep working from this browser's copy
+        logger.warn('Could not check the synced collection:', err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, tenantSecret, checkServerCollection]);
 
   // Auto-clear messages
   useEffect(() => {
@@ -240,6 +363,12 @@ export default function MainApp({
         onClearCopySuccess={() => setCopySuccess(false)}
       />
 
+      <SyncConflictBanner
+        conflict={syncConflict}
+        localCount={people.length}
+        onResolve={resolveSyncConflict}
+      />
+
       {/* Tab Navigation */}
       <div className="flex space-x-1 bg-slate-800/30 rounded-lg p-1 mb-6">
         {tabs.map(tab => (
@@ -285,9 +414,16 @@ export default function MainApp({
         setExpandedPeople={setExpandedPeople}
         rssUrl={rssUrl}
         setRssUrl={setRssUrl}
+        onSecretRotated={onSecretRotated}
+        onSignedIn={onSignedIn}
+        feeds={feeds}
+        setFeeds={setFeeds}
+        exclusions={exclusions}
+        updateExclusions={updateExclusions}
         copySuccess={copySuccess}
         copyRssUrl={copyRssUrl}
         onMovieCountChange={onMovieCountChange}
+        userManagement={userManagement}
       />
     </div>
   );
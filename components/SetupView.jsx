@@ -2,9 +2,12 @@
 import { useState } from 'react';
 import { trackEvent } from '../utils/analytics';
 
-export default function SetupView({ onComplete, isLoading }) {
+export default function SetupView({ onComplete, onSignIn, isLoading }) {
   const [apiKey, setApiKey] = useState('');
   const [error, setError] = useState('');
+  const [mode, setMode] = useState('create'); // 'create' or 'signin'
+  const [accountName, setAccountName] = useState('');
+  const [passphrase, setPassphrase] = useState('');
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -26,6 +29,62 @@ export default function SetupView({ onComplete, isLoading }) {
     }
   };
 
+  const handleSignIn = async (e) => {
+    e.preventDefault();
+    await onSignIn({ accountName, passphrase });
+    setPassphrase('');
+  };
+
+  const inputClass = 'w-full px-4 py-3 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-400 focus:ring-2 focus:ring-purple-500 focus:border-transparent';
+
+  if (mode === 'signin') {
+    return (
+      <div className="max-w-md mx-auto">
+        <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl p-8 border border-slate-700">
+          <h2 className="text-2xl font-bold text-white mb-6 text-center">Sign In</h2>
+
+          <form onSubmit={handleSignIn} className="space-y-4">
+            <input
+              type="text"
+              value={accountName}
+              onChange={(e) => setAccountName(e.target.value.trim())}
+              placeholder="Account name"
+              autoComplete="username"
+              className={inputClass}
+              required
+              disabled={isLoading}
+            />
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              placeholder="Passphrase"
+              autoComplete="current-password"
+              className={inputClass}
+              required
+              disabled={isLoading}
+            />
+            <button
+              type="submit"
+              disabled={isLoading}
+              className="w-full px-6 py-3 bg-purple-600 hover:bg-purple-700 disabled:bg-slate-600 text-white font-medium rounded-lg transition-colors duration-200"
+            >
+              {isLoading ? 'Signing in...' : 'Sign In'}
+            </button>
+          </form>
+
+          <p className="text-sm text-slate-400 mt-4">
+            Set an account name and passphrase under Manage → Account &amp; Devices on a device you already use,
+            or open a sign-in link created there.
+          </p>
+          <button onClick={() => setMode('create')} className="text-sm text-purple-400 hover:text-purple-300 mt-4">
+            ← New here? Create a movie list
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="max-w-md mx-auto">
       <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl p-8 border border-slate-700">
@@ -66,6 +125,12 @@ export default function SetupView({ onComplete, isLoading }) {
           </button>
         </form>
 
+        {onSignIn && (
+          <button onClick={() => setMode('signin')} className="w-full text-sm text-purple-400 hover:text-purple-300 mt-4">
+            Already use Helparr on another device? Sign in
+          </button>
+        )}
+
         <div className="mt-6 p-4 bg-slate-700/50 rounded-lg">
           <h3 className="font-semibold mb-2">How to get your API key:</h3>
           <ol className="text-sm text-slate-300 space-y-1">
@@ -16,10 +16,16 @@ export default function SearchFilmographySelector({
   onCancelStreaming = null
 }) {
   const [searchFilter, setSearchFilter] = useState('');
+  const [hideOwned, setHideOwned] = useState(false);
+
+  // Library flags are only present when the user connected Radarr
+  const hasLibraryState = movies.some(movie => movie.inLibrary !== undefined);
+  const ownedCount = movies.filter(movie => movie.inLibrary).length;
 
   // Simple filter - no complex sorting needed for core functionality
   const filteredMovies = movies.filter(movie =>
-    movie.title.toLowerCase().includes(searchFilter.toLowerCase())
+    movie.title.toLowerCase().includes(searchFilter.toLowerCase()) &&
+    !(hideOwned && movie.inLibrary)
   );
 
   const selectedCount = filteredMovies.filter(m => m.selected).length;
@@ -139,6 +145,18 @@ export default function SearchFilmographySelector({
           Select None
         </button>
         
+        {hasLibraryState && (
+          <label className="flex items-center gap-2 px-3 py-1 text-sm text-slate-300 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={hideOwned}
+              onChange={(e) => setHideOwned(e.target.checked)}
+              className="w-4 h-4 text-purple-600 bg-slate-700 border-slate-600 rounded focus:ring-purple-500"
+            />
+            <span>Hide {ownedCount} already in Radarr</span>
+          </label>
+        )}
+
         {/* Streaming status in controls */}
         {isStreaming && streamingProgress && (
           <div className="px-3 py-1 bg-blue-600/30 text-blue-200 text-sm rounded">
@@ -199,6 +217,11 @@ export default function SearchFilmographySelector({
                   {movie.release_date && (
                     <span>📅 {new Date(movie.release_date).toLocaleDateString()}</span>
                   )}
+                  {movie.inLibrary && (
+                    <span className={movie.hasFile ? 'text-green-400' : 'text-amber-400'}>
+                      {movie.hasFile ? '✅ In Radarr (downloaded)' : '📚 In Radarr (missing file)'}
+                    </span>
+                  )}
                 </div>
               </div>
             </div>
@@ -1,6 +1,7 @@
 // components/person/PersonManager.jsx
 import { useState } from 'react';
 import { findOtherSources, generateDuplicateIndicator } from '../../utils/movieDeduplication';
+import { buildExclusionIndex, isExcluded } from '../../utils/exclusions';
 
 export default function PersonManager({ 
   person, 
@@ -10,13 +11,19 @@ export default function PersonManager({
   onSelectAllForRole, 
   isExpanded, 
   onToggleExpanded,
-  allPeople = [] // New prop for duplicate detection
+  allPeople = [], // New prop for duplicate detection
+  feeds = [],
+  onToggleFeed,
+  onToggleAutoInclude,
+  exclusions = [],
+  onExcludeMovie
 }) {
   const [activeRole, setActiveRole] = useState(person.roles[0]?.type || 'actor');
   
   const currentRole = person.roles.find(r => r.type === activeRole) || person.roles[0];
   const selectedCount = currentRole ? currentRole.movies.filter(m => m.selected !== false).length : 0;
   const totalCount = currentRole ? currentRole.movies.length : 0;
+  const exclusionIndex = buildExclusionIndex(exclusions);
 
   const getItemIcon = () => {
     if (person.type === 'collection') {
@@ -49,6 +56,7 @@ export default function PersonManager({
     
     const duplicateIndicator = generateDuplicateIndicator(otherSources);
     const hasDuplicates = otherSources.length > 0;
+    const excluded = isExcluded(movie, exclusionIndex);
 
     return (
       <div
@@ -79,6 +87,20 @@ export default function PersonManager({
                 {duplicateIndicator}
               </span>
             )}
+
+            {/* Exclude from every feed, not just this source */}
+            {onExcludeMovie && !excluded && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onExcludeMovie(movie);
+                }}
+                title="Exclude from all feeds"
+                className="text-xs text-slate-400 hover:text-red-400 ml-2 flex-shrink-0"
+              >
+                🚫
+              </button>
+            )}
           </div>
           
           <div className="flex items-center space-x-3 text-xs text-slate-400 mt-1">
@@ -91,6 +113,12 @@ export default function PersonManager({
             {hasDuplicates && (
               <span className="text-blue-400">🔄 Shared</span>
             )}
+            {movie.autoAdded && (
+              <span className="text-green-400">✨ Auto-added</span>
+            )}
+            {excluded && (
+              <span className="text-red-400">🚫 Excluded from all feeds</span>
+            )}
           </div>
           
           {/* Extended duplicate info on hover/expanded view */}
@@ -158,6 +186,30 @@ export default function PersonManager({
           </div>
         </div>
 
+        {/* Named feed assignment */}
+        {feeds.length > 0 && onToggleFeed && (
+          <div className="mt-3 flex flex-wrap items-center gap-2">
+            <span className="text-xs text-slate-400">Feeds:</span>
+            {feeds.map(feed => {
+              const inFeed = person.feedIds?.includes(feed.id) || false;
+              return (
+                <button
+                  key={feed.id}
+                  onClick={() => onToggleFeed(feed.id, !inFeed)}
+                  className={`px-2 py-1 text-xs rounded-full transition-colors duration-200 ${
+                    inFeed
+                      ? 'bg-purple-600 text-white'
+                      : 'bg-slate-600 hover:bg-slate-500 text-slate-300'
+                  }`}
+                  title={inFeed ? `Remove from "${feed.name}"` : `Add to "${feed.name}"`}
+                >
+                  {inFeed ? '✓ ' : '+ '}{feed.name}
+                </button>
+              );
+            })}
+          </div>
+        )}
+
         {/* Role Tabs - Only show for people, not collections */}
         {person.type !== 'collection' && person.roles.length > 1 && (
           <div className="mt-4 flex space-x-2">
@@ -224,6 +276,21 @@ export default function PersonManager({
               </div>
             </div>
 
+            {/* Smart source rule - new releases are added server-side on a schedule */}
+            {onToggleAutoInclude && (
+              <label className="flex items-center gap-2 mb-3 text-xs text-slate-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={currentRole.autoInclude === true}
+                  onChange={(e) => onToggleAutoInclude(currentRole.type, e.target.checked)}
+                  className="w-3 h-3 text-purple-600 bg-slate-700 border-slate-600 rounded focus:ring-purple-500"
+                />
+                <span>
+                  🔄 Automatically add new {person.type === 'collection' ? 'releases' : `${currentRole.type} credits`} to your feed
+                </span>
+              </label>
+            )}
+
             {/* Enhanced movie list with duplicate indicators */}
             <div className="max-h-60 overflow-y-auto space-y-2 scrollbar-thin">
               {currentRole.movies.map(renderMovieWithDuplicateInfo)}
@@ -0,0 +1,238 @@
+// components/ui/AccountSettings.jsx
+import { useState, useEffect, useCallback } from 'react';
+
+import { generateSignature, trackEvent } from '../../utils/analytics';
+
+const METHOD_LABELS = { passphrase: 'passphrase', link: 'sign-in link' };
+
+export default function AccountSettings({ userId, tenantSecret, onSignedIn, setSuccess, setError }) {
+  const [account, setAccount] = useState(null);
+  const [signedInWith, setSignedInWith] = useState('secret');
+  const [sessions, setSessions] = useState([]);
+  const [form, setForm] = useState({ accountName: '', passphrase: '', currentPassphrase: '' });
+  const [loginLink, setLoginLink] = useState(null);
+  const [busy, setBusy] = useState('');
+
+  const accountFetch = useCallback(async (path, options = {}) => {
+    const sig = await generateSignature(`account:${userId}`, tenantSecret);
+    const separator = path.includes('?') ? '&' : '?';
+    const res = await fetch(`${path}${separator}sig=${sig}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    const json = await res.json();
+    if (!res.ok) {
+      throw new Error(json.error || 'Account request failed');
+    }
+    return json;
+  }, [userId, tenantSecret]);
+
+  // Load the account and the signed-in devices
+  useEffect(() => {
+    if (!userId || !tenantSecret) return;
+
+    const query = `?userId=${encodeURIComponent(userId)}`;
+    Promise.all([accountFetch(`/api/auth/account${query}`), accountFetch(`/api/auth/sessions${query}`)])
+      .then(([accountJson, sessionsJson]) => {
+        setAccount(accountJson.account);
+        setSignedInWith(accountJson.signedInWith);
+        setSessions(sessionsJson.sessions);
+        setForm(current => ({ ...current, accountName: accountJson.account.accountName || '' }));
+      })
+      .catch(() => {
+        // Panel stays empty; errors surface on the next explicit action
+      });
+  }, [userId, tenantSecret, accountFetch]);
+
+  const updateForm = (key, value) => setForm(current => ({ ...current, [key]: value }));
+
+  const saveAccount = async () => {
+    setBusy('save');
+    try {
+      const json = await accountFetch('/api/auth/account', {
+        method: 'POST',
+        body: JSON.stringify({ userId, ...form })
+      });
+      setAccount(json.account);
+      setForm({ accountName: json.account.accountName, passphrase: '', currentPassphrase: '' });
+      setSuccess(`Account ${json.account.accountName} saved. Use it to sign in on other devices.`);
+      trackEvent('account_saved');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const createLoginLink = async () => {
+    setBusy('link');
+    try {
+      const json = await accountFetch('/api/auth/login-link', {
+        method: 'POST',
+        body: JSON.stringify({ userId })
+      });
+      setLoginLink(json);
+      trackEvent('login_link_created');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const signOut = async (body, confirmText) => {
+    if (!window.confirm(confirmText)) return;
+    try {
+      const json = await accountFetch('/api/auth/sessions', {
+        method: 'DELETE',
+        body: JSON.stringify({ userId, ...body })
+      });
+      setSessions(json.sessions);
+      setSuccess(`Signed out ${json.revoked} device${json.revoked !== 1 ? 's' : ''}`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Replace this browser's tenant secret with a device session (needs the passphrase)
+  const switchToSession = async () => {
+    setBusy('switch');
+    try {
+      const res = await fetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ accountName: account.accountName, passphrase: form.currentPassphrase, deviceName: 'This browser (migrated)' })
+      });
+      const json = await res.json();
+      if (!res.ok) {
+        throw new Error(json.error || 'Sign-in failed');
+      }
+      onSignedIn(json, { restoreCollection: false });
+      setSuccess('This browser now uses a device session instead of the permanent secret.');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const inputClass = 'mt-1 w-full px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white placeholder-slate-500 text-sm';
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl p-6 border border-slate-700">
+      <h3 className="text-lg font-bold text-white mb-2">👤 Account &amp; Devices</h3>
+      <p className="text-sm text-slate-400 mb-4">
+        Add an account name and passphrase to use your collection on other devices. Each signed-in device gets its own
+        session that expires after 30 days and can be signed out here. Feed URLs are not affected.
+      </p>
+
+      <div className="grid md:grid-cols-3 gap-2 mb-3">
+        <label className="text-xs text-slate-400">
+          Account name
+          <input
+            type="text"
+            value={form.accountName}
+            onChange={(e) => updateForm('accountName', e.target.value.trim())}
+            placeholder="e.g. movie-night"
+            autoComplete="username"
+            className={inputClass}
+          />
+        </label>
+        <label className="text-xs text-slate-400">
+          {account?.hasPassphrase ? 'New passphrase' : 'Passphrase (12+ characters)'}
+          <input
+            type="password"
+            value={form.passphrase}
+            onChange={(e) => updateForm('passphrase', e.target.value)}
+            autoComplete="new-password"
+            className={inputClass}
+          />
+        </label>
+        {account?.hasPassphrase && (
+          <label className="text-xs text-slate-400">
+            Current passphrase
+            <input
+              type="password"
+              value={form.currentPassphrase}
+              onChange={(e) => updateForm('currentPassphrase', e.target.value)}
+              autoComplete="current-password"
+              className={inputClass}
+            />
+          </label>
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        <button
+          onClick={saveAccount}
+          disabled={Boolean(busy) || !form.accountName || !form.passphrase}
+          className="px-3 py-1 bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white text-xs rounded"
+        >
+          {busy === 'save' ? 'Saving…' : account?.hasPassphrase ? 'Change Passphrase' : 'Create Account'}
+        </button>
+        <button
+          onClick={createLoginLink}
+          disabled={Boolean(busy)}
+          className="px-3 py-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white text-xs rounded"
+        >
+          {busy === 'link' ? 'Creating…' : '🔗 Sign-in Link for Another Device'}
+        </button>
+        {signedInWith === 'secret' && account?.hasPassphrase && (
+          <button
+            onClick={switchToSession}
+            disabled={Boolean(busy) || !form.currentPassphrase}
+            title="Enter your current passphrase first"
+            className="px-3 py-1 bg-slate-600 hover:bg-slate-500 disabled:opacity-50 text-white text-xs rounded"
+          >
+            {busy === 'switch' ? 'Switching…' : 'Use a Session on This Browser'}
+          </button>
+        )}
+      </div>
+
+      {loginLink && (
+        <div className="mb-4 p-3 bg-slate-900/40 rounded text-xs">
+          <p className="text-slate-300 mb-1">
+            Open this link on the other device. It works once, until {new Date(loginLink.expiresAt).toLocaleTimeString()}:
+          </p>
+          <code className="block break-all text-green-400">{loginLink.loginUrl}</code>
+        </div>
+      )}
+
+      <div className="flex justify-between items-center mb-2">
+        <p className="text-xs text-slate-300">Signed-in devices</p>
+        {sessions.some(session => !session.current) && (
+          <button
+            onClick={() => signOut({ all: true }, 'Sign out every other device?')}
+            className="text-xs text-red-400 hover:text-red-300"
+          >
+            Sign out all others
+          </button>
+        )}
+      </div>
+      {sessions.length > 0 ? (
+        <div className="max-h-48 overflow-y-auto bg-slate-900/40 rounded p-2 space-y-1">
+          {sessions.map(session => (
+            <div key={session.id} className="flex justify-between items-center text-xs">
+              <span className="text-slate-300 truncate mr-2">
+                {session.deviceName}{session.current && ' (this device)'}
+                <span className="text-slate-500">
+                  {' '}· {METHOD_LABELS[session.method] || session.method} · last used {new Date(session.lastSeenAt).toLocaleDateString()}
+                </span>
+              </span>
+              {!session.current && (
+                <button
+                  onClick={() => signOut({ sessionId: session.id }, `Sign out ${session.deviceName}?`)}
+                  className="text-red-400 hover:text-red-300"
+                >
+                  Sign out
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-slate-500">No other devices are signed in.</p>
+      )}
+    </div>
+  );
+}
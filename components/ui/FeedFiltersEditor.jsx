@@ -0,0 +1,138 @@
+// components/ui/FeedFiltersEditor.jsx
+import { useState } from 'react';
+
+import { normalizeFeedFilters } from '../../utils/feedFilters';
+
+// TMDb movie genre names (as stored on each movie)
+const GENRES = [
+  'Action', 'Adventure', 'Animation', 'Comedy', 'Crime', 'Documentary', 'Drama',
+  'Family', 'Fantasy', 'History', 'Horror', 'Music', 'Mystery', 'Romance',
+  'Science Fiction', 'TV Movie', 'Thriller', 'War', 'Western'
+];
+
+const NUMBER_FIELDS = [
+  { key: 'minRating', label: 'Min rating', placeholder: 'e.g. 6.5', step: '0.1' },
+  { key: 'minYear', label: 'From year', placeholder: 'e.g. 1990', step: '1' },
+  { key: 'maxYear', label: 'To year', placeholder: 'e.g. 2025', step: '1' },
+  { key: 'minRuntime', label: 'Min runtime (min)', placeholder: 'e.g. 80', step: '1' },
+  { key: 'maxRuntime', label: 'Max runtime (min)', placeholder: 'e.g. 180', step: '1' }
+];
+
+export default function FeedFiltersEditor({ feedName, filters = {}, onSave, onCancel }) {
+  const [values, setValues] = useState(() =>
+    NUMBER_FIELDS.reduce((acc, field) => ({ ...acc, [field.key]: filters[field.key] ?? '' }), {})
+  );
+  const [includeGenres, setIncludeGenres] = useState(filters.includeGenres || []);
+  const [excludeGenres, setExcludeGenres] = useState(filters.excludeGenres || []);
+  const [releasedOnly, setReleasedOnly] = useState(filters.releasedOnly === true);
+  const [error, setError] = useState('');
+
+  // Each genre chip cycles: any → include → exclude → any
+  const cycleGenre = (genre) => {
+    if (includeGenres.includes(genre)) {
+      setIncludeGenres(includeGenres.filter(g => g !== genre));
+      setExcludeGenres([...excludeGenres, genre]);
+    } else if (excludeGenres.includes(genre)) {
+      setExcludeGenres(excludeGenres.filter(g => g !== genre));
+    } else {
+      setIncludeGenres([...includeGenres, genre]);
+    }
+  };
+
+  const handleSave = () => {
+    const validation = normalizeFeedFilters({
+      ...values,
+      includeGenres,
+      excludeGenres,
+      releasedOnly
+    });
+
+    if (!validation.valid) {
+      setError(validation.error);
+      return;
+    }
+
+    onSave(validation.filters);
+  };
+
+  return (
+    <div className="mt-3 p-4 bg-slate-800/60 rounded-lg border border-slate-600">
+      <p className="text-sm text-white font-medium mb-1">Filters for {feedName}</p>
+      <p className="text-xs text-slate-400 mb-3">
+        Only movies matching every rule are published. Your selections stay untouched.
+      </p>
+
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-2 mb-3">
+        {NUMBER_FIELDS.map(field => (
+          <label key={field.key} className="text-xs text-slate-400">
+            {field.label}
+            <input
+              type="number"
+              step={field.step}
+              value={values[field.key]}
+              onChange={(e) => setValues({ ...values, [field.key]: e.target.value })}
+              placeholder={field.placeholder}
+              className="mt-1 w-full px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white placeholder-slate-500 text-sm"
+            />
+          </label>
+        ))}
+      </div>
+
+      <p className="text-xs text-slate-400 mb-2">Genres (click to include, again to exclude):</p>
+      <div className="flex flex-wrap gap-1 mb-3">
+        {GENRES.map(genre => {
+          const included = includeGenres.includes(genre);
+          const excluded = excludeGenres.includes(genre);
+          return (
+            <button
+              key={genre}
+              onClick={() => cycleGenre(genre)}
+              className={`px-2 py-1 text-xs rounded-full transition-colors duration-200 ${
+                included
+                  ? 'bg-green-600 text-white'
+                  : excluded
+                    ? 'bg-red-600 text-white line-through'
+                    : 'bg-slate-600 hover:bg-slate-500 text-slate-300'
+              }`}
+            >
+              {included ? '✓ ' : excluded ? '✕ ' : ''}{genre}
+            </button>
+          );
+        })}
+      </div>
+
+      <label className="flex items-center gap-2 mb-3 text-xs text-slate-300 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={releasedOnly}
+          onChange={(e) => setReleasedOnly(e.target.checked)}
+          className="w-3 h-3 text-purple-600 bg-slate-700 border-slate-600 rounded focus:ring-purple-500"
+        />
+        <span>Released movies only (skip upcoming titles)</span>
+      </label>
+
+      {error && <p className="text-xs text-red-400 mb-2">{error}</p>}
+
+      <div className="flex space-x-2">
+        <button
+          onClick={handleSave}
+          className="px-3 py-1 bg-purple-600 hover:bg-purple-700 text-white text-xs rounded"
+        >
+          Save Filters
+        </button>
+        <button
+          onClick={() => onSave({})}
+          className="px-3 py-1 bg-slate-600 hover:bg-slate-700 text-white text-xs rounded"
+        >
+          Clear
+        </button>
+        <button
+          onClick={onCancel}
+          className="px-3 py-1 bg-slate-700 hover:bg-slate-600 text-slate-300 text-xs rounded"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
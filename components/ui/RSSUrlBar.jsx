@@ -1,37 +1,112 @@
 // components/ui/RSSUrlBar.jsx
 import { useState, useEffect } from 'react';
-import { trackEvent } from '../../utils/analytics';
+import { generateSignature, trackEvent } from '../../utils/analytics';
+import { signAsync, parseDeviceCredential } from '../../utils/hmac';
+import { getFeedSignatureData } from '../../utils/feeds';
 
-export default function RSSUrlBar({ rssUrl, onCopy, copySuccess, movieCount = 0, autoSyncStatus = '' }) {
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCHEDULE_REFRESH_MS = 5 * 60 * 1000;
+
+// "12h", "6h 30m" or "45m"
+function formatDuration(ms) {
+  const hours = Math.floor(ms / (1000 * 60 * 60));
+  const minutes = Math.floor((ms % (1000 * 60 * 60)) / (1000 * 60));
+  if (hours === 0) return `${minutes}m`;
+  return minutes > 0 ? `${hours}h ${minutes}m` : `${hours}h`;
+}
+
+export default function RSSUrlBar({ 
+  rssUrl, 
+  onCopy, 
+  copySuccess, 
+  movieCount = 0, 
+  autoSyncStatus = '',
+  feeds = [],
+  userId,
+  tenantSecret
+}) {
   const [isExpanded, setIsExpanded] = useState(false);
+  const [pollSchedule, setPollSchedule] = useState(null);
   const [nextRadarrPull, setNextRadarrPull] = useState(null);
   const [countdown, setCountdown] = useState('');
+  const [selectedFeedId, setSelectedFeedId] = useState('');
+  const [displayedUrl, setDisplayedUrl] = useState(rssUrl);
 
-  // Calculate Radarr countdown based on last access
+  // Fall back to the default feed if the selected feed was deleted
   useEffect(() => {
-    const calculateNextPull = () => {
-      const lastAccess = localStorage.getItem('lastRSSAccess');
-      if (!lastAccess) return;
+    if (selectedFeedId && !feeds.some(feed => feed.id === selectedFeedId)) {
+      setSelectedFeedId('');
+    }
+  }, [feeds, selectedFeedId]);
 
-      const lastAccessTime = new Date(lastAccess);
-      const now = new Date();
-      const timeSinceAccess = now - lastAccessTime;
-      
-      // Assume 12 hour interval (43200000 ms)
-      const intervalMs = 12 * 60 * 60 * 1000;
-      const nextPullTime = new Date(lastAccessTime.getTime() + intervalMs);
-      
-      if (nextPullTime > now) {
-        setNextRadarrPull(nextPullTime);
-      } else {
-        setNextRadarrPull(null);
+  // Named feeds share the default URL but carry their own feed id and (static) signature.
+  // Signed-in devices don't hold the tenant secret and use the URLs the server signed for them.
+  useEffect(() => {
+    if (!rssUrl || !selectedFeedId || !userId || !tenantSecret) {
+      setDisplayedUrl(rssUrl);
+      return;
+    }
+
+    if (parseDeviceCredential(tenantSecret)) {
+      try {
+        const feedUrls = JSON.parse(localStorage.getItem('feedUrls') || '[]');
+        const feedUrl = feedUrls.find(entry => entry.id === selectedFeedId);
+        setDisplayedUrl(feedUrl ? feedUrl.rssUrl : rssUrl);
+      } catch (error) {
+        setDisplayedUrl(rssUrl);
       }
+      return;
+    }
+
+    let cancelled = false;
+    signAsync(getFeedSignatureData(userId, selectedFeedId), tenantSecret)
+      .then(sig => {
+        if (cancelled) return;
+        const url = new URL(rssUrl);
+        url.searchParams.set('feed', selectedFeedId);
+        url.searchParams.set('sig', sig);
+        setDisplayedUrl(url.toString());
+      })
+      .catch(() => {
+        if (!cancelled) setDisplayedUrl(rssUrl);
+      });
+
+    return () => {
+      cancelled = true;
     };
+  }, [rssUrl, selectedFeedId, userId, tenantSecret]);
 
-    calculateNextPull();
-    const interval = setInterval(calculateNextPull, 60000); // Update every minute
-    return () => clearInterval(interval);
-  }, [rssUrl]);
+  // Radarr's poll schedule as measured by the server from the feed access log
+  useEffect(() => {
+    if (!rssUrl || !userId || !tenantSecret) return;
+
+    let cancelled = false;
+    const loadSchedule = async () => {
+      try {
+        const sig = await generateSignature(`feed-access:${userId}`, tenantSecret);
+        const res = await fetch(`/api/feed-access?userId=${encodeURIComponent(userId)}&sig=${sig}`);
+        if (!res.ok) return;
+
+        const { schedule } = await res.json();
+        if (!cancelled) setPollSchedule(schedule);
+      } catch (error) {
+        // Keep the last known schedule; the countdown is only a hint
+      }
+    };
+
+    loadSchedule();
+    const interval = setInterval(loadSchedule, SCHEDULE_REFRESH_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [rssUrl, userId, tenantSecret]);
+
+  // Count down to the next expected pull while it is still ahead
+  useEffect(() => {
+    const nextPullTime = pollSchedule?.nextPullAt ? new Date(pollSchedule.nextPullAt) : null;
+    setNextRadarrPull(nextPullTime && nextPullTime > new Date() ? nextPullTime : null);
+  }, [pollSchedule]);
 
   // Update countdown display
   useEffect(() => {
@@ -67,9 +142,18 @@ export default function RSSUrlBar({ rssUrl, onCopy, copySuccess, movieCount = 0,
 
   if (!rssUrl) return null;
 
+  // Late or missing pulls usually mean the list was removed from Radarr or it can't reach Helparr
+  let pollWarning = '';
+  if (pollSchedule?.status === 'stale') {
+    const days = Math.floor((Date.now() - new Date(pollSchedule.lastPullAt).getTime()) / DAY_MS);
+    pollWarning = `Radarr hasn't polled in ${days} day${days !== 1 ? 's' : ''}`;
+  } else if (pollSchedule?.status === 'overdue') {
+    pollWarning = 'Radarr pull overdue';
+  }
+
   const handleCopy = async () => {
-    await onCopy();
-    trackEvent('rss_copied', { source: 'top_bar', movieCount });
+    await onCopy(displayedUrl);
+    trackEvent('rss_copied', { source: 'top_bar', movieCount, namedFeed: Boolean(selectedFeedId) });
   };
 
   const handleToggleExpanded = () => {
@@ -93,15 +177,34 @@ export default function RSSUrlBar({ rssUrl, onCopy, copySuccess, movieCount = 0,
                   • Next pull: {countdown}
                 </span>
               )}
+              {pollWarning && (
+                <span className="text-xs text-amber-400" title={pollSchedule.lastPullAt ? `Last Radarr pull: ${new Date(pollSchedule.lastPullAt).toLocaleString()}` : undefined}>
+                  • ⚠️ {pollWarning}
+                </span>
+              )}
             </div>
+
+            {feeds.length > 0 && (
+              <select
+                value={selectedFeedId}
+                onChange={(e) => setSelectedFeedId(e.target.value)}
+                className="bg-slate-700 text-slate-300 text-sm rounded px-2 py-2"
+                title="Choose which feed URL to show"
+              >
+                <option value="">All movies</option>
+                {feeds.map(feed => (
+                  <option key={feed.id} value={feed.id}>{feed.name}</option>
+                ))}
+              </select>
+            )}
             
             <div className="flex-1 bg-slate-700 rounded px-3 py-2 min-w-0">
               <input
                 type="text"
-                value={rssUrl}
+                value={displayedUrl}
                 readOnly
                 className="w-full bg-transparent text-slate-300 text-sm font-mono truncate"
-                title={rssUrl}
+                title={displayedUrl}
               />
             </div>
           </div>
@@ -164,14 +267,20 @@ export default function RSSUrlBar({ rssUrl, onCopy, copySuccess, movieCount = 0,
                   {!countdown && (
                     <div>• Radarr will detect changes on next sync</div>
                   )}
+                  {pollSchedule?.status === 'never' && (
+                    <div>• Radarr hasn&apos;t fetched this feed yet</div>
+                  )}
                 </div>
               </div>
             </div>
 
             <div className="mt-3 p-3 bg-slate-800/50 rounded text-xs text-slate-400">
-              💡 <strong>Pro tip:</strong> This URL never changes and updates automatically. 
+              💡 <strong>Pro tip:</strong> This URL stays the same (unless you rotate it under Manage) and updates automatically. 
+              {feeds.length > 0 && " Each named feed has its own URL, so you can add it to Radarr as a separate list with its own quality profile and root folder."}
               {movieCount === 0 && " Add actors or directors to see movies appear here!"}
-              {countdown && " Radarr typically syncs every 12 hours."}
+              {pollSchedule?.intervalSource === 'observed'
+                ? ` Radarr polls this feed about every ${formatDuration(pollSchedule.intervalMs)} (measured from ${pollSchedule.pulls} pulls).`
+                : countdown && " Radarr typically syncs every 12 hours."}
             </div>
           </div>
         )}
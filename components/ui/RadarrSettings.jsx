@@ -0,0 +1,324 @@
+// components/ui/RadarrSettings.jsx
+import { useState, useEffect, useCallback } from 'react';
+
+import { generateSignature, trackEvent } from '../../utils/analytics';
+
+const STATUS_LABELS = {
+  added: { icon: '✅', text: 'Added', className: 'text-green-400' },
+  exists: { icon: '📚', text: 'Already in Radarr', className: 'text-slate-400' },
+  would_add: { icon: '➕', text: 'Would add', className: 'text-blue-400' },
+  failed: { icon: '❌', text: 'Failed', className: 'text-red-400' }
+};
+
+const EMPTY_FORM = {
+  url: '',
+  apiKey: '',
+  qualityProfileId: '',
+  rootFolderPath: '',
+  monitored: true,
+  searchForMovie: false,
+  minimumAvailability: 'released',
+  pushOnSync: false,
+  excludeOwned: false
+};
+
+// Radarr's list cleaning treats a movie that left a list like one the user removed
+const OWNED_WARNING = 'Radarr reads these feeds too. If "Clean Library Level" is set on the list in Radarr, it unmonitors or deletes movies that drop out of it, including the ones this option leaves out. Only turn this on while list cleaning is off.';
+
+function PushResults({ run }) {
+  if (!run) return null;
+
+  if (run.error) {
+    return <p className="text-xs text-red-400 mt-3">Last push failed: {run.error}</p>;
+  }
+
+  return (
+    <div className="mt-3">
+      <p className="text-xs text-slate-300 mb-2">
+        {run.dryRun ? 'Preview' : `Pushed ${new Date(run.pushedAt).toLocaleString()}`}:{' '}
+        {run.dryRun
+          ? `${run.wouldAdd} to add, ${run.existing} already in Radarr`
+          : `${run.added} added, ${run.existing} already in Radarr, ${run.failed} failed`}
+        {run.remaining > 0 && `, ${run.remaining} left for the next push`}
+      </p>
+      {run.results?.length > 0 && (
+        <div className="max-h-48 overflow-y-auto bg-slate-900/40 rounded p-2 space-y-1">
+          {run.results.map(result => {
+            const label = STATUS_LABELS[result.status] || STATUS_LABELS.failed;
+            return (
+              <div key={result.tmdbId} className="flex justify-between text-xs">
+                <span className="text-slate-300 truncate mr-2">{result.title}</span>
+                <span className={label.className} title={result.error || ''}>
+                  {label.icon} {result.error || label.text}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function RadarrSettings({ userId, tenantSecret, setSuccess, setError }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [apiKeyHint, setApiKeyHint] = useState(null);
+  const [configured, setConfigured] = useState(false);
+  const [qualityProfiles, setQualityProfiles] = useState([]);
+  const [rootFolders, setRootFolders] = useState([]);
+  const [lastRun, setLastRun] = useState(null);
+  const [busy, setBusy] = useState('');
+
+  const radarrFetch = useCallback(async (path, options = {}) => {
+    const sig = await generateSignature(`radarr:${userId}`, tenantSecret);
+    const separator = path.includes('?') ? '&' : '?';
+    const res = await fetch(`${path}${separator}sig=${sig}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    const json = await res.json();
+    if (!res.ok) {
+      throw new Error(json.error || 'Radarr request failed');
+    }
+    return json;
+  }, [userId, tenantSecret]);
+
+  // Load saved settings and the latest push
+  useEffect(() => {
+    if (!userId || !tenantSecret) return;
+
+    radarrFetch(`/api/radarr/config?userId=${encodeURIComponent(userId)}`)
+      .then(json => {
+        setConfigured(json.configured);
+        if (json.config) {
+          const { apiKeyHint: hint, ...config } = json.config;
+          setForm({ ...EMPTY_FORM, ...config, apiKey: '' });
+          setApiKeyHint(hint);
+        }
+        setLastRun(json.pushLog?.[0] || null);
+      })
+      .catch(() => {
+        // Settings panel stays empty; errors surface on the next explicit action
+      });
+  }, [userId, tenantSecret, radarrFetch]);
+
+  const updateForm = (key, value) => setForm(current => ({ ...current, [key]: value }));
+
+  const saveConfig = async (testOnly) => {
+    setBusy(testOnly ? 'connect' : 'save');
+    try {
+      const json = await radarrFetch('/api/radarr/config', {
+        method: 'POST',
+        body: JSON.stringify({ userId, config: form, testOnly })
+      });
+      setQualityProfiles(json.radarr.qualityProfiles);
+      setRootFolders(json.radarr.rootFolders);
+      setApiKeyHint(json.config.apiKeyHint);
+
+      if (testOnly) {
+        setSuccess(`Connected to Radarr ${json.radarr.version || ''}`.trim());
+      } else {
+        setConfigured(true);
+        setForm(current => ({ ...current, apiKey: '' }));
+        setSuccess('Radarr settings saved');
+        trackEvent('radarr_configured', { pushOnSync: form.pushOnSync });
+      }
+      if (json.radarr.warnings?.length) {
+        setError(json.radarr.warnings.join('. '));
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const push = async (dryRun) => {
+    setBusy(dryRun ? 'preview' : 'push');
+    try {
+      const run = await radarrFetch('/api/radarr/push', {
+        method: 'POST',
+        body: JSON.stringify({ userId, dryRun })
+      });
+      setLastRun(run);
+      if (!dryRun) {
+        setSuccess(`Radarr: ${run.added} movie${run.added !== 1 ? 's' : ''} added`);
+        trackEvent('radarr_push', { added: run.added, failed: run.failed });
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy('');
+    }
+  };
+
+  const disconnect = async () => {
+    if (!window.confirm('Disconnect Radarr? Your RSS feed keeps working.')) return;
+    try {
+      await radarrFetch('/api/radarr/config', {
+        method: 'DELETE',
+        body: JSON.stringify({ userId })
+      });
+      setConfigured(false);
+      setForm(EMPTY_FORM);
+      setApiKeyHint(null);
+      setLastRun(null);
+      setSuccess('Radarr disconnected');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const inputClass = 'mt-1 w-full px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white placeholder-slate-500 text-sm';
+  const hasChoices = qualityProfiles.length > 0 || rootFolders.length > 0;
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl p-6 border border-slate-700">
+      <h3 className="text-lg font-bold text-white mb-2">🎬 Radarr Push</h3>
+      <p className="text-sm text-slate-400 mb-4">
+        Radarr only polls import lists every few hours. Connect it here and Helparr adds new movies from your main feed
+        directly whenever you sync. Your RSS URL keeps working either way. Once connected, movies you already own are
+        marked while browsing.
+      </p>
+
+      <div className="grid md:grid-cols-2 gap-2 mb-3">
+        <label className="text-xs text-slate-400">
+          Radarr URL
+          <input
+            type="url"
+            value={form.url}
+            onChange={(e) => updateForm('url', e.target.value)}
+            placeholder="http://radarr.local:7878"
+            className={inputClass}
+          />
+        </label>
+        <label className="text-xs text-slate-400">
+          API key (Settings → General)
+          <input
+            type="password"
+            value={form.apiKey}
+            onChange={(e) => updateForm('apiKey', e.target.value)}
+            placeholder={apiKeyHint ? `Saved (${apiKeyHint}) - leave blank to keep` : '32 characters'}
+            className={inputClass}
+          />
+        </label>
+        <label className="text-xs text-slate-400">
+          Quality profile
+          {hasChoices ? (
+            <select
+              value={form.qualityProfileId}
+              onChange={(e) => updateForm('qualityProfileId', e.target.value)}
+              className={inputClass}
+            >
+              <option value="">Choose…</option>
+              {qualityProfiles.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </select>
+          ) : (
+            <input type="text" value={form.qualityProfileId} readOnly placeholder="Connect to load profiles" className={inputClass} />
+          )}
+        </label>
+        <label className="text-xs text-slate-400">
+          Root folder
+          {hasChoices ? (
+            <select
+              value={form.rootFolderPath}
+              onChange={(e) => updateForm('rootFolderPath', e.target.value)}
+              className={inputClass}
+            >
+              <option value="">Choose…</option>
+              {rootFolders.map(folder => (
+                <option key={folder.path} value={folder.path}>{folder.path}</option>
+              ))}
+            </select>
+          ) : (
+            <input type="text" value={form.rootFolderPath} readOnly placeholder="Connect to load folders" className={inputClass} />
+          )}
+        </label>
+        <label className="text-xs text-slate-400">
+          Minimum availability
+          <select
+            value={form.minimumAvailability}
+            onChange={(e) => updateForm('minimumAvailability', e.target.value)}
+            className={inputClass}
+          >
+            <option value="announced">Announced</option>
+            <option value="inCinemas">In cinemas</option>
+            <option value="released">Released</option>
+          </select>
+        </label>
+      </div>
+
+      <div className="flex flex-wrap gap-4 mb-4 text-xs text-slate-300">
+        {[
+          { key: 'monitored', label: 'Monitor added movies' },
+          { key: 'searchForMovie', label: 'Start search when added' },
+          { key: 'pushOnSync', label: 'Also push on every sync (slows syncs down)' },
+          { key: 'excludeOwned', label: 'Leave movies already in Radarr out of my feeds' }
+        ].map(option => (
+          <label key={option.key} className="flex items-center gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={form[option.key]}
+              onChange={(e) => {
+                if (option.key === 'excludeOwned' && e.target.checked && !window.confirm(OWNED_WARNING)) return;
+                updateForm(option.key, e.target.checked);
+              }}
+              className="w-3 h-3 text-purple-600 bg-slate-700 border-slate-600 rounded focus:ring-purple-500"
+            />
+            <span>{option.label}</span>
+          </label>
+        ))}
+      </div>
+
+      {form.excludeOwned && (
+        <p className="text-xs text-amber-400 mb-4">⚠️ {OWNED_WARNING}</p>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => saveConfig(true)}
+          disabled={Boolean(busy) || !form.url}
+          className="px-3 py-1 bg-slate-600 hover:bg-slate-500 disabled:opacity-50 text-white text-xs rounded"
+        >
+          {busy === 'connect' ? 'Connecting…' : '🔌 Connect'}
+        </button>
+        <button
+          onClick={() => saveConfig(false)}
+          disabled={Boolean(busy) || !form.url}
+          className="px-3 py-1 bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white text-xs rounded"
+        >
+          {busy === 'save' ? 'Saving…' : 'Save'}
+        </button>
+        {configured && (
+          <>
+            <button
+              onClick={() => push(true)}
+              disabled={Boolean(busy)}
+              className="px-3 py-1 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white text-xs rounded"
+            >
+              {busy === 'preview' ? 'Checking…' : '👀 Preview'}
+            </button>
+            <button
+              onClick={() => push(false)}
+              disabled={Boolean(busy)}
+              className="px-3 py-1 bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white text-xs rounded"
+            >
+              {busy === 'push' ? 'Pushing…' : '🚀 Push Now'}
+            </button>
+            <button
+              onClick={disconnect}
+              disabled={Boolean(busy)}
+              className="px-3 py-1 bg-slate-700 hover:bg-slate-600 disabled:opacity-50 text-slate-300 text-xs rounded"
+            >
+              Disconnect
+            </button>
+          </>
+        )}
+      </div>
+
+      <PushResults run={lastRun} />
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+// components/ui/SecretRotation.jsx
+import { useState, useEffect, useCallback } from 'react';
+
+import { generateSignature, trackEvent } from '../../utils/analytics';
+
+const GRACE_OPTIONS = [
+  { hours: 0, label: 'Immediately' },
+  { hours: 24, label: 'After 24 hours' },
+  { hours: 72, label: 'After 3 days' },
+  { hours: 168, label: 'After 7 days' }
+];
+
+export default function SecretRotation({ userId, tenantSecret, onSecretRotated, setSuccess, setError }) {
+  const [graceHours, setGraceHours] = useState(0);
+  const [reason, setReason] = useState('');
+  const [rotations, setRotations] = useState([]);
+  const [graceUntil, setGraceUntil] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const rotationFetch = useCallback(async (path, options = {}) => {
+    const sig = await generateSignature(`rotate-secret:${userId}`, tenantSecret);
+    const separator = path.includes('?') ? '&' : '?';
+    const res = await fetch(`${path}${separator}sig=${sig}`, {
+      ...options,
+      headers: { 'Content-Type': 'application/json' }
+    });
+    const json = await res.json();
+    if (!res.ok) {
+      throw new Error(json.error || 'Secret rotation request failed');
+    }
+    return json;
+  }, [userId, tenantSecret]);
+
+  // Load the rotation history
+  useEffect(() => {
+    if (!userId || !tenantSecret) return;
+
+    rotationFetch(`/api/rotate-secret?userId=${encodeURIComponent(userId)}`)
+      .then(json => {
+        setRotations(json.rotations || []);
+        setGraceUntil(json.graceUntil);
+      })
+      .catch(() => {
+        // History stays empty; errors surface on the next explicit action
+      });
+  }, [userId, tenantSecret, rotationFetch]);
+
+  const rotate = async () => {
+    const warning = graceHours > 0
+      ? 'Issue new feed URLs? Your current URLs keep working for the grace period, then Radarr needs the new ones.'
+      : 'Issue new feed URLs? Your current URLs stop working right away and Radarr needs the new ones.';
+    if (!window.confirm(warning)) return;
+
+    setBusy(true);
+    try {
+      const json = await rotationFetch('/api/rotate-secret', {
+        method: 'POST',
+        body: JSON.stringify({ userId, graceHours, reason })
+      });
+      setRotations(json.rotations || []);
+      setGraceUntil(json.graceUntil);
+      setReason('');
+      onSecretRotated?.(json.tenantSecret, json.rssUrl);
+      setSuccess(json.message);
+      trackEvent('tenant_secret_rotated', { graceHours });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputClass = 'mt-1 w-full px-2 py-1 bg-slate-700 border border-slate-600 rounded text-white placeholder-slate-500 text-sm';
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl p-6 border border-slate-700">
+      <h3 className="text-lg font-bold text-white mb-2">🔑 Feed URL Security</h3>
+      <p className="text-sm text-slate-400 mb-4">
+        Anyone with your RSS or list URL can read your feed. If a URL leaked, issue new ones: every feed URL
+        (including named feeds) gets a new signature and you update the lists in Radarr. A grace period keeps
+        the old URLs working until you have done that.
+      </p>
+
+      {graceUntil && (
+        <p className="text-xs text-amber-400 mb-3">
+          ⏳ Your previous feed URLs keep working until {new Date(graceUntil).toLocaleString()}.
+        </p>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-2 mb-3">
+        <label className="text-xs text-slate-400">
+          Old URLs stop working
+          <select
+            value={graceHours}
+            onChange={(e) => setGraceHours(Number(e.target.value))}
+            className={inputClass}
+          >
+            {GRACE_OPTIONS.map(option => (
+              <option key={option.hours} value={option.hours}>{option.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-slate-400">
+          Note (optional)
+          <input
+            type="text"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            maxLength={200}
+            placeholder="e.g. shared URL in a forum post"
+            className={inputClass}
+          />
+        </label>
+      </div>
+
+      <button
+        onClick={rotate}
+        disabled={busy}
+        className="px-3 py-1 bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white text-xs rounded"
+      >
+        {busy ? 'Rotating…' : '🔄 Issue New Feed URLs'}
+      </button>
+
+      {rotations.length > 0 && (
+        <div className="mt-4">
+          <p className="text-xs text-slate-300 mb-2">Previous rotations</p>
+          <div className="max-h-48 overflow-y-auto bg-slate-900/40 rounded p-2 space-y-1">
+            {rotations.map(rotation => (
+              <div key={rotation.rotatedAt} className="flex justify-between text-xs">
+                <span className="text-slate-300 truncate mr-2">
+                  {new Date(rotation.rotatedAt).toLocaleString()}
+                  {rotation.reason && ` - ${rotation.reason}`}
+                </span>
+                <span className="text-slate-500">
+                  {rotation.graceHours > 0 ? `${rotation.graceHours}h grace` : 'revoked immediately'}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+// components/ui/SyncConflictBanner.jsx
+// Shown when this browser and another device both changed the collection since the last sync
+export function SyncConflictBanner({ conflict, localCount, onResolve }) {
+  if (!conflict) return null;
+
+  const serverCount = conflict.people.length;
+  const syncedAt = conflict.lastSync ? new Date(conflict.lastSync).toLocaleString() : 'recently';
+
+  return (
+    <div className="mb-6 max-w-2xl mx-auto bg-yellow-500/20 border border-yellow-500 rounded-lg p-4 animate-fade-in">
+      <p className="text-yellow-100 font-medium mb-1">Your collection changed on another device</p>
+      <p className="text-yellow-200 text-sm mb-3">
+        Another device synced {serverCount} source{serverCount !== 1 ? 's' : ''} at {syncedAt}, but this browser has
+        unsynced changes ({localCount} source{localCount !== 1 ? 's' : ''}). Choose which collection to keep.
+      </p>
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => onResolve('merge')}
+          className="px-3 py-1 bg-purple-600 hover:bg-purple-700 text-white text-xs rounded"
+        >
+          Merge Both
+        </button>
+        <button
+          onClick={() => onResolve('server')}
+          className="px-3 py-1 bg-slate-600 hover:bg-slate-500 text-white text-xs rounded"
+        >
+          Use Other Device&apos;s
+        </button>
+        <button
+          onClick={() => onResolve('local')}
+          className="px-3 py-1 bg-slate-600 hover:bg-slate-500 text-white text-xs rounded"
+        >
+          Keep This Browser&apos;s
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SyncConflictBanner;
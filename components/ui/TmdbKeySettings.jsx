@@ -0,0 +1,80 @@
+// components/ui/TmdbKeySettings.jsx
+import { useState } from 'react';
+
+import { generateSignature, trackEvent } from '../../utils/analytics';
+
+export default function TmdbKeySettings({ userId, tenantSecret, setSuccess, setError }) {
+  const [tmdbKey, setTmdbKey] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const updateKey = async () => {
+    const apiKey = tmdbKey.trim();
+    if (!/^[a-f0-9]{32}$/i.test(apiKey)) {
+      setError('A TMDb API key is 32 letters and numbers (the v3 "API Key", not the read access token).');
+      return;
+    }
+
+    setBusy(true);
+    try {
+      // Check the key with TMDb first, like the setup screen does
+      const testResponse = await fetch(`https://api.themoviedb.org/3/configuration?api_key=${apiKey}`);
+      if (!testResponse.ok) {
+        throw new Error(testResponse.status === 401
+          ? 'Invalid TMDb API key. Please check your key and try again.'
+          : 'Failed to validate TMDb API key. Please try again.');
+      }
+
+      const sig = await generateSignature(`tmdb-key:${userId}`, tenantSecret);
+      const res = await fetch(`/api/tmdb-key?sig=${sig}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userId, tmdbKey: apiKey })
+      });
+      const json = await res.json();
+      if (!res.ok) {
+        throw new Error(json.error || 'Failed to update the TMDb API key');
+      }
+
+      // Devices set up with a key keep it for the next setup; signed-in devices never store one
+      if (localStorage.getItem('tmdbKey')) {
+        localStorage.setItem('tmdbKey', apiKey);
+      }
+      setTmdbKey('');
+      setSuccess(json.message);
+      trackEvent('tmdb_key_updated');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl p-6 border border-slate-700">
+      <h3 className="text-lg font-bold text-white mb-2">🎬 TMDb API Key</h3>
+      <p className="text-sm text-slate-400 mb-4">
+        Helparr uses your TMDb key for smart sources and movie details. If you generated a new key on TMDb,
+        enter it here; the old one stops working for Helparr right away.
+      </p>
+
+      <div className="flex space-x-2">
+        <input
+          type="password"
+          value={tmdbKey}
+          onChange={(e) => setTmdbKey(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && updateKey()}
+          placeholder="New TMDb API key"
+          autoComplete="off"
+          className="flex-1 px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-400 text-sm"
+        />
+        <button
+          onClick={updateKey}
+          disabled={busy || !tmdbKey.trim()}
+          className="px-3 py-1 bg-purple-600 hover:bg-purple-700 disabled:opacity-50 text-white text-xs rounded"
+        >
+          {busy ? 'Updating…' : 'Update Key'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -94,7 +94,7 @@ export default function HelpView() {
 
           <HelpSection 
             title="📡 RSS Feed Management"
-            content="Your RSS URL is permanent and appears at the top of the screen once generated. It never changes and updates automatically as you modify your collection:"
+            content="Your RSS URL appears at the top of the screen once generated. It stays the same until you rotate it under Manage, and updates automatically as you modify your collection:"
             steps={[
               "RSS URL generates immediately when you create your account",
               "Feed starts with a welcome message, updates as you add movies",
@@ -130,7 +130,8 @@ export default function HelpView() {
               "In Radarr: Settings → Lists → Add List → RSS List",
               "Paste URL and set sync interval (recommended: 60+ minutes)",
               "Configure quality profiles and download settings as desired",
-              "Radarr will automatically discover and download new movies"
+              "Radarr will automatically discover and download new movies",
+              "Prefer JSON? Use Radarr's \"StevenLu Custom\" list with /api/list/ in place of /api/rss/ in your URL"
             ]}
           />
 
@@ -1,9 +1,16 @@
 // components/views/ManageView.jsx
 
 import { useState, useEffect } from 'react';
-import { useUserManagement } from '../../hooks/useUserManagement';
 import PersonManager from '../person/PersonManager';
+import FeedFiltersEditor from '../ui/FeedFiltersEditor';
+import RadarrSettings from '../ui/RadarrSettings';
+import SecretRotation from '../ui/SecretRotation';
+import AccountSettings from '../ui/AccountSettings';
+import TmdbKeySettings from '../ui/TmdbKeySettings';
 import { trackEvent } from '../../utils/analytics';
+import { createFeed, removeFeedFromPeople, MAX_FEEDS } from '../../utils/feeds';
+import { describeFeedFilters, hasActiveFilters, normalizeFeedFilters } from '../../utils/feedFilters';
+import { createExclusion, applyExclusions, mergeExclusions, removeExclusion, MAX_EXCLUSIONS } from '../../utils/exclusions';
 
 export default function ManageView({
   people,
@@ -17,18 +24,42 @@ export default function ManageView({
   tenantSecret,
   rssUrl,
   setRssUrl,
+  onSecretRotated,
+  onSignedIn,
+  feeds = [],
+  setFeeds,
+  exclusions = [],
+  updateExclusions,
   setSuccess,
   setError,
   handleNavigation,
   onMovieCountChange,
+  userManagement,
   // Search view props passed through
   sourceSearch,
   filmography
 }) {
   const [activeTab, setActiveTab] = useState('collection');
   const [showExportImport, setShowExportImport] = useState(false);
+  const [showFeeds, setShowFeeds] = useState(false);
+  const [showRadarr, setShowRadarr] = useState(false);
+  const [showSecurity, setShowSecurity] = useState(false);
+  const [showAccount, setShowAccount] = useState(false);
+  const [showExclusions, setShowExclusions] = useState(false);
+  const [newFeedName, setNewFeedName] = useState('');
+  const [defaultFeedFilters, setDefaultFeedFilters] = useState({});
+  const [editingFiltersFor, setEditingFiltersFor] = useState(null); // 'default' or a named feed id
   const [usageStats, setUsageStats] = useState(null);
-  const userManagement = useUserManagement();
+
+  // Filtering rules for the main feed live in localStorage next to the named feeds
+  useEffect(() => {
+    try {
+      const savedFilters = localStorage.getItem('feedFilters');
+      setDefaultFeedFilters(savedFilters ? JSON.parse(savedFilters) : {});
+    } catch (error) {
+      setDefaultFeedFilters({});
+    }
+  }, []);
 
   // Load enhanced stats with deduplication information
   useEffect(() => {
@@ -68,6 +99,9 @@ export default function ManageView({
         version: '2.1', // Updated version for deduplication support
         exportDate: new Date().toISOString(),
         people,
+        feeds, // Named feed definitions (sources reference them via feedIds)
+        feedFilters: defaultFeedFilters, // Filtering rules for the main feed
+        exclusions, // Movies kept out of every feed
         selectedMovies, // Deduplicated movies
         rawSelectedMovies, // All selections for reference
         deduplicationStats: {
@@ -75,8 +109,8 @@ export default function ManageView({
           uniqueMovies: selectedMovies.length,
           duplicatesRemoved: usageStats?.duplicatesRemoved || 0
         },
+        // The TMDb key stays out of backups; it is kept encrypted on the server
         settings: {
-          tmdbKey: localStorage.getItem('tmdbKey'),
           userId,
           rssUrl
         }
@@ -129,9 +163,32 @@ export default function ManageView({
       });
       
       const mergedPeople = Array.from(peopleMap.values());
+
+      // Bring along named feeds referenced by the imported sources
+      if (Array.isArray(importData.feeds) && importData.feeds.length > 0) {
+        const existingFeedIds = new Set(feeds.map(f => f.id));
+        const newFeeds = importData.feeds.filter(f => f && f.id && f.name && !existingFeedIds.has(f.id));
+        if (newFeeds.length > 0) {
+          setFeeds([...feeds, ...newFeeds].slice(0, MAX_FEEDS));
+        }
+      }
+
+      // Main feed filters only fill in when none are set yet
+      const importedFilters = normalizeFeedFilters(importData.feedFilters);
+      if (importedFilters.valid && !hasActiveFilters(defaultFeedFilters)) {
+        setDefaultFeedFilters(importedFilters.filters);
+        localStorage.setItem('feedFilters', JSON.stringify(importedFilters.filters));
+      }
+
+      // Exclusions are merged so a restored backup never re-adds movies excluded here
+      const mergedExclusions = mergeExclusions(exclusions, importData.exclusions);
+      if (mergedExclusions.length !== exclusions.length) {
+        updateExclusions(mergedExclusions);
+      }
+
       setPeople(mergedPeople);
       localStorage.setItem('people', JSON.stringify(mergedPeople));
-      updateSelectedMovies(mergedPeople);
+      updateSelectedMovies(mergedPeople, mergedExclusions);
       
       setSuccess(`Successfully imported ${importData.people.length} items!`);
       trackEvent('data_imported', {
@@ -179,10 +236,19 @@ export default function ManageView({
       setPeople([]);
       localStorage.removeItem('people');
       localStorage.removeItem('selectedMovies');
+      localStorage.removeItem('feeds');
+      localStorage.removeItem('feedFilters');
+      localStorage.removeItem('exclusions');
       localStorage.removeItem('tmdbKey');
       localStorage.removeItem('tenantSecret');
+      localStorage.removeItem('deviceCredential');
       localStorage.removeItem('rssUrl');
+      localStorage.removeItem('feedUrls');
       localStorage.removeItem('lastRSSAccess');
+      localStorage.removeItem('lastSync');
+      localStorage.removeItem('syncPending');
+      localStorage.removeItem('revision');
+      localStorage.removeItem('syncedSettings');
       
       const newId = crypto.randomUUID();
       localStorage.setItem('userId', newId);
@@ -243,6 +309,36 @@ export default function ManageView({
     );
   };
 
+  const handleExcludeMovie = (movie) => {
+    if (exclusions.length >= MAX_EXCLUSIONS) {
+      setError(`You can exclude up to ${MAX_EXCLUSIONS} movies.`);
+      return;
+    }
+
+    const reason = window.prompt(`Exclude "${movie.title}" from every feed, whichever source selects it? Optional reason:`, '');
+    if (reason === null) return;
+
+    const nextExclusions = [...exclusions, createExclusion(movie, reason)];
+    updateExclusions(nextExclusions);
+    setSuccess(`"${movie.title}" excluded from all feeds`);
+    trackEvent('movie_excluded', { exclusionCount: nextExclusions.length });
+
+    if (userId && tenantSecret && setRssUrl) {
+      userManagement.triggerAutoSync(userId, tenantSecret, applyExclusions(selectedMovies, nextExclusions), people, setRssUrl, setSuccess, setError, onMovieCountChange, []);
+    }
+  };
+
+  const handleRemoveExclusion = (entry) => {
+    const nextExclusions = removeExclusion(exclusions, entry);
+    updateExclusions(nextExclusions);
+    setSuccess(`"${entry.title || entry.imdb_id}" can appear in feeds again`);
+    trackEvent('exclusion_removed', { exclusionCount: nextExclusions.length });
+
+    if (userId && tenantSecret && setRssUrl) {
+      userManagement.triggerAutoSync(userId, tenantSecret, selectedMovies, people, setRssUrl, setSuccess, setError, onMovieCountChange, []);
+    }
+  };
+
   const handleSelectAllForRole = (personId, roleType, selectAll) => {
     userManagement.selectAllForRole(
       personId, 
@@ -260,6 +356,103 @@ export default function ManageView({
     );
   };
 
+  const handleCreateFeed = () => {
+    const name = newFeedName.trim();
+    if (!name) {
+      setError('Please enter a name for the feed.');
+      return;
+    }
+    if (feeds.length >= MAX_FEEDS) {
+      setError(`You can create up to ${MAX_FEEDS} feeds.`);
+      return;
+    }
+
+    const feed = createFeed(name, feeds);
+    setFeeds([...feeds, feed]);
+    setNewFeedName('');
+    setSuccess(`Created feed "${feed.name}". Assign sources to it below, then add its URL to Radarr.`);
+    trackEvent('feed_created', { feedCount: feeds.length + 1 });
+
+    // Sync so the server knows about the new feed
+    if (userId && tenantSecret && setRssUrl) {
+      userManagement.triggerAutoSync(userId, tenantSecret, selectedMovies, people, setRssUrl, setSuccess, setError, onMovieCountChange, []);
+    }
+  };
+
+  const handleDeleteFeed = (feedId) => {
+    const feed = feeds.find(f => f.id === feedId);
+    if (!feed || !window.confirm(`Delete feed "${feed.name}"? Radarr lists using its URL will stop receiving movies.`)) {
+      return;
+    }
+
+    const updatedPeople = removeFeedFromPeople(people, feedId);
+    setFeeds(feeds.filter(f => f.id !== feedId));
+    setPeople(updatedPeople);
+    localStorage.setItem('people', JSON.stringify(updatedPeople));
+    updateSelectedMovies(updatedPeople);
+    setSuccess(`Deleted feed "${feed.name}"`);
+    trackEvent('feed_deleted', { feedCount: feeds.length - 1 });
+
+    if (userId && tenantSecret && setRssUrl) {
+      const feedOperations = people
+        .filter(person => person.feedIds?.includes(feedId))
+        .map(person => ({ op: 'set-feeds', sourceId: person.id, feedIds: person.feedIds.filter(id => id !== feedId) }));
+      userManagement.triggerAutoSync(userId, tenantSecret, selectedMovies, updatedPeople, setRssUrl, setSuccess, setError, onMovieCountChange, feedOperations);
+    }
+  };
+
+  const handleSaveFilters = (feedKey, filters) => {
+    if (feedKey === 'default') {
+      setDefaultFeedFilters(filters);
+      localStorage.setItem('feedFilters', JSON.stringify(filters));
+    } else {
+      setFeeds(feeds.map(feed => (feed.id === feedKey ? { ...feed, filters } : feed)));
+    }
+
+    setEditingFiltersFor(null);
+    setSuccess(hasActiveFilters(filters) ? `Feed filters saved: ${describeFeedFilters(filters)}` : 'Feed filters cleared');
+    trackEvent('feed_filters_saved', { feed: feedKey === 'default' ? 'default' : 'named', active: hasActiveFilters(filters) });
+
+    // Sync so Radarr sees the filtered feed
+    if (userId && tenantSecret && setRssUrl) {
+      userManagement.triggerAutoSync(userId, tenantSecret, selectedMovies, people, setRssUrl, setSuccess, setError, onMovieCountChange, []);
+    }
+  };
+
+  const handleToggleFeed = (personId, feedId, enabled) => {
+    userManagement.setPersonFeed(
+      personId,
+      feedId,
+      enabled,
+      people,
+      setPeople,
+      updateSelectedMovies,
+      userId,
+      tenantSecret,
+      setRssUrl,
+      setSuccess,
+      setError,
+      onMovieCountChange
+    );
+  };
+
+  const handleToggleAutoInclude = (personId, roleType, enabled) => {
+    userManagement.setRoleAutoInclude(
+      personId,
+      roleType,
+      enabled,
+      people,
+      setPeople,
+      updateSelectedMovies,
+      userId,
+      tenantSecret,
+      setRssUrl,
+      setSuccess,
+      setError,
+      onMovieCountChange
+    );
+  };
+
   const tabs = [
     { key: 'collection', label: '🎬 Your Collection', count: people.length },
     { key: 'data', label: '⚙️ Data Management', count: null }
@@ -286,6 +479,36 @@ export default function ManageView({
             >
               ⚡ Sync Now
             </button>
+            <button
+              onClick={() => setShowFeeds(!showFeeds)}
+              className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition-colors duration-200"
+            >
+              📡 Feeds{feeds.length > 0 ? ` (${feeds.length})` : ''}
+            </button>
+            <button
+              onClick={() => setShowRadarr(!showRadarr)}
+              className="px-4 py-2 bg-amber-600 hover:bg-amber-700 text-white rounded-lg transition-colors duration-200"
+            >
+              🎬 Radarr
+            </button>
+            <button
+              onClick={() => setShowSecurity(!showSecurity)}
+              className="px-4 py-2 bg-cyan-700 hover:bg-cyan-800 text-white rounded-lg transition-colors duration-200"
+            >
+              🔑 Feed URL Security
+            </button>
+            <button
+              onClick={() => setShowAccount(!showAccount)}
+              className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white rounded-lg transition-colors duration-200"
+            >
+              👤 Account &amp; Devices
+            </button>
+            <button
+              onClick={() => setShowExclusions(!showExclusions)}
+              className="px-4 py-2 bg-slate-600 hover:bg-slate-700 text-white rounded-lg transition-colors duration-200"
+            >
+              🚫 Excluded{exclusions.length > 0 ? ` (${exclusions.length})` : ''}
+            </button>
             <button
               onClick={() => setShowExportImport(!showExportImport)}
               className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors duration-200"
@@ -389,6 +612,178 @@ export default function ManageView({
         </div>
       )}
 
+      {/* Exclusion List Panel */}
+      {showExclusions && (
+        <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl p-6 border border-slate-700">
+          <h3 className="text-lg font-bold text-white mb-2">🚫 Excluded Movies</h3>
+          <p className="text-sm text-slate-400 mb-4">
+            Excluded movies never appear in any of your feeds, even when another actor, director or collection selects them.
+            Use 🚫 next to a movie in your collection to add it here.
+          </p>
+          {exclusions.length > 0 ? (
+            <div className="space-y-2 max-h-80 overflow-y-auto">
+              {exclusions.map(entry => (
+                <div key={entry.imdb_id || `tmdb-${entry.tmdb_id}`} className="flex items-center justify-between p-3 bg-slate-700/30 rounded-lg">
+                  <div>
+                    <span className="text-white text-sm font-medium">{entry.title || entry.imdb_id || `TMDb ${entry.tmdb_id}`}</span>
+                    <span className="text-xs text-slate-400 ml-2">
+                      {new Date(entry.excludedAt).toLocaleDateString()}
+                      {entry.reason && ` • ${entry.reason}`}
+                    </span>
+                  </div>
+                  <button
+                    onClick={() => handleRemoveExclusion(entry)}
+                    className="px-2 py-1 bg-slate-600 hover:bg-slate-700 text-white text-xs rounded"
+                  >
+                    Allow again
+                  </button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-slate-500">No excluded movies.</p>
+          )}
+        </div>
+      )}
+
+      {/* Direct Radarr Push Panel */}
+      {showRadarr && (
+        <RadarrSettings
+          userId={userId}
+          tenantSecret={tenantSecret}
+          setSuccess={setSuccess}
+          setError={setError}
+        />
+      )}
+
+      {/* Account and Devices Panel */}
+      {showAccount && (
+        <AccountSettings
+          userId={userId}
+          tenantSecret={tenantSecret}
+          onSignedIn={onSignedIn}
+          setSuccess={setSuccess}
+          setError={setError}
+        />
+      )}
+
+      {/* Secret Rotation Panel */}
+      {showSecurity && (
+        <>
+          <SecretRotation
+            userId={userId}
+            tenantSecret={tenantSecret}
+            onSecretRotated={onSecretRotated}
+            setSuccess={setSuccess}
+            setError={setError}
+          />
+          <TmdbKeySettings
+            userId={userId}
+            tenantSecret={tenantSecret}
+            setSuccess={setSuccess}
+            setError={setError}
+          />
+        </>
+      )}
+
+      {/* Named Feeds Panel */}
+      {showFeeds && (
+        <div className="bg-slate-800/50 backdrop-blur-sm rounded-xl p-6 border border-slate-700">
+          <h3 className="text-lg font-bold text-white mb-2">📡 Named Feeds</h3>
+          <p className="text-sm text-slate-400 mb-4">
+            Your main RSS URL always contains every selected movie. Named feeds contain only the sources you assign to them, 
+            so you can add each one to Radarr as a separate list with its own quality profile and root folder. 
+            Filters (rating, year, runtime, genres, release status) narrow what each feed publishes.
+          </p>
+          <div className="flex space-x-2 mb-4">
+            <input
+              type="text"
+              value={newFeedName}
+              onChange={(e) => setNewFeedName(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleCreateFeed()}
+              placeholder='e.g. "4K directors" or "Kids collections"'
+              maxLength={60}
+              className="flex-1 px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-400 text-sm"
+            />
+            <button
+              onClick={handleCreateFeed}
+              className="px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg transition-colors duration-200 text-sm"
+            >
+              Create Feed
+            </button>
+          </div>
+          {/* Main feed filters */}
+          <div className="p-3 bg-slate-700/30 rounded-lg mb-2">
+            <div className="flex items-center justify-between">
+              <div>
+                <span className="text-white font-medium">Main feed (all movies)</span>
+                <span className="text-xs text-slate-400 ml-2">{describeFeedFilters(defaultFeedFilters)}</span>
+              </div>
+              <button
+                onClick={() => setEditingFiltersFor(editingFiltersFor === 'default' ? null : 'default')}
+                className="px-2 py-1 bg-slate-600 hover:bg-slate-700 text-white text-xs rounded"
+              >
+                Filters
+              </button>
+            </div>
+            {editingFiltersFor === 'default' && (
+              <FeedFiltersEditor
+                feedName="the main feed"
+                filters={defaultFeedFilters}
+                onSave={(filters) => handleSaveFilters('default', filters)}
+                onCancel={() => setEditingFiltersFor(null)}
+              />
+            )}
+          </div>
+          {feeds.length > 0 ? (
+            <div className="space-y-2">
+              {feeds.map(feed => {
+                const sourceCount = people.filter(p => p.feedIds?.includes(feed.id)).length;
+                return (
+                  <div key={feed.id} className="p-3 bg-slate-700/30 rounded-lg">
+                    <div className="flex items-center justify-between">
+                      <div>
+                        <span className="text-white font-medium">{feed.name}</span>
+                        <span className="text-xs text-slate-400 ml-2">
+                          {sourceCount} source{sourceCount !== 1 ? 's' : ''} • {describeFeedFilters(feed.filters)}
+                        </span>
+                      </div>
+                      <div className="flex space-x-2">
+                        <button
+                          onClick={() => setEditingFiltersFor(editingFiltersFor === feed.id ? null : feed.id)}
+                          className="px-2 py-1 bg-slate-600 hover:bg-slate-700 text-white text-xs rounded"
+                        >
+                          Filters
+                        </button>
+                        <button
+                          onClick={() => handleDeleteFeed(feed.id)}
+                          className="px-2 py-1 bg-red-600 hover:bg-red-700 text-white text-xs rounded"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </div>
+                    {editingFiltersFor === feed.id && (
+                      <FeedFiltersEditor
+                        feedName={`"${feed.name}"`}
+                        filters={feed.filters}
+                        onSave={(filters) => handleSaveFilters(feed.id, filters)}
+                        onCancel={() => setEditingFiltersFor(null)}
+                      />
+                    )}
+                  </div>
+                );
+              })}
+              <p className="text-xs text-slate-500">
+                Pick a feed in the RSS bar at the top of the page to copy its URL.
+              </p>
+            </div>
+          ) : (
+            <p className="text-sm text-slate-500">No named feeds yet.</p>
+          )}
+        </div>
+      )}
+
       {/* Simplified Tabs */}
       <div className="flex space-x-1 bg-slate-800/30 rounded-lg p-1">
         {tabs.map(tab => (
@@ -421,9 +816,14 @@ export default function ManageView({
                   key={person.id}
                   person={person}
                   allPeople={people} // Pass all people for duplicate detection
+                  feeds={feeds}
+                  onToggleFeed={(feedId, enabled) => handleToggleFeed(person.id, feedId, enabled)}
+                  onToggleAutoInclude={(roleType, enabled) => handleToggleAutoInclude(person.id, roleType, enabled)}
                   onRemovePerson={() => handleRemovePerson(person.id)}
                   onRemoveRole={(roleType) => handleRemoveRole(person.id, roleType)}
                   onToggleMovie={(roleType, movieId) => handleToggleMovie(person.id, roleType, movieId)}
+                  exclusions={exclusions}
+                  onExcludeMovie={handleExcludeMovie}
                   onSelectAllForRole={(roleType, selectAll) => handleSelectAllForRole(person.id, roleType, selectAll)}
                   isExpanded={expandedPeople.has(person.id)}
                   onToggleExpanded={() => {
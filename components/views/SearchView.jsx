@@ -1,5 +1,4 @@
 // components/views/SearchView.jsx
-import { useUserManagement } from '../../hooks/useUserManagement';
 import SearchFilmographySelector from '../filmography/SearchFilmographySelector';
 import { trackEvent } from '../../utils/analytics';
 
@@ -16,9 +15,9 @@ export default function SearchView({
   tenantSecret,
   rssUrl,
   setRssUrl,
-  onMovieCountChange
+  onMovieCountChange,
+  userManagement
 }) {
-  const userManagement = useUserManagement();
   
   const {
     searchQuery,
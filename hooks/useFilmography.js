@@ -1,7 +1,6 @@
 // hooks/useFilmography.js
 import { useState, useRef, useCallback } from 'react';
 import { generateSignature, trackEvent } from '../utils/analytics';
-import { tmdbClient } from '../utils/tmdbClient';
 
 export function useFilmography(userId = '', tenantSecret = '') {
   const [selectedSource, setSelectedSource] = useState(null);
@@ -11,149 +10,139 @@ export function useFilmography(userId = '', tenantSecret = '') {
   const [roleType, setRoleType] = useState('actor');
   const [selectedMoviesInSearch, setSelectedMoviesInSearch] = useState([]);
   
-  // Streaming state
+  // Streaming state (large studios and filmographies load over /api/stream-source-movies)
   const [isStreaming, setIsStreaming] = useState(false);
   const [streamingProgress, setStreamingProgress] = useState(null);
   const [rateLimitStatus, setRateLimitStatus] = useState('');
-  const streamIdRef = useRef(null);
-  const enrichmentProgressRef = useRef({ current: 0, total: 0 });
+  const eventSourceRef = useRef(null);
 
-  // Cancel current streaming operation
+  const resetStreamingState = () => {
+    setIsStreaming(false);
+    setStreamingProgress(null);
+    setRateLimitStatus('');
+  };
+
+  // Cancel current streaming operation; closing the connection stops the server-side load
   const cancelStreaming = useCallback(() => {
-    if (streamIdRef.current) {
-      const cancelled = tmdbClient.cancelStream(streamIdRef.current);
-      if (cancelled) {
-        setIsStreaming(false);
-        setStreamingProgress(null);
-        setRateLimitStatus('');
-        streamIdRef.current = null;
-        
-        trackEvent('streaming_cancelled', {
-          sourceName: selectedSource?.name,
-          sourceType
-        });
-      }
+    if (eventSourceRef.current) {
+      eventSourceRef.current.close();
+      eventSourceRef.current = null;
+      resetStreamingState();
+
+      trackEvent('streaming_cancelled', {
+        sourceName: selectedSource?.name,
+        sourceType
+      });
     }
   }, [selectedSource, sourceType]);
 
-  // Enrich movies with IMDB IDs in batches
-  const enrichMovieBatch = useCallback(async (movies, apiKey) => {
-    const TMDB_BASE = 'https://api.themoviedb.org/3';
-    const enrichedMovies = [];
-    const batchSize = 6;
-    
-    for (let i = 0; i < movies.length; i += batchSize) {
-      const batch = movies.slice(i, i + batchSize);
-      
-      const promises = batch.map(async (movie) => {
-        try {
-          const url = `${TMDB_BASE}/movie/${movie.id}?api_key=${apiKey}`;
-          const movieDetails = await tmdbClient.queueRequest(url);
-          
-          if (!movieDetails.imdb_id) {
-            return null;
-          }
-          
-          return {
-            ...movie,
-            imdb_id: movieDetails.imdb_id,
-            runtime: movieDetails.runtime,
-            genres: Array.isArray(movieDetails.genres) ? movieDetails.genres.slice(0, 3).map(g => g.name) : []
-          };
-          
-        } catch (error) {
-          console.warn(`Error enriching movie ${movie.id}:`, error.message);
-          return null;
+  // Append a streamed batch, keeping newest releases first
+  const appendMovies = (movies) => {
+    setFilmography(prev => [...prev, ...movies].sort((a, b) => {
+      const dateA = new Date(a.release_date || '1900-01-01');
+      const dateB = new Date(b.release_date || '1900-01-01');
+      return dateB - dateA;
+    }));
+    setSelectedMoviesInSearch(prev => [...prev, ...movies.map(movie => ({ ...movie, selected: true }))]);
+  };
+
+  /**
+   * Load a person or studio through the server-side SSE stream. Resolves with the source name
+   * once the first movies arrive; later batches keep arriving while isStreaming is true.
+   */
+  const streamSourceMovies = async (source, type, role) => {
+    const sig = await generateSignature(`stream-source-movies:${userId}`, tenantSecret);
+    const params = new URLSearchParams({ userId, sourceType: type, sourceId: String(source.id), sig });
+    if (role) params.set('roleType', role);
+
+    return new Promise((resolve, reject) => {
+      const eventSource = new EventSource(`/api/stream-source-movies?${params}`);
+      eventSourceRef.current = eventSource;
+
+      let sourceName = source.name;
+      let moviesLoaded = 0;
+      let settled = false;
+
+      const settle = (error) => {
+        if (settled) return;
+        settled = true;
+        if (error) {
+          reject(error);
+        } else {
+          resolve({ sourceName });
         }
-      });
-      
-      const batchResults = await Promise.all(promises);
-      enrichedMovies.push(...batchResults.filter(movie => movie !== null));
-    }
-    
-    return enrichedMovies;
-  }, []);
+      };
 
-  // Handle streaming callbacks
-  const createStreamingCallbacks = useCallback((apiKey, totalEstimated) => {
-    return {
-      onProgress: (loadedPages, totalPages, moviesLoaded) => {
-        setStreamingProgress({
-          loadedPages,
-          totalPages,
-          moviesLoaded,
-          totalEstimated,
-          percentage: Math.round((loadedPages / totalPages) * 100)
-        });
-      },
-      
-      onMoviesBatch: async (newMovies) => {
-        if (newMovies.length === 0) return;
-        
-        try {
-          // Enrich new movies with IMDB IDs
-          const enrichedMovies = await enrichMovieBatch(newMovies, apiKey);
-          
-          if (enrichedMovies.length > 0) {
-            // Append to existing filmography
-            setFilmography(prev => {
-              const combined = [...prev, ...enrichedMovies];
-              return combined.sort((a, b) => {
-                const dateA = new Date(a.release_date || '1900-01-01');
-                const dateB = new Date(b.release_date || '1900-01-01');
-                return dateB - dateA;
-              });
-            });
-            
-            // Append to selected movies (pre-selected)
-            setSelectedMoviesInSearch(prev => [...prev, ...enrichedMovies]);
-          }
-          
-        } catch (error) {
-          console.error('Error processing movie batch:', error);
+      const finish = () => {
+        eventSource.close();
+        if (eventSourceRef.current === eventSource) {
+          eventSourceRef.current = null;
         }
-      },
-      
-      onRateLimit: (retryInSeconds) => {
+        resetStreamingState();
+      };
+
+      const listen = (event, handler) => {
+        eventSource.addEventListener(event, (message) => handler(JSON.parse(message.data)));
+      };
+
+      listen('start', (data) => {
+        sourceName = data.sourceName || source.name;
+        if (data.totalPages > 1) {
+          setIsStreaming(true);
+          trackEvent('streaming_started', {
+            sourceName: source.name,
+            sourceType: type,
+            totalPages: data.totalPages,
+            estimatedTotal: data.totalResults
+          });
+        }
+      });
+
+      listen('movies', ({ movies = [] }) => {
+        if (movies.length === 0) return;
+        moviesLoaded += movies.length;
+        appendMovies(movies);
+        settle();
+      });
+
+      listen('progress', (progress) => {
+        setStreamingProgress(progress);
+      });
+
+      listen('rate-limit', ({ retryInSeconds }) => {
         setRateLimitStatus(`Rate limit hit, retrying in ${retryInSeconds} seconds...`);
         setTimeout(() => setRateLimitStatus(''), retryInSeconds * 1000 + 1000);
-      },
-      
-      onComplete: () => {
-        setIsStreaming(false);
-        setStreamingProgress(null);
-        setRateLimitStatus('');
-        streamIdRef.current = null;
-        
+      });
+
+      listen('complete', () => {
+        finish();
         trackEvent('streaming_completed', {
-          sourceName: selectedSource?.name,
-          sourceType,
-          totalMovies: filmography.length
-        });
-      },
-      
-      onError: (error) => {
-        setIsStreaming(false);
-        setStreamingProgress(null);
-        setRateLimitStatus('');
-        streamIdRef.current = null;
-        console.error('Streaming error:', error);
-        
-        trackEvent('streaming_failed', {
-          sourceName: selectedSource?.name,
-          sourceType,
-          error: error.message
+          sourceName: source.name,
+          sourceType: type,
+          totalMovies: moviesLoaded
         });
-      },
-      
-      onCancel: () => {
-        setIsStreaming(false);
-        setStreamingProgress(null);
-        setRateLimitStatus('');
-        streamIdRef.current = null;
-      }
-    };
-  }, [selectedSource, sourceType, filmography.length, enrichMovieBatch]);
+
+        if (moviesLoaded === 0) {
+          settle(new Error(type === 'person'
+            ? `No ${role} credits found for ${source.name}`
+            : `No movies found for ${source.name}`));
+        }
+      });
+
+      listen('stream-error', ({ error }) => {
+        finish();
+        trackEvent('streaming_failed', { sourceName: source.name, sourceType: type, error });
+        settle(new Error(error || `Failed to get ${type} movies`));
+      });
+
+      // Connection failures (and rejected requests, which are not event streams)
+      eventSource.onerror = () => {
+        if (eventSourceRef.current !== eventSource) return;
+        finish();
+        settle(new Error(settled ? 'Lost connection while loading movies' : `Failed to get ${type} movies`));
+      };
+    });
+  };
 
   // Get movies from any source type with streaming support
   const getSourceMovies = async (source, type, role = null) => {
@@ -170,8 +159,7 @@ export function useFilmography(userId = '', tenantSecret = '') {
     setFilmographyLoading(true);
     setFilmography([]);
     setSelectedMoviesInSearch([]);
-    setStreamingProgress(null);
-    setRateLimitStatus('');
+    resetStreamingState();
     
     try {
       trackEvent('get_source_movies', { 
@@ -180,108 +168,45 @@ export function useFilmography(userId = '', tenantSecret = '') {
         roleType: role,
         sourceId: source.id
       });
-      
-      let movies = [];
-      let sourceName = source.name;
-      let streamingInfo = null;
 
-      if (type === 'person') {
-        // Use existing filmography API for people (no streaming needed)
-        const sig = await generateSignature(`get-filmography:${userId}`, tenantSecret);
-        const res = await fetch(`/api/get-filmography?sig=${sig}`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ userId, personId: source.id, roleType: role }),
-        });
-        
-        const json = await res.json();
-        if (res.ok) {
-          movies = json.movies || [];
-          sourceName = json.personName || source.name;
-        } else {
-          throw new Error(json.error || 'Failed to get filmography');
-        }
-      } else {
-        // Use source movies API for collections and companies
-        const sig = await generateSignature(`get-source-movies:${userId}`, tenantSecret);
-        const res = await fetch(`/api/get-source-movies?sig=${sig}`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ 
-            userId, 
-            sourceId: source.id, 
-            sourceType: type,
-            streaming: true
-          }),
-        });
-        
-        const json = await res.json();
-        if (res.ok) {
-          movies = json.movies || [];
-          sourceName = json.sourceName || source.name;
-          streamingInfo = json.streaming;
-        } else {
-          throw new Error(json.error || `Failed to get ${type} movies`);
-        }
+      if (type === 'person' || type === 'company') {
+        await streamSourceMovies(source, type, role);
+        return;
       }
 
-      // Set initial movies
-      setFilmography(movies);
-      const moviesWithSelection = movies.map(movie => ({
-        ...movie,
-        selected: true
-      }));
-      setSelectedMoviesInSearch(moviesWithSelection);
+      // Collections are small: one request returns the whole series
+      const sig = await generateSignature(`get-source-movies:${userId}`, tenantSecret);
+      const res = await fetch(`/api/get-source-movies?sig=${sig}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ 
+          userId, 
+          sourceId: source.id, 
+          sourceType: type
+        }),
+      });
       
-      // Start streaming if needed (large companies)
-      if (streamingInfo && streamingInfo.totalPages > 1) {
-        setIsStreaming(true);
-        streamIdRef.current = `${source.id}-${Date.now()}`;
-        
-        const callbacks = createStreamingCallbacks(streamingInfo.apiKey, streamingInfo.totalResults);
-        
-        // Initialize progress with first page
-        setStreamingProgress({
-          loadedPages: 1,
-          totalPages: streamingInfo.totalPages,
-          moviesLoaded: movies.length,
-          totalEstimated: streamingInfo.totalResults,
-          percentage: Math.round((1 / streamingInfo.totalPages) * 100)
-        });
-        
-        // Start streaming remaining pages
-        tmdbClient.startStreamingLoad(
-          streamingInfo.baseUrl,
-          streamingInfo.totalPages,
-          streamIdRef.current,
-          callbacks
-        );
-        
-        trackEvent('streaming_started', {
-          sourceName: source.name,
-          sourceType: type,
-          totalPages: streamingInfo.totalPages,
-          estimatedTotal: streamingInfo.totalResults
-        });
+      const json = await res.json();
+      if (!res.ok) {
+        throw new Error(json.error || `Failed to get ${type} movies`);
       }
+
+      const movies = json.movies || [];
+      setFilmography(movies);
+      setSelectedMoviesInSearch(movies.map(movie => ({ ...movie, selected: true })));
       
       trackEvent('source_movies_loaded', { 
         sourceName: source.name, 
         sourceType: type,
         roleType: role,
         movieCount: movies.length,
-        hasStreaming: !!streamingInfo
+        hasStreaming: false
       });
       
-      if (movies.length === 0 && !streamingInfo) {
-        const errorMessage = type === 'person' 
-          ? `No ${role} credits found for ${source.name}`
-          : `No movies found for ${source.name}`;
-        throw new Error(errorMessage);
+      if (movies.length === 0) {
+        throw new Error(`No movies found for ${source.name}`);
       }
       
-    } catch (err) {
-      throw err;
     } finally {
       setFilmographyLoading(false);
     }
@@ -333,8 +258,7 @@ export function useFilmography(userId = '', tenantSecret = '') {
     setSelectedMoviesInSearch([]);
     setSourceType('person');
     setRoleType('actor');
-    setStreamingProgress(null);
-    setRateLimitStatus('');
+    resetStreamingState();
   };
 
   return {
@@ -1,15 +1,127 @@
 // hooks/useUserManagement.js
 import { useState, useCallback, useRef } from 'react';
 import { generateSignature, trackEvent } from '../utils/analytics';
+import { reconcileCollection, mergeCollections } from '../utils/collectionSync';
+import { applyCollectionPatch, MAX_PATCH_OPERATIONS } from '../utils/collectionPatch';
+import { updateSelectedMoviesWithDeduplication } from '../utils/movieDeduplication';
 
-export function useUserManagement() {
+// Named feed definitions are persisted next to `people` and synced with them
+function loadStoredFeeds() {
+  try {
+    const savedFeeds = localStorage.getItem('feeds');
+    return savedFeeds ? JSON.parse(savedFeeds) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Filtering rules for the default feed (named feeds keep theirs in the feed definition)
+function loadStoredFeedFilters() {
+  try {
+    const savedFilters = localStorage.getItem('feedFilters');
+    return savedFilters ? JSON.parse(savedFilters) : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// Tenant-wide exclusion list (movies kept out of every feed)
+function loadStoredExclusions() {
+  try {
+    const savedExclusions = localStorage.getItem('exclusions');
+    return savedExclusions ? JSON.parse(savedExclusions) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+// Keep the server revision for the next sign-in or page load; the hook reads it back on mount
+export function storeSyncedRevision(revision) {
+  localStorage.setItem('revision', String(Number(revision) || 0));
+}
+
+const FEED_SETTING_KEYS = ['feeds', 'feedFilters', 'exclusions'];
+
+function loadStoredSettings() {
+  return { feeds: loadStoredFeeds(), feedFilters: loadStoredFeedFilters(), exclusions: loadStoredExclusions() };
+}
+
+// Remember the feeds, default filters and exclusions the server holds, as of the last sync or
+// after adopting the server's collection
+export function setSyncedSettings(collection) {
+  const settings = Object.fromEntries(FEED_SETTING_KEYS.map(key => [key, collection[key]]));
+  localStorage.setItem('syncedSettings', JSON.stringify(settings));
+}
+
+function loadSyncedSettings() {
+  try {
+    return JSON.parse(localStorage.getItem('syncedSettings'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Settings edited since the last sync. They replace the stored lists wholesale, so a PATCH only
+// carries these, and the server refuses them (409) when this browser is behind another device.
+// Without a snapshot (browsers from before it existed) everything counts as edited.
+function loadChangedSettings() {
+  const synced = loadSyncedSettings();
+  const current = loadStoredSettings();
+  return Object.fromEntries(FEED_SETTING_KEYS
+    .filter(key => !synced || JSON.stringify(current[key]) !== JSON.stringify(synced[key]))
+    .map(key => [key, current[key]]));
+}
+
+// Store a collection merged during sync, where the next page load picks it up
+function storeMergedCollection(merged) {
+  localStorage.setItem('people', JSON.stringify(merged.people));
+  localStorage.setItem('feeds', JSON.stringify(merged.feeds));
+  localStorage.setItem('feedFilters', JSON.stringify(merged.feedFilters));
+  localStorage.setItem('exclusions', JSON.stringify(merged.exclusions));
+}
+
+// `onCollectionMerged` receives the collection when a sync had to merge in another device's changes
+export function useUserManagement({ onCollectionMerged } = {}) {
   const [autoSyncStatus, setAutoSyncStatus] = useState('');
   const [isAutoSyncing, setIsAutoSyncing] = useState(false);
   const debounceTimerRef = useRef(null);
   const countdownTimerRef = useRef(null);
+  // Edits waiting for the next auto-sync, sent as operations (utils/collectionPatch.js).
+  // Changes that can't be described that way (imports, conflict resolution) ask for a full upload.
+  const pendingOperationsRef = useRef([]);
+  const needsFullSyncRef = useRef(false);
+  // Server revision this tab's collection is based on, kept apart from localStorage so another
+  // tab's sync doesn't advance it
+  const baseRevisionRef = useRef(null);
+  const onCollectionMergedRef = useRef(onCollectionMerged);
+  onCollectionMergedRef.current = onCollectionMerged;
+
+  // Take the revision of the collection just read from localStorage
+  const loadSyncedRevision = useCallback(() => {
+    baseRevisionRef.current = Number(localStorage.getItem('revision')) || 0;
+    return baseRevisionRef.current;
+  }, []);
+
+  // Record the server revision after a sync or after adopting the server's collection
+  const setSyncedRevision = useCallback((revision) => {
+    baseRevisionRef.current = Number(revision) || 0;
+    storeSyncedRevision(baseRevisionRef.current);
+  }, []);
+
+  const applyMergedCollection = (merged) => {
+    storeMergedCollection(merged);
+    onCollectionMergedRef.current?.(merged);
+  };
 
   // Auto-sync with intelligent debouncing
-  const triggerAutoSync = useCallback((userId, tenantSecret, selectedMovies, people, setRssUrl, setSuccess, setError, onMovieCountChange) => {
+  // Pass the edit as `operations`; leave them out to upload the whole collection
+  const triggerAutoSync = useCallback((userId, tenantSecret, selectedMovies, people, setRssUrl, setSuccess, setError, onMovieCountChange, operations) => {
+    if (operations) {
+      pendingOperationsRef.current.push(...operations);
+    } else {
+      needsFullSyncRef.current = true;
+    }
+
     // Clear existing timers
     if (debounceTimerRef.current) {
       clearTimeout(debounceTimerRef.current);
@@ -18,6 +130,11 @@ export function useUserManagement() {
       clearInterval(countdownTimerRef.current);
     }
 
+    // Remember that this browser has edits the server hasn't seen (cleared by a successful sync)
+    if (!localStorage.getItem('syncPending')) {
+      localStorage.setItem('syncPending', new Date().toISOString());
+    }
+
     // Show countdown during debounce (5 seconds)
     let timeLeft = 5;
     setAutoSyncStatus(`Auto-sync in ${timeLeft}s...`);
@@ -36,7 +153,7 @@ export function useUserManagement() {
       setAutoSyncStatus('Auto-syncing...');
 
       try {
-        await performSync(userId, tenantSecret, selectedMovies, people, setRssUrl, setSuccess, setError);
+        await syncCollection(userId, tenantSecret, selectedMovies, people, setRssUrl, setSuccess, setError);
         setAutoSyncStatus('✅ Auto-synced just now');
         onMovieCountChange?.(selectedMovies.length); // Update movie count immediately
         
@@ -72,7 +189,7 @@ export function useUserManagement() {
 
     try {
       setAutoSyncStatus('Syncing now...');
-      await performSync(userId, tenantSecret, selectedMovies, people, setRssUrl, setSuccess, setError);
+      await syncCollection(userId, tenantSecret, selectedMovies, people, setRssUrl, setSuccess, setError);
       onMovieCountChange?.(selectedMovies.length); // Update movie count immediately
       setAutoSyncStatus('');
       trackEvent('manual_sync_completed', { movieCount: selectedMovies.length });
@@ -82,34 +199,157 @@ export function useUserManagement() {
     }
   };
 
-  // Common sync logic
-  const performSync = async (userId, tenantSecret, selectedMovies, people, setRssUrl, setSuccess, setError) => {
+  // Store what a successful sync returned; `settings` are the feed settings the server now holds
+  const finishSync = (json, settings, setRssUrl, setSuccess) => {
+    setSyncedSettings(settings);
+    setRssUrl(json.rssUrl);
+    localStorage.setItem('rssUrl', json.rssUrl);
+    localStorage.setItem('feedUrls', JSON.stringify(json.feedUrls || []));
+    localStorage.setItem('lastSync', json.lastSync);
+    localStorage.removeItem('syncPending');
+    setSyncedRevision(json.revision);
+    setSuccess(json.message || `RSS feed updated with ${json.movieCount} movies!`);
+
+    trackEvent('sync_completed', { movieCount: json.movieCount });
+    return json;
+  };
+
+  // Incremental sync: the server applies the operations and rebuilds the feed
+  const performPatchSync = async (userId, tenantSecret, setRssUrl, setSuccess, { isRetry = false } = {}) => {
+    const operations = pendingOperationsRef.current;
+    pendingOperationsRef.current = [];
+    const changedSettings = loadChangedSettings();
+    trackEvent('sync_started', { operationCount: operations.length, type: 'patch' });
+
+    let res;
+    let json;
+    try {
+      const sig = await generateSignature(`sync-list:${userId}`, tenantSecret);
+      res = await fetch(`/api/sync-list?sig=${sig}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          userId,
+          revision: baseRevisionRef.current ?? loadSyncedRevision(),
+          operations,
+          ...changedSettings
+        })
+      });
+      json = await res.json();
+    } catch (err) {
+      // Offline or an unreadable answer: keep the edits for the next attempt
+      pendingOperationsRef.current = [...operations, ...pendingOperationsRef.current];
+      throw err;
+    }
+
+    if (!res.ok) {
+      if (res.status === 400) {
+        // The server can't apply these edits; upload the whole collection next time instead
+        needsFullSyncRef.current = true;
+      } else {
+        pendingOperationsRef.current = [...operations, ...pendingOperationsRef.current];
+      }
+
+      // Our settings edits are based on an older collection: merge them into the stored one, take
+      // the stored sources plus our queued edits, and send again from the stored revision
+      if (res.status === 409 && json.collection && !isRetry) {
+        const merged = mergeCollections({ ...json.collection, ...loadChangedSettings() }, json.collection);
+        const rebased = applyCollectionPatch(json.collection.people, pendingOperationsRef.current);
+        applyMergedCollection({ ...merged, people: rebased.valid ? rebased.people : json.collection.people });
+        setSyncedSettings(json.collection);
+        baseRevisionRef.current = json.collection.revision;
+        trackEvent('sync_conflict_merged', { revision: json.collection.revision });
+        return performPatchSync(userId, tenantSecret, setRssUrl, setSuccess, { isRetry: true });
+      }
+      throw new Error(json.error || 'Failed to sync RSS feed');
+    }
+
+    // Our copy was behind another device: take the server's result plus any edits queued meanwhile
+    if (json.collection) {
+      const rebased = applyCollectionPatch(json.collection.people, pendingOperationsRef.current);
+      applyMergedCollection({ ...json.collection, people: rebased.valid ? rebased.people : json.collection.people });
+    }
+
+    return finishSync(json, { ...(json.collection || loadSyncedSettings()), ...changedSettings }, setRssUrl, setSuccess);
+  };
+
+  // Full upload of the people tree and selected movies
+  const performSync = async (userId, tenantSecret, selectedMovies, people, setRssUrl, setSuccess, setError, { isRetry = false } = {}) => {
     trackEvent('sync_started', { movieCount: selectedMovies.length, type: 'manual' });
+
+    // Queued operations are covered by the upload; edits made while it runs queue up again
+    pendingOperationsRef.current = [];
+    needsFullSyncRef.current = false;
+    const settings = loadStoredSettings();
     
-    const sig = await generateSignature(`sync-list:${userId}`, tenantSecret);
-    const res = await fetch(`/api/sync-list?sig=${sig}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        userId, 
-        selectedMovies,
-        people
-      }),
-    });
-    
-    const json = await res.json();
+    let res;
+    let json;
+    try {
+      const sig = await generateSignature(`sync-list:${userId}`, tenantSecret);
+      res = await fetch(`/api/sync-list?sig=${sig}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          userId,
+          revision: baseRevisionRef.current ?? loadSyncedRevision(),
+          people,
+          ...settings
+        }),
+      });
+      json = await res.json();
+    } catch (err) {
+      needsFullSyncRef.current = true;
+      throw err;
+    }
+
+    if (!res.ok) {
+      needsFullSyncRef.current = true;
+    }
+
+    // Another tab or device synced first: merge its collection into ours and push once more
+    if (res.status === 409 && json.collection && !isRetry) {
+      const merged = mergeCollections({ people, ...settings }, json.collection);
+      applyMergedCollection(merged);
+      baseRevisionRef.current = json.collection.revision;
+      trackEvent('sync_conflict_merged', { revision: json.collection.revision });
+
+      const mergedMovies = updateSelectedMoviesWithDeduplication(merged.people, merged.exclusions);
+      return performSync(userId, tenantSecret, mergedMovies, merged.people, setRssUrl, setSuccess, setError, { isRetry: true });
+    }
+
     if (res.ok) {
-      setRssUrl(json.rssUrl);
-      localStorage.setItem('rssUrl', json.rssUrl);
-      setSuccess(json.message || `RSS feed updated with ${json.movieCount} movies!`);
-      
-      trackEvent('sync_completed', { movieCount: json.movieCount });
-      return json;
+      return finishSync(json, settings, setRssUrl, setSuccess);
     } else {
       throw new Error(json.error || 'Failed to sync RSS feed');
     }
   };
 
+  // Send queued operations, or the whole collection when an edit couldn't be queued
+  const syncCollection = (userId, tenantSecret, selectedMovies, people, setRssUrl, setSuccess, setError) => {
+    return needsFullSyncRef.current || pendingOperationsRef.current.length > MAX_PATCH_OPERATIONS
+      ? performSync(userId, tenantSecret, selectedMovies, people, setRssUrl, setSuccess, setError)
+      : performPatchSync(userId, tenantSecret, setRssUrl, setSuccess);
+  };
+
+  // Compare this browser's collection with the copy synced from other devices
+  const checkServerCollection = useCallback(async (userId, tenantSecret, localPeople) => {
+    const sig = await generateSignature(`sync-list:${userId}`, tenantSecret);
+    const res = await fetch(`/api/sync-list?userId=${encodeURIComponent(userId)}&sig=${sig}`);
+    const json = await res.json();
+    if (!res.ok) {
+      throw new Error(json.error || 'Failed to load your synced collection');
+    }
+
+    const action = reconcileCollection({
+      local: { people: localPeople },
+      server: json,
+      lastSyncedAt: localStorage.getItem('lastSync'),
+      pendingSince: localStorage.getItem('syncPending')
+    });
+    trackEvent('collection_reconciled', { action });
+    return { action, server: json };
+  }, []);
+
   // Reset with confirmation
   const confirmReset = (resetFunction) => {
     if (window.confirm('⚠️ WARNING: This will delete ALL your data including actors, directors, and movie selections. This cannot be undone. Are you absolutely sure?')) {
@@ -200,7 +440,10 @@ export function useUserManagement() {
     );
 
     if (userId && tenantSecret && setRssUrl) {
-      triggerAutoSync(userId, tenantSecret, allSelectedMovies, updatedPeople, setRssUrl, setSuccess, setError, onMovieCountChange);
+      const { roles, ...source } = updatedPeople.find(p => p.id === selectedPerson.id);
+      triggerAutoSync(userId, tenantSecret, allSelectedMovies, updatedPeople, setRssUrl, setSuccess, setError, onMovieCountChange, [
+        { op: 'add-source', source, role: roles.find(r => r.type === roleType) }
+      ]);
     }
   };
 
@@ -283,7 +526,10 @@ export function useUserManagement() {
     );
 
     if (userId && tenantSecret && setRssUrl) {
-      triggerAutoSync(userId, tenantSecret, allSelectedMovies, updatedPeople, setRssUrl, setSuccess, setError, onMovieCountChange);
+      const { roles, ...source } = updatedPeople.find(p => p.id === selectedSource.id);
+      triggerAutoSync(userId, tenantSecret, allSelectedMovies, updatedPeople, setRssUrl, setSuccess, setError, onMovieCountChange, [
+        { op: 'add-source', source, role: roles[0] }
+      ]);
     }
   };
 
@@ -318,7 +564,9 @@ export function useUserManagement() {
     );
 
     if (userId && tenantSecret && setRssUrl) {
-      triggerAutoSync(userId, tenantSecret, allSelectedMovies, updatedPeople, setRssUrl, setSuccess, setError, onMovieCountChange);
+      triggerAutoSync(userId, tenantSecret, allSelectedMovies, updatedPeople, setRssUrl, setSuccess, setError, onMovieCountChange, [
+        { op: 'remove-source', sourceId: personId }
+      ]);
     }
   };
 
@@ -357,7 +605,9 @@ export function useUserManagement() {
     );
 
     if (userId && tenantSecret && setRssUrl) {
-      triggerAutoSync(userId, tenantSecret, allSelectedMovies, updatedPeople, setRssUrl, setSuccess, setError, onMovieCountChange);
+      triggerAutoSync(userId, tenantSecret, allSelectedMovies, updatedPeople, setRssUrl, setSuccess, setError, onMovieCountChange, [
+        { op: 'remove-role', sourceId: personId, roleType }
+      ]);
     }
   };
 
@@ -404,7 +654,10 @@ export function useUserManagement() {
     );
 
     if (userId && tenantSecret && setRssUrl) {
-      triggerAutoSync(userId, tenantSecret, allSelectedMovies, updatedPeople, setRssUrl, setSuccess, setError, onMovieCountChange);
+      const toggledMovie = updatedPeople.find(p => p.id === personId)?.roles.find(r => r.type === roleType)?.movies.find(m => m.id === movieId);
+      triggerAutoSync(userId, tenantSecret, allSelectedMovies, updatedPeople, setRssUrl, setSuccess, setError, onMovieCountChange, [
+        { op: 'toggle-movie', sourceId: personId, roleType, movieId, selected: toggledMovie?.selected !== false }
+      ]);
     }
   };
 
@@ -449,13 +702,111 @@ export function useUserManagement() {
     );
 
     if (userId && tenantSecret && setRssUrl) {
-      triggerAutoSync(userId, tenantSecret, allSelectedMovies, updatedPeople, setRssUrl, setSuccess, setError, onMovieCountChange);
+      triggerAutoSync(userId, tenantSecret, allSelectedMovies, updatedPeople, setRssUrl, setSuccess, setError, onMovieCountChange, [
+        { op: 'set-selections', sourceId: personId, roleType, selected: selectAll }
+      ]);
+    }
+  };
+
+  // Add or remove a person/collection from a named feed with auto-sync
+  const setPersonFeed = (personId, feedId, enabled, people, setPeople, updateSelectedMovies, userId, tenantSecret, setRssUrl, setSuccess, setError, onMovieCountChange) => {
+    const updatedPeople = people.map(person => {
+      if (person.id === personId) {
+        const currentFeedIds = person.feedIds || [];
+        return {
+          ...person,
+          feedIds: enabled
+            ? [...currentFeedIds.filter(id => id !== feedId), feedId]
+            : currentFeedIds.filter(id => id !== feedId)
+        };
+      }
+      return person;
+    });
+
+    setPeople(updatedPeople);
+    localStorage.setItem('people', JSON.stringify(updatedPeople));
+    updateSelectedMovies(updatedPeople);
+
+    trackEvent('feed_assignment_changed', { personId, feedId, enabled });
+
+    // Trigger auto-sync after feed assignment
+    const allSelectedMovies = updatedPeople.flatMap(person =>
+      person.roles?.flatMap(role =>
+        role.movies
+          ?.filter(movie => movie.selected !== false && movie.imdb_id)
+          .map(movie => ({
+            ...movie,
+            source: {
+              type: person.type === 'collection' ? 'collection' : 'person',
+              name: person.name,
+              role: role.type
+            }
+          })) || []
+      ) || []
+    );
+
+    if (userId && tenantSecret && setRssUrl) {
+      triggerAutoSync(userId, tenantSecret, allSelectedMovies, updatedPeople, setRssUrl, setSuccess, setError, onMovieCountChange, [
+        { op: 'set-feeds', sourceId: personId, feedIds: updatedPeople.find(p => p.id === personId)?.feedIds || [] }
+      ]);
+    }
+  };
+
+  // Turn server-side auto-include of new releases on or off for one role with auto-sync
+  const setRoleAutoInclude = (personId, roleType, enabled, people, setPeople, updateSelectedMovies, userId, tenantSecret, setRssUrl, setSuccess, setError, onMovieCountChange) => {
+    const updatedPeople = people.map(person => {
+      if (person.id === personId) {
+        return {
+          ...person,
+          roles: person.roles.map(role => {
+            if (role.type !== roleType) return role;
+            if (enabled) return { ...role, autoInclude: true };
+            // Dropping the baseline means re-enabling starts fresh instead of back-filling
+            const updatedRole = { ...role, autoInclude: false };
+            delete updatedRole.knownMovieIds;
+            delete updatedRole.lastResolvedAt;
+            return updatedRole;
+          })
+        };
+      }
+      return person;
+    });
+
+    setPeople(updatedPeople);
+    localStorage.setItem('people', JSON.stringify(updatedPeople));
+    updateSelectedMovies(updatedPeople);
+
+    trackEvent('smart_source_changed', { personId, roleType, enabled });
+
+    // Trigger auto-sync so the server picks up the rule
+    const allSelectedMovies = updatedPeople.flatMap(person =>
+      person.roles?.flatMap(role =>
+        role.movies
+          ?.filter(movie => movie.selected !== false && movie.imdb_id)
+          .map(movie => ({
+            ...movie,
+            source: {
+              type: person.type === 'collection' ? 'collection' : 'person',
+              name: person.name,
+              role: role.type
+            }
+          })) || []
+      ) || []
+    );
+
+    if (userId && tenantSecret && setRssUrl) {
+      triggerAutoSync(userId, tenantSecret, allSelectedMovies, updatedPeople, setRssUrl, setSuccess, setError, onMovieCountChange, [
+        { op: 'set-auto-include', sourceId: personId, roleType, enabled }
+      ]);
     }
   };
 
   return {
     generateRssUrl,
     triggerAutoSync,
+    checkServerCollection,
+    loadSyncedRevision,
+    setSyncedRevision,
     autoSyncStatus,
     isAutoSyncing,
     confirmReset,
@@ -464,6 +815,8 @@ export function useUserManagement() {
     removePerson,
     removeRole,
     toggleMovieForPerson,
-    selectAllForRole
+    selectAllForRole,
+    setPersonFeed,
+    setRoleAutoInclude
   };
 }
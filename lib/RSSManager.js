@@ -1,8 +1,23 @@
 // lib/RSSManager.js
-const { loadTenant, saveTenant } = require('./kv');
+const { getStorage, loadTenant } = require('./kv');
 const { generateRSSSourceAttribution } = require('../utils/movieDeduplication');
+const { findTenantFeed, getFeedMovies, getFeedFilters } = require('../utils/feeds');
+const { applyFeedFilters, hasActiveFilters } = require('../utils/feedFilters');
+const { getMaxFeedItems, isDefaultPaging, pageFeedMovies, buildPageLinks } = require('../utils/feedPaging');
+const { getCollectionRevision } = require('../utils/collectionSync');
+const { generateETag } = require('../utils/cacheHeaders');
 const logger = require('../utils/logger');
 
+const { getExclusionLibrary, excludeOwnedMovies } = require('./radarr');
+const { FEED_STATE_TTL } = require('./feedAccess');
+
+// Output formats for tenant feeds (same items, different envelopes)
+const FEED_FORMATS = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { contentType: 'application/atom+xml; charset=utf-8' },
+  json: { contentType: 'application/feed+json; charset=utf-8' }
+};
+
 class RSSManager {
   constructor() {
     this.feedCache = new Map();
@@ -10,14 +25,18 @@ class RSSManager {
   }
 
   // Generate RSS feed with enhanced source attribution
+  // (`etag` and `lastModified` from getFeedValidators make sure a cached feed is only served for the
+  // same version and is dated like the response; `paging` comes from parseFeedPaging and `url` is
+  // the request URL paged feeds link from)
   async generateFeed(userId, options = {}) {
-    const { bypassCache = false } = options;
+    const { bypassCache = false, feedId = null, format = 'rss', etag = null, lastModified = null, paging = null, url = null } = options;
+    const cacheKey = this.getCacheKey(userId, feedId, format, paging);
     
     try {
       // Check cache first (performance optimization)
       if (!bypassCache) {
-        const cached = this.feedCache.get(userId);
-        if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+        const cached = this.feedCache.get(cacheKey);
+        if (cached && cached.etag === etag && Date.now() - cached.timestamp < this.cacheTimeout) {
           return cached.content;
         }
       }
@@ -27,67 +46,224 @@ class RSSManager {
         throw new Error('User not found');
       }
 
-      const feed = await this.buildFeed(tenant);
+      const library = await getExclusionLibrary(userId, tenant);
+      const feed = await this.buildFeed(tenant, feedId, { format, userId, library, lastModified, paging, url });
       
       // Cache the result
-      this.feedCache.set(userId, {
+      this.feedCache.set(cacheKey, {
         content: feed,
+        etag,
         timestamp: Date.now()
       });
 
-      // Store backup in database for reliability
-      await this.storeBackup(userId, feed, tenant);
+      // Store backup in database for reliability (complete default RSS feed only)
+      if (!feedId && format === 'rss' && isDefaultPaging(paging)) {
+        await this.storeBackup(userId, feed);
+      }
 
       return feed;
 
     } catch (error) {
-      logger.error(`RSS generation failed for ${userId}:`, error.message);
+      logger.error(`RSS generation failed for ${userId}${feedId ? ` (feed ${feedId})` : ''}:`, error.message);
       
       // Try to return backup feed if generation fails
-      const backup = await this.getBackupFeed(userId);
+      const backup = feedId || format !== 'rss' || !isDefaultPaging(paging) ? null : await this.getBackupFeed(userId);
       if (backup) {
         return backup;
       }
       
       // Last resort: return empty but valid feed
-      return this.generateEmptyFeed(userId, error.message);
+      return this.generateEmptyFeed(userId, error.message, format);
     }
   }
 
-  // Build RSS feed from tenant data with enhanced deduplication support
-  async buildFeed(tenant) {
-    let selectedMovies = [];
-    
+  getCacheKey(userId, feedId = null, format = 'rss', paging = null) {
+    const page = isDefaultPaging(paging) ? null : `${paging.sort}/${paging.limit ?? ''}/${paging.offset}`;
+    return [userId, feedId, format !== 'rss' ? format : null, page].filter(Boolean).join(':');
+  }
+
+  // Whether the last generateFeed call for this feed built `etag` (backup and empty feeds aren't cached)
+  isCurrentVersion(userId, etag, options = {}) {
+    const { feedId = null, format = 'rss', paging = null } = options;
+    const cached = this.feedCache.get(this.getCacheKey(userId, feedId, format, paging));
+    return Boolean(etag && cached && cached.etag === etag);
+  }
+
+  /**
+   * Validators for conditional GET, computed without building the feed.
+   * The ETag changes with the collection revision and everything that moves Last-Modified,
+   * and differs per page and order. Last-Modified moves forward with every new ETag.
+   * @param {string} userId - Tenant id
+   * @param {Object} tenant - Tenant data
+   * @param {Object} options - { feedId, format, paging }
+   * @returns {Promise<Object>} - { etag, lastModified }
+   */
+  async getFeedValidators(userId, tenant, options = {}) {
+    const { feedId = null, format = 'rss', paging = null } = options;
+    const feed = feedId ? findTenantFeed(tenant, feedId) : null;
+    const library = await getExclusionLibrary(userId, tenant);
+    const lastModified = this.getLastModified(tenant, feed, library);
+    // The server cap only shapes pages that ask for a limit
+    const page = isDefaultPaging(paging) ? [] : [paging.sort, paging.limit, paging.offset, paging.limit ? getMaxFeedItems() : null];
+
+    const etag = generateETag([
+      getCollectionRevision(tenant),
+      lastModified ? lastModified.toISOString() : null,
+      feedId,
+      format,
+      ...page
+    ]);
+
+    return {
+      etag,
+      lastModified: await this.datedVersion(this.getCacheKey(userId, feedId, format, paging), etag, lastModified)
+    };
+  }
+
+  // The dates Last-Modified is computed from can stay put while the ETag changes (e.g. a new
+  // FEED_MAX_ITEMS) or even go back (an older backup restored), and clients that only send
+  // If-Modified-Since would then keep a stale copy. So the date of each feed's current version is
+  // kept under `feed-modified:<cache key>`, and a new version not dated after it is dated now.
+  async datedVersion(feedKey, etag, computed) {
     try {
-      selectedMovies = JSON.parse(tenant.selectedMovies || '[]');
+      const client = await getStorage();
+      const key = `feed-modified:${feedKey}`;
+      const stored = JSON.parse(await client.get(key) || 'null');
+      if (stored && stored.etag === etag) {
+        return stored.lastModified ? new Date(stored.lastModified) : computed;
+      }
+
+      let lastModified = computed;
+      const previous = stored?.lastModified ? Date.parse(stored.lastModified) : null;
+      if (previous !== null && (!computed || computed.getTime() <= previous)) {
+        lastModified = new Date(Math.max(Math.floor(Date.now() / 1000) * 1000, previous + 1000));
+      }
+
+      await client.set(key, JSON.stringify({
+        etag,
+        lastModified: lastModified ? lastModified.toISOString() : null
+      }), { EX: FEED_STATE_TTL });
+      return lastModified;
     } catch (error) {
-      logger.warn('Failed to parse selected movies, using empty array');
+      logger.warn('Failed to track feed Last-Modified:', error.message);
+      return computed;
     }
+  }
 
-    // Filter valid movies (must have IMDB ID for Radarr)
-    // Note: selectedMovies should already be deduplicated from the frontend
-    const validMovies = selectedMovies.filter(movie => 
-      movie && 
-      movie.title && 
-      movie.imdb_id && 
-      movie.imdb_id.startsWith('tt')
-    );
+  // When a feed's content last changed: the latest sync, the Radarr library it was checked
+  // against, and for "released only" feeds the start of today (UTC), when new releases join.
+  // Whole seconds, because HTTP dates carry no milliseconds.
+  getLastModified(tenant, feed = null, library = null, now = new Date()) {
+    const times = [tenant.lastSync || tenant.createdAt, library ? library.fetchedAt : null]
+      .map(value => (value ? new Date(value).getTime() : NaN))
+      .filter(Number.isFinite);
+
+    if (getFeedFilters(tenant, feed).releasedOnly) {
+      times.push(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    }
+
+    return times.length > 0 ? new Date(Math.floor(Math.max(...times) / 1000) * 1000) : null;
+  }
+
+  // Extract the movies Radarr can actually import from tenant data (exclusion list already applied)
+  getValidMovies(tenant, feedId = null) {
+    return getFeedMovies(tenant, feedId);
+  }
 
-    logger.info(`🎬 RSS Feed: Processing ${validMovies.length} deduplicated movies`);
+  // Build RSS (or Atom / JSON Feed) from tenant data with enhanced deduplication support
+  async buildFeed(tenant, feedId = null, options = {}) {
+    const { format = 'rss', userId = null, library = null, lastModified = null, paging = null, url = null } = options;
+    const feed = feedId ? findTenantFeed(tenant, feedId) : null;
+    if (feedId && !feed) {
+      throw new Error('Feed not found');
+    }
+
+    const validMovies = this.getValidMovies(tenant, feedId);
+    const movies = this.excludeOwned(this.applyFilters(validMovies, getFeedFilters(tenant, feed)), library);
+    const updated = lastModified || this.getLastModified(tenant, feed, library) || new Date();
+    const page = this.getPage(movies, paging, url);
+
+    logger.info(`🎬 RSS Feed: Processing ${movies.length} deduplicated movies${feed ? ` for "${feed.name}"` : ''}${page.paged ? ` (items ${page.offset + 1}-${page.offset + page.movies.length})` : ''}`);
+
+    switch (format) {
+      case 'atom':
+        return this.buildAtom(page.movies, feed, userId, updated, page);
+      case 'json':
+        return this.buildJSONFeed(page.movies, feed, page);
+      default:
+        return this.buildXML(page.movies, feed, updated, page);
+    }
+  }
+
+  // Order the feed and cut out the requested page (links are only built for paged feeds)
+  getPage(movies, paging = null, url = null) {
+    const page = pageFeedMovies(movies, paging || {});
+    const links = page.paged ? buildPageLinks(url || 'https://helparr.vercel.app/api/rss/', page) : null;
+    return { ...page, links };
+  }
+
+  // RFC 5005 paging links for paged XML feeds (`prefix` is 'atom:' inside RSS)
+  createPageLinks(page, type, prefix = '', indent = '  ') {
+    if (!page || !page.links) {
+      return '';
+    }
+
+    return ['first', 'previous', 'next', 'last']
+      .filter(rel => page.links[rel])
+      .map(rel => `\n${indent}<${prefix}link href="${this.escapeXML(page.links[rel])}" rel="${rel}" type="${type}" />`)
+      .join('');
+  }
+
+  // Build StevenLu-compatible JSON list (Radarr "Custom List" import) from tenant data
+  buildList(tenant, feedId = null, options = {}) {
+    const { library = null } = options;
+    const feed = feedId ? findTenantFeed(tenant, feedId) : null;
+    const validMovies = this.getValidMovies(tenant, feedId);
+    const movies = this.excludeOwned(this.applyFilters(validMovies, getFeedFilters(tenant, feed)), library);
+
+    logger.info(`🎬 JSON List: Processing ${movies.length} deduplicated movies`);
 
-    return this.buildXML(validMovies);
+    return movies.map(movie => this.createListItem(movie));
+  }
+
+  // Apply feed-level filtering rules (rating, year, runtime, genres, release status)
+  applyFilters(movies, filters) {
+    if (!hasActiveFilters(filters)) {
+      return movies;
+    }
+
+    const filtered = applyFeedFilters(movies, filters);
+    logger.info(`🎬 Feed filters kept ${filtered.length} of ${movies.length} movies`);
+    return filtered;
+  }
+
+  // Leave out movies Radarr already has (library is only passed when the tenant opted in)
+  excludeOwned(movies, library) {
+    if (!library) {
+      return movies;
+    }
+
+    const remaining = excludeOwnedMovies(movies, library);
+    logger.info(`🎬 Excluded ${movies.length - remaining.length} movies already in Radarr`);
+    return remaining;
+  }
+
+  // Create StevenLu list entry for a movie
+  createListItem(movie) {
+    return {
+      title: movie.title,
+      imdb_id: movie.imdb_id,
+      tmdb_id: Number.isInteger(movie.id) ? movie.id : null,
+      poster_url: movie.poster_path ? `https://image.tmdb.org/t/p/w500${movie.poster_path}` : null
+    };
   }
 
   // Build RSS XML structure with enhanced source attribution
-  buildXML(movies) {
-    const movieCount = movies.length;
-    const title = movieCount > 0 
-      ? `Helparr Movie List - ${movieCount} movies`
-      : 'Helparr Movie List - Ready for Movies';
-    
-    const description = movieCount > 0
-      ? `Your curated movie collection with ${movieCount} selected films (deduplicated)`
-      : 'Your RSS feed is ready! Add actors and directors in Helparr to see movies here.';
+  // (`page` from getPage: the title counts the whole feed, and paged feeds link their other pages)
+  buildXML(movies, feed = null, lastBuildDate = new Date(), page = null) {
+    const movieCount = page ? page.total : movies.length;
+    const { title, description } = this.getChannelInfo(movieCount, feed);
+    const selfUrl = page && page.links ? page.links.self : 'https://helparr.vercel.app/api/rss/';
 
     const items = movieCount > 0 
       ? movies.map(movie => this.createMovieItem(movie)).join('\n')
@@ -99,8 +275,8 @@ class RSSManager {
     <title>${this.escapeXML(title)}</title>
     <description>${this.escapeXML(description)}</description>
     <link>https://helparr.vercel.app</link>
-    <atom:link href="https://helparr.vercel.app/api/rss/" rel="self" type="application/rss+xml" />
-    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>
+    <atom:link href="${this.escapeXML(selfUrl)}" rel="self" type="application/rss+xml" />${this.createPageLinks(page, 'application/rss+xml', 'atom:', '    ')}
+    <lastBuildDate>${lastBuildDate.toUTCString()}</lastBuildDate>
     <ttl>60</ttl>
     <language>en-us</language>
     <generator>Helparr v2.0 (with deduplication)</generator>
@@ -109,6 +285,160 @@ ${items}
 </rss>`;
   }
 
+  // Feed title and description shared by every output format
+  getChannelInfo(movieCount, feed = null) {
+    const listName = feed ? `Helparr Movie List (${feed.name})` : 'Helparr Movie List';
+    const title = movieCount > 0 
+      ? `${listName} - ${movieCount} movies`
+      : `${listName} - Ready for Movies`;
+    
+    const description = movieCount > 0
+      ? `Your curated movie collection with ${movieCount} selected films (deduplicated)`
+      : 'Your RSS feed is ready! Add actors and directors in Helparr to see movies here.';
+
+    return { title, description };
+  }
+
+  // Build Atom 1.0 feed - helparr:* extension elements are carried over unchanged
+  buildAtom(movies, feed = null, userId = null, updated = new Date(), page = null) {
+    const movieCount = page ? page.total : movies.length;
+    const { title, description } = this.getChannelInfo(movieCount, feed);
+    const feedUrn = ['urn:helparr', userId || 'feed', feed ? feed.id : null].filter(Boolean).join(':');
+
+    const entries = movieCount > 0
+      ? movies.map(movie => this.createAtomEntry(movie)).join('\n')
+      : this.createAtomWelcomeEntry();
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:helparr="https://helparr.vercel.app/ns/rss">
+  <title>${this.escapeXML(title)}</title>
+  <subtitle>${this.escapeXML(description)}</subtitle>
+  <id>${this.escapeXML(feedUrn)}</id>
+  <link href="https://helparr.vercel.app" />${page && page.links ? `
+  <link href="${this.escapeXML(page.links.self)}" rel="self" type="application/atom+xml" />` : ''}${this.createPageLinks(page, 'application/atom+xml')}
+  <updated>${updated.toISOString()}</updated>
+  <author><name>Helparr</name></author>
+  <generator uri="https://helparr.vercel.app" version="2.0">Helparr</generator>
+${entries}
+</feed>`;
+  }
+
+  // Create Atom entry for a movie with the same attribution as the RSS item
+  createAtomEntry(movie) {
+    const year = movie.year || 'Unknown';
+    const summary = `${movie.overview ? `${movie.overview.substring(0, 200)}...` : 'No description available.'}\n\n${generateRSSSourceAttribution(movie.sources || [])}`;
+    const date = this.toISODate(movie.release_date);
+
+    const categories = (movie.sources || []).map(source => 
+      `<category term="${this.escapeXML(`${source.personName} (${source.roleType})`)}" />`
+    );
+
+    return `  <entry>
+    <title>${this.escapeXML(`${movie.title} (${year})`)}</title>
+    <id>urn:imdb:${movie.imdb_id}</id>
+    <link href="https://www.imdb.com/title/${movie.imdb_id}/" />
+    <updated>${date}</updated>
+    <published>${date}</published>
+    <summary type="text">${this.escapeXML(summary)}</summary>${categories.length > 0 ? `
+    ${categories.join('\n    ')}` : ''}${movie.vote_average !== undefined && movie.vote_average !== null ? `
+    <helparr:rating>${movie.vote_average}</helparr:rating>` : ''}${movie.genres && movie.genres.length > 0 ? `
+    <helparr:genres>${this.escapeXML(movie.genres.join(', '))}</helparr:genres>` : ''}${movie.runtime ? `
+    <helparr:runtime>${movie.runtime}</helparr:runtime>` : ''}
+  </entry>`;
+  }
+
+  // Create welcome entry for empty Atom feeds
+  createAtomWelcomeEntry() {
+    const now = new Date().toISOString();
+    return `  <entry>
+    <title>🎬 Welcome to Your Helparr Movie List</title>
+    <id>urn:helparr:welcome</id>
+    <link href="https://helparr.vercel.app" />
+    <updated>${now}</updated>
+    <summary type="text">Your feed is ready! Visit helparr.vercel.app to search for actors, directors, and movie collections. As you add movies, they'll appear here automatically.</summary>
+  </entry>`;
+  }
+
+  // Build JSON Feed 1.1 - helparr metadata lives in the "_helparr" extension object
+  // (JSON Feed only defines `next_url`; `_helparr.page` describes the rest of a paged feed)
+  buildJSONFeed(movies, feed = null, page = null) {
+    const movieCount = page ? page.total : movies.length;
+    const { title, description } = this.getChannelInfo(movieCount, feed);
+
+    const items = movieCount > 0
+      ? movies.map(movie => this.createJSONFeedItem(movie))
+      : [{
+        id: 'helparr-welcome',
+        url: 'https://helparr.vercel.app',
+        title: '🎬 Welcome to Your Helparr Movie List',
+        content_text: 'Your feed is ready! Visit helparr.vercel.app to search for actors, directors, and movie collections. As you add movies, they\'ll appear here automatically.',
+        date_published: new Date().toISOString()
+      }];
+
+    return JSON.stringify({
+      version: 'https://jsonfeed.org/version/1.1',
+      title,
+      description,
+      home_page_url: 'https://helparr.vercel.app',
+      ...(page && page.links && { feed_url: page.links.self }),
+      ...(page && page.links && page.links.next && { next_url: page.links.next }),
+      authors: [{ name: 'Helparr', url: 'https://helparr.vercel.app' }],
+      language: 'en-US',
+      ...(page && page.links && {
+        _helparr: { page: { total: page.total, offset: page.offset, limit: page.limit, ...page.links } }
+      }),
+      items
+    }, null, 2);
+  }
+
+  // Create JSON Feed item for a movie
+  createJSONFeedItem(movie) {
+    const sources = movie.sources || [];
+    const item = {
+      id: movie.imdb_id,
+      url: `https://www.imdb.com/title/${movie.imdb_id}/`,
+      title: `${movie.title} (${movie.year || 'Unknown'})`,
+      content_text: `${movie.overview ? `${movie.overview.substring(0, 200)}...` : 'No description available.'}\n\n${generateRSSSourceAttribution(sources)}`,
+      date_published: this.toISODate(movie.release_date),
+      tags: sources.map(source => `${source.personName} (${source.roleType})`),
+      _helparr: {
+        imdb_id: movie.imdb_id,
+        tmdb_id: Number.isInteger(movie.id) ? movie.id : null,
+        year: movie.year || null,
+        rating: movie.vote_average ?? null,
+        genres: movie.genres || [],
+        runtime: movie.runtime || null,
+        sources: sources.map(source => ({ name: source.personName, role: source.roleType }))
+      }
+    };
+
+    if (movie.poster_path) {
+      item.image = `https://image.tmdb.org/t/p/w500${movie.poster_path}`;
+    }
+
+    return item;
+  }
+
+  // Release date as ISO 8601 (falls back to now, like the RSS pubDate)
+  toISODate(releaseDate) {
+    const date = releaseDate ? new Date(releaseDate) : new Date();
+    return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+  }
+
+  // Count movie items in generated content (welcome/notice items excluded)
+  countItems(content, format = 'rss') {
+    if (format === 'json') {
+      try {
+        return JSON.parse(content).items.filter(item => item._helparr).length;
+      } catch (error) {
+        return 0;
+      }
+    }
+
+    const pattern = format === 'atom' ? /<id>urn:imdb:/g : /<guid isPermaLink="false">tt/g;
+    return (content.match(pattern) || []).length;
+  }
+
   // Create RSS item for a movie with enhanced source attribution
   createMovieItem(movie) {
     const title = this.escapeXML(movie.title);
@@ -169,23 +499,36 @@ ${items}
     </item>`;
   }
 
-  // Store backup feed in database for reliability
-  async storeBackup(userId, feed, tenant) {
+  // Store backup feed under its own key (`feed-backup:<userId>`), never on the tenant record.
+  // Skipped while the stored copy is current, so repeated polls don't write at all.
+  async storeBackup(userId, feed) {
     try {
-      await saveTenant(userId, {
-        ...tenant,
-        lastGeneratedFeed: feed,
-        lastFeedGeneration: new Date().toISOString(),
-        feedSize: feed.length
-      });
+      const client = await getStorage();
+      const key = `feed-backup:${userId}`;
+      const stored = JSON.parse(await client.get(key) || 'null');
+      if (stored && stored.feed === feed) {
+        return;
+      }
+
+      await client.set(key, JSON.stringify({
+        feed,
+        generatedAt: new Date().toISOString(),
+        size: feed.length
+      }), { EX: FEED_STATE_TTL });
     } catch (error) {
       logger.warn('Failed to store RSS backup:', error.message);
     }
   }
 
-  // Get backup feed from database
+  // Get backup feed from database (tenants not polled since backups moved keep theirs on the record)
   async getBackupFeed(userId) {
     try {
+      const client = await getStorage();
+      const stored = JSON.parse(await client.get(`feed-backup:${userId}`) || 'null');
+      if (stored?.feed) {
+        return stored.feed;
+      }
+
       const tenant = await loadTenant(userId);
       return tenant?.lastGeneratedFeed || null;
     } catch (error) {
@@ -195,7 +538,45 @@ ${items}
   }
 
   // Generate empty but valid feed for errors
-  generateEmptyFeed(userId, errorMessage = 'Service temporarily unavailable') {
+  generateEmptyFeed(userId, errorMessage = 'Service temporarily unavailable', format = 'rss') {
+    const notice = 'Your Helparr movie list is temporarily unavailable. Please check your configuration at helparr.vercel.app';
+
+    if (format === 'json') {
+      return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: 'Helparr Feed - Service Notice',
+        description: `Your movie list is temporarily unavailable: ${errorMessage}`,
+        home_page_url: 'https://helparr.vercel.app',
+        items: [{
+          id: `helparr-error-${Date.now()}`,
+          url: 'https://helparr.vercel.app',
+          title: 'Service Notice',
+          content_text: notice,
+          date_published: new Date().toISOString()
+        }]
+      }, null, 2);
+    }
+
+    if (format === 'atom') {
+      const now = new Date().toISOString();
+      return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Helparr Feed - Service Notice</title>
+  <subtitle>Your movie list is temporarily unavailable: ${this.escapeXML(errorMessage)}</subtitle>
+  <id>urn:helparr:notice</id>
+  <link href="https://helparr.vercel.app" />
+  <updated>${now}</updated>
+  <author><name>Helparr</name></author>
+  <entry>
+    <title>Service Notice</title>
+    <id>urn:helparr:error-${Date.now()}</id>
+    <link href="https://helparr.vercel.app" />
+    <updated>${now}</updated>
+    <summary type="text">${notice}</summary>
+  </entry>
+</feed>`;
+    }
+
     return `<?xml version="1.0" encoding="UTF-8"?>
 <rss version="2.0">
   <channel>
@@ -277,5 +658,6 @@ const rssManager = new RSSManager();
 // CommonJS exports
 module.exports = {
   RSSManager,
-  rssManager
+  rssManager,
+  FEED_FORMATS
 };
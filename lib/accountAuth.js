@@ -0,0 +1,346 @@
+// lib/accountAuth.js
+// Accounts, device sessions and sign-in links on top of the anonymous userId + tenant secret
+
+/**
+ * A tenant can add an account name and passphrase. Signing in (with the passphrase, or a
+ * one-time link created on a signed-in device) creates a device session instead of handing
+ * out the tenant secret:
+ *   tenant.account           JSON string { name, passphraseHash, updatedAt }
+ *   account:<name>           userId owning the account name
+ *   session:<sessionId>      { id, userId, deviceKey, deviceName, method, createdAt, lastSeenAt, expiresAt }
+ *   sessions:<userId>        JSON array of the user's session ids (device list)
+ *   login-link:<jti>         userId, until the link is used or expires
+ *   login-failures:<name>:<client>  failed passphrase attempts from one client in the lockout window
+ * The device signs API requests with its deviceKey (see utils/hmac.js); revoking the
+ * session or letting it expire cuts the device off without touching feed URLs.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const logger = require('../utils/logger');
+const { ConflictError } = require('../utils/httpErrors');
+
+const { getStorage } = require('./kv');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ACCOUNT_NAME_PATTERN = /^[a-z0-9][a-z0-9._-]{2,39}$/;
+const MIN_PASSPHRASE_LENGTH = 12;
+const MAX_PASSPHRASE_LENGTH = 200;
+const MAX_DEVICE_NAME_LENGTH = 60;
+const SESSION_TTL_SECONDS = 30 * 24 * 60 * 60;
+const SESSION_TOUCH_INTERVAL = 5 * 60 * 1000;
+const MAX_SESSIONS = 20;
+const LOGIN_LINK_TTL_SECONDS = 15 * 60;
+const MAX_LOGIN_FAILURES = 10;
+const LOGIN_LOCKOUT_SECONDS = 15 * 60;
+
+/**
+ * Validate an account name (case-insensitive, stored lowercase)
+ * @returns {Object} - { valid, accountName, error }
+ */
+function normalizeAccountName(value) {
+  const accountName = String(value || '').trim().toLowerCase();
+  if (!ACCOUNT_NAME_PATTERN.test(accountName)) {
+    return { valid: false, error: 'Account names are 3-40 characters: letters, numbers, dots, dashes and underscores' };
+  }
+  return { valid: true, accountName };
+}
+
+function validatePassphrase(value) {
+  if (typeof value !== 'string' || value.length < MIN_PASSPHRASE_LENGTH || value.length > MAX_PASSPHRASE_LENGTH) {
+    return { valid: false, error: `Passphrases must be ${MIN_PASSPHRASE_LENGTH}-${MAX_PASSPHRASE_LENGTH} characters` };
+  }
+  return { valid: true };
+}
+
+async function hashPassphrase(passphrase) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(passphrase, salt, 32);
+  return `scrypt:${salt.toString('base64url')}:${hash.toString('base64url')}`;
+}
+
+async function verifyPassphrase(passphrase, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash || typeof passphrase !== 'string') return false;
+
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = await scrypt(passphrase, Buffer.from(salt, 'base64url'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Account stored on a tenant
+ * @returns {Object|null} - { name, passphraseHash, updatedAt }
+ */
+function getTenantAccount(tenant) {
+  if (!tenant || !tenant.account) return null;
+
+  try {
+    const account = typeof tenant.account === 'string' ? JSON.parse(tenant.account) : tenant.account;
+    return account && account.name ? account : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Account details safe to send to the browser
+function describeAccount(tenant) {
+  const account = getTenantAccount(tenant);
+  return {
+    accountName: account ? account.name : null,
+    hasPassphrase: Boolean(account && account.passphraseHash),
+    updatedAt: account ? account.updatedAt : null
+  };
+}
+
+async function findAccountUserId(accountName) {
+  const storage = await getStorage();
+  return storage.get(`account:${accountName}`);
+}
+
+/**
+ * Claim an account name for a tenant. The claim is a set-if-unchanged write, so two tenants
+ * racing for the same name can't both get it.
+ * @returns {Promise<boolean>} - True when this call made the claim, false when the tenant already held it
+ * @throws {ConflictError} - When another user owns the account name
+ */
+async function claimAccountName(userId, accountName) {
+  const storage = await getStorage();
+  const key = `account:${accountName}`;
+  const owner = await storage.get(key);
+  if (owner === userId) return false;
+
+  // Names whose tenant has expired can be claimed again
+  if (owner && await storage.get(`tenant:${owner}`)) {
+    throw new ConflictError('That account name is taken');
+  }
+  if (!(await storage.compareAndSet(key, owner, userId))) {
+    throw new ConflictError('That account name is taken');
+  }
+  return true;
+}
+
+// Give up an account name, if the tenant still holds it
+async function releaseAccountName(userId, accountName) {
+  const storage = await getStorage();
+  if (await storage.get(`account:${accountName}`) === userId) {
+    await storage.del(`account:${accountName}`);
+  }
+}
+
+/**
+ * Tenant with a new account name and passphrase. Claim the name first (claimAccountName) and
+ * release the previous one only once the tenant is saved.
+ * @param {Object} tenant - Tenant data
+ * @param {Object} credentials - { accountName, passphrase } (already validated)
+ * @returns {Promise<Object>} - Updated tenant, to be saved by the caller
+ */
+async function setAccountCredentials(tenant, { accountName, passphrase }) {
+  return {
+    ...tenant,
+    account: JSON.stringify({
+      name: accountName,
+      passphraseHash: await hashPassphrase(passphrase),
+      updatedAt: new Date().toISOString()
+    })
+  };
+}
+
+// Failures are counted per account name and client, so guessing from one address can't lock the
+// owner out everywhere else. The address is hashed because it's only needed as a key.
+function loginFailureKey(accountName, clientIP) {
+  const client = crypto.createHash('sha256').update(String(clientIP || 'unknown')).digest('hex').substring(0, 16);
+  return `login-failures:${accountName}:${client}`;
+}
+
+/**
+ * Failed passphrase attempts lock an account name for a while, for the client that made them
+ * @returns {Promise<boolean>} - True while locked
+ */
+async function isLoginLocked(accountName, clientIP) {
+  const storage = await getStorage();
+  return Number(await storage.get(loginFailureKey(accountName, clientIP))) >= MAX_LOGIN_FAILURES;
+}
+
+async function recordLoginFailure(accountName, clientIP) {
+  const storage = await getStorage();
+  const key = loginFailureKey(accountName, clientIP);
+  const failures = Number(await storage.get(key)) + 1;
+  await storage.set(key, String(failures), { EX: LOGIN_LOCKOUT_SECONDS });
+  if (failures === MAX_LOGIN_FAILURES) {
+    logger.warn(`🔐 Account ${accountName} locked for one client after ${failures} failed sign-ins`);
+  }
+}
+
+async function clearLoginFailures(accountName, clientIP) {
+  const storage = await getStorage();
+  await storage.del(loginFailureKey(accountName, clientIP));
+}
+
+async function readSessionIndex(storage, userId) {
+  try {
+    const ids = JSON.parse(await storage.get(`sessions:${userId}`) || '[]');
+    return Array.isArray(ids) ? ids : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+async function writeSessionIndex(storage, userId, ids) {
+  await storage.set(`sessions:${userId}`, JSON.stringify(ids), { EX: SESSION_TTL_SECONDS });
+}
+
+/**
+ * Start a device session
+ * @param {string} userId - Signed-in user
+ * @param {Object} options - { deviceName, method: 'passphrase' | 'link' }
+ * @returns {Promise<Object>} - { session, deviceCredential } - the credential is only returned here
+ */
+async function createSession(userId, { deviceName, method }) {
+  const storage = await getStorage();
+  const now = new Date();
+  const session = {
+    id: crypto.randomBytes(16).toString('base64url'),
+    userId,
+    deviceKey: crypto.randomBytes(32).toString('hex'),
+    deviceName: String(deviceName || '').trim().substring(0, MAX_DEVICE_NAME_LENGTH) || 'Unnamed device',
+    method,
+    createdAt: now.toISOString(),
+    lastSeenAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + SESSION_TTL_SECONDS * 1000).toISOString()
+  };
+
+  await storage.set(`session:${session.id}`, JSON.stringify(session), { EX: SESSION_TTL_SECONDS });
+
+  // Newest last; the oldest devices are signed out beyond the cap
+  const ids = [...await readSessionIndex(storage, userId), session.id];
+  const dropped = ids.splice(0, Math.max(0, ids.length - MAX_SESSIONS));
+  for (const id of dropped) {
+    await storage.del(`session:${id}`);
+  }
+  await writeSessionIndex(storage, userId, ids);
+
+  return { session, deviceCredential: `${session.id}:${session.deviceKey}` };
+}
+
+/**
+ * Active session by id
+ * @returns {Promise<Object|null>}
+ */
+async function getSession(sessionId) {
+  const storage = await getStorage();
+  const data = await storage.get(`session:${sessionId}`);
+  if (!data) return null;
+
+  const session = JSON.parse(data);
+  return new Date(session.expiresAt) > new Date() ? session : null;
+}
+
+// Record activity for the device list, at most every few minutes
+async function touchSession(session) {
+  if (Date.now() - new Date(session.lastSeenAt).getTime() < SESSION_TOUCH_INTERVAL) return;
+
+  try {
+    const storage = await getStorage();
+    const remaining = Math.max(1, Math.floor((new Date(session.expiresAt).getTime() - Date.now()) / 1000));
+    await storage.set(`session:${session.id}`, JSON.stringify({ ...session, lastSeenAt: new Date().toISOString() }), { EX: remaining });
+  } catch (error) {
+    logger.warn('🔐 Could not update session activity:', error.message);
+  }
+}
+
+function toPublicSession(session, currentSessionId = null) {
+  const { deviceKey: _deviceKey, userId: _userId, ...details } = session;
+  return { ...details, current: session.id === currentSessionId };
+}
+
+/**
+ * Signed-in devices, newest first (expired ones are dropped from the index)
+ * @returns {Promise<Array>} - Sessions without their device keys
+ */
+async function listSessions(userId, currentSessionId = null) {
+  const storage = await getStorage();
+  const ids = await readSessionIndex(storage, userId);
+
+  const sessions = [];
+  for (const id of ids) {
+    const session = await getSession(id);
+    if (session && session.userId === userId) sessions.push(session);
+  }
+
+  if (sessions.length !== ids.length) {
+    await writeSessionIndex(storage, userId, sessions.map(session => session.id));
+  }
+
+  return sessions.reverse().map(session => toPublicSession(session, currentSessionId));
+}
+
+/**
+ * Sign out devices
+ * @param {string} userId - Owner of the sessions
+ * @param {Object} options - { sessionId } for one device, or { all: true, except } for every other device
+ * @returns {Promise<number>} - Sessions revoked
+ */
+async function revokeSessions(userId, { sessionId = null, all = false, except = null } = {}) {
+  const storage = await getStorage();
+  const ids = await readSessionIndex(storage, userId);
+  const revoke = ids.filter(id => (all ? id !== except : id === sessionId));
+
+  for (const id of revoke) {
+    await storage.del(`session:${id}`);
+  }
+  await writeSessionIndex(storage, userId, ids.filter(id => !revoke.includes(id)));
+
+  return revoke.length;
+}
+
+/**
+ * Register a one-time sign-in link id
+ * @returns {Promise<string>} - Link id (the `jti` of the signed login token)
+ */
+async function createLoginLink(userId) {
+  const storage = await getStorage();
+  const jti = crypto.randomBytes(16).toString('base64url');
+  await storage.set(`login-link:${jti}`, userId, { EX: LOGIN_LINK_TTL_SECONDS });
+  return jti;
+}
+
+/**
+ * Use up a sign-in link
+ * @returns {Promise<boolean>} - True when the link existed for this user (it is deleted either way)
+ */
+async function consumeLoginLink(jti, userId) {
+  const storage = await getStorage();
+  const owner = await storage.get(`login-link:${jti}`);
+  await storage.del(`login-link:${jti}`);
+  return owner === userId;
+}
+
+// CommonJS exports
+module.exports = {
+  SESSION_TTL_SECONDS,
+  MAX_SESSIONS,
+  LOGIN_LINK_TTL_SECONDS,
+  MAX_LOGIN_FAILURES,
+  normalizeAccountName,
+  validatePassphrase,
+  verifyPassphrase,
+  getTenantAccount,
+  describeAccount,
+  findAccountUserId,
+  claimAccountName,
+  releaseAccountName,
+  setAccountCredentials,
+  isLoginLocked,
+  recordLoginFailure,
+  clearLoginFailures,
+  createSession,
+  getSession,
+  touchSession,
+  listSessions,
+  revokeSessions,
+  createLoginLink,
+  consumeLoginLink
+};
@@ -0,0 +1,242 @@
+// lib/feedAccess.js
+// Shared helpers for the public, signature-protected tenant feed routes (RSS and JSON list)
+
+const crypto = require('crypto');
+
+const logger = require('../utils/logger');
+
+const { getStorage } = require('./kv');
+const { getClientIP } = require('./rateLimit');
+
+/**
+ * Feed polls never write the tenant record: access statistics live in their own keys,
+ * so a poll can't race a sync and overwrite the collection it just saved.
+ *
+ *   feed-access-count:<userId>  total polls (atomic INCR)
+ *   feed-access-polls:<userId>  recent polls, newest first: { time, client, ipHash, status, size, feed, format }
+ *
+ * The polls are a capped list (LPUSH + LTRIM), so logging one is a single small write however
+ * long the log is, and concurrent polls can't drop each other's entries. Entries older than
+ * 30 days are left out when the log is read. The log is what `inferPollSchedule` reads to work
+ * out how often Radarr actually polls.
+ */
+
+const FEED_STATE_TTL = 60 * 60 * 24 * 90; // Seconds; kept as long as the tenant record
+const ACCESS_LOG_MAX_ENTRIES = 500;
+const ACCESS_LOG_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Radarr refreshes every list in one run, so requests this close together are one pull
+const PULL_GAP_MS = 10 * 60 * 1000;
+// Used until Radarr has polled often enough to measure its interval
+const DEFAULT_POLL_INTERVAL_MS = 12 * 60 * 60 * 1000;
+const MAX_MEASURED_INTERVALS = 20;
+
+// Fields older versions kept on the tenant record; dropped the next time it is saved
+const LEGACY_FEED_FIELDS = [
+  'lastRSSAccess',
+  'lastRSSClient',
+  'lastRSSIP',
+  'totalRSSAccesses',
+  'recentRSSAccesses',
+  'lastGeneratedFeed',
+  'lastFeedGeneration',
+  'feedSize'
+];
+
+function isRadarrClient(request) {
+  const userAgent = request.headers.get('user-agent') || 'Unknown';
+  return userAgent.toLowerCase().includes('radarr');
+}
+
+// Keyed with ACCESS_LOG_SECRET: a plain hash of an address could be reversed by hashing every
+// IPv4 address. Without the secret a random key is used, so hashes only match within one process.
+const IP_HASH_KEY = process.env.ACCESS_LOG_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Includes the user id, so the same address can't be matched across tenants
+function hashClientIP(userId, clientIP) {
+  return crypto.createHmac('sha256', IP_HASH_KEY).update(`${userId}:${clientIP}`).digest('hex').substring(0, 12);
+}
+
+function parseAccessLog(value) {
+  try {
+    const entries = JSON.parse(value || '[]');
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function parseAccessEntry(value) {
+  try {
+    const entry = JSON.parse(value);
+    return entry && typeof entry === 'object' ? entry : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Older versions kept the whole log as one JSON array in feed-access-log:<userId>. It is only
+// read until the first poll lands in the list, and expires with FEED_STATE_TTL.
+async function readAccessEntries(client, userId) {
+  const entries = (await client.lrange(`feed-access-polls:${userId}`, 0, -1)).map(parseAccessEntry).filter(Boolean);
+  if (entries.length > 0) return entries;
+  return parseAccessLog(await client.get(`feed-access-log:${userId}`));
+}
+
+/**
+ * Track feed access for analytics and the Radarr countdown
+ * @param {string} userId - Tenant id
+ * @param {Object} access - { isRadarr, clientIP, accessTime, status, size, feedId, format }
+ */
+async function trackFeedAccess(userId, access) {
+  const { isRadarr, clientIP, accessTime, status = 200, size = 0, feedId = null, format = 'rss' } = access;
+
+  try {
+    const client = await getStorage();
+    const entry = {
+      time: accessTime,
+      client: isRadarr ? 'radarr' : 'browser',
+      ipHash: hashClientIP(userId, clientIP),
+      status,
+      size,
+      feed: feedId,
+      format
+    };
+
+    await client.incr(`feed-access-count:${userId}`, { EX: FEED_STATE_TTL });
+    await client.lpush(`feed-access-polls:${userId}`, JSON.stringify(entry), {
+      MAXLEN: ACCESS_LOG_MAX_ENTRIES,
+      EX: FEED_STATE_TTL
+    });
+
+    logger.info(`Feed access tracked for ${userId}: ${isRadarr ? 'Radarr' : 'Browser'} at ${accessTime} (${status})`);
+  } catch (error) {
+    logger.warn(`Failed to track feed access for ${userId}:`, error.message);
+    // Don't fail the feed request if tracking fails
+  }
+}
+
+/**
+ * Feed access statistics for a tenant
+ * @param {string} userId - Tenant id
+ * @returns {Promise<Object>} - { totalAccesses, lastAccess, entries } with entries newest first
+ */
+async function getFeedAccessStats(userId) {
+  const client = await getStorage();
+  const [logged, count] = await Promise.all([
+    readAccessEntries(client, userId),
+    client.get(`feed-access-count:${userId}`)
+  ]);
+  const oldest = logged.length > 0 ? new Date(logged[0].time).getTime() - ACCESS_LOG_MAX_AGE_MS : 0;
+  const entries = logged.filter(entry => new Date(entry.time).getTime() >= oldest);
+
+  return {
+    totalAccesses: parseInt(count, 10) || 0,
+    lastAccess: entries[0] || null,
+    entries
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2);
+}
+
+/**
+ * Work out when Radarr polls from the access log. Polls are grouped into pulls (one per
+ * Radarr list refresh), and the interval is the median gap between recent pulls, so a
+ * missed or manual refresh doesn't throw it off.
+ * @param {Array} entries - Access log entries (any order)
+ * @param {Date} now - Reference time
+ * @returns {Object} - { status, pulls, intervalMs, intervalSource, confidence, lastPullAt, nextPullAt, sinceLastPullMs }
+ *   status: 'never' (no Radarr poll logged), 'on-schedule', 'overdue' (next pull is late)
+ *   or 'stale' (no poll for three intervals, and at least a day)
+ */
+function inferPollSchedule(entries, now = new Date()) {
+  const times = entries
+    .filter(entry => entry && entry.client === 'radarr')
+    .map(entry => new Date(entry.time).getTime())
+    .filter(Number.isFinite)
+    .sort((a, b) => a - b);
+
+  const pulls = [];
+  for (const time of times) {
+    if (pulls.length === 0 || time - pulls[pulls.length - 1].last > PULL_GAP_MS) {
+      pulls.push({ start: time, last: time });
+    } else {
+      pulls[pulls.length - 1].last = time;
+    }
+  }
+
+  if (pulls.length === 0) {
+    return {
+      status: 'never',
+      pulls: 0,
+      intervalMs: DEFAULT_POLL_INTERVAL_MS,
+      intervalSource: 'assumed',
+      confidence: 'none',
+      lastPullAt: null,
+      nextPullAt: null,
+      sinceLastPullMs: null
+    };
+  }
+
+  const intervals = pulls.slice(1)
+    .map((pull, index) => pull.start - pulls[index].start)
+    .slice(-MAX_MEASURED_INTERVALS);
+  const intervalMs = intervals.length > 0 ? median(intervals) : DEFAULT_POLL_INTERVAL_MS;
+
+  let confidence = 'none';
+  if (intervals.length >= 3) {
+    const steady = intervals.filter(interval => Math.abs(interval - intervalMs) <= intervalMs * 0.1).length;
+    confidence = steady / intervals.length >= 0.75 ? 'high' : 'medium';
+  } else if (intervals.length > 0) {
+    confidence = 'low';
+  }
+
+  const lastPull = pulls[pulls.length - 1].start;
+  const nextPull = lastPull + intervalMs;
+  const sinceLastPullMs = Math.max(0, now.getTime() - lastPull);
+  const tolerance = Math.max(15 * 60 * 1000, intervalMs * 0.25);
+
+  let status = 'on-schedule';
+  if (sinceLastPullMs >= Math.max(3 * intervalMs, 24 * 60 * 60 * 1000)) {
+    status = 'stale';
+  } else if (now.getTime() > nextPull + tolerance) {
+    status = 'overdue';
+  }
+
+  return {
+    status,
+    pulls: pulls.length,
+    intervalMs,
+    intervalSource: intervals.length > 0 ? 'observed' : 'assumed',
+    confidence,
+    lastPullAt: new Date(lastPull).toISOString(),
+    nextPullAt: new Date(nextPull).toISOString(),
+    sinceLastPullMs
+  };
+}
+
+// Tenant record without the feed state that now lives in separate keys
+function withoutFeedState(tenant) {
+  const rest = { ...tenant };
+  for (const field of LEGACY_FEED_FIELDS) {
+    delete rest[field];
+  }
+  return rest;
+}
+
+// CommonJS exports
+module.exports = {
+  FEED_STATE_TTL,
+  DEFAULT_POLL_INTERVAL_MS,
+  getClientIP,
+  isRadarrClient,
+  hashClientIP,
+  trackFeedAccess,
+  getFeedAccessStats,
+  inferPollSchedule,
+  withoutFeedState
+};
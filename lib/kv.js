@@ -1,8 +1,13 @@
 // lib/kv.js
-// Storage abstraction with Redis primary, in-memory fallback
+// Storage abstraction over pluggable adapters: Redis, durable file, or in-memory fallback
+
+const path = require('path');
 
 const logger = require('../utils/logger');
 
+const { MemoryStorage, FileStorage, RedisStorage } = require('./storageAdapters');
+const { sealTenant, openTenant } = require('./tenantCrypto');
+
 // Lazy load Redis to avoid module loading hang
 let redisModule = null;
 function getRedisModule() {
@@ -12,74 +17,13 @@ function getRedisModule() {
   return redisModule;
 }
 
+const STORAGE_BACKENDS = ['redis', 'file', 'memory'];
+
 let redis;
-let storageMode = 'unknown'; // 'redis', 'memory', 'failed'
-const memoryStore = new Map(); // Fallback in-memory storage
+let storageMode = 'unknown'; // 'redis', 'file', 'memory', 'failed'
 let redisConnectionAttempted = false;
 let initializationInProgress = false; // Prevent concurrent initialization
 
-// In-memory storage with TTL simulation
-class MemoryStorage {
-  constructor() {
-    this.store = new Map();
-    this.expirations = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), 60000).unref(); // Cleanup every minute, unref to not keep process alive
-  }
-
-  set(key, value, options = {}) {
-    this.store.set(key, value);
-    if (options.EX) {
-      // Set expiration time
-      this.expirations.set(key, Date.now() + (options.EX * 1000));
-    }
-    return Promise.resolve('OK');
-  }
-
-  get(key) {
-    // Check if expired
-    const expiration = this.expirations.get(key);
-    if (expiration && Date.now() > expiration) {
-      this.store.delete(key);
-      this.expirations.delete(key);
-      return Promise.resolve(null);
-    }
-    return Promise.resolve(this.store.get(key) || null);
-  }
-
-  keys(pattern) {
-    // Simple pattern matching for basic use cases
-    const allKeys = Array.from(this.store.keys());
-    if (pattern === '*') return Promise.resolve(allKeys);
-    
-    // Convert Redis pattern to RegExp (basic implementation)
-    const regexPattern = pattern.replace(/\*/g, '.*').replace(/\?/g, '.');
-    const regex = new RegExp(`^${regexPattern}$`);
-    
-    return Promise.resolve(allKeys.filter(key => regex.test(key)));
-  }
-
-  ping() {
-    return Promise.resolve('PONG');
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, expiration] of this.expirations.entries()) {
-      if (now > expiration) {
-        this.store.delete(key);
-        this.expirations.delete(key);
-      }
-    }
-  }
-
-  // Cleanup on process exit
-  destroy() {
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
-    }
-  }
-}
-
 // Lazy initialize to avoid immediate timer creation
 let memoryStorage = null;
 function getMemoryStorage() {
@@ -89,7 +33,32 @@ function getMemoryStorage() {
   return memoryStorage;
 }
 
-// Initialize Redis connection with fallback - now with race condition protection
+let fileStorage = null;
+function getFileStorage() {
+  if (!fileStorage) {
+    fileStorage = new FileStorage(getStorageFilePath());
+  }
+  return fileStorage;
+}
+
+// Defaults to ./data so Docker's /app/data volume is used without extra configuration
+function getStorageFilePath() {
+  return process.env.STORAGE_FILE_PATH || path.join(process.cwd(), 'data', 'helparr-store.json');
+}
+
+// STORAGE_BACKEND wins; otherwise Redis when REDIS_URL is set, memory when it is not
+function getConfiguredBackend() {
+  const configured = (process.env.STORAGE_BACKEND || '').trim().toLowerCase();
+  if (configured) {
+    if (STORAGE_BACKENDS.includes(configured)) {
+      return configured;
+    }
+    logger.warn(`📦 Unknown STORAGE_BACKEND "${configured}", expected one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+  return process.env.REDIS_URL ? 'redis' : 'memory';
+}
+
+// Initialize the configured backend with fallback - now with race condition protection
 async function initializeStorage() {
   // If already attempted, don't retry
   if (redisConnectionAttempted) {
@@ -109,15 +78,39 @@ async function initializeStorage() {
   redisConnectionAttempted = true;
   
   try {
+    const backend = getConfiguredBackend();
+
+    if (backend === 'file') {
+      try {
+        getFileStorage();
+        storageMode = 'file';
+        logger.info(`📦 Using file storage at ${fileStorage.filePath}`);
+      } catch (error) {
+        logger.warn('📦 File storage initialization failed:', error.message);
+        logger.info('📦 Falling back to in-memory storage for this session');
+        fileStorage = null;
+        storageMode = 'memory';
+      }
+      return;
+    }
+
+    if (backend === 'memory') {
+      logger.info(process.env.REDIS_URL
+        ? '📦 STORAGE_BACKEND=memory, ignoring REDIS_URL'
+        : '📦 No REDIS_URL provided, using in-memory storage');
+      storageMode = 'memory';
+      return;
+    }
+
     if (!process.env.REDIS_URL) {
-      logger.info('📦 No REDIS_URL provided, using in-memory storage');
+      logger.warn('📦 STORAGE_BACKEND=redis but no REDIS_URL provided, using in-memory storage');
       storageMode = 'memory';
       return;
     }
 
     logger.info('📦 Attempting Redis connection...');
     const { createClient } = getRedisModule();
-    redis = createClient({ 
+    const client = createClient({ 
       url: process.env.REDIS_URL,
       socket: {
         connectTimeout: 5000, // 5 second timeout
@@ -126,7 +119,7 @@ async function initializeStorage() {
     });
 
     // Handle Redis errors gracefully
-    redis.on('error', (err) => {
+    client.on('error', (err) => {
       logger.warn('📦 Redis connection error:', err.message);
       if (storageMode !== 'memory') {
         logger.info('📦 Falling back to in-memory storage');
@@ -134,15 +127,16 @@ async function initializeStorage() {
       }
     });
 
-    redis.on('connect', () => {
+    client.on('connect', () => {
       logger.info('📦 Redis connected successfully');
       storageMode = 'redis';
     });
 
-    await redis.connect();
+    await client.connect();
     
     // Test the connection
-    await redis.ping();
+    await client.ping();
+    redis = new RedisStorage(client);
     storageMode = 'redis';
     logger.info('📦 Redis storage initialized successfully');
     
@@ -156,10 +150,14 @@ async function initializeStorage() {
   }
 }
 
-// Get storage client (Redis or memory fallback) - optimized for connection pooling
+// Get the active storage adapter (Redis, file or memory fallback) - optimized for connection pooling
 async function getStorage() {
   await initializeStorage();
 
+  if (storageMode === 'file' && fileStorage) {
+    return fileStorage;
+  }
+
   if (storageMode === 'redis' && redis) {
     // Return the same Redis instance for connection pooling
     // Only check if connection is open, don't ping every time (expensive)
@@ -175,21 +173,46 @@ async function getStorage() {
   return getMemoryStorage();
 }
 
+// Caches and rate-limit counters: shared through Redis, otherwise kept in this process. The file
+// backend is only for data that has to survive a restart; caches would bloat the file it rewrites
+// whole on every flush, and counters would turn every request into a file write.
+async function getCacheStorage() {
+  const storage = await getStorage();
+  return storage.name === 'file' ? getMemoryStorage() : storage;
+}
+
 // Legacy function for compatibility (now uses getStorage)
 async function getRedis() {
   return getStorage();
 }
 
+/**
+ * A tenant record exists but can't be opened: its master key was removed from
+ * TENANT_ENCRYPTION_KEYS, or the stored data was tampered with. Callers must not
+ * treat this like a missing user, or the record would be replaced by a new one.
+ */
+class TenantUnreadableError extends Error {
+  constructor(userId, cause) {
+    super(`Tenant ${userId} could not be decrypted: ${cause.message}`);
+    this.name = 'TenantUnreadableError';
+    this.code = 'TENANT_UNREADABLE';
+    this.userId = userId;
+  }
+}
+
+const TENANT_TTL_SECONDS = 60 * 60 * 24 * 90; // 90 days for tenant data
+const TENANT_WRITE_ATTEMPTS = 5;
+
 // Enhanced tenant management functions with fallback
 async function saveTenant(userId, tenantData) {
   try {
     const client = await getStorage();
-    await client.set(`tenant:${userId}`, JSON.stringify(tenantData), {
-      EX: 60 * 60 * 24 * 90 // 90 days for tenant data
+    await client.set(`tenant:${userId}`, JSON.stringify(sealTenant(tenantData)), {
+      EX: TENANT_TTL_SECONDS
     });
     
-    if (storageMode === 'memory') {
-      logger.info(`📦 Saved tenant ${userId} to memory storage`);
+    if (storageMode !== 'redis') {
+      logger.info(`📦 Saved tenant ${userId} to ${storageMode} storage`);
     }
   } catch (error) {
     logger.error('📦 Failed to save tenant data:', error.message);
@@ -197,22 +220,90 @@ async function saveTenant(userId, tenantData) {
   }
 }
 
-async function loadTenant(userId) {
+async function readTenantRecord(userId) {
   try {
     const client = await getStorage();
-    const data = await client.get(`tenant:${userId}`);
-    
-    if (storageMode === 'memory' && data) {
-      logger.info(`📦 Loaded tenant ${userId} from memory storage`);
-    }
-    
-    return data ? JSON.parse(data) : null;
+    return { client, data: await client.get(`tenant:${userId}`) };
   } catch (error) {
     logger.error('📦 Failed to load tenant data:', error.message);
-    return null; // Graceful degradation
+    throw new Error('Storage temporarily unavailable');
+  }
+}
+
+function openTenantRecord(userId, data) {
+  try {
+    return openTenant(JSON.parse(data));
+  } catch (error) {
+    logger.error(`🔐 Failed to open tenant ${userId}:`, error.message);
+    throw new TenantUnreadableError(userId, error);
+  }
+}
+
+// Writes `value` only while the stored record is still `expected` (null = no record)
+async function writeTenantRecord(client, userId, expected, tenantData) {
+  try {
+    return await client.compareAndSet(`tenant:${userId}`, expected, JSON.stringify(sealTenant(tenantData)), {
+      EX: TENANT_TTL_SECONDS
+    });
+  } catch (error) {
+    logger.error('📦 Failed to save tenant data:', error.message);
+    throw new Error('Storage temporarily unavailable');
   }
 }
 
+// Returns null only when no record is stored; unreadable records and storage failures throw
+async function loadTenant(userId) {
+  const { client, data } = await readTenantRecord(userId);
+
+  if (storageMode !== 'redis' && data) {
+    logger.info(`📦 Loaded tenant ${userId} from ${storageMode} storage`);
+  }
+
+  if (!data) return null;
+
+  // Plaintext records and records wrapped with a retired master key are re-encrypted,
+  // unless another request rewrote the record in the meantime
+  const { tenant, needsReseal } = openTenantRecord(userId, data);
+  if (needsReseal) {
+    try {
+      if (await writeTenantRecord(client, userId, data, tenant)) {
+        logger.info(`🔐 Re-encrypted tenant ${userId} with the current master key`);
+      }
+    } catch (error) {
+      logger.warn(`🔐 Could not re-encrypt tenant ${userId}, retrying on next load:`, error.message);
+    }
+  }
+
+  return tenant;
+}
+
+// Read-modify-write of a tenant record. `mutator` receives the stored tenant (null when there is
+// none) and returns the tenant to store, or null to leave the record alone. The write only lands
+// if the record is unchanged since it was read; otherwise the mutator runs again on the newer
+// record, so it must not have side effects. Resolves to { tenant, updated }.
+async function updateTenant(userId, mutator) {
+  for (let attempt = 1; attempt <= TENANT_WRITE_ATTEMPTS; attempt++) {
+    const { client, data } = await readTenantRecord(userId);
+    const current = data ? openTenantRecord(userId, data).tenant : null;
+
+    const next = await mutator(current);
+    if (!next) {
+      return { tenant: current, updated: false };
+    }
+
+    if (await writeTenantRecord(client, userId, data, next)) {
+      if (storageMode !== 'redis') {
+        logger.info(`📦 Saved tenant ${userId} to ${storageMode} storage`);
+      }
+      return { tenant: next, updated: true };
+    }
+
+    logger.warn(`📦 Tenant ${userId} changed while it was being updated (attempt ${attempt})`);
+  }
+
+  throw new Error(`Tenant ${userId} kept changing, update abandoned after ${TENANT_WRITE_ATTEMPTS} attempts`);
+}
+
 // Legacy user data functions (keep for compatibility)
 async function saveUserData(userId, data) {
   try {
@@ -239,10 +330,20 @@ async function getUserData(userId) {
 
 // Get storage status for health checks
 function getStorageStatus() {
+  const active = storageMode === 'file' ? fileStorage
+    : storageMode === 'redis' ? redis
+      : storageMode === 'memory' ? memoryStorage
+        : null;
+
   return {
     mode: storageMode,
+    adapter: active ? active.name : storageMode,
+    persistent: active ? active.persistent : false,
     redisConnected: storageMode === 'redis' && redis !== null && redis.isOpen,
-    memoryEntries: storageMode === 'memory' && memoryStorage ? memoryStorage.store.size : 0,
+    memoryEntries: storageMode === 'memory' && memoryStorage ? memoryStorage.size : 0,
+    fileEntries: storageMode === 'file' && fileStorage ? fileStorage.size : 0,
+    filePath: storageMode === 'file' && fileStorage ? fileStorage.filePath : null,
+    lastFlush: storageMode === 'file' && fileStorage ? fileStorage.lastFlush : null,
     connectionAttempted: redisConnectionAttempted,
     initializationInProgress: initializationInProgress,
     connectionPooling: true // Indicates connection pooling is implemented
@@ -255,8 +356,13 @@ function cleanup() {
     memoryStorage.destroy();
     memoryStorage = null;
   }
+  if (fileStorage) {
+    fileStorage.destroy(); // Flushes pending writes to disk
+    fileStorage = null;
+  }
   if (redis) {
     redis.disconnect();
+    redis = null;
   }
   // Reset initialization state for clean shutdown
   redisConnectionAttempted = false;
@@ -275,12 +381,16 @@ if (typeof process !== 'undefined') {
 
 // CommonJS exports
 module.exports = {
+  TenantUnreadableError,
   getStorage,
+  getCacheStorage,
   getRedis,
   saveTenant,
+  updateTenant,
   loadTenant,
   saveUserData,
   getUserData,
   getStorageStatus,
+  getConfiguredBackend,
   cleanup
 };
@@ -0,0 +1,221 @@
+// lib/movieEnrichment.js
+// IMDb id enrichment for TMDb movie lists (filmographies, collections, companies, smart sources)
+
+/**
+ * Credits and discover results already carry title, dates, poster and rating. RSS and
+ * Radarr also need the IMDb id, and feed filters need runtime and genres. TMDb has no
+ * multi-movie endpoint, so each title costs one
+ * `/movie/{id}?append_to_response=external_ids` request. To keep that cheap:
+ *   - the compact result is stored as `imdb-id:<tmdbId>` and read before any request, so
+ *     every tenant reuses it. With Redis it goes to lib/kv's cache storage (shared by every
+ *     instance and restart); otherwise to the TMDb cache's bounded in-process LRU
+ *     (lib/tmdbCache.js). Movies without an IMDb id are cached for a shorter time because
+ *     ids are often added after announcement.
+ *   - misses go through the shared tmdbClient queue, which paces requests under TMDb's
+ *     rate limit and retries 429s and timeouts. There is no per-route batching or sleeping.
+ *   - there is no cap on the number of titles per source
+ */
+
+const logger = require('../utils/logger');
+const { tmdbClient } = require('../utils/tmdbClient');
+
+const { getCacheStorage } = require('./kv');
+const { readMemory, writeMemory } = require('./tmdbCache');
+
+const TMDB_BASE = 'https://api.themoviedb.org/3';
+const LOOKUP_PREFIX = 'imdb-id:';
+const DAY = 24 * 60 * 60;
+
+const IMDB_LOOKUP_TTL = 30 * DAY; // IMDb ids never change once assigned
+const MISSING_IMDB_TTL = 2 * DAY; // Upcoming titles usually gain one later
+const MAX_OVERVIEW_LENGTH = 1000;
+const PROGRESS_STEP = 8;
+
+/**
+ * Reduce a TMDb movie details response to what enrichment needs
+ * @param {Object} details - `/movie/{id}?append_to_response=external_ids` response
+ * @returns {Object} - Lookup entry; imdb_id is null when TMDb has none
+ */
+function toLookup(details) {
+  return {
+    imdb_id: details.imdb_id || details.external_ids?.imdb_id || null,
+    title: details.title || null,
+    release_date: details.release_date || null,
+    poster_path: details.poster_path || null,
+    overview: String(details.overview || '').substring(0, MAX_OVERVIEW_LENGTH),
+    vote_average: details.vote_average || 0,
+    runtime: details.runtime || null,
+    genres: Array.isArray(details.genres) ? details.genres.slice(0, 3).map(genre => genre.name) : []
+  };
+}
+
+// Shared storage only when it outlives the process; the in-memory backend would grow without bound
+async function getLookupStorage() {
+  const storage = await getCacheStorage();
+  return storage && storage.persistent ? storage : null;
+}
+
+/**
+ * Read cached lookups for a set of TMDb ids
+ * @param {Array<number>} tmdbIds - TMDb movie ids
+ * @returns {Promise<Map>} - tmdbId -> lookup entry (only ids that were cached)
+ */
+async function getCachedLookups(tmdbIds) {
+  const lookups = new Map();
+  const storage = await getLookupStorage();
+
+  if (!storage) {
+    tmdbIds.forEach(tmdbId => {
+      const cached = readMemory(`${LOOKUP_PREFIX}${tmdbId}`);
+      if (cached) lookups.set(tmdbId, cached);
+    });
+    return lookups;
+  }
+
+  await Promise.all(tmdbIds.map(async (tmdbId) => {
+    try {
+      const stored = await storage.get(`${LOOKUP_PREFIX}${tmdbId}`);
+      if (stored) lookups.set(tmdbId, JSON.parse(stored));
+    } catch (error) {
+      logger.warn(`🎬 IMDb lookup cache read failed for ${tmdbId}:`, error.message);
+    }
+  }));
+
+  return lookups;
+}
+
+async function saveLookup(tmdbId, lookup) {
+  const ttl = lookup.imdb_id ? IMDB_LOOKUP_TTL : MISSING_IMDB_TTL;
+  try {
+    const storage = await getLookupStorage();
+    if (!storage) {
+      writeMemory(`${LOOKUP_PREFIX}${tmdbId}`, lookup, ttl);
+      return;
+    }
+
+    await storage.set(`${LOOKUP_PREFIX}${tmdbId}`, JSON.stringify(lookup), { EX: ttl });
+  } catch (error) {
+    logger.warn(`🎬 IMDb lookup cache write failed for ${tmdbId}:`, error.message);
+  }
+}
+
+/**
+ * Fetch and cache the lookup for one movie through the rate-limited TMDb queue
+ * @param {number} tmdbId - TMDb movie id
+ * @param {string} apiKey - Tenant's TMDb key
+ * @returns {Promise<Object>} - Lookup entry
+ */
+async function fetchLookup(tmdbId, apiKey) {
+  const url = `${TMDB_BASE}/movie/${tmdbId}?api_key=${apiKey}&append_to_response=external_ids`;
+
+  let lookup;
+  try {
+    const details = await tmdbClient.queueRequest(url);
+    if (!details || !details.title) {
+      throw new Error('Invalid movie data');
+    }
+    lookup = toLookup(details);
+  } catch (error) {
+    // Removed or merged TMDb entries will never resolve; remember them like id-less titles
+    if (!error.message || !error.message.includes('TMDb API error: 404')) {
+      throw error;
+    }
+    lookup = toLookup({});
+  }
+
+  await saveLookup(tmdbId, lookup);
+  return lookup;
+}
+
+// Listing fields win (they are fresher); the lookup fills whatever the listing lacked
+function buildMovie(movie, lookup) {
+  const releaseDate = movie.release_date || lookup.release_date || null;
+
+  return {
+    ...movie,
+    title: movie.title || lookup.title,
+    imdb_id: lookup.imdb_id,
+    year: releaseDate ? new Date(releaseDate).getFullYear() : null,
+    poster_path: movie.poster_path || lookup.poster_path || null,
+    overview: movie.overview || lookup.overview || '',
+    vote_average: movie.vote_average || lookup.vote_average || 0,
+    release_date: releaseDate,
+    runtime: lookup.runtime,
+    genres: lookup.genres
+  };
+}
+
+/**
+ * Add IMDb ids, runtime and genres to TMDb movies, dropping titles without an IMDb id
+ * (RSS and Radarr match on it). Order is preserved.
+ * @param {Array<Object|number>} movies - Movies with at least an `id`, or bare TMDb ids
+ * @param {string} apiKey - Tenant's TMDb key
+ * @param {Object} options - { onProgress(done, total) }
+ * @returns {Promise<Object>} - { movies, stats: { total, cached, fetched, withoutImdb, failed } }
+ */
+async function enrichMovies(movies, apiKey, options = {}) {
+  const { onProgress = null } = options;
+
+  const seen = new Set();
+  const sources = (Array.isArray(movies) ? movies : [])
+    .map(movie => (typeof movie === 'object' && movie !== null ? movie : { id: movie }))
+    .filter(movie => {
+      if (!Number.isInteger(movie.id) || seen.has(movie.id)) return false;
+      seen.add(movie.id);
+      return true;
+    });
+
+  const ids = sources.map(movie => movie.id);
+  const lookups = await getCachedLookups(ids);
+  const missing = ids.filter(id => !lookups.has(id));
+  const stats = { total: ids.length, cached: lookups.size, fetched: 0, withoutImdb: 0, failed: 0 };
+
+  let done = lookups.size;
+  const reportProgress = () => {
+    if (onProgress && (done % PROGRESS_STEP === 0 || done === ids.length)) {
+      onProgress(done, ids.length);
+    }
+  };
+
+  // Every miss is queued at once; tmdbClient decides how fast they actually go out
+  await Promise.all(missing.map(async (tmdbId) => {
+    try {
+      lookups.set(tmdbId, await fetchLookup(tmdbId, apiKey));
+      stats.fetched++;
+    } catch (error) {
+      stats.failed++;
+      logger.warn(`🎬 Failed to fetch movie ${tmdbId}:`, error.message);
+    }
+    done++;
+    reportProgress();
+  }));
+
+  if (missing.length === 0 && onProgress) {
+    onProgress(ids.length, ids.length);
+  }
+
+  const enriched = [];
+  sources.forEach(movie => {
+    const lookup = lookups.get(movie.id);
+    if (!lookup) return;
+    if (!lookup.imdb_id) {
+      stats.withoutImdb++;
+      return;
+    }
+    enriched.push(buildMovie(movie, lookup));
+  });
+
+  logger.info(`🎬 Enriched ${enriched.length}/${ids.length} movies ` +
+    `(${stats.cached} cached, ${stats.fetched} fetched, ${stats.withoutImdb} without IMDb id, ${stats.failed} failed)`);
+
+  return { movies: enriched, stats };
+}
+
+// CommonJS exports
+module.exports = {
+  IMDB_LOOKUP_TTL,
+  MISSING_IMDB_TTL,
+  toLookup,
+  getCachedLookups,
+  enrichMovies
+};
@@ -0,0 +1,531 @@
+// lib/radarr.js
+// Direct Radarr integration: push the tenant's feed movies through Radarr's v3 API
+// instead of waiting for Radarr to poll the RSS list, and read back what Radarr already owns
+
+const dns = require('dns');
+const net = require('net');
+
+const logger = require('../utils/logger');
+const { getFeedFilters, getFeedMovies } = require('../utils/feeds');
+const { applyFeedFilters } = require('../utils/feedFilters');
+const { BadGatewayError, BadRequestError, GatewayTimeoutError } = require('../utils/httpErrors');
+
+const { getCacheStorage, updateTenant } = require('./kv');
+
+const RADARR_TIMEOUT_MS = 8000; // Per request
+const MAX_MOVIES_PER_PUSH = 25; // Radarr looks each movie up on add, so a run is capped by count...
+const PUSH_DEADLINE_MS = 20000; // ...and by total time, which keeps it inside a serverless timeout
+const SYNC_PUSH_DEADLINE_MS = 8000; // Pushes on sync hold up the sync response, so they get less
+const MIN_REQUEST_MS = 1000; // Below this, what is left of the deadline isn't worth another request
+const MAX_LOGGED_RESULTS = 100;
+const MAX_PUSH_LOG_ENTRIES = 5;
+const MINIMUM_AVAILABILITY = ['announced', 'inCinemas', 'released'];
+const LIBRARY_CACHE_TTL = 10 * 60; // Seconds; Radarr libraries change slowly and can be large
+const METADATA_HOSTNAMES = ['metadata', 'metadata.google.internal', 'instance-data', 'instance-data.ec2.internal'];
+
+// The server calls whatever URL a tenant saves, so it must not become a way into the host itself
+// or the cloud metadata service. Link-local and metadata addresses are never allowed; loopback
+// only when the operator runs Radarr next to a self-hosted Helparr (RADARR_ALLOW_LOCAL_URLS=true).
+// Private LAN ranges stay allowed: that is where most Radarr installs live.
+function classifyAddress(address) {
+  const ip = address.replace(/^\[|\]$/g, '').toLowerCase();
+
+  if (net.isIPv4(ip)) {
+    const [a, b] = ip.split('.').map(Number);
+    if (a === 127 || a === 0) return 'loopback';
+    if (a === 169 && b === 254) return 'link-local'; // Includes 169.254.169.254, the metadata service
+    return null;
+  }
+
+  if (net.isIPv6(ip)) {
+    // IPv4-mapped addresses; URL parsing rewrites ::ffff:127.0.0.1 to ::ffff:7f00:1
+    const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) return classifyAddress(mapped[1]);
+    const mappedHex = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mappedHex) {
+      const [high, low] = mappedHex.slice(1).map(part => parseInt(part, 16));
+      return classifyAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+    if (ip === '::1' || ip === '::') return 'loopback';
+    if (/^fe[89ab]/.test(ip)) return 'link-local';
+    if (ip === 'fd00:ec2::254') return 'metadata';
+    return null;
+  }
+
+  return null;
+}
+
+function classifyHostname(hostname) {
+  const host = hostname.replace(/\.$/, '').toLowerCase();
+  if (METADATA_HOSTNAMES.includes(host)) return 'metadata';
+  if (host === 'localhost' || host.endsWith('.localhost')) return 'loopback';
+  return classifyAddress(host);
+}
+
+function describeBlockedAddress(kind) {
+  if (!kind) return null;
+  if (kind === 'loopback') {
+    if (process.env.RADARR_ALLOW_LOCAL_URLS === 'true') return null;
+    return 'Radarr URL points at this server (loopback); self-hosted installs can allow it with RADARR_ALLOW_LOCAL_URLS=true';
+  }
+  return 'Radarr URL points at a link-local or cloud metadata address';
+}
+
+// Checked again right before each request, since a hostname can resolve to a blocked address
+async function assertRadarrAddress(config) {
+  const { hostname } = new URL(config.url);
+  let blocked = describeBlockedAddress(classifyHostname(hostname));
+
+  if (!blocked && !net.isIP(hostname.replace(/^\[|\]$/g, ''))) {
+    let addresses = [];
+    try {
+      addresses = await dns.promises.lookup(hostname, { all: true });
+    } catch (error) {
+      // Unresolvable hosts fail in fetch with the usual "Could not reach Radarr"
+    }
+    blocked = addresses.map(({ address }) => describeBlockedAddress(classifyAddress(address))).find(Boolean);
+  }
+
+  if (blocked) {
+    throw new BadRequestError(blocked, 'RADARR_ADDRESS_BLOCKED');
+  }
+}
+
+// Validate and normalize a tenant's Radarr settings. `existing` supplies the stored
+// API key when the client leaves it blank (it is never sent back to the browser).
+function normalizeRadarrConfig(config, existing = null) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return { valid: false, error: 'Radarr settings must be an object' };
+  }
+
+  let url;
+  try {
+    url = new URL(String(config.url || '').trim());
+  } catch (error) {
+    return { valid: false, error: 'Radarr URL is not a valid URL' };
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return { valid: false, error: 'Radarr URL must use http or https' };
+  }
+  const blocked = describeBlockedAddress(classifyHostname(url.hostname));
+  if (blocked) {
+    return { valid: false, error: blocked };
+  }
+
+  const apiKey = typeof config.apiKey === 'string' && config.apiKey.trim()
+    ? config.apiKey.trim()
+    : existing?.apiKey;
+  if (!apiKey || !/^[a-z0-9]{20,64}$/i.test(apiKey)) {
+    return { valid: false, error: 'Radarr API key is missing or malformed (Settings → General → Security)' };
+  }
+
+  const normalized = {
+    url: url.toString().replace(/\/+$/, ''),
+    apiKey,
+    monitored: config.monitored !== false,
+    searchForMovie: config.searchForMovie === true,
+    minimumAvailability: config.minimumAvailability || 'released',
+    pushOnSync: config.pushOnSync === true,
+    excludeOwned: config.excludeOwned === true
+  };
+
+  if (!MINIMUM_AVAILABILITY.includes(normalized.minimumAvailability)) {
+    return { valid: false, error: `minimumAvailability must be one of: ${MINIMUM_AVAILABILITY.join(', ')}` };
+  }
+
+  if (config.qualityProfileId !== undefined && config.qualityProfileId !== null && config.qualityProfileId !== '') {
+    const qualityProfileId = Number(config.qualityProfileId);
+    if (!Number.isInteger(qualityProfileId) || qualityProfileId <= 0) {
+      return { valid: false, error: 'qualityProfileId must be a positive integer' };
+    }
+    normalized.qualityProfileId = qualityProfileId;
+  }
+
+  if (config.rootFolderPath !== undefined && config.rootFolderPath !== null && config.rootFolderPath !== '') {
+    if (typeof config.rootFolderPath !== 'string' || config.rootFolderPath.length > 500) {
+      return { valid: false, error: 'rootFolderPath must be a path string' };
+    }
+    normalized.rootFolderPath = config.rootFolderPath.trim();
+  }
+
+  return { valid: true, config: normalized };
+}
+
+// Settings are only pushable once a profile and root folder have been picked
+function isPushReady(config) {
+  return Boolean(config && config.url && config.apiKey && config.qualityProfileId && config.rootFolderPath);
+}
+
+// Never echo the API key back to the browser
+function maskRadarrConfig(config) {
+  if (!config) return null;
+  const { apiKey, ...rest } = config;
+  return {
+    ...rest,
+    apiKeyHint: apiKey ? `••••${apiKey.slice(-4)}` : null
+  };
+}
+
+function parseStoredJSON(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function getTenantRadarrConfig(tenant) {
+  return parseStoredJSON(tenant?.radarrConfig, null);
+}
+
+function getTenantPushLog(tenant) {
+  const log = parseStoredJSON(tenant?.radarrPushLog, []);
+  return Array.isArray(log) ? log : [];
+}
+
+// Radarr answers validation failures with [{ propertyName, errorMessage }]
+function describeRadarrError(status, data) {
+  if (status === 401) return 'Radarr rejected the API key';
+  if (Array.isArray(data) && data[0]?.errorMessage) {
+    return data.map(entry => entry.errorMessage).join('; ');
+  }
+  if (data && typeof data === 'object' && data.message) return data.message;
+  return `Radarr responded with HTTP ${status}`;
+}
+
+async function radarrRequest(config, endpoint, options = {}) {
+  const { method = 'GET', body, timeout = RADARR_TIMEOUT_MS } = options;
+  await assertRadarrAddress(config);
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(`${config.url}${endpoint}`, {
+      method,
+      headers: {
+        'X-Api-Key': config.apiKey,
+        'Accept': 'application/json',
+        ...(body !== undefined && { 'Content-Type': 'application/json' })
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: controller.signal
+    });
+
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (error) {
+      data = text;
+    }
+
+    if (!response.ok) {
+      throw new BadGatewayError(describeRadarrError(response.status, data), 'RADARR_ERROR', { status: response.status, body: data });
+    }
+
+    return data;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new GatewayTimeoutError(`Radarr did not respond within ${timeout / 1000}s`, 'RADARR_TIMEOUT');
+    }
+    if (error instanceof BadGatewayError) {
+      throw error;
+    }
+    throw new BadGatewayError(`Could not reach Radarr: ${error.message}`, 'RADARR_UNREACHABLE');
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Check the URL/key and return what the settings form needs to offer
+async function testRadarrConnection(config) {
+  const [status, profiles, folders] = await Promise.all([
+    radarrRequest(config, '/api/v3/system/status'),
+    radarrRequest(config, '/api/v3/qualityprofile'),
+    radarrRequest(config, '/api/v3/rootfolder')
+  ]);
+
+  const qualityProfiles = (profiles || []).map(profile => ({ id: profile.id, name: profile.name }));
+  const rootFolders = (folders || []).map(folder => ({ path: folder.path, freeSpace: folder.freeSpace ?? null }));
+
+  const warnings = [];
+  if (config.qualityProfileId && !qualityProfiles.some(profile => profile.id === config.qualityProfileId)) {
+    warnings.push(`Quality profile ${config.qualityProfileId} does not exist in Radarr`);
+  }
+  if (config.rootFolderPath && !rootFolders.some(folder => folder.path === config.rootFolderPath)) {
+    warnings.push(`Root folder ${config.rootFolderPath} does not exist in Radarr`);
+  }
+
+  return {
+    version: status?.version || null,
+    qualityProfiles,
+    rootFolders,
+    warnings
+  };
+}
+
+// Compact library index keyed by both ids (either match counts), value = hasFile
+function buildLibraryState(radarrMovies) {
+  const tmdb = {};
+  const imdb = {};
+
+  for (const movie of radarrMovies || []) {
+    const hasFile = Boolean(movie.hasFile);
+    if (movie.tmdbId) tmdb[movie.tmdbId] = hasFile;
+    if (movie.imdbId) imdb[movie.imdbId] = hasFile;
+  }
+
+  return {
+    fetchedAt: new Date().toISOString(),
+    size: (radarrMovies || []).length,
+    tmdb,
+    imdb
+  };
+}
+
+async function getRadarrLibrary(config, options = {}) {
+  return buildLibraryState(await radarrRequest(config, '/api/v3/movie', options));
+}
+
+// Library state shared by the browse routes and feed generation, cached per tenant
+async function getLibraryState(userId, config, options = {}) {
+  const { refresh = false } = options;
+  const cacheKey = `radarr-library:${userId}`;
+  const client = await getCacheStorage();
+
+  if (!refresh) {
+    const cached = await client.get(cacheKey);
+    if (cached) {
+      return JSON.parse(cached);
+    }
+  }
+
+  const library = await getRadarrLibrary(config);
+  await client.set(cacheKey, JSON.stringify(library), { EX: LIBRARY_CACHE_TTL });
+  return library;
+}
+
+// Drop the cached library after a push or a settings change so owned flags reflect the new state
+async function invalidateLibraryState(userId) {
+  try {
+    const client = await getCacheStorage();
+    await client.del(`radarr-library:${userId}`);
+  } catch (error) {
+    logger.warn('Failed to invalidate Radarr library cache:', error.message);
+  }
+}
+
+function getMovieLibraryState(movie, library) {
+  const byTmdb = library.tmdb[movie.id];
+  const byImdb = movie.imdb_id ? library.imdb[movie.imdb_id] : undefined;
+  const inLibrary = byTmdb !== undefined || byImdb !== undefined;
+  return { inLibrary, hasFile: inLibrary && Boolean(byTmdb || byImdb) };
+}
+
+function annotateLibraryState(movies, library) {
+  if (!library || !Array.isArray(movies)) return movies;
+  return movies.map(movie => ({ ...movie, ...getMovieLibraryState(movie, library) }));
+}
+
+// Add inLibrary/hasFile to movies for tenants with Radarr connected. Browsing must keep
+// working when Radarr is down, so failures only show up in the returned `library` status.
+async function annotateTenantMovies(userId, tenant, movies) {
+  const config = getTenantRadarrConfig(tenant);
+  if (!config) {
+    return { movies, library: null };
+  }
+
+  try {
+    const library = await getLibraryState(userId, config);
+    return {
+      movies: annotateLibraryState(movies, library),
+      library: { size: library.size, fetchedAt: library.fetchedAt }
+    };
+  } catch (error) {
+    logger.warn(`Radarr library unavailable for ${userId}:`, error.message);
+    return { movies, library: { error: error.message } };
+  }
+}
+
+// Library used to leave owned movies out of feeds, or null when the tenant didn't ask for it
+async function getExclusionLibrary(userId, tenant) {
+  const config = getTenantRadarrConfig(tenant);
+  if (!config?.excludeOwned || !userId) {
+    return null;
+  }
+
+  try {
+    return await getLibraryState(userId, config);
+  } catch (error) {
+    // Publishing owned movies is harmless (Radarr skips them); publishing nothing is not
+    logger.warn(`Radarr library unavailable for ${userId}, keeping owned movies in feed:`, error.message);
+    return null;
+  }
+}
+
+function excludeOwnedMovies(movies, library) {
+  if (!library) return movies;
+  return movies.filter(movie => !getMovieLibraryState(movie, library).inLibrary);
+}
+
+// Same movies the default feed publishes, so push and RSS never disagree
+function getPushCandidates(tenant) {
+  const movies = applyFeedFilters(getFeedMovies(tenant), getFeedFilters(tenant));
+  const seen = new Set();
+
+  return movies.filter(movie => {
+    if (!Number.isInteger(movie.id) || seen.has(movie.id)) return false;
+    seen.add(movie.id);
+    return true;
+  });
+}
+
+function buildAddMoviePayload(movie, config) {
+  return {
+    title: movie.title,
+    tmdbId: movie.id,
+    year: movie.year || undefined,
+    qualityProfileId: config.qualityProfileId,
+    rootFolderPath: config.rootFolderPath,
+    monitored: config.monitored,
+    minimumAvailability: config.minimumAvailability,
+    addOptions: {
+      searchForMovie: config.searchForMovie,
+      monitor: config.monitored ? 'movieOnly' : 'none'
+    }
+  };
+}
+
+// Push movies Radarr doesn't have yet. Dry runs only report what would be added.
+// The whole run, library read included, ends by `deadlineMs`; movies it doesn't reach count as remaining.
+async function pushMoviesToRadarr(config, movies, options = {}) {
+  const { dryRun = false, deadlineMs = PUSH_DEADLINE_MS } = options;
+
+  if (!isPushReady(config)) {
+    throw new Error('Pick a quality profile and root folder before pushing to Radarr');
+  }
+
+  const deadline = Date.now() + deadlineMs;
+  const timeLeft = () => Math.min(RADARR_TIMEOUT_MS, deadline - Date.now());
+
+  const library = await getRadarrLibrary(config, { timeout: timeLeft() });
+  const results = [];
+  const summary = {
+    dryRun,
+    pushedAt: new Date().toISOString(),
+    total: movies.length,
+    added: 0,
+    existing: 0,
+    wouldAdd: 0,
+    failed: 0,
+    remaining: 0
+  };
+
+  let attempted = 0;
+  for (const movie of movies) {
+    const entry = { tmdbId: movie.id, imdbId: movie.imdb_id || null, title: movie.title };
+
+    if (getMovieLibraryState(movie, library).inLibrary) {
+      summary.existing++;
+      results.push({ ...entry, status: 'exists' });
+      continue;
+    }
+
+    if (dryRun) {
+      summary.wouldAdd++;
+      results.push({ ...entry, status: 'would_add' });
+      continue;
+    }
+
+    // Whatever is left over goes out with the next push
+    const timeout = timeLeft();
+    if (attempted >= MAX_MOVIES_PER_PUSH || timeout < MIN_REQUEST_MS) {
+      summary.remaining++;
+      continue;
+    }
+    attempted++;
+
+    try {
+      const added = await radarrRequest(config, '/api/v3/movie', {
+        method: 'POST',
+        body: buildAddMoviePayload(movie, config),
+        timeout
+      });
+      summary.added++;
+      results.push({ ...entry, status: 'added', radarrId: added?.id ?? null });
+    } catch (error) {
+      // Radarr's duplicate check can race with ours (e.g. added by another list meanwhile)
+      if (/already been added/i.test(error.message)) {
+        summary.existing++;
+        results.push({ ...entry, status: 'exists' });
+      } else {
+        summary.failed++;
+        results.push({ ...entry, status: 'failed', error: error.message });
+      }
+    }
+  }
+
+  logger.info(`🎬 Radarr push${dryRun ? ' (dry run)' : ''}: ${summary.added} added, ${summary.existing} existing, ${summary.wouldAdd} would add, ${summary.failed} failed, ${summary.remaining} deferred`);
+
+  return { ...summary, results };
+}
+
+// Push the tenant's feed movies with its stored settings
+async function pushTenantMovies(tenant, options = {}) {
+  const config = getTenantRadarrConfig(tenant);
+  if (!config) {
+    throw new Error('Radarr is not configured');
+  }
+  return pushMoviesToRadarr(config, getPushCandidates(tenant), options);
+}
+
+// Newest run first; per-movie results are capped so the tenant record stays small
+function appendPushLog(tenant, run) {
+  const entry = {
+    ...run,
+    results: (run.results || []).slice(0, MAX_LOGGED_RESULTS)
+  };
+  return JSON.stringify([entry, ...getTenantPushLog(tenant)].slice(0, MAX_PUSH_LOG_ENTRIES));
+}
+
+// Log a finished push on the stored tenant (re-read at write time, so a sync that landed while
+// Radarr was busy is kept) and drop the cached library once Radarr gained movies
+async function recordPushRun(userId, run) {
+  await updateTenant(userId, current => current && {
+    ...current,
+    radarrPushLog: appendPushLog(current, run)
+  });
+  if (run.added > 0) {
+    await invalidateLibraryState(userId);
+  }
+}
+
+// CommonJS exports
+module.exports = {
+  MAX_MOVIES_PER_PUSH,
+  PUSH_DEADLINE_MS,
+  SYNC_PUSH_DEADLINE_MS,
+  MINIMUM_AVAILABILITY,
+  normalizeRadarrConfig,
+  isPushReady,
+  maskRadarrConfig,
+  getTenantRadarrConfig,
+  getTenantPushLog,
+  radarrRequest,
+  testRadarrConnection,
+  buildLibraryState,
+  getRadarrLibrary,
+  getLibraryState,
+  invalidateLibraryState,
+  annotateLibraryState,
+  annotateTenantMovies,
+  getExclusionLibrary,
+  excludeOwnedMovies,
+  getPushCandidates,
+  pushMoviesToRadarr,
+  pushTenantMovies,
+  appendPushLog,
+  recordPushRun
+};
@@ -0,0 +1,208 @@
+// lib/rateLimit.js
+// Rate limiting shared by every route, with counters in the configured storage so limits hold across instances
+
+const logger = require('../utils/logger');
+
+const { getCacheStorage } = require('./kv');
+
+/**
+ * Sliding-window counters: each policy window has a counter per client
+ * (`ratelimit:<policy>:<client>:<window>`), and a request is weighed against the
+ * current window plus the previous one scaled by how much of it still overlaps
+ * the last `windowMs`. That approximates a true sliding window with two keys and
+ * an atomic INCR, so it works the same on Redis, the file store and memory.
+ *
+ * A request over the limit is refused before it is counted, so a client that keeps
+ * retrying is let back in as soon as its earlier requests age out. Only when another
+ * instance counts a request between that check and the INCR is the refused request
+ * counted too. If storage fails mid-request, the in-process `RateLimiter` below takes
+ * over for that instance.
+ */
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Every route's limits, keyed by policy name; the client key (IP, user or API key) is chosen by the caller
+const RATE_LIMIT_POLICIES = {
+  // Default for createApiHandler routes that enable rate limiting without naming a policy (per IP)
+  api: { limit: 60, windowMs: MINUTE },
+  // Admin endpoints (per IP)
+  admin: { limit: 10, windowMs: MINUTE },
+  // RSS, Atom, JSON Feed and the Radarr JSON list share one budget (per IP)
+  feed: { limit: 30, windowMs: MINUTE },
+  // Tenant searches (per user)
+  'search-people': { limit: 20, windowMs: MINUTE },
+  'search-collections': { limit: 20, windowMs: MINUTE },
+  'search-companies': { limit: 20, windowMs: MINUTE },
+  // Passphrase and sign-in link attempts (per IP); each passphrase check is a deliberately slow scrypt
+  login: { limit: 30, windowMs: 15 * MINUTE },
+  // Signed-out demo (per IP)
+  'demo-search-people': { limit: 8, windowMs: HOUR },
+  'demo-search-collections': { limit: 5, windowMs: HOUR },
+  'demo-search-companies': { limit: 5, windowMs: HOUR },
+  'demo-filmography': { limit: 12, windowMs: HOUR }
+};
+
+/**
+ * In-process sliding-log limiter, used when the shared store can't be reached
+ */
+class RateLimiter {
+  constructor() {
+    this.store = new Map();
+    this.cleanupInterval = setInterval(() => this.cleanup(), 5 * 60 * 1000); // Cleanup every 5 minutes
+    this.cleanupInterval.unref?.();
+  }
+
+  checkLimit(key, windowMs, maxRequests) {
+    const now = Date.now();
+    const requests = this.store.get(key) || [];
+
+    // Filter out old requests
+    const validRequests = requests.filter(timestamp => now - timestamp < windowMs);
+
+    if (validRequests.length >= maxRequests) {
+      return {
+        allowed: false,
+        remaining: 0,
+        resetTime: validRequests[0] + windowMs
+      };
+    }
+
+    // Add current request
+    validRequests.push(now);
+    this.store.set(key, validRequests);
+
+    return {
+      allowed: true,
+      remaining: maxRequests - validRequests.length,
+      resetTime: now + windowMs
+    };
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, requests] of this.store.entries()) {
+      const validRequests = requests.filter(timestamp => now - timestamp < 60 * 60 * 1000); // Keep last hour
+      if (validRequests.length === 0) {
+        this.store.delete(key);
+      } else {
+        this.store.set(key, validRequests);
+      }
+    }
+  }
+
+  destroy() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+    }
+    this.store.clear();
+  }
+}
+
+const globalRateLimiter = new RateLimiter();
+
+/**
+ * Resolve a policy name, or an inline `{ name, limit | maxRequests, windowMs }` policy.
+ * The name keys the counters, so an inline policy needs its own (per-key API limits use 'api-key').
+ */
+function resolvePolicy(policy) {
+  if (typeof policy === 'string') {
+    const configured = RATE_LIMIT_POLICIES[policy];
+    if (!configured) {
+      throw new Error(`Unknown rate limit policy: ${policy}`);
+    }
+    return { name: policy, ...configured };
+  }
+
+  const { name, limit, maxRequests, windowMs = MINUTE } = policy || {};
+  if (!name || RATE_LIMIT_POLICIES[name]) {
+    throw new Error('Inline rate limit policies need a name of their own');
+  }
+  return { name, limit: limit ?? maxRequests ?? RATE_LIMIT_POLICIES.api.limit, windowMs };
+}
+
+function getClientIP(request) {
+  const forwarded = request.headers.get('x-forwarded-for');
+  const realIP = request.headers.get('x-real-ip');
+  const cfConnectingIP = request.headers.get('cf-connecting-ip');
+
+  return cfConnectingIP ||
+         (forwarded ? forwarded.split(',')[0].trim() : null) ||
+         realIP ||
+         'unknown';
+}
+
+function buildResult(policy, allowed, used, resetTime) {
+  return {
+    allowed,
+    limit: policy.limit,
+    remaining: Math.max(0, Math.floor(policy.limit - used)),
+    resetTime,
+    retryAfter: Math.max(1, Math.ceil((resetTime - Date.now()) / 1000)),
+    policy
+  };
+}
+
+/**
+ * Count a request against a policy
+ * @param {string|Object} policyOrName - Name from RATE_LIMIT_POLICIES, or an inline policy
+ * @param {string} clientKey - Who is limited: an IP, user ID or hashed API key
+ * @returns {Promise<Object>} - { allowed, limit, remaining, resetTime, retryAfter, policy }
+ */
+async function consumeRateLimit(policyOrName, clientKey) {
+  const policy = resolvePolicy(policyOrName);
+  const now = Date.now();
+  const window = Math.floor(now / policy.windowMs);
+  const resetTime = (window + 1) * policy.windowMs;
+  const keyPrefix = `ratelimit:${policy.name}:${clientKey}`;
+  // Share of the previous window that still falls inside the sliding window
+  const previousWeight = 1 - (now - window * policy.windowMs) / policy.windowMs;
+
+  try {
+    // Shared across instances with Redis; per process otherwise (never written to the file store)
+    const client = await getCacheStorage();
+    const [previous, current] = await Promise.all([
+      client.get(`${keyPrefix}:${window - 1}`),
+      client.get(`${keyPrefix}:${window}`)
+    ]);
+    const carried = (parseInt(previous, 10) || 0) * previousWeight;
+
+    if (carried + (parseInt(current, 10) || 0) + 1 > policy.limit) {
+      return buildResult(policy, false, policy.limit, resetTime);
+    }
+
+    // The atomic count decides when other instances counted requests since the read above
+    const count = await client.incr(`${keyPrefix}:${window}`, { EX: Math.ceil((2 * policy.windowMs) / 1000) });
+    const used = carried + count;
+    return buildResult(policy, used <= policy.limit, used, resetTime);
+  } catch (error) {
+    logger.warn(`Rate limit storage unavailable, limiting ${policy.name} in memory:`, error.message);
+    const fallback = globalRateLimiter.checkLimit(keyPrefix, policy.windowMs, policy.limit);
+    return buildResult(policy, fallback.allowed, policy.limit - fallback.remaining, fallback.resetTime);
+  }
+}
+
+/**
+ * Standard RateLimit-* response headers (plus Retry-After once the limit is hit)
+ * @param {Object} result - Result of consumeRateLimit
+ * @returns {Object} - Header name -> value
+ */
+function rateLimitHeaders(result) {
+  return {
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(Math.max(0, Math.ceil((result.resetTime - Date.now()) / 1000))),
+    'RateLimit-Policy': `${result.limit};w=${Math.round(result.policy.windowMs / 1000)}`,
+    ...(!result.allowed && { 'Retry-After': String(result.retryAfter) })
+  };
+}
+
+module.exports = {
+  RATE_LIMIT_POLICIES,
+  RateLimiter,
+  globalRateLimiter,
+  resolvePolicy,
+  getClientIP,
+  consumeRateLimit,
+  rateLimitHeaders
+};
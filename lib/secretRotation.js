@@ -0,0 +1,131 @@
+// lib/secretRotation.js
+// Tenant secret rotation: revoke leaked feed URLs, optionally keeping the old ones alive for a while
+
+/**
+ * Every signed URL (RSS, list, API calls) is an HMAC of the tenant secret, so replacing
+ * the secret revokes all of them at once. For a grace period the previous secret stays
+ * valid for feed URLs only, so Radarr keeps working until its list URL is updated:
+ *   tenant.previousTenantSecret      old secret, only while the grace period runs
+ *   tenant.previousSecretExpiresAt   ISO date the old feed URLs stop working
+ *   tenant.secretRotations           JSON string, newest first:
+ *     [{ rotatedAt, graceHours, graceUntil, previousSecretFingerprint, reason }]
+ * History entries never contain secrets; the fingerprint identifies which secret was retired.
+ */
+
+const crypto = require('crypto');
+
+const MAX_GRACE_HOURS = 7 * 24;
+const MAX_ROTATION_HISTORY = 20;
+const MAX_REASON_LENGTH = 200;
+
+/**
+ * Validate the requested grace period
+ * @param {*} value - Hours the old feed URLs stay valid (0 or missing revokes immediately)
+ * @returns {Object} - { valid, graceHours, error }
+ */
+function normalizeGraceHours(value) {
+  if (value === undefined || value === null || value === '') {
+    return { valid: true, graceHours: 0 };
+  }
+
+  const graceHours = Number(value);
+  if (!Number.isInteger(graceHours) || graceHours < 0 || graceHours > MAX_GRACE_HOURS) {
+    return { valid: false, error: `graceHours must be a whole number between 0 and ${MAX_GRACE_HOURS}` };
+  }
+
+  return { valid: true, graceHours };
+}
+
+function fingerprintSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex').substring(0, 12);
+}
+
+// Same shape create-user issues: 32 hex characters
+function generateTenantSecret() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Read the rotation history from a stored tenant record
+ * @param {Object} tenant - Tenant data
+ * @returns {Array} - Rotation entries, newest first
+ */
+function getSecretRotations(tenant) {
+  if (!tenant || !tenant.secretRotations) return [];
+
+  try {
+    const rotations = typeof tenant.secretRotations === 'string' ? JSON.parse(tenant.secretRotations) : tenant.secretRotations;
+    return Array.isArray(rotations) ? rotations : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * The previous secret, while its grace period is still running
+ * @param {Object} tenant - Tenant data
+ * @param {Date} now - Reference time
+ * @returns {string|null}
+ */
+function getGraceSecret(tenant, now = new Date()) {
+  if (!tenant || !tenant.previousTenantSecret || !tenant.previousSecretExpiresAt) return null;
+  return new Date(tenant.previousSecretExpiresAt) > now ? tenant.previousTenantSecret : null;
+}
+
+/**
+ * Secrets accepted for feed URLs (RSS and list): the current one, then the grace one
+ * @param {Object} tenant - Tenant data
+ * @returns {Array<string>}
+ */
+function getFeedSecrets(tenant) {
+  const graceSecret = getGraceSecret(tenant);
+  return graceSecret ? [tenant.tenantSecret, graceSecret] : [tenant.tenantSecret];
+}
+
+/**
+ * Issue a new tenant secret
+ * @param {Object} tenant - Tenant data
+ * @param {Object} options - { graceHours, reason, now }
+ * @returns {Object} - { tenant: updated tenant, rotation: history entry }
+ */
+function rotateTenantSecret(tenant, options = {}) {
+  const { graceHours = 0, reason = '', now = new Date() } = options;
+  const graceUntil = graceHours > 0 ? new Date(now.getTime() + graceHours * 60 * 60 * 1000).toISOString() : null;
+
+  const rotation = {
+    rotatedAt: now.toISOString(),
+    graceHours,
+    graceUntil,
+    previousSecretFingerprint: fingerprintSecret(tenant.tenantSecret),
+    reason: String(reason || '').trim().substring(0, MAX_REASON_LENGTH)
+  };
+
+  const updated = {
+    ...tenant,
+    tenantSecret: generateTenantSecret(),
+    secretRotations: JSON.stringify([rotation, ...getSecretRotations(tenant)].slice(0, MAX_ROTATION_HISTORY))
+  };
+
+  // A second rotation inside a grace period retires the older secret immediately
+  if (graceUntil) {
+    updated.previousTenantSecret = tenant.tenantSecret;
+    updated.previousSecretExpiresAt = graceUntil;
+  } else {
+    delete updated.previousTenantSecret;
+    delete updated.previousSecretExpiresAt;
+  }
+
+  return { tenant: updated, rotation };
+}
+
+// CommonJS exports
+module.exports = {
+  MAX_GRACE_HOURS,
+  MAX_ROTATION_HISTORY,
+  normalizeGraceHours,
+  fingerprintSecret,
+  getSecretRotations,
+  getGraceSecret,
+  getFeedSecrets,
+  rotateTenantSecret
+};
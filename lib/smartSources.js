@@ -0,0 +1,353 @@
+// lib/smartSources.js
+// Server-side "smart sources": followed people, collections and studios whose new releases
+// are added to the tenant's list automatically, without the browser being open
+
+const logger = require('../utils/logger');
+const { extractMovieIds } = require('../utils/filmography');
+const { getCollectionRevision } = require('../utils/collectionSync');
+const { getTenantExclusions } = require('../utils/exclusions');
+const { deduplicateMoviesWithStats } = require('../utils/movieDeduplication');
+
+const { getStorage, loadTenant, updateTenant } = require('./kv');
+const { enrichMovies } = require('./movieEnrichment');
+const { queueCachedTmdbRequest } = require('./tmdbCache');
+
+const TMDB_BASE = 'https://api.themoviedb.org/3';
+const MAX_NEW_MOVIES_PER_SOURCE = 20; // Per refresh, keeps a single run's TMDb usage bounded
+const COMPANY_PAGES = 2; // Studios are resolved newest-first, older catalog pages never change
+const REFRESH_BUDGET_MS = 50 * 1000; // A scheduled run starts no new batch after this...
+const REFRESH_CURSOR_KEY = 'smart-sources:cursor'; // ...and the next run picks up from here
+const REFRESH_BATCH_SIZE = 20; // Tenant keys per SCAN call
+
+/**
+ * A rule lives on the role it follows: `role.autoInclude` turns it on, `role.knownMovieIds`
+ * is the baseline of TMDb ids already seen, so only credits that appear later are added.
+ */
+function isSmartRole(role) {
+  return Boolean(role && role.autoInclude === true);
+}
+
+function parsePeople(people) {
+  if (Array.isArray(people)) return people;
+  try {
+    const parsed = JSON.parse(people || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * List every smart rule defined on a tenant's sources
+ * @param {Array} people - People/collections
+ * @returns {Array} - [{ person, role }]
+ */
+function getSmartRules(people) {
+  return parsePeople(people).flatMap(person =>
+    (person.roles || []).filter(isSmartRole).map(role => ({ person, role }))
+  );
+}
+
+/**
+ * Resolve the current TMDb movie ids for one rule
+ * @param {Object} person - Person or collection
+ * @param {Object} role - Role carrying the rule
+ * @param {string} apiKey - Tenant's TMDb key
+ * @returns {Promise<Array>} - TMDb movie ids, newest first
+ */
+async function resolveSourceMovieIds(person, role, apiKey) {
+  if (person.type === 'collection') {
+    if (role.type === 'company') {
+      const ids = [];
+      for (let page = 1; page <= COMPANY_PAGES; page++) {
+        const data = await queueCachedTmdbRequest(
+          `${TMDB_BASE}/discover/movie?api_key=${apiKey}&with_companies=${person.id}&sort_by=release_date.desc&page=${page}`
+        );
+        ids.push(...(data.results || []).filter(movie => movie && movie.release_date).map(movie => movie.id));
+        if (page >= (data.total_pages || 1)) break;
+      }
+      return ids;
+    }
+
+    const collection = await queueCachedTmdbRequest(`${TMDB_BASE}/collection/${person.id}?api_key=${apiKey}`);
+    return (collection.parts || [])
+      .filter(movie => movie && movie.release_date)
+      .map(movie => movie.id);
+  }
+
+  const credits = await queueCachedTmdbRequest(`${TMDB_BASE}/person/${person.id}/movie_credits?api_key=${apiKey}`);
+  return extractMovieIds(credits, role.type);
+}
+
+// Fetch details for newly found movies, skipping anything without an IMDb id (Radarr needs it)
+async function fetchNewMovies(movieIds, apiKey) {
+  const addedAt = new Date().toISOString();
+  const { movies } = await enrichMovies(movieIds, apiKey);
+
+  return movies.map(movie => ({
+    ...movie,
+    selected: true,
+    autoAdded: true,
+    addedAt
+  }));
+}
+
+// A newly added movie and the rule that found it, as reported in `added`
+function toSelectedMovie(movie, person, role) {
+  return {
+    ...movie,
+    source: {
+      type: person.type === 'collection' ? 'collection' : 'person',
+      name: person.name,
+      role: role.type
+    }
+  };
+}
+
+function ruleKey(person, role) {
+  return `${person.id}:${role.type}`;
+}
+
+/**
+ * Merge resolved rules into a tenant's people. The TMDb lookups take a while and a sync may land
+ * in the meantime, so new movies and baselines go into the rules as they are stored now; rules
+ * removed or switched off since are left alone. The feed is rebuilt from the merged people like a
+ * sync rebuilds it, so duplicates and excluded movies stay out.
+ * @param {Object} tenant - Tenant data
+ * @param {Array} resolved - [{ key, movies, knownMovieIds, lastResolvedAt }] from refreshSmartSources
+ * @returns {Object} - { people, selectedMovies, added }
+ */
+function applySmartRefresh(tenant, resolved) {
+  const byRule = new Map(resolved.map(entry => [entry.key, entry]));
+  const added = [];
+
+  const people = parsePeople(tenant.people).map(person => {
+    if (!Array.isArray(person.roles)) return person;
+
+    return {
+      ...person,
+      roles: person.roles.map(role => {
+        const entry = isSmartRole(role) ? byRule.get(ruleKey(person, role)) : null;
+        if (!entry) return role;
+
+        const movies = role.movies || [];
+        const listedIds = new Set(movies.map(movie => movie.id));
+        const newMovies = entry.movies.filter(movie => !listedIds.has(movie.id));
+        added.push(...newMovies.map(movie => toSelectedMovie(movie, person, role)));
+
+        return {
+          ...role,
+          movies: [...newMovies, ...movies],
+          knownMovieIds: [...new Set([...(role.knownMovieIds || []), ...entry.knownMovieIds])],
+          lastResolvedAt: entry.lastResolvedAt
+        };
+      })
+    };
+  });
+
+  return {
+    people,
+    selectedMovies: deduplicateMoviesWithStats(people, getTenantExclusions(tenant)).movies,
+    added
+  };
+}
+
+/**
+ * Re-resolve every smart rule on a tenant against TMDb
+ * @param {Object} tenant - Tenant data
+ * @returns {Promise<Object>} - { people, selectedMovies, added, resolved, errors, sourcesChecked }
+ */
+async function refreshSmartSources(tenant) {
+  const rules = getSmartRules(tenant.people);
+  const resolved = [];
+  const errors = [];
+  const now = new Date().toISOString();
+
+  for (const { person, role } of rules) {
+    try {
+      const resolvedIds = await resolveSourceMovieIds(person, role, tenant.tmdbKey);
+      const movies = role.movies || [];
+
+      // First run only records the baseline - the rule is about releases that show up from now on
+      if (!Array.isArray(role.knownMovieIds)) {
+        resolved.push({
+          key: ruleKey(person, role),
+          movies: [],
+          knownMovieIds: [...new Set([...resolvedIds, ...movies.map(movie => movie.id)])],
+          lastResolvedAt: now
+        });
+        continue;
+      }
+
+      const seenIds = new Set([...role.knownMovieIds, ...movies.map(movie => movie.id)]);
+      const candidateIds = resolvedIds
+        .filter(id => !seenIds.has(id))
+        .slice(0, MAX_NEW_MOVIES_PER_SOURCE);
+
+      const newMovies = await fetchNewMovies(candidateIds, tenant.tmdbKey);
+
+      // Movies still missing an IMDb id stay out of the baseline so a later run can pick them up
+      resolved.push({
+        key: ruleKey(person, role),
+        movies: newMovies,
+        knownMovieIds: newMovies.map(movie => movie.id),
+        lastResolvedAt: now
+      });
+    } catch (error) {
+      logger.warn(`Smart source ${person.name} (${role.type}) failed:`, error.message);
+      errors.push({ source: person.name, role: role.type, error: error.message });
+    }
+  }
+
+  return {
+    ...applySmartRefresh(tenant, resolved),
+    resolved,
+    errors,
+    sourcesChecked: rules.length
+  };
+}
+
+/**
+ * Refresh smart sources for one tenant and persist any changes
+ * @param {string} userId - Tenant id
+ * @returns {Promise<Object>} - { sourcesChecked, moviesAdded, errors }
+ */
+async function refreshTenantSmartSources(userId) {
+  const tenant = await loadTenant(userId);
+  if (!tenant || !tenant.tmdbKey) {
+    return { sourcesChecked: 0, moviesAdded: 0, errors: [] };
+  }
+
+  if (getSmartRules(tenant.people).length === 0) {
+    return { sourcesChecked: 0, moviesAdded: 0, errors: [] };
+  }
+
+  const { resolved, errors, sourcesChecked } = await refreshSmartSources(tenant);
+  const now = new Date().toISOString();
+
+  // Applied to the tenant as stored at write time, not the copy TMDb was queried for
+  let added = [];
+  await updateTenant(userId, current => {
+    if (!current) return null;
+
+    const result = applySmartRefresh(current, resolved);
+    added = result.added;
+
+    // New movies count as a sync, so feeds stop answering 304 and browsers pull the additions
+    return {
+      ...current,
+      people: JSON.stringify(result.people),
+      selectedMovies: JSON.stringify(result.selectedMovies),
+      movieCount: result.selectedMovies.length,
+      lastSmartRefresh: now,
+      ...(added.length > 0 && { lastSync: now, revision: getCollectionRevision(current) + 1 })
+    };
+  });
+
+  if (added.length > 0) {
+    logger.info(`Smart sources added ${added.length} movies for ${userId}`);
+  }
+
+  return {
+    sourcesChecked,
+    moviesAdded: added.length,
+    errors
+  };
+}
+
+/**
+ * Refresh smart sources for every tenant (used by the scheduled job). Tenants are walked with
+ * SCAN in batches; once the time budget is spent the run stops after its current batch and
+ * stores the cursor, so the next run continues with the tenants this one didn't reach.
+ * @param {Object} options - { budgetMs }
+ * @returns {Promise<Object>} - Run summary; `complete` is false when tenants were left for the next run
+ */
+async function refreshAllSmartSources(options = {}) {
+  const { budgetMs = REFRESH_BUDGET_MS } = options;
+  const deadline = Date.now() + budgetMs;
+  const client = await getStorage();
+  const summary = { tenants: 0, sourcesChecked: 0, moviesAdded: 0, errors: 0, complete: false };
+
+  let cursor = (await client.get(REFRESH_CURSOR_KEY)) || '0';
+  do {
+    const batch = await client.scan(cursor, { MATCH: 'tenant:*', COUNT: REFRESH_BATCH_SIZE });
+    cursor = batch.cursor;
+
+    // Sequential on purpose: every tenant shares the TMDb request queue
+    for (const key of batch.keys) {
+      const userId = key.substring('tenant:'.length);
+      try {
+        const result = await refreshTenantSmartSources(userId);
+        if (result.sourcesChecked > 0) summary.tenants++;
+        summary.sourcesChecked += result.sourcesChecked;
+        summary.moviesAdded += result.moviesAdded;
+        summary.errors += result.errors.length;
+      } catch (error) {
+        logger.error(`Smart source refresh failed for ${userId}:`, error.message);
+        summary.errors++;
+      }
+    }
+  } while (cursor !== '0' && Date.now() < deadline);
+
+  if (cursor === '0') {
+    summary.complete = true;
+    await client.del(REFRESH_CURSOR_KEY);
+  } else {
+    logger.info('Smart source refresh ran out of time, continuing on the next run');
+    await client.set(REFRESH_CURSOR_KEY, cursor, { EX: 60 * 60 * 24 });
+  }
+
+  return summary;
+}
+
+/**
+ * Keep server-side smart source state when the browser syncs an older copy of the list.
+ * Movies added by a refresh (and the rule baseline) survive until the client has seen them;
+ * anything the client sends explicitly (e.g. a deselected movie) wins. The caller rebuilds the
+ * feed from the returned people.
+ * @param {Object} incoming - { people } from the client
+ * @param {Array|string} storedPeople - People currently stored on the tenant
+ * @returns {Object} - { people }
+ */
+function mergeAutoAddedMovies({ people }, storedPeople) {
+  const stored = parsePeople(storedPeople);
+
+  const mergedPeople = (Array.isArray(people) ? people : []).map(person => {
+    const storedPerson = stored.find(p => p.id === person.id);
+    if (!storedPerson || !Array.isArray(person.roles)) return person;
+
+    return {
+      ...person,
+      roles: person.roles.map(role => {
+        const storedRole = (storedPerson.roles || []).find(r => r.type === role.type);
+        if (!isSmartRole(role) || !isSmartRole(storedRole)) return role;
+
+        const movies = role.movies || [];
+        const clientIds = new Set(movies.map(movie => movie.id));
+        const missing = (storedRole.movies || []).filter(movie => movie.autoAdded && !clientIds.has(movie.id));
+
+        return {
+          ...role,
+          movies: [...missing, ...movies],
+          knownMovieIds: role.knownMovieIds || storedRole.knownMovieIds,
+          lastResolvedAt: role.lastResolvedAt || storedRole.lastResolvedAt
+        };
+      })
+    };
+  });
+
+  return { people: mergedPeople };
+}
+
+// CommonJS exports
+module.exports = {
+  MAX_NEW_MOVIES_PER_SOURCE,
+  isSmartRole,
+  getSmartRules,
+  resolveSourceMovieIds,
+  applySmartRefresh,
+  refreshSmartSources,
+  refreshTenantSmartSources,
+  refreshAllSmartSources,
+  mergeAutoAddedMovies
+};
@@ -0,0 +1,218 @@
+// lib/sourceStream.js
+// Server-side loading of large sources (studio catalogs, long filmographies) as Server-Sent Events
+
+/**
+ * The browser never sees the tenant's TMDb key: /api/stream-source-movies runs this on the
+ * server and the client only receives events:
+ *   start       { sourceName, sourceType, totalResults, totalPages }
+ *   movies      { movies, loadedPages, totalPages }   enriched, library-annotated, pre-selected
+ *   progress    { loadedPages, totalPages, moviesLoaded, totalEstimated, percentage }
+ *   rate-limit  { retryInSeconds }
+ *   complete    { totalFound, withImdbIds }
+ *   stream-error { error }   (not `error`, which EventSource reserves for connection failures)
+ * Studio pages go through tmdbClient.startStreamingLoad and are written to the shared TMDb
+ * cache; person credits are enriched in chunks so long filmographies appear progressively.
+ */
+
+const logger = require('../utils/logger');
+const { tmdbClient } = require('../utils/tmdbClient');
+const { extractMovieCredits } = require('../utils/filmography');
+
+const { enrichMovies } = require('./movieEnrichment');
+const { annotateTenantMovies } = require('./radarr');
+const { queueCachedTmdbRequest, setCachedResponse } = require('./tmdbCache');
+
+const TMDB_BASE = 'https://api.themoviedb.org/3';
+const STREAM_SOURCE_TYPES = ['person', 'collection', 'company'];
+const CREDIT_CHUNK_SIZE = 40; // Credits enriched per `movies` event
+
+/**
+ * Serialize one SSE event
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ * @returns {string} - Wire format, terminated by a blank line
+ */
+function formatSseEvent(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Errors are shown in the browser, so only pass through messages that are meant for users
+function describeStreamError(error) {
+  const message = error?.message || '';
+  if (message.includes('401')) return 'Invalid TMDb API key';
+  if (message.includes('404')) return 'Source not found on TMDb';
+  if (message.includes('rate limit')) return message;
+  return 'Failed to load movies';
+}
+
+function toListingMovie(movie) {
+  return {
+    id: movie.id,
+    title: movie.title,
+    poster_path: movie.poster_path,
+    overview: movie.overview,
+    vote_average: movie.vote_average || 0,
+    release_date: movie.release_date,
+    selected: true
+  };
+}
+
+function toProgress(loadedPages, totalPages, moviesLoaded, totalEstimated) {
+  return {
+    loadedPages,
+    totalPages,
+    moviesLoaded,
+    totalEstimated,
+    percentage: totalPages > 0 ? Math.round((loadedPages / totalPages) * 100) : 100
+  };
+}
+
+/**
+ * Create the per-request emitter that enriches listing movies and sends them
+ * @returns {Object} - { emitMovies(movies, loadedPages, totalPages), counts }
+ */
+function createMovieEmitter({ userId, tenant, send, totalEstimated }) {
+  const counts = { listed: 0, withImdbIds: 0 };
+
+  async function emitMovies(listingMovies, loadedPages, totalPages) {
+    counts.listed += listingMovies.length;
+    const { movies } = await enrichMovies(listingMovies, tenant.tmdbKey);
+    const annotated = await annotateTenantMovies(userId, tenant, movies);
+    counts.withImdbIds += movies.length;
+
+    send('movies', { movies: annotated.movies, loadedPages, totalPages });
+    send('progress', toProgress(loadedPages, totalPages, counts.withImdbIds, totalEstimated));
+  }
+
+  return { emitMovies, counts };
+}
+
+async function streamPerson({ userId, tenant, sourceId, roleType, send, signal }) {
+  const [person, credits] = await Promise.all([
+    queueCachedTmdbRequest(`${TMDB_BASE}/person/${sourceId}?api_key=${tenant.tmdbKey}`),
+    queueCachedTmdbRequest(`${TMDB_BASE}/person/${sourceId}/movie_credits?api_key=${tenant.tmdbKey}`)
+  ]);
+
+  const roleCredits = extractMovieCredits(credits, roleType);
+  const totalPages = Math.max(1, Math.ceil(roleCredits.length / CREDIT_CHUNK_SIZE));
+  send('start', { sourceName: person.name, sourceType: 'person', totalResults: roleCredits.length, totalPages });
+
+  const { emitMovies, counts } = createMovieEmitter({ userId, tenant, send, totalEstimated: roleCredits.length });
+  for (let page = 1; page <= totalPages && !signal?.aborted; page++) {
+    const chunk = roleCredits.slice((page - 1) * CREDIT_CHUNK_SIZE, page * CREDIT_CHUNK_SIZE);
+    await emitMovies(chunk.map(toListingMovie), page, totalPages);
+  }
+
+  return { totalFound: roleCredits.length, withImdbIds: counts.withImdbIds };
+}
+
+async function streamCollection({ userId, tenant, sourceId, send }) {
+  const collection = await queueCachedTmdbRequest(`${TMDB_BASE}/collection/${sourceId}?api_key=${tenant.tmdbKey}`);
+  const parts = (collection.parts || [])
+    .filter(movie => movie && movie.title && movie.release_date)
+    .sort((a, b) => new Date(b.release_date) - new Date(a.release_date));
+
+  send('start', { sourceName: collection.name, sourceType: 'collection', totalResults: parts.length, totalPages: 1 });
+
+  const { emitMovies, counts } = createMovieEmitter({ userId, tenant, send, totalEstimated: parts.length });
+  await emitMovies(parts.map(toListingMovie), 1, 1);
+
+  return { totalFound: parts.length, withImdbIds: counts.withImdbIds };
+}
+
+async function streamCompany({ userId, tenant, sourceId, send, signal }) {
+  const baseUrl = `${TMDB_BASE}/discover/movie?api_key=${tenant.tmdbKey}&with_companies=${sourceId}&sort_by=release_date.desc`;
+
+  const [company, firstPage] = await Promise.all([
+    queueCachedTmdbRequest(`${TMDB_BASE}/company/${sourceId}?api_key=${tenant.tmdbKey}`).catch(error => {
+      logger.warn('Failed to get company name:', error.message);
+      return { name: 'Unknown Company' };
+    }),
+    queueCachedTmdbRequest(`${baseUrl}&page=1`)
+  ]);
+
+  const totalResults = firstPage.total_results || 0;
+  const totalPages = firstPage.total_pages || 1;
+  send('start', { sourceName: company.name, sourceType: 'company', totalResults, totalPages });
+
+  const { emitMovies, counts } = createMovieEmitter({ userId, tenant, send, totalEstimated: totalResults });
+  const listFromPage = (data) => (data.results || [])
+    .filter(movie => movie && movie.title && movie.release_date)
+    .map(toListingMovie);
+
+  await emitMovies(listFromPage(firstPage), 1, totalPages);
+
+  if (totalPages > 1 && !signal?.aborted) {
+    await streamRemainingPages({ baseUrl, totalPages, send, signal, emitMovies });
+  }
+
+  return { totalFound: totalResults, withImdbIds: counts.withImdbIds };
+}
+
+// Pages 2..n through the shared TMDb queue; resolves once every page has been enriched and sent
+function streamRemainingPages({ baseUrl, totalPages, send, signal, emitMovies }) {
+  const streamId = `source-stream-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const pending = [];
+  let loadedPages = 1;
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      tmdbClient.cancelStream(streamId);
+      resolve();
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const finish = (callback) => {
+      signal?.removeEventListener('abort', onAbort);
+      callback();
+    };
+
+    tmdbClient.startStreamingLoad(baseUrl, totalPages, streamId, {
+      onPageData: (data, page) => {
+        setCachedResponse(`${baseUrl}&page=${page}`, data);
+      },
+      onMoviesBatch: (movies) => {
+        loadedPages++;
+        pending.push(emitMovies(movies, loadedPages, totalPages));
+      },
+      onRateLimit: (retryInSeconds) => {
+        send('rate-limit', { retryInSeconds });
+      },
+      onComplete: () => {
+        Promise.all(pending).then(() => finish(resolve), error => finish(() => reject(error)));
+      },
+      onError: (error) => {
+        tmdbClient.cancelStream(streamId);
+        finish(() => reject(error));
+      },
+      onCancel: () => finish(resolve)
+    });
+  });
+}
+
+/**
+ * Load a source and report it through `send`; never throws, failures become `stream-error`
+ * @param {Object} options - { userId, tenant, sourceType, sourceId, roleType, send(event, data), signal }
+ * @returns {Promise<void>}
+ */
+async function streamSourceMovies(options) {
+  const { sourceType, sourceId, send, signal } = options;
+  const loaders = new Map([['person', streamPerson], ['collection', streamCollection], ['company', streamCompany]]);
+
+  try {
+    const summary = await loaders.get(sourceType)(options);
+    if (!signal?.aborted) {
+      send('complete', summary);
+    }
+  } catch (error) {
+    logger.error(`Source stream failed for ${sourceType} ${sourceId}:`, error.message);
+    send('stream-error', { error: describeStreamError(error) });
+  }
+}
+
+// CommonJS exports
+module.exports = {
+  STREAM_SOURCE_TYPES,
+  formatSseEvent,
+  streamSourceMovies
+};
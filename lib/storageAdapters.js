@@ -0,0 +1,392 @@
+// lib/storageAdapters.js
+// Storage adapters behind lib/kv.js - Redis, durable JSON file, and volatile memory
+
+const fs = require('fs');
+const path = require('path');
+
+const logger = require('../utils/logger');
+
+/**
+ * Every adapter implements the same Redis-shaped subset, so callers never care which one is active:
+ *
+ *   get(key)                          -> Promise<string|null>
+ *   set(key, value, { EX })           -> Promise<'OK'>         (EX = TTL in seconds)
+ *   del(key)                          -> Promise<number>       (keys removed)
+ *   incr(key, { EX })                 -> Promise<number>       (atomic counter, EX refreshes the TTL)
+ *   compareAndSet(key, expected, value, { EX }) -> Promise<boolean>
+ *                                        (writes only while the key still holds `expected`; null = absent)
+ *   lpush(key, value, { MAXLEN, EX }) -> Promise<number>       (prepend to a list; MAXLEN keeps the newest, EX refreshes the TTL)
+ *   lrange(key, start, stop)          -> Promise<string[]>     (inclusive, negative = from the end, 0 -1 = all)
+ *   keys(pattern)                     -> Promise<string[]>     (glob: * and ?)
+ *   scan(cursor, { MATCH, COUNT })    -> Promise<{ cursor, keys }> (cursor '0' = done)
+ *   ping()                            -> Promise<'PONG'>
+ *
+ * plus `name` ('redis' | 'file' | 'memory') and `persistent` (survives a restart).
+ */
+
+// Convert a Redis glob pattern to a RegExp
+function patternToRegExp(pattern = '*') {
+  const escaped = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+// In-memory storage with TTL simulation
+class MemoryStorage {
+  constructor() {
+    this.name = 'memory';
+    this.persistent = false;
+    this.store = new Map();
+    this.expirations = new Map();
+    this.cleanupInterval = setInterval(() => this.cleanup(), 60000).unref(); // Cleanup every minute, unref to not keep process alive
+  }
+
+  set(key, value, options = {}) {
+    this.store.set(key, value);
+    if (options.EX) {
+      // Set expiration time
+      this.expirations.set(key, Date.now() + (options.EX * 1000));
+    } else {
+      this.expirations.delete(key);
+    }
+    this.onChange();
+    return Promise.resolve('OK');
+  }
+
+  get(key) {
+    return Promise.resolve(this.read(key));
+  }
+
+  // Synchronous read that drops the key once it has expired
+  read(key) {
+    const expiration = this.expirations.get(key);
+    if (expiration && Date.now() > expiration) {
+      this.store.delete(key);
+      this.expirations.delete(key);
+      this.onChange();
+      return null;
+    }
+    return this.store.get(key) || null;
+  }
+
+  // Compare and write in the same tick: nothing else in this process can write the key in between
+  compareAndSet(key, expected, value, options = {}) {
+    if (this.read(key) !== expected) {
+      return Promise.resolve(false);
+    }
+    this.set(key, value, options);
+    return Promise.resolve(true);
+  }
+
+  // Read and write happen in one tick, so concurrent requests in this process never lose a count
+  incr(key, options = {}) {
+    const expiration = this.expirations.get(key);
+    const expired = expiration && Date.now() > expiration;
+    const count = (expired ? 0 : parseInt(this.store.get(key), 10) || 0) + 1;
+    this.set(key, String(count), options);
+    return Promise.resolve(count);
+  }
+
+  // Lists are arrays, newest first; the push and the trim happen in the same tick
+  lpush(key, value, options = {}) {
+    const current = this.read(key);
+    const list = [value, ...(Array.isArray(current) ? current : [])];
+    this.store.set(key, options.MAXLEN ? list.slice(0, options.MAXLEN) : list);
+    if (options.EX) {
+      this.expirations.set(key, Date.now() + (options.EX * 1000));
+    }
+    this.onChange();
+    return Promise.resolve(list.length);
+  }
+
+  lrange(key, start, stop) {
+    const list = this.read(key);
+    if (!Array.isArray(list)) return Promise.resolve([]);
+    const from = start < 0 ? Math.max(0, list.length + start) : start;
+    const to = stop < 0 ? list.length + stop + 1 : stop + 1;
+    return Promise.resolve(list.slice(from, to));
+  }
+
+  del(key) {
+    const existed = this.store.delete(key);
+    this.expirations.delete(key);
+    if (existed) {
+      this.onChange();
+    }
+    return Promise.resolve(existed ? 1 : 0);
+  }
+
+  keys(pattern) {
+    this.cleanup();
+    const allKeys = Array.from(this.store.keys());
+    if (pattern === '*') return Promise.resolve(allKeys);
+
+    const regex = patternToRegExp(pattern);
+    return Promise.resolve(allKeys.filter(key => regex.test(key)));
+  }
+
+  // Cursor is an offset into the key list; good enough for a single process
+  async scan(cursor = '0', options = {}) {
+    const { MATCH = '*', COUNT = 10 } = options;
+    const start = parseInt(cursor, 10) || 0;
+    const allKeys = Array.from(this.store.keys());
+    const regex = patternToRegExp(MATCH);
+
+    const end = Math.min(start + COUNT, allKeys.length);
+    const keys = allKeys.slice(start, end).filter(key => regex.test(key));
+
+    return {
+      cursor: end >= allKeys.length ? '0' : String(end),
+      keys
+    };
+  }
+
+  ping() {
+    return Promise.resolve('PONG');
+  }
+
+  cleanup() {
+    const now = Date.now();
+    let removed = false;
+    for (const [key, expiration] of this.expirations.entries()) {
+      if (now > expiration) {
+        this.store.delete(key);
+        this.expirations.delete(key);
+        removed = true;
+      }
+    }
+    if (removed) {
+      this.onChange();
+    }
+  }
+
+  // Hook for subclasses that need to persist changes
+  onChange() {}
+
+  get size() {
+    return this.store.size;
+  }
+
+  // Cleanup on process exit
+  destroy() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+    }
+  }
+}
+
+// Durable storage for self-hosted installs without Redis: memory reads, debounced JSON file writes
+class FileStorage extends MemoryStorage {
+  constructor(filePath, options = {}) {
+    super();
+    this.name = 'file';
+    this.persistent = true;
+    this.filePath = path.resolve(filePath);
+    this.flushDelay = options.flushDelay ?? 1000;
+    this.flushTimer = null;
+    this.writing = null;
+    this.dirty = false;
+    this.lastFlush = null;
+    this.load();
+  }
+
+  // Read the snapshot once at startup (a missing file is a fresh install)
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        return;
+      }
+
+      const snapshot = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      const now = Date.now();
+      for (const [key, entry] of Object.entries(snapshot.entries || {})) {
+        if (entry.expiresAt && entry.expiresAt < now) continue;
+        this.store.set(key, entry.value);
+        if (entry.expiresAt) {
+          this.expirations.set(key, entry.expiresAt);
+        }
+      }
+      logger.info(`📦 Loaded ${this.store.size} keys from ${this.filePath}`);
+    } catch (error) {
+      // Never start on top of a corrupt file - keep it aside for manual recovery
+      logger.error(`📦 Failed to read storage file ${this.filePath}:`, error.message);
+      try {
+        fs.renameSync(this.filePath, `${this.filePath}.corrupt-${Date.now()}`);
+      } catch (renameError) {
+        logger.error('📦 Failed to move corrupt storage file aside:', renameError.message);
+      }
+    }
+  }
+
+  serialize() {
+    const entries = {};
+    for (const [key, value] of this.store.entries()) {
+      entries[key] = { value, expiresAt: this.expirations.get(key) || null };
+    }
+    return JSON.stringify({ version: 1, savedAt: new Date().toISOString(), entries });
+  }
+
+  onChange() {
+    this.dirty = true;
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.flush().catch(error => logger.error('📦 Failed to write storage file:', error.message));
+      }, this.flushDelay);
+      this.flushTimer.unref();
+    }
+  }
+
+  // Write to a temp file and rename, so a crash mid-write never truncates the snapshot
+  async flush() {
+    if (this.writing) {
+      await this.writing;
+    }
+    if (!this.dirty) return;
+
+    this.dirty = false;
+    const tempPath = `${this.filePath}.tmp`;
+    this.writing = fs.promises.writeFile(tempPath, this.serialize())
+      .then(() => fs.promises.rename(tempPath, this.filePath))
+      .then(() => {
+        this.lastFlush = new Date().toISOString();
+      })
+      .catch(error => {
+        this.dirty = true; // Retry on the next change
+        throw error;
+      })
+      .finally(() => {
+        this.writing = null;
+      });
+
+    await this.writing;
+  }
+
+  // Synchronous flush for process shutdown
+  flushSync() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    if (!this.dirty) return;
+
+    const tempPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tempPath, this.serialize());
+    fs.renameSync(tempPath, this.filePath);
+    this.dirty = false;
+    this.lastFlush = new Date().toISOString();
+  }
+
+  destroy() {
+    try {
+      this.flushSync();
+    } catch (error) {
+      logger.error('📦 Failed to flush storage file on shutdown:', error.message);
+    }
+    super.destroy();
+  }
+}
+
+// ARGV: expect-present flag ('0' = key must be absent), expected value, new value, TTL seconds ('' = none)
+const COMPARE_AND_SET_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if ARGV[1] == '0' then
+  if current then return 0 end
+elseif current ~= ARGV[2] then
+  return 0
+end
+if ARGV[4] ~= '' then
+  redis.call('SET', KEYS[1], ARGV[3], 'EX', ARGV[4])
+else
+  redis.call('SET', KEYS[1], ARGV[3])
+end
+return 1
+`;
+
+// Thin wrapper so the Redis client exposes exactly the adapter interface
+class RedisStorage {
+  constructor(client) {
+    this.name = 'redis';
+    this.persistent = true;
+    this.client = client;
+  }
+
+  get isOpen() {
+    return this.client.isOpen;
+  }
+
+  get(key) {
+    return this.client.get(key);
+  }
+
+  set(key, value, options = {}) {
+    return this.client.set(key, value, options);
+  }
+
+  del(key) {
+    return this.client.del(key);
+  }
+
+  async incr(key, options = {}) {
+    if (!options.EX) {
+      return this.client.incr(key);
+    }
+    const [count] = await this.client.multi().incr(key).expire(key, options.EX).exec();
+    return Number(count);
+  }
+
+  // LPUSH, LTRIM and EXPIRE in one transaction, so the list never outgrows MAXLEN
+  async lpush(key, value, options = {}) {
+    let transaction = this.client.multi().lPush(key, value);
+    if (options.MAXLEN) {
+      transaction = transaction.lTrim(key, 0, options.MAXLEN - 1);
+    }
+    if (options.EX) {
+      transaction = transaction.expire(key, options.EX);
+    }
+    const [length] = await transaction.exec();
+    return Number(length);
+  }
+
+  lrange(key, start, stop) {
+    return this.client.lRange(key, start, stop);
+  }
+
+  // One Lua script, so the comparison and the write are atomic across every instance
+  async compareAndSet(key, expected, value, options = {}) {
+    const written = await this.client.eval(COMPARE_AND_SET_SCRIPT, {
+      keys: [key],
+      arguments: [expected === null ? '0' : '1', expected ?? '', value, options.EX ? String(options.EX) : '']
+    });
+    return Number(written) === 1;
+  }
+
+  keys(pattern) {
+    return this.client.keys(pattern);
+  }
+
+  async scan(cursor = '0', options = {}) {
+    const { MATCH = '*', COUNT = 10 } = options;
+    const result = await this.client.scan(String(cursor), { MATCH, COUNT });
+    return { cursor: String(result.cursor), keys: result.keys };
+  }
+
+  ping() {
+    return this.client.ping();
+  }
+
+  disconnect() {
+    return this.client.disconnect();
+  }
+}
+
+// CommonJS exports
+module.exports = {
+  MemoryStorage,
+  FileStorage,
+  RedisStorage,
+  patternToRegExp
+};
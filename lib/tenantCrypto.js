@@ -0,0 +1,212 @@
+// lib/tenantCrypto.js
+// Envelope encryption for sensitive tenant fields (TMDb key, Radarr connection, account)
+
+/**
+ * Master keys come from the environment and never touch storage:
+ *   TENANT_ENCRYPTION_KEYS="2026-10:<base64>,2025-01:<base64>"   newest first, older ones decrypt only
+ *   TENANT_ENCRYPTION_KEY=<base64>                                single key, id "primary"
+ * Keys are 32 bytes, base64 or hex encoded.
+ *
+ * Every save generates a fresh data key, encrypts each sensitive field with it
+ * (AES-256-GCM, `enc:v1:<iv>:<tag>:<ciphertext>`) and stores the data key wrapped
+ * by the current master key:
+ *   tenant.encryption = { version: 1, keyId: '2026-10', wrappedKey: 'enc:v1:...' }
+ * loadTenant decrypts transparently. Records that are still plaintext, or that are
+ * wrapped with an older master key, are reported by openTenant as needing a reseal;
+ * lib/kv saves them again, so rotation and migration happen on first access.
+ * Without a configured key, tenants are stored as before (plaintext).
+ */
+
+const crypto = require('crypto');
+
+const logger = require('../utils/logger');
+
+const SENSITIVE_TENANT_FIELDS = ['tmdbKey', 'radarrConfig', 'account'];
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const ENVELOPE_VERSION = 1;
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const KEY_ID_PATTERN = /^[A-Za-z0-9._-]{1,40}$/;
+
+let cachedConfig = null;
+let warnedUnencrypted = false;
+
+function parseKeyMaterial(value) {
+  const trimmed = String(value || '').trim();
+  if (/^[0-9a-f]{64}$/i.test(trimmed)) {
+    return Buffer.from(trimmed, 'hex');
+  }
+
+  const decoded = Buffer.from(trimmed, 'base64');
+  return decoded.length === KEY_BYTES ? decoded : null;
+}
+
+function parseKeyList(raw) {
+  return raw.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    const id = separator > 0 ? entry.substring(0, separator) : '';
+    const key = parseKeyMaterial(separator > 0 ? entry.substring(separator + 1) : '');
+
+    if (!KEY_ID_PATTERN.test(id) || !key) {
+      throw new Error('TENANT_ENCRYPTION_KEYS entries must look like "<id>:<32-byte base64 or hex key>"');
+    }
+    return { id, key };
+  });
+}
+
+/**
+ * Master keys from the environment (re-read when the variables change)
+ * @returns {Object} - { current: { id, key } | null, keys: Map<id, Buffer> }
+ * @throws {Error} - When a configured key is malformed
+ */
+function getMasterKeys() {
+  const rawList = process.env.TENANT_ENCRYPTION_KEYS || '';
+  const rawSingle = process.env.TENANT_ENCRYPTION_KEY || '';
+  const signature = `${rawList}|${rawSingle}`;
+
+  if (cachedConfig && cachedConfig.signature === signature) {
+    return cachedConfig;
+  }
+
+  let entries = [];
+  if (rawList.trim()) {
+    entries = parseKeyList(rawList);
+  } else if (rawSingle.trim()) {
+    const key = parseKeyMaterial(rawSingle);
+    if (!key) {
+      throw new Error('TENANT_ENCRYPTION_KEY must be a 32-byte base64 or hex key');
+    }
+    entries = [{ id: 'primary', key }];
+  }
+
+  cachedConfig = {
+    signature,
+    current: entries[0] || null,
+    keys: new Map(entries.map(entry => [entry.id, entry.key]))
+  };
+  return cachedConfig;
+}
+
+function encryptValue(plaintext, key) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [
+    ENCRYPTED_PREFIX.slice(0, -1),
+    iv.toString('base64url'),
+    cipher.getAuthTag().toString('base64url'),
+    ciphertext.toString('base64url')
+  ].join(':');
+}
+
+function decryptValue(value, key) {
+  const [, , iv, tag, ciphertext] = String(value).split(':');
+  if (!iv || !tag || ciphertext === undefined) {
+    throw new Error('Malformed encrypted value');
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+}
+
+/**
+ * Encrypt the sensitive fields of a tenant record for storage
+ * @param {Object} tenant - Decrypted tenant data
+ * @returns {Object} - Record to persist (the input itself when encryption is not configured)
+ */
+function sealTenant(tenant) {
+  const { current } = getMasterKeys();
+
+  if (!current) {
+    if (!warnedUnencrypted && process.env.NODE_ENV === 'production') {
+      warnedUnencrypted = true;
+      logger.warn('🔐 TENANT_ENCRYPTION_KEY is not set - tenant API keys are stored unencrypted');
+    }
+    return tenant;
+  }
+
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  const sealed = { ...tenant };
+
+  SENSITIVE_TENANT_FIELDS.forEach(field => {
+    const value = sealed[field];
+    if (typeof value === 'string' && value !== '' && !isEncryptedValue(value)) {
+      sealed[field] = encryptValue(value, dataKey);
+    }
+  });
+
+  sealed.encryption = {
+    version: ENVELOPE_VERSION,
+    keyId: current.id,
+    wrappedKey: encryptValue(dataKey.toString('base64'), current.key)
+  };
+  return sealed;
+}
+
+/**
+ * Decrypt a stored tenant record
+ * @param {Object} stored - Record as persisted
+ * @returns {Object} - { tenant, needsReseal } - reseal when plaintext or wrapped with an old master key
+ * @throws {Error} - When the record's master key is not configured or the data was tampered with
+ */
+function openTenant(stored) {
+  if (!stored || typeof stored !== 'object') {
+    return { tenant: stored, needsReseal: false };
+  }
+
+  const { current, keys } = getMasterKeys();
+  const { encryption, ...tenant } = stored;
+
+  if (!encryption) {
+    const hasPlaintext = SENSITIVE_TENANT_FIELDS.some(field => typeof tenant[field] === 'string' && tenant[field] !== '');
+    return { tenant, needsReseal: Boolean(current) && hasPlaintext };
+  }
+
+  const masterKey = keys.get(encryption.keyId);
+  if (!masterKey) {
+    throw new Error(`Tenant encryption key "${encryption.keyId}" is not configured`);
+  }
+
+  const dataKey = Buffer.from(decryptValue(encryption.wrappedKey, masterKey), 'base64');
+  SENSITIVE_TENANT_FIELDS.forEach(field => {
+    if (isEncryptedValue(tenant[field])) {
+      tenant[field] = decryptValue(tenant[field], dataKey);
+    }
+  });
+
+  return { tenant, needsReseal: Boolean(current) && encryption.keyId !== current.id };
+}
+
+/**
+ * Encryption settings for /api/health (never includes key material)
+ * @returns {Object} - { enabled, currentKeyId, keyIds, fields } or { enabled: false, error }
+ */
+function getEncryptionStatus() {
+  try {
+    const { current, keys } = getMasterKeys();
+    return {
+      enabled: Boolean(current),
+      currentKeyId: current ? current.id : null,
+      keyIds: [...keys.keys()],
+      fields: SENSITIVE_TENANT_FIELDS
+    };
+  } catch (error) {
+    return { enabled: false, error: error.message };
+  }
+}
+
+// CommonJS exports
+module.exports = {
+  SENSITIVE_TENANT_FIELDS,
+  isEncryptedValue,
+  sealTenant,
+  openTenant,
+  getEncryptionStatus
+};
@@ -0,0 +1,301 @@
+// lib/tmdbCache.js
+// Shared TMDb response cache: bounded in-memory LRU in front of the configured kv storage
+
+/**
+ * TMDb data is the same for every API key, so responses are cached by endpoint
+ * (the api_key parameter is stripped from the cache key) and shared by all routes
+ * and tenants. Two tiers:
+ *   1. an in-process LRU, bounded by TMDB_CACHE_MAX_ENTRIES
+ *   2. Redis under `tmdb:<kind>:<path>`, so other instances and restarts reuse the same
+ *      responses (the file backend keeps tenants only, see getCacheStorage in lib/kv)
+ * Each endpoint kind has its own TTL; only successful responses are cached.
+ */
+
+const logger = require('../utils/logger');
+const { HttpError } = require('../utils/httpErrors');
+const { tmdbClient } = require('../utils/tmdbClient');
+
+const { getCacheStorage } = require('./kv');
+
+const TMDB_CACHE_PREFIX = 'tmdb:';
+const DEFAULT_MAX_MEMORY_ENTRIES = 1000;
+const MAX_STORED_BYTES = 256 * 1024; // Skip persisting unusually large responses
+
+const HOUR = 60 * 60;
+
+// Seconds; credits and discover pages change as new movies are announced, details rarely do
+const TMDB_CACHE_TTLS = {
+  personCredits: 12 * HOUR,
+  person: 24 * HOUR,
+  movie: 24 * HOUR,
+  collection: 24 * HOUR,
+  company: 7 * 24 * HOUR,
+  discover: 6 * HOUR,
+  search: 1 * HOUR,
+  default: 1 * HOUR
+};
+
+const KIND_PATTERNS = [
+  { kind: 'personCredits', pattern: /^\/person\/\d+\/movie_credits$/ },
+  { kind: 'person', pattern: /^\/person\/\d+$/ },
+  { kind: 'movie', pattern: /^\/movie\/\d+$/ },
+  { kind: 'collection', pattern: /^\/collection\/\d+$/ },
+  { kind: 'company', pattern: /^\/company\/\d+$/ },
+  { kind: 'discover', pattern: /^\/discover\/movie$/ },
+  { kind: 'search', pattern: /^\/search\/[a-z]+$/ }
+];
+
+const memory = new Map(); // key -> { value, expiresAt }; Map order doubles as LRU order
+const inFlight = new Map(); // key -> Promise, so concurrent misses share one TMDb request
+let stats = createStats();
+
+function createStats() {
+  return {
+    since: new Date().toISOString(),
+    memoryHits: 0,
+    storageHits: 0,
+    misses: 0,
+    writes: 0,
+    evictions: 0,
+    errors: 0,
+    byKind: {}
+  };
+}
+
+function getMaxMemoryEntries() {
+  const configured = parseInt(process.env.TMDB_CACHE_MAX_ENTRIES, 10);
+  return Number.isInteger(configured) && configured >= 0 ? configured : DEFAULT_MAX_MEMORY_ENTRIES;
+}
+
+function countKind(kind, field) {
+  if (!stats.byKind[kind]) {
+    stats.byKind[kind] = { hits: 0, misses: 0 };
+  }
+  stats.byKind[kind][field]++;
+}
+
+/**
+ * Describe a TMDb URL as a cache entry
+ * @param {string} url - Full TMDb API URL (may include api_key)
+ * @returns {Object} - { kind, key, ttl }
+ */
+function describeTmdbUrl(url) {
+  const parsed = new URL(url);
+  const path = parsed.pathname.replace(/^\/3(?=\/)/, '');
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => name !== 'api_key')
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+
+  const match = KIND_PATTERNS.find(entry => entry.pattern.test(path));
+  const kind = match ? match.kind : 'default';
+
+  return {
+    kind,
+    key: `${TMDB_CACHE_PREFIX}${kind}:${path}${params ? `?${params}` : ''}`,
+    ttl: TMDB_CACHE_TTLS[kind]
+  };
+}
+
+// The in-process tier is also where other TMDb-derived entries (lib/movieEnrichment.js) go when
+// there is no shared storage, so one bound covers both
+function readMemory(key) {
+  const entry = memory.get(key);
+  if (!entry) return undefined;
+
+  if (entry.expiresAt <= Date.now()) {
+    memory.delete(key);
+    return undefined;
+  }
+
+  // Refresh recency
+  memory.delete(key);
+  memory.set(key, entry);
+  return entry.value;
+}
+
+function writeMemory(key, value, ttl) {
+  const maxEntries = getMaxMemoryEntries();
+  if (maxEntries === 0) return;
+
+  memory.delete(key);
+  memory.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+
+  while (memory.size > maxEntries) {
+    memory.delete(memory.keys().next().value);
+    stats.evictions++;
+  }
+}
+
+// The storage tier is only worth it when entries outlive the process or are shared
+async function getPersistentStorage() {
+  const storage = await getCacheStorage();
+  return storage && storage.persistent ? storage : null;
+}
+
+/**
+ * Look up a cached TMDb response
+ * @param {string} url - TMDb API URL
+ * @returns {Promise<*>} - Cached JSON, or undefined on a miss
+ */
+async function getCachedResponse(url) {
+  const { kind, key, ttl } = describeTmdbUrl(url);
+
+  const fromMemory = readMemory(key);
+  if (fromMemory !== undefined) {
+    stats.memoryHits++;
+    countKind(kind, 'hits');
+    return fromMemory;
+  }
+
+  try {
+    const storage = await getPersistentStorage();
+    const stored = storage ? await storage.get(key) : null;
+    if (stored) {
+      const value = JSON.parse(stored);
+      writeMemory(key, value, ttl);
+      stats.storageHits++;
+      countKind(kind, 'hits');
+      return value;
+    }
+  } catch (error) {
+    stats.errors++;
+    logger.warn(`🗄️ TMDb cache read failed for ${kind}:`, error.message);
+  }
+
+  stats.misses++;
+  countKind(kind, 'misses');
+  return undefined;
+}
+
+/**
+ * Store a TMDb response in both tiers
+ * @param {string} url - TMDb API URL
+ * @param {*} value - Parsed JSON response
+ */
+async function setCachedResponse(url, value) {
+  if (value === undefined || value === null) return;
+
+  const { kind, key, ttl } = describeTmdbUrl(url);
+  writeMemory(key, value, ttl);
+  stats.writes++;
+
+  try {
+    const storage = await getPersistentStorage();
+    if (!storage) return;
+
+    const serialized = JSON.stringify(value);
+    if (serialized.length > MAX_STORED_BYTES) return;
+
+    await storage.set(key, serialized, { EX: ttl });
+  } catch (error) {
+    stats.errors++;
+    logger.warn(`🗄️ TMDb cache write failed for ${kind}:`, error.message);
+  }
+}
+
+/**
+ * Return a cached TMDb response or load and cache it
+ * @param {string} url - TMDb API URL
+ * @param {Function} loader - async () => parsed JSON; throw to skip caching
+ * @returns {Promise<*>} - Response JSON
+ */
+async function cachedTmdbRequest(url, loader) {
+  const cached = await getCachedResponse(url);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const { key } = describeTmdbUrl(url);
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const request = (async () => {
+    try {
+      const value = await loader();
+      await setCachedResponse(url, value);
+      return value;
+    } finally {
+      inFlight.delete(key);
+    }
+  })();
+
+  inFlight.set(key, request);
+  return request;
+}
+
+/**
+ * Cached GET through the rate-limited TMDb client queue (retries, timeouts)
+ * @param {string} url - TMDb API URL
+ * @param {Object} options - tmdbClient.queueRequest options
+ * @returns {Promise<*>} - Response JSON
+ */
+function queueCachedTmdbRequest(url, options = {}) {
+  return cachedTmdbRequest(url, () => tmdbClient.queueRequest(url, options));
+}
+
+/**
+ * Cached GET with plain fetch; non-2xx responses throw and are not cached
+ * @param {string} url - TMDb API URL
+ * @returns {Promise<*>} - Response JSON
+ * @throws {HttpError} - statusCode is TMDb's status (404 for unknown ids, 401 for a bad key)
+ */
+function fetchCachedTmdbJson(url) {
+  return cachedTmdbRequest(url, async () => {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new HttpError(`TMDb API error: ${response.status}`, response.status, 'TMDB_ERROR');
+    }
+    return response.json();
+  });
+}
+
+/**
+ * Hit/miss counters for /api/health (per process, since the last restart)
+ * @returns {Object} - Cache statistics
+ */
+function getTmdbCacheStats() {
+  const hits = stats.memoryHits + stats.storageHits;
+  const lookups = hits + stats.misses;
+
+  return {
+    since: stats.since,
+    memoryEntries: memory.size,
+    maxMemoryEntries: getMaxMemoryEntries(),
+    hits,
+    memoryHits: stats.memoryHits,
+    storageHits: stats.storageHits,
+    misses: stats.misses,
+    hitRate: lookups > 0 ? Math.round((hits / lookups) * 1000) / 10 : 0,
+    writes: stats.writes,
+    evictions: stats.evictions,
+    errors: stats.errors,
+    byKind: stats.byKind,
+    ttls: TMDB_CACHE_TTLS
+  };
+}
+
+// Forget the in-memory tier and counters (tests, admin tooling)
+function resetTmdbCache() {
+  memory.clear();
+  inFlight.clear();
+  stats = createStats();
+}
+
+// CommonJS exports
+module.exports = {
+  TMDB_CACHE_TTLS,
+  describeTmdbUrl,
+  getCachedResponse,
+  setCachedResponse,
+  cachedTmdbRequest,
+  queueCachedTmdbRequest,
+  fetchCachedTmdbJson,
+  readMemory,
+  writeMemory,
+  getTmdbCacheStats,
+  resetTmdbCache
+};
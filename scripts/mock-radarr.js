@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+// scripts/mock-radarr.js
+// Minimal Radarr v3 API stand-in for trying the push integration without a real Radarr.
+// Run `node scripts/mock-radarr.js [port]` and point Helparr at http://localhost:7878
+// with API key 0123456789abcdef0123456789abcdef.
+
+const http = require('http');
+
+const DEFAULT_API_KEY = '0123456789abcdef0123456789abcdef';
+
+function createMockRadarr(options = {}) {
+  const {
+    apiKey = DEFAULT_API_KEY,
+    movies = [],
+    qualityProfiles = [{ id: 1, name: 'Any' }, { id: 4, name: 'HD-1080p' }],
+    rootFolders = [{ path: '/movies', freeSpace: 1e12 }],
+    failTmdbIds = [], // Adds for these ids answer 400, to exercise error handling
+    addDelayMs = 0 // Slows every add down, like a Radarr busy looking movies up
+  } = options;
+
+  const library = movies.map((movie, index) => ({ id: index + 1, hasFile: false, ...movie }));
+  const requests = [];
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      const { pathname } = new URL(req.url, 'http://localhost');
+      requests.push({ method: req.method, path: pathname, body });
+
+      if (req.headers['x-api-key'] !== apiKey) {
+        return send(res, 401, { message: 'Unauthorized' });
+      }
+
+      if (req.method === 'GET' && pathname === '/api/v3/system/status') {
+        return send(res, 200, { appName: 'Radarr', version: '5.0.0-mock' });
+      }
+      if (req.method === 'GET' && pathname === '/api/v3/qualityprofile') {
+        return send(res, 200, qualityProfiles);
+      }
+      if (req.method === 'GET' && pathname === '/api/v3/rootfolder') {
+        return send(res, 200, rootFolders);
+      }
+      if (req.method === 'GET' && pathname === '/api/v3/movie') {
+        return send(res, 200, library);
+      }
+      if (req.method === 'POST' && pathname === '/api/v3/movie') {
+        if (!body?.tmdbId || !body.qualityProfileId || !body.rootFolderPath) {
+          return send(res, 400, [{ propertyName: 'TmdbId', errorMessage: "'Tmdb Id' must not be empty." }]);
+        }
+        if (library.some(movie => movie.tmdbId === body.tmdbId)) {
+          return send(res, 400, [{ propertyName: 'TmdbId', errorMessage: 'This movie has already been added' }]);
+        }
+        if (failTmdbIds.includes(body.tmdbId)) {
+          return send(res, 400, [{ propertyName: 'Path', errorMessage: 'Path is not writable' }]);
+        }
+        const movie = { id: library.length + 1, hasFile: false, ...body };
+        library.push(movie);
+        return setTimeout(() => send(res, 201, movie), addDelayMs);
+      }
+
+      return send(res, 404, { message: 'NotFound' });
+    });
+  });
+
+  return { server, library, requests, apiKey };
+}
+
+// CommonJS exports
+module.exports = { createMockRadarr, DEFAULT_API_KEY };
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 7878;
+  const { server } = createMockRadarr();
+  server.listen(port, () => {
+    console.log(`🎬 Mock Radarr listening on http://localhost:${port} (API key ${DEFAULT_API_KEY})`);
+  });
+}
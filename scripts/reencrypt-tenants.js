@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+// scripts/reencrypt-tenants.js
+// Encrypt every stored tenant with the current master key (after enabling encryption or rotating keys)
+
+const { getStorage, loadTenant, getStorageStatus, cleanup } = require('../lib/kv.js');
+const { getEncryptionStatus } = require('../lib/tenantCrypto.js');
+
+async function main() {
+  const encryption = getEncryptionStatus();
+  if (!encryption.enabled) {
+    console.error(`❌ ${encryption.error || 'Set TENANT_ENCRYPTION_KEY or TENANT_ENCRYPTION_KEYS first'}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const storage = await getStorage();
+  const { adapter } = getStorageStatus();
+  const keys = await storage.keys('tenant:*');
+  console.log(`🔐 Checking ${keys.length} tenants in ${adapter} storage (current key: ${encryption.currentKeyId})\n`);
+
+  // loadTenant re-encrypts plaintext records and records wrapped with an older key
+  let failed = 0;
+  for (const key of keys) {
+    const userId = key.substring('tenant:'.length);
+    try {
+      await loadTenant(userId);
+    } catch (error) {
+      failed++;
+      console.error(`  ❌ ${userId}: ${error.message} (is its master key still configured?)`);
+    }
+  }
+
+  console.log(`\n✅ ${keys.length - failed} tenants use the current key${failed ? `, ${failed} failed` : ''}`);
+  if (failed) process.exitCode = 1;
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Re-encryption failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(cleanup);
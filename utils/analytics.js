@@ -1,5 +1,5 @@
 // utils/analytics.js
-import { signAsync } from './hmac';
+import { signRequestAsync } from './hmac';
 
 // Track only meaningful business events for conversion analysis
 const TRACKED_EVENTS = [
@@ -52,9 +52,9 @@ export async function trackEvent(eventType, data = {}) {
   }
 }
 
-// Generate signature for API calls (reuse existing function)
-export async function generateSignature(data, secret) {
-  return signAsync(data, secret);
+// Generate a timestamped signature for API calls (credential: tenant secret or device credential)
+export async function generateSignature(data, credential) {
+  return signRequestAsync(data, credential);
 }
 
 // Simple session tracking for funnel analysis
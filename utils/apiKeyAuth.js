@@ -3,6 +3,8 @@
 
 const crypto = require('crypto');
 
+const { consumeRateLimit, rateLimitHeaders } = require('../lib/rateLimit.js');
+
 /**
  * Generate a secure API key
  * @returns {string} API key in format hk_<random>
@@ -22,52 +24,6 @@ function hashApiKey(apiKey) {
   return crypto.createHash('sha256').update(apiKey).digest('hex');
 }
 
-/**
- * Rate limiter for API keys
- */
-class ApiKeyRateLimiter {
-  constructor() {
-    this.requests = new Map();
-  }
-
-  checkLimit(key, maxRequests, windowMs) {
-    const now = Date.now();
-    const keyRequests = this.requests.get(key) || [];
-    
-    // Filter out old requests
-    const validRequests = keyRequests.filter(timestamp => now - timestamp < windowMs);
-    
-    if (validRequests.length >= maxRequests) {
-      return false;
-    }
-    
-    // Add current request
-    validRequests.push(now);
-    this.requests.set(key, validRequests);
-    
-    // Cleanup old keys periodically
-    if (Math.random() < 0.01) { // 1% chance on each request
-      this.cleanup(windowMs);
-    }
-    
-    return true;
-  }
-
-  cleanup(windowMs) {
-    const now = Date.now();
-    for (const [key, requests] of this.requests.entries()) {
-      const validRequests = requests.filter(timestamp => now - timestamp < windowMs);
-      if (validRequests.length === 0) {
-        this.requests.delete(key);
-      } else {
-        this.requests.set(key, validRequests);
-      }
-    }
-  }
-}
-
-const globalApiKeyRateLimiter = new ApiKeyRateLimiter();
-
 /**
  * Extract API key from request
  * @param {Request} request - The incoming request
@@ -212,16 +168,17 @@ function createApiKeyMiddleware(options = {}) {
         };
       }
 
-      // Check rate limit if configured
+      // Check rate limit if configured (counted per key, stored under the key's hash)
       if (rateLimit) {
         const { maxRequests, windowMs } = rateLimit;
-        const allowed = globalApiKeyRateLimiter.checkLimit(apiKey, maxRequests, windowMs);
+        const limit = await consumeRateLimit({ name: 'api-key', maxRequests, windowMs }, hashApiKey(apiKey));
         
-        if (!allowed) {
+        if (!limit.allowed) {
           return {
             valid: false,
             error: 'Rate limit exceeded',
-            status: 429
+            status: 429,
+            headers: rateLimitHeaders(limit)
           };
         }
       }
@@ -287,7 +244,5 @@ function createApiKeyMiddleware(options = {}) {
 module.exports = {
   generateApiKey,
   hashApiKey,
-  createApiKeyMiddleware,
-  ApiKeyRateLimiter,
-  globalApiKeyRateLimiter
+  createApiKeyMiddleware
 };
\ No newline at end of file
@@ -6,63 +6,7 @@ const { createRequestLoggingMiddleware } = require('./requestLogging.js');
 const { normalizeError, isHttpError } = require('./httpErrors.js');
 const { createCacheMiddleware, applyCacheHeaders, createNotModifiedResponse } = require('./cacheHeaders.js');
 const { createApiKeyMiddleware } = require('./apiKeyAuth.js');
-
-/**
- * Rate limiting functionality
- */
-class RateLimiter {
-  constructor() {
-    this.store = new Map();
-    this.cleanupInterval = setInterval(() => this.cleanup(), 5 * 60 * 1000); // Cleanup every 5 minutes
-  }
-
-  checkLimit(key, windowMs, maxRequests) {
-    const now = Date.now();
-    const requests = this.store.get(key) || [];
-    
-    // Filter out old requests
-    const validRequests = requests.filter(timestamp => now - timestamp < windowMs);
-    
-    if (validRequests.length >= maxRequests) {
-      return {
-        allowed: false,
-        remaining: 0,
-        resetTime: validRequests[0] + windowMs
-      };
-    }
-    
-    // Add current request
-    validRequests.push(now);
-    this.store.set(key, validRequests);
-    
-    return {
-      allowed: true,
-      remaining: maxRequests - validRequests.length,
-      resetTime: now + windowMs
-    };
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, requests] of this.store.entries()) {
-      const validRequests = requests.filter(timestamp => now - timestamp < 60 * 60 * 1000); // Keep last hour
-      if (validRequests.length === 0) {
-        this.store.delete(key);
-      } else {
-        this.store.set(key, validRequests);
-      }
-    }
-  }
-
-  destroy() {
-    if (this.cleanupInterval) {
-      clearInterval(this.cleanupInterval);
-    }
-    this.store.clear();
-  }
-}
-
-const globalRateLimiter = new RateLimiter();
+const { RateLimiter, globalRateLimiter, resolvePolicy, getClientIP, consumeRateLimit, rateLimitHeaders } = require('../lib/rateLimit.js');
 
 /**
  * Request size limit middleware
@@ -115,24 +59,26 @@ function createSizeLimitMiddleware(maxSizeBytes = 1024 * 1024) { // 1MB default
 
 /**
  * Rate limiting middleware
+ * `policy` names an entry in RATE_LIMIT_POLICIES (lib/rateLimit.js); `name`/`maxRequests`/`windowMs`
+ * define one inline, counted apart from every other policy. Neither means the 'api' policy.
  */
 function createRateLimitMiddleware(options = {}) {
   const {
+    policy,
+    name,
     windowMs = 60 * 1000, // 1 minute default
-    maxRequests = 60, // 60 requests per minute default
-    keyGenerator = (req) => {
-      // Default to IP-based rate limiting
-      return req.headers.get('x-forwarded-for') || 
-             req.headers.get('x-real-ip') || 
-             'unknown';
-    },
+    maxRequests,
+    keyGenerator = getClientIP, // Default to IP-based rate limiting
     message = 'Too many requests, please try again later',
     headers = true
   } = options;
 
+  const limitPolicy = policy || (name || maxRequests ? { name, maxRequests, windowMs } : 'api');
+  resolvePolicy(limitPolicy); // Misconfigured policies fail when the route loads, not per request
+
   return async (request) => {
     const key = keyGenerator(request);
-    const limit = globalRateLimiter.checkLimit(key, windowMs, maxRequests);
+    const limit = await consumeRateLimit(limitPolicy, key);
 
     const response = {
       valid: limit.allowed,
@@ -145,19 +91,14 @@ function createRateLimitMiddleware(options = {}) {
     if (!limit.allowed) {
       response.error = message;
       response.status = 429;
-      
-      if (headers) {
-        response.headers = {
-          'X-RateLimit-Limit': maxRequests.toString(),
-          'X-RateLimit-Remaining': '0',
-          'X-RateLimit-Reset': Math.ceil(limit.resetTime / 1000).toString(),
-          'Retry-After': Math.ceil((limit.resetTime - Date.now()) / 1000).toString()
-        };
-      }
-    } else if (headers) {
+    }
+
+    if (headers) {
+      // Standard RateLimit-* headers, plus the X-RateLimit-* names older clients read
       response.headers = {
-        'X-RateLimit-Limit': maxRequests.toString(),
-        'X-RateLimit-Remaining': limit.remaining.toString(),
+        ...rateLimitHeaders(limit),
+        'X-RateLimit-Limit': String(limit.limit),
+        'X-RateLimit-Remaining': String(limit.remaining),
         'X-RateLimit-Reset': Math.ceil(limit.resetTime / 1000).toString()
       };
     }
@@ -253,6 +194,7 @@ function combineMiddleware(...middlewares) {
     let notModified = false;
     let status = null;
     let apiKeyInfo = null;
+    let data;
 
     for (const middleware of middlewares) {
       const result = await middleware(currentRequest);
@@ -314,6 +256,11 @@ function combineMiddleware(...middlewares) {
       if (result.apiKeyInfo) {
         apiKeyInfo = result.apiKeyInfo;
       }
+
+      // Store validated body/query data for the handler
+      if (result.data) {
+        data = { ...data, ...result.data };
+      }
     }
 
     // Merge cache headers into response headers
@@ -331,7 +278,8 @@ function combineMiddleware(...middlewares) {
       cacheHeaders,
       notModified,
       status,
-      apiKeyInfo
+      apiKeyInfo,
+      data
     };
   };
 }
@@ -0,0 +1,250 @@
+// utils/apiSchemas.js
+// Request schemas for the tenant-facing API routes, checked by createApiHandler before the handler runs
+
+const { commonSchemas } = require('./validation.js');
+const { ALLOWED_ROLE_TYPES } = require('./filmography.js');
+const { MAX_PATCH_OPERATIONS, OPERATIONS } = require('./collectionPatch.js');
+
+/**
+ * Schemas check shapes and types only. Rules that need stored state or the whole
+ * collection (feed definitions, filter rules, exclusions, which fields each patch
+ * operation needs) stay with the helpers that apply them: `normalizeFeeds`,
+ * `normalizeFeedFilters`, `normalizeExclusions` and `validateOperation`.
+ */
+
+const MAX_TITLE_LENGTH = 300;
+const MAX_NAME_LENGTH = 300;
+const IMDB_ID_PATTERN = /^tt\d{1,10}$/;
+const TMDB_KEY_PATTERN = /^[a-f0-9]{32}$/i;
+
+// People have credit roles; collections and studios have a single role named after their type
+const SOURCE_ROLE_TYPES = [...ALLOWED_ROLE_TYPES, 'collection', 'company'];
+const SOURCE_TYPES = ['person', 'collection', 'company'];
+
+const listPattern = values => new RegExp(`^(${values.join('|')})$`);
+
+// TMDb ids inside JSON bodies are numbers; numeric strings are refused rather than converted
+const tmdbIdRules = { type: 'number', options: { strict: true, integer: true, min: 1 } };
+
+const roleTypeRules = { type: 'string', options: { pattern: listPattern(SOURCE_ROLE_TYPES) } };
+
+/**
+ * One movie as the browser stores it under a role. The messages are what
+ * `validateMovie` reports when it drops a movie from a synced collection.
+ */
+const movie = {
+  type: 'object',
+  required: true,
+  options: {
+    allowUnknown: true,
+    properties: {
+      id: { ...tmdbIdRules, required: true, message: 'Movie id must be a positive TMDb id' },
+      title: {
+        type: 'string',
+        required: true,
+        options: { minLength: 1, maxLength: MAX_TITLE_LENGTH },
+        message: `Movie title must be 1-${MAX_TITLE_LENGTH} characters`
+      },
+      imdb_id: { type: 'string', options: { pattern: IMDB_ID_PATTERN }, message: 'Invalid IMDb id' },
+      selected: { type: 'boolean', message: 'Movie selected must be true or false' },
+      year: { type: 'number', options: { strict: true, integer: true }, message: 'Movie year must be a whole number' },
+      vote_average: { type: 'number', options: { strict: true }, message: 'Movie rating and runtime must be numbers' },
+      runtime: { type: 'number', options: { strict: true }, message: 'Movie rating and runtime must be numbers' },
+      release_date: { type: 'string', message: 'Movie release date must be a string' },
+      genres: { type: 'array', message: 'Movie genres must be a list' }
+    }
+  }
+};
+
+// A role's movies are checked one by one with `movie` when the server rebuilds the feed,
+// so a single malformed movie is dropped instead of failing the whole sync
+const role = {
+  type: 'object',
+  required: true,
+  options: {
+    allowUnknown: true,
+    properties: {
+      type: { ...roleTypeRules, required: true },
+      movies: { type: 'array', required: true },
+      addedAt: { type: 'string' },
+      autoInclude: { type: 'boolean' }
+    }
+  }
+};
+
+const feedIds = { type: 'array', options: { items: { type: 'string', options: { maxLength: 100 } } } };
+
+const sourceProperties = {
+  id: { ...tmdbIdRules, required: true },
+  name: { type: 'string', required: true, options: { maxLength: MAX_NAME_LENGTH } },
+  type: { type: 'string', options: { pattern: listPattern(SOURCE_TYPES) } },
+  feedIds
+};
+
+// A person, collection or studio in the synced people tree
+const source = {
+  type: 'object',
+  required: true,
+  options: {
+    allowUnknown: true,
+    properties: {
+      ...sourceProperties,
+      roles: { type: 'array', required: true, options: { items: role } }
+    }
+  }
+};
+
+// Union of every operation's fields; `validateOperation` checks which ones each `op` needs
+const operation = {
+  type: 'object',
+  required: true,
+  options: {
+    properties: {
+      op: { type: 'string', required: true, options: { pattern: listPattern(OPERATIONS) } },
+      source: { type: 'object', options: { allowUnknown: true, properties: sourceProperties } },
+      role: { ...role, required: false },
+      sourceId: tmdbIdRules,
+      roleType: roleTypeRules,
+      movieId: tmdbIdRules,
+      selected: { type: 'boolean' },
+      enabled: { type: 'boolean' },
+      feedIds
+    }
+  }
+};
+
+// Feed definitions, default filters and exclusions sent with every sync; contents are
+// checked by their normalizers, and omitted ones keep their stored value
+const collectionSettings = {
+  feeds: { type: 'array', options: { items: { type: 'object' } } },
+  feedFilters: { type: 'object' },
+  exclusions: { type: 'array', options: { items: { type: 'object' } } }
+};
+
+const userId = commonSchemas.tenantAuth.userId;
+const revision = { type: 'number', options: { integer: true, min: 0 } };
+
+// Passphrases are hashed as typed: no trimming or HTML stripping. Lengths are checked by
+// `validatePassphrase` (lib/accountAuth.js) so the route can explain them.
+const passphrase = { type: 'string', sanitize: false, options: { trim: false } };
+
+// Routes whose body only names the tenant; the signature travels in `?sig=`
+const tenantBody = { userId };
+
+const searchBody = {
+  userId,
+  query: { type: 'string', required: true, options: { minLength: 2, maxLength: 100 } }
+};
+
+const routeSchemas = {
+  createUser: {
+    userId,
+    tmdbKey: { type: 'string', required: true, options: { pattern: TMDB_KEY_PATTERN } }
+  },
+
+  // Signed with `tmdb-key:<userId>`; replaces the key server-side TMDb requests use
+  updateTmdbKey: {
+    userId,
+    tmdbKey: { type: 'string', required: true, options: { pattern: TMDB_KEY_PATTERN } }
+  },
+
+  getFilmography: {
+    userId,
+    personId: { type: 'tmdbId', required: true },
+    roleType: { type: 'string', options: { pattern: listPattern(ALLOWED_ROLE_TYPES) } }
+  },
+
+  getSourceMovies: {
+    userId,
+    ...commonSchemas.tmdbSource,
+    roleType: roleTypeRules,
+    streaming: { type: 'boolean' }
+  },
+
+  searchPeople: searchBody,
+  searchCollections: searchBody,
+  searchCompanies: searchBody,
+
+  // GET query parameters
+  syncListGet: {
+    userId,
+    sig: { type: 'hmacSignature' }
+  },
+
+  feedAccessGet: {
+    userId,
+    sig: { type: 'hmacSignature' }
+  },
+
+  // `selectedMovies` from older clients is accepted but ignored: the feed is rebuilt from `people`
+  syncListPost: {
+    userId,
+    revision,
+    people: { type: 'array', required: true, options: { items: source } },
+    selectedMovies: { type: 'array' },
+    ...collectionSettings
+  },
+
+  syncListPatch: {
+    userId,
+    revision,
+    operations: { type: 'array', options: { maxLength: MAX_PATCH_OPERATIONS, items: operation } },
+    ...collectionSettings
+  },
+
+  // A passphrase sign-in sends the account name and passphrase, a link sign-in only `loginToken`
+  login: {
+    accountName: { type: 'string', options: { maxLength: 100 } },
+    passphrase,
+    loginToken: { type: 'string', options: { maxLength: 2000 } },
+    deviceName: { type: 'string', options: { maxLength: 200 } }
+  },
+
+  // Signed with `account:<userId>`; the name is checked by `normalizeAccountName`
+  accountPost: {
+    userId,
+    accountName: { type: 'string', options: { maxLength: 100 } },
+    passphrase,
+    currentPassphrase: passphrase
+  },
+
+  loginLink: tenantBody,
+
+  sessionsDelete: {
+    userId,
+    sessionId: { type: 'string', options: { maxLength: 100 } },
+    all: { type: 'boolean' }
+  },
+
+  // Signed with `rotate-secret:<userId>`; the grace period range is checked by `normalizeGraceHours`
+  rotateSecret: {
+    userId,
+    graceHours: { type: 'number' },
+    reason: { type: 'string', options: { maxLength: 500 } }
+  },
+
+  // Signed with `radarr:<userId>`; `config` is checked by `normalizeRadarrConfig`, which also
+  // keeps the stored API key when the form leaves it blank
+  radarrConfigPost: {
+    userId,
+    config: { type: 'object', required: true, sanitize: false },
+    testOnly: { type: 'boolean' }
+  },
+
+  radarrConfigDelete: tenantBody,
+
+  radarrPush: {
+    userId,
+    dryRun: { type: 'boolean' }
+  }
+};
+
+module.exports = {
+  SOURCE_ROLE_TYPES,
+  SOURCE_TYPES,
+  movie,
+  role,
+  source,
+  operation,
+  routeSchemas
+};
@@ -168,8 +168,8 @@ function createCacheMiddleware(options = {}) {
         cacheHeaders['Cache-Control'] = cacheControl;
       }
       
-      // Add ETag if enabled
-      if (effectiveConfig.etag && context.content) {
+      // Add ETag if enabled (computed from the content unless the caller supplies one)
+      if (effectiveConfig.etag && (context.etag || context.content)) {
         const etag = context.etag || generateETag(context.content);
         if (etag) {
           cacheHeaders['ETag'] = etag;
@@ -196,9 +196,10 @@ function createCacheMiddleware(options = {}) {
         
         cacheHeaders['Last-Modified'] = lastModifiedString;
         
-        // Check If-Modified-Since
+        // Check If-Modified-Since (ignored when the request also sent If-None-Match)
         const ifModifiedSince = request.headers?.get?.('if-modified-since');
-        if (ifModifiedSince && isFreshModified(ifModifiedSince, lastModified)) {
+        const hasIfNoneMatch = Boolean(request.headers?.get?.('if-none-match'));
+        if (ifModifiedSince && !hasIfNoneMatch && isFreshModified(ifModifiedSince, lastModified)) {
           return {
             valid: true,
             notModified: true,
@@ -0,0 +1,190 @@
+// utils/collectionPatch.js
+// Incremental collection changes shared by PATCH /api/sync-list and the browser
+
+/**
+ * Instead of uploading the whole people tree on every auto-sync, the browser sends
+ * the edits it made as operations, which are applied to the stored collection:
+ *
+ *   { op: 'add-source', source: { id, name, type, ... }, role: { type, movies, addedAt } }
+ *   { op: 'remove-source', sourceId }
+ *   { op: 'remove-role', sourceId, roleType }
+ *   { op: 'toggle-movie', sourceId, roleType, movieId, selected }
+ *   { op: 'set-selections', sourceId, roleType, selected }
+ *   { op: 'set-feeds', sourceId, feedIds }
+ *   { op: 'set-auto-include', sourceId, roleType, enabled }
+ *
+ * Every operation states its result (`selected: true`, not "flip it"), so replaying
+ * a batch after a failed request is harmless. Operations on a source or role that no
+ * longer exists (removed on another device) are skipped.
+ */
+
+const MAX_PATCH_OPERATIONS = 200;
+const SOURCE_FIELDS = ['id', 'name', 'type', 'collectionType', 'profile_path', 'poster_path', 'overview', 'addedAt'];
+const OPERATIONS = ['add-source', 'remove-source', 'remove-role', 'toggle-movie', 'set-selections', 'set-feeds', 'set-auto-include'];
+
+function isSourceId(value) {
+  return (typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && value.length > 0);
+}
+
+/**
+ * Check the shape of one operation
+ * @param {Object} operation - Operation sent by a client
+ * @returns {string|null} - Error message, or null when valid
+ */
+function validateOperation(operation) {
+  if (!operation || typeof operation !== 'object' || !OPERATIONS.includes(operation.op)) {
+    return `Unknown operation: ${String(operation?.op).substring(0, 40)}`;
+  }
+
+  if (operation.op === 'add-source') {
+    const { source, role } = operation;
+    if (!source || !isSourceId(source.id) || typeof source.name !== 'string') {
+      return 'add-source needs a source with an id and name';
+    }
+    if (!role || typeof role.type !== 'string' || !Array.isArray(role.movies)) {
+      return 'add-source needs a role with a type and movies';
+    }
+    return null;
+  }
+
+  if (!isSourceId(operation.sourceId)) {
+    return `${operation.op} needs a sourceId`;
+  }
+
+  const needsRole = ['remove-role', 'toggle-movie', 'set-selections', 'set-auto-include'];
+  if (needsRole.includes(operation.op) && typeof operation.roleType !== 'string') {
+    return `${operation.op} needs a roleType`;
+  }
+
+  if (operation.op === 'toggle-movie' && (!isSourceId(operation.movieId) || typeof operation.selected !== 'boolean')) {
+    return 'toggle-movie needs a movieId and selected';
+  }
+  if (operation.op === 'set-selections' && typeof operation.selected !== 'boolean') {
+    return 'set-selections needs selected';
+  }
+  if (operation.op === 'set-auto-include' && typeof operation.enabled !== 'boolean') {
+    return 'set-auto-include needs enabled';
+  }
+  if (operation.op === 'set-feeds' && (!Array.isArray(operation.feedIds) || !operation.feedIds.every(id => typeof id === 'string'))) {
+    return 'set-feeds needs feedIds';
+  }
+
+  return null;
+}
+
+function pickSourceFields(source) {
+  const picked = {};
+  SOURCE_FIELDS.forEach(field => {
+    if (source[field] !== undefined) picked[field] = source[field];
+  });
+  return picked;
+}
+
+// Add a source, or add/replace one of its roles
+function addSource(people, { source, role }) {
+  const index = people.findIndex(person => person.id === source.id);
+  if (index < 0) {
+    return [...people, { ...pickSourceFields(source), roles: [role] }];
+  }
+
+  const existing = people[index];
+  const roles = existing.roles || [];
+  const updated = {
+    ...existing,
+    roles: roles.some(r => r.type === role.type)
+      ? roles.map(r => (r.type === role.type ? role : r))
+      : [...roles, role]
+  };
+  return people.map((person, i) => (i === index ? updated : person));
+}
+
+// Apply a change to one role of one source; unknown sources and roles are left alone
+function updateRole(people, sourceId, roleType, update) {
+  return people.map(person => {
+    if (person.id !== sourceId) return person;
+    return {
+      ...person,
+      roles: (person.roles || []).map(role => (role.type === roleType ? update(role) : role))
+    };
+  });
+}
+
+function applyOperation(people, operation) {
+  switch (operation.op) {
+    case 'add-source':
+      return addSource(people, operation);
+
+    case 'remove-source':
+      return people.filter(person => person.id !== operation.sourceId);
+
+    case 'remove-role':
+      return people
+        .map(person => (person.id === operation.sourceId
+          ? { ...person, roles: (person.roles || []).filter(role => role.type !== operation.roleType) }
+          : person))
+        .filter(person => person.id !== operation.sourceId || person.roles.length > 0);
+
+    case 'toggle-movie':
+      return updateRole(people, operation.sourceId, operation.roleType, role => ({
+        ...role,
+        movies: (role.movies || []).map(movie => (movie.id === operation.movieId ? { ...movie, selected: operation.selected } : movie))
+      }));
+
+    case 'set-selections':
+      return updateRole(people, operation.sourceId, operation.roleType, role => ({
+        ...role,
+        movies: (role.movies || []).map(movie => ({ ...movie, selected: operation.selected }))
+      }));
+
+    case 'set-feeds':
+      return people.map(person => (person.id === operation.sourceId
+        ? { ...person, feedIds: [...new Set(operation.feedIds)] }
+        : person));
+
+    case 'set-auto-include':
+      return updateRole(people, operation.sourceId, operation.roleType, role => {
+        if (operation.enabled) return { ...role, autoInclude: true };
+        // Dropping the baseline means re-enabling starts fresh instead of back-filling
+        const updatedRole = { ...role, autoInclude: false };
+        delete updatedRole.knownMovieIds;
+        delete updatedRole.lastResolvedAt;
+        return updatedRole;
+      });
+
+    default:
+      return people;
+  }
+}
+
+/**
+ * Apply a batch of operations to a people tree
+ * @param {Array} people - Current people/collections
+ * @param {Array} operations - Operations in the order they were made
+ * @returns {Object} - { valid, people, error }
+ */
+function applyCollectionPatch(people, operations) {
+  if (!Array.isArray(operations)) {
+    return { valid: false, error: 'Operations must be an array' };
+  }
+
+  if (operations.length > MAX_PATCH_OPERATIONS) {
+    return { valid: false, error: `A maximum of ${MAX_PATCH_OPERATIONS} operations per sync is allowed` };
+  }
+
+  for (const operation of operations) {
+    const error = validateOperation(operation);
+    if (error) {
+      return { valid: false, error };
+    }
+  }
+
+  const updatedPeople = operations.reduce(applyOperation, Array.isArray(people) ? people : []);
+  return { valid: true, people: updatedPeople };
+}
+
+module.exports = {
+  MAX_PATCH_OPERATIONS,
+  OPERATIONS,
+  validateOperation,
+  applyCollectionPatch
+};
@@ -0,0 +1,160 @@
+// utils/collectionSync.js
+// Reconcile the collection a browser holds with the copy stored on the server
+
+/**
+ * Every browser keeps its own copy of the collection and pushes it through
+ * /api/sync-list. The server stamps each push with `lastSync`, and the browser
+ * remembers the stamp of its own last push. Comparing the two tells whether
+ * another device has synced since:
+ *
+ *   server unchanged, no local edits   -> in-sync
+ *   server unchanged, local edits      -> push-local
+ *   server changed,   no local edits   -> use-server (last write wins)
+ *   server changed,   local edits      -> conflict (the user picks or merges)
+ *
+ * Pushes are also guarded by `revision`, a counter bumped on every sync. A push
+ * must name the revision its changes are based on; a stale one is refused with
+ * 409 so two tabs or devices can't overwrite each other.
+ */
+
+const { getTenantFeeds, getFeedFilters } = require('./feeds');
+const { getTenantExclusions, mergeExclusions } = require('./exclusions');
+
+function parseList(value) {
+  try {
+    const list = JSON.parse(value || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function toTime(value) {
+  const time = value ? new Date(value).getTime() : 0;
+  return Number.isFinite(time) ? time : 0;
+}
+
+/**
+ * Revision of the stored collection (0 until the first sync that records one)
+ * @param {Object} tenant - Tenant record
+ * @returns {number}
+ */
+function getCollectionRevision(tenant) {
+  const revision = Number(tenant?.revision);
+  return Number.isInteger(revision) && revision > 0 ? revision : 0;
+}
+
+/**
+ * Collection as stored on a tenant, in the shape the browser keeps it
+ * @param {Object} tenant - Tenant record
+ * @returns {Object} - { people, selectedMovies, feeds, feedFilters, exclusions, lastSync, revision }
+ */
+function getCollectionState(tenant) {
+  return {
+    people: parseList(tenant.people),
+    selectedMovies: parseList(tenant.selectedMovies),
+    feeds: getTenantFeeds(tenant),
+    feedFilters: getFeedFilters(tenant),
+    exclusions: getTenantExclusions(tenant),
+    lastSync: tenant.lastSync || null,
+    revision: getCollectionRevision(tenant)
+  };
+}
+
+/**
+ * Decide how to bring a browser's collection in line with the server
+ * @param {Object} options
+ * @param {Object} options.local - { people } held by the browser
+ * @param {Object} options.server - Collection state from the server
+ * @param {string|null} options.lastSyncedAt - Server `lastSync` from this browser's last push
+ * @param {string|null} options.pendingSince - When local edits started waiting for a push
+ * @returns {string} - 'in-sync' | 'push-local' | 'use-server' | 'conflict'
+ */
+function reconcileCollection({ local, server, lastSyncedAt = null, pendingSince = null }) {
+  const localPeople = Array.isArray(local?.people) ? local.people : [];
+  const serverPeople = Array.isArray(server?.people) ? server.people : [];
+  const hasLocalEdits = Boolean(pendingSince);
+
+  // An empty list counts too once something was synced (another device removed every source);
+  // only a record that never received a sync keeps the lastSync stamped when it was created
+  const serverSynced = serverPeople.length > 0 || getCollectionRevision(server) > 0;
+  const serverChanged = serverSynced && toTime(server.lastSync) > toTime(lastSyncedAt);
+  if (!serverChanged) {
+    return hasLocalEdits ? 'push-local' : 'in-sync';
+  }
+
+  // An empty browser only takes the server copy when it isn't itself waiting to push: with
+  // pending edits, the empty list may be the user removing every source
+  if (localPeople.length === 0 && !hasLocalEdits) {
+    return 'use-server';
+  }
+
+  // Same collection on both sides (e.g. a browser synced before lastSync was remembered)
+  if (JSON.stringify(localPeople) === JSON.stringify(serverPeople)) {
+    return 'in-sync';
+  }
+
+  // A browser that never recorded a push can't tell whose edits are newer
+  if (!hasLocalEdits && lastSyncedAt) {
+    return 'use-server';
+  }
+
+  return 'conflict';
+}
+
+// Roles are replaced as a whole when edited, so the most recently added one wins
+function mergeRoles(localRoles = [], serverRoles = []) {
+  const roles = new Map(serverRoles.map(role => [role.type, role]));
+  for (const role of localRoles) {
+    const existing = roles.get(role.type);
+    if (!existing || toTime(role.addedAt) >= toTime(existing.addedAt)) {
+      roles.set(role.type, role);
+    }
+  }
+  return [...roles.values()];
+}
+
+function mergeFeeds(localFeeds = [], serverFeeds = []) {
+  const feeds = new Map(serverFeeds.map(feed => [feed.id, feed]));
+  for (const feed of localFeeds) {
+    feeds.set(feed.id, feed);
+  }
+  return [...feeds.values()];
+}
+
+/**
+ * Combine both copies of a collection: every person, collection, feed and exclusion
+ * from either side is kept. Sources on both sides keep each role, preferring the newer one.
+ * Default feed filters are taken from this browser.
+ * @param {Object} local - { people, feeds, feedFilters, exclusions } held by the browser
+ * @param {Object} server - Collection state from the server
+ * @returns {Object} - { people, feeds, feedFilters, exclusions }
+ */
+function mergeCollections(local, server) {
+  const serverPeople = new Map((server.people || []).map(person => [person.id, person]));
+  const people = (local.people || []).map(person => {
+    const serverPerson = serverPeople.get(person.id);
+    if (!serverPerson) return person;
+    serverPeople.delete(person.id);
+    return {
+      ...serverPerson,
+      ...person,
+      roles: mergeRoles(person.roles, serverPerson.roles),
+      feedIds: [...new Set([...(serverPerson.feedIds || []), ...(person.feedIds || [])])]
+    };
+  });
+
+  return {
+    people: [...people, ...serverPeople.values()],
+    feeds: mergeFeeds(local.feeds, server.feeds),
+    feedFilters: local.feedFilters || server.feedFilters || {},
+    exclusions: mergeExclusions(local.exclusions, server.exclusions)
+  };
+}
+
+module.exports = {
+  getCollectionRevision,
+  getCollectionState,
+  reconcileCollection,
+  mergeCollections
+};
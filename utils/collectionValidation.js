@@ -0,0 +1,83 @@
+// utils/collectionValidation.js
+// Shape checks for the people tree a client syncs, before the server builds a feed from it
+
+/**
+ * The server rebuilds the feed from `people` itself (`deduplicateMovies`), so the
+ * tree is the only input that matters. Sources and roles that aren't shaped like
+ * the browser's make the whole sync fail; a single malformed movie is dropped and
+ * reported instead, so one bad entry from an old client doesn't block the rest.
+ */
+
+const { validators } = require('./validation.js');
+const { movie: movieSchema } = require('./apiSchemas.js');
+
+const MAX_REPORTED_REJECTIONS = 20;
+
+function isSourceId(value) {
+  return (typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && value.length > 0);
+}
+
+/**
+ * Check one movie from a role's movie list against the shared movie schema
+ * @param {Object} movie - Movie as stored by the browser
+ * @returns {string|null} - Error message, or null when the movie is usable
+ */
+function validateMovie(movie) {
+  const result = validators.object(movie, movieSchema.options);
+  if (result.valid) return null;
+
+  return result.errors ? result.errors[0].error : result.error;
+}
+
+/**
+ * Validate a people tree, dropping malformed movies
+ * @param {Array} people - People/collections with roles and movies
+ * @returns {Object} - { valid, people, rejectedCount, rejected, error }; `rejected` lists at most 20 examples
+ */
+function normalizePeople(people) {
+  if (!Array.isArray(people)) {
+    return { valid: false, error: 'People must be an array' };
+  }
+
+  const rejected = [];
+  let rejectedCount = 0;
+  const normalized = [];
+
+  for (const person of people) {
+    if (!person || typeof person !== 'object' || !isSourceId(person.id) || typeof person.name !== 'string') {
+      return { valid: false, error: 'Each source needs an id and a name' };
+    }
+
+    if (!Array.isArray(person.roles)) {
+      return { valid: false, error: `Source "${person.name.substring(0, 60)}" has no roles` };
+    }
+
+    const roles = [];
+    for (const role of person.roles) {
+      if (!role || typeof role.type !== 'string' || !Array.isArray(role.movies)) {
+        return { valid: false, error: `Source "${person.name.substring(0, 60)}" has a malformed role` };
+      }
+
+      const movies = role.movies.filter(movie => {
+        const error = validateMovie(movie);
+        if (!error) return true;
+
+        rejectedCount++;
+        if (rejected.length < MAX_REPORTED_REJECTIONS) {
+          rejected.push({ source: person.name, role: role.type, movieId: movie?.id ?? null, error });
+        }
+        return false;
+      });
+      roles.push(movies.length === role.movies.length ? role : { ...role, movies });
+    }
+
+    normalized.push({ ...person, roles });
+  }
+
+  return { valid: true, people: normalized, rejectedCount, rejected };
+}
+
+module.exports = {
+  validateMovie,
+  normalizePeople
+};
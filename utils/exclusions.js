@@ -0,0 +1,209 @@
+// utils/exclusions.js
+// Tenant-level movie blocklist shared by the API routes and the browser
+
+/**
+ * Deselecting a movie only affects one source; an exclusion removes it from every
+ * feed no matter how many people or collections still select it:
+ * [
+ *   { imdb_id: 'tt0137523', tmdb_id: 550, title: 'Fight Club', reason: 'Already own it', excludedAt: '2026-...' }
+ * ]
+ * An entry needs an IMDb or TMDb id; either one matching is enough.
+ */
+
+const MAX_EXCLUSIONS = 1000;
+const MAX_REASON_LENGTH = 200;
+const MAX_TITLE_LENGTH = 300;
+const IMDB_ID_PATTERN = /^tt\d{1,10}$/;
+
+/**
+ * Build an exclusion entry for a movie
+ * @param {Object} movie - Movie with id (TMDb) and/or imdb_id
+ * @param {string} reason - Optional note shown in the exclusions list
+ * @returns {Object} - Exclusion entry
+ */
+function createExclusion(movie, reason = '') {
+  return {
+    imdb_id: movie?.imdb_id || null,
+    tmdb_id: Number.isInteger(movie?.id) ? movie.id : null,
+    title: String(movie?.title || '').substring(0, MAX_TITLE_LENGTH),
+    reason: String(reason || '').trim().substring(0, MAX_REASON_LENGTH),
+    excludedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Validate exclusions sent by a client
+ * @param {Array|null} exclusions - Raw exclusion entries
+ * @returns {Object} - { valid, exclusions, error }
+ */
+function normalizeExclusions(exclusions) {
+  if (exclusions === undefined || exclusions === null) {
+    return { valid: true, exclusions: [] };
+  }
+
+  if (!Array.isArray(exclusions)) {
+    return { valid: false, error: 'Exclusions must be an array' };
+  }
+
+  if (exclusions.length > MAX_EXCLUSIONS) {
+    return { valid: false, error: `A maximum of ${MAX_EXCLUSIONS} exclusions is allowed` };
+  }
+
+  const seen = new Set();
+  const normalized = [];
+
+  for (const entry of exclusions) {
+    if (!entry || typeof entry !== 'object') {
+      return { valid: false, error: 'Invalid exclusion entry' };
+    }
+
+    const imdbId = entry.imdb_id || null;
+    if (imdbId !== null && (typeof imdbId !== 'string' || !IMDB_ID_PATTERN.test(imdbId))) {
+      return { valid: false, error: `Invalid IMDb id: ${String(imdbId).substring(0, 20)}` };
+    }
+
+    const tmdbId = entry.tmdb_id === undefined || entry.tmdb_id === null ? null : Number(entry.tmdb_id);
+    if (tmdbId !== null && (!Number.isInteger(tmdbId) || tmdbId <= 0)) {
+      return { valid: false, error: `Invalid TMDb id: ${String(entry.tmdb_id).substring(0, 20)}` };
+    }
+
+    if (!imdbId && !tmdbId) {
+      return { valid: false, error: 'Each exclusion needs an IMDb or TMDb id' };
+    }
+
+    if (entry.reason !== undefined && entry.reason !== null && typeof entry.reason !== 'string') {
+      return { valid: false, error: 'Exclusion reason must be text' };
+    }
+
+    // The same movie excluded twice keeps the first entry
+    const key = imdbId || `tmdb:${tmdbId}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const excludedAt = new Date(entry.excludedAt || Date.now());
+    normalized.push({
+      imdb_id: imdbId,
+      tmdb_id: tmdbId,
+      title: String(entry.title || '').substring(0, MAX_TITLE_LENGTH),
+      reason: String(entry.reason || '').trim().substring(0, MAX_REASON_LENGTH),
+      excludedAt: Number.isNaN(excludedAt.getTime()) ? new Date().toISOString() : excludedAt.toISOString()
+    });
+  }
+
+  return { valid: true, exclusions: normalized };
+}
+
+/**
+ * Read the exclusion list from a stored tenant record
+ * @param {Object} tenant - Tenant data
+ * @returns {Array} - Exclusion entries (empty when none are set)
+ */
+function getTenantExclusions(tenant) {
+  if (!tenant || !tenant.exclusions) return [];
+
+  try {
+    const exclusions = typeof tenant.exclusions === 'string' ? JSON.parse(tenant.exclusions) : tenant.exclusions;
+    const validation = normalizeExclusions(exclusions);
+    return validation.valid ? validation.exclusions : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Index exclusions for fast lookups
+ * @param {Array} exclusions - Exclusion entries
+ * @returns {Object} - { imdb: Set, tmdb: Set, size }
+ */
+function buildExclusionIndex(exclusions = []) {
+  const index = { imdb: new Set(), tmdb: new Set(), size: 0 };
+  if (!Array.isArray(exclusions)) return index;
+
+  exclusions.forEach(entry => {
+    if (entry?.imdb_id) index.imdb.add(entry.imdb_id);
+    if (entry?.tmdb_id) index.tmdb.add(Number(entry.tmdb_id));
+  });
+  index.size = exclusions.length;
+  return index;
+}
+
+/**
+ * Whether a movie is on the exclusion list
+ * @param {Object} movie - Movie with id (TMDb) and/or imdb_id
+ * @param {Array|Object} exclusions - Exclusion entries or an index from buildExclusionIndex
+ * @returns {boolean}
+ */
+function isExcluded(movie, exclusions) {
+  if (!movie || !exclusions) return false;
+
+  const index = Array.isArray(exclusions) ? buildExclusionIndex(exclusions) : exclusions;
+  return Boolean(
+    (movie.imdb_id && index.imdb.has(movie.imdb_id)) ||
+    (Number.isInteger(movie.id) && index.tmdb.has(movie.id))
+  );
+}
+
+/**
+ * Drop excluded movies from a list
+ * @param {Array} movies - Movies to filter
+ * @param {Array} exclusions - Exclusion entries
+ * @returns {Array} - Movies not on the exclusion list (the same array when none are set)
+ */
+function applyExclusions(movies, exclusions) {
+  if (!Array.isArray(movies) || !Array.isArray(exclusions) || exclusions.length === 0) {
+    return movies;
+  }
+
+  const index = buildExclusionIndex(exclusions);
+  return movies.filter(movie => !isExcluded(movie, index));
+}
+
+/**
+ * Combine two exclusion lists (used by backup import); existing entries win
+ * @param {Array} existing - Current exclusions
+ * @param {Array} incoming - Exclusions from a backup
+ * @returns {Array} - Merged list, capped at MAX_EXCLUSIONS
+ */
+function mergeExclusions(existing = [], incoming = []) {
+  const current = normalizeExclusions(existing);
+  const imported = normalizeExclusions(incoming);
+  const merged = current.valid ? [...current.exclusions] : [];
+  if (!imported.valid) return merged;
+
+  const index = buildExclusionIndex(merged);
+  imported.exclusions.forEach(entry => {
+    if (merged.length >= MAX_EXCLUSIONS) return;
+    if (isExcluded({ id: entry.tmdb_id, imdb_id: entry.imdb_id }, index)) return;
+    merged.push(entry);
+    if (entry.imdb_id) index.imdb.add(entry.imdb_id);
+    if (entry.tmdb_id) index.tmdb.add(entry.tmdb_id);
+  });
+  return merged;
+}
+
+/**
+ * Remove an exclusion by the movie it refers to
+ * @param {Array} exclusions - Current exclusions
+ * @param {Object} entry - Exclusion entry (or movie) to remove
+ * @returns {Array} - Remaining exclusions
+ */
+function removeExclusion(exclusions = [], entry) {
+  return exclusions.filter(existing => !(
+    (entry.imdb_id && existing.imdb_id === entry.imdb_id) ||
+    (entry.tmdb_id && existing.tmdb_id === entry.tmdb_id)
+  ));
+}
+
+// CommonJS exports
+module.exports = {
+  MAX_EXCLUSIONS,
+  MAX_REASON_LENGTH,
+  createExclusion,
+  normalizeExclusions,
+  getTenantExclusions,
+  buildExclusionIndex,
+  isExcluded,
+  applyExclusions,
+  mergeExclusions,
+  removeExclusion
+};
@@ -0,0 +1,188 @@
+// utils/feedFilters.js
+// Feed-level filtering rules shared by RSSManager and the feed settings UI
+
+/**
+ * Filters narrow what a feed publishes without touching the selection itself:
+ * {
+ *   minRating: 6.5,               // TMDb vote_average
+ *   minYear: 1990, maxYear: 2025, // release year range
+ *   minRuntime: 80, maxRuntime: 180,
+ *   includeGenres: ['Horror'],    // at least one must match
+ *   excludeGenres: ['Animation'], // none may match
+ *   releasedOnly: true            // drop movies with a future (or unknown) release date
+ * }
+ * Every field is optional; an empty object publishes everything.
+ */
+
+const MAX_FILTER_GENRES = 20;
+
+const NUMERIC_FILTERS = {
+  minRating: { min: 0, max: 10 },
+  minYear: { min: 1870, max: 2200 },
+  maxYear: { min: 1870, max: 2200 },
+  minRuntime: { min: 0, max: 1000 },
+  maxRuntime: { min: 0, max: 1000 }
+};
+
+/**
+ * Validate filters sent by a client and drop empty values
+ * @param {Object|null} filters - Raw filters
+ * @returns {Object} - { valid, filters, error }
+ */
+function normalizeFeedFilters(filters) {
+  if (filters === undefined || filters === null) {
+    return { valid: true, filters: {} };
+  }
+
+  if (typeof filters !== 'object' || Array.isArray(filters)) {
+    return { valid: false, error: 'Feed filters must be an object' };
+  }
+
+  const normalized = {};
+
+  for (const [key, range] of Object.entries(NUMERIC_FILTERS)) {
+    const value = filters[key];
+    if (value === undefined || value === null || value === '') continue;
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < range.min || number > range.max) {
+      return { valid: false, error: `${key} must be between ${range.min} and ${range.max}` };
+    }
+    normalized[key] = number;
+  }
+
+  if (normalized.minYear !== undefined && normalized.maxYear !== undefined && normalized.minYear > normalized.maxYear) {
+    return { valid: false, error: 'minYear cannot be after maxYear' };
+  }
+
+  if (normalized.minRuntime !== undefined && normalized.maxRuntime !== undefined && normalized.minRuntime > normalized.maxRuntime) {
+    return { valid: false, error: 'minRuntime cannot be greater than maxRuntime' };
+  }
+
+  for (const key of ['includeGenres', 'excludeGenres']) {
+    const genres = filters[key];
+    if (genres === undefined || genres === null) continue;
+
+    if (!Array.isArray(genres) || genres.length > MAX_FILTER_GENRES || !genres.every(g => typeof g === 'string')) {
+      return { valid: false, error: `${key} must be a list of up to ${MAX_FILTER_GENRES} genre names` };
+    }
+
+    const cleaned = [...new Set(genres.map(g => g.trim()).filter(Boolean))];
+    if (cleaned.length > 0) {
+      normalized[key] = cleaned;
+    }
+  }
+
+  if (filters.releasedOnly === true) {
+    normalized.releasedOnly = true;
+  }
+
+  return { valid: true, filters: normalized };
+}
+
+/**
+ * Whether any rule is set
+ * @param {Object} filters - Normalized filters
+ * @returns {boolean}
+ */
+function hasActiveFilters(filters) {
+  return Boolean(filters) && Object.keys(filters).length > 0;
+}
+
+function getMovieYear(movie) {
+  if (movie.year) return Number(movie.year);
+  if (movie.release_date) {
+    const year = new Date(movie.release_date).getFullYear();
+    return Number.isNaN(year) ? null : year;
+  }
+  return null;
+}
+
+/**
+ * Check one movie against a feed's filters. Runtime is often missing for new
+ * releases, so an unknown runtime passes the runtime bounds; an unknown year
+ * fails a year range and an unknown release date fails "released only".
+ * @param {Object} movie - Movie with TMDb metadata
+ * @param {Object} filters - Normalized filters
+ * @param {Date} now - Reference date for "released only"
+ * @returns {boolean}
+ */
+function movieMatchesFilters(movie, filters, now = new Date()) {
+  if (!hasActiveFilters(filters)) return true;
+
+  if (filters.minRating !== undefined && (movie.vote_average || 0) < filters.minRating) {
+    return false;
+  }
+
+  if (filters.minYear !== undefined || filters.maxYear !== undefined) {
+    const year = getMovieYear(movie);
+    if (year === null) return false;
+    if (filters.minYear !== undefined && year < filters.minYear) return false;
+    if (filters.maxYear !== undefined && year > filters.maxYear) return false;
+  }
+
+  if (movie.runtime) {
+    if (filters.minRuntime !== undefined && movie.runtime < filters.minRuntime) return false;
+    if (filters.maxRuntime !== undefined && movie.runtime > filters.maxRuntime) return false;
+  }
+
+  const genres = (movie.genres || []).map(genre => String(genre).toLowerCase());
+  if (filters.includeGenres && !filters.includeGenres.some(genre => genres.includes(genre.toLowerCase()))) {
+    return false;
+  }
+  if (filters.excludeGenres && filters.excludeGenres.some(genre => genres.includes(genre.toLowerCase()))) {
+    return false;
+  }
+
+  if (filters.releasedOnly) {
+    const releaseDate = movie.release_date ? new Date(movie.release_date) : null;
+    if (!releaseDate || Number.isNaN(releaseDate.getTime()) || releaseDate > now) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Apply a feed's filters to its movies
+ * @param {Array} movies - Movies in the feed
+ * @param {Object} filters - Normalized filters
+ * @param {Date} now - Reference date for "released only"
+ * @returns {Array} - Movies that pass every rule
+ */
+function applyFeedFilters(movies, filters, now = new Date()) {
+  if (!hasActiveFilters(filters)) return movies;
+  return movies.filter(movie => movieMatchesFilters(movie, filters, now));
+}
+
+/**
+ * Short human readable summary, e.g. "⭐ 6.5+ • 1990-2025 • no Animation"
+ * @param {Object} filters - Normalized filters
+ * @returns {string}
+ */
+function describeFeedFilters(filters) {
+  if (!hasActiveFilters(filters)) return 'No filters';
+
+  const parts = [];
+  if (filters.minRating !== undefined) parts.push(`⭐ ${filters.minRating}+`);
+  if (filters.minYear !== undefined || filters.maxYear !== undefined) {
+    parts.push(`${filters.minYear ?? '…'}-${filters.maxYear ?? '…'}`);
+  }
+  if (filters.minRuntime !== undefined || filters.maxRuntime !== undefined) {
+    parts.push(`${filters.minRuntime ?? 0}-${filters.maxRuntime ?? '∞'} min`);
+  }
+  if (filters.includeGenres) parts.push(`only ${filters.includeGenres.join('/')}`);
+  if (filters.excludeGenres) parts.push(`no ${filters.excludeGenres.join('/')}`);
+  if (filters.releasedOnly) parts.push('released only');
+  return parts.join(' • ');
+}
+
+// CommonJS exports
+module.exports = {
+  normalizeFeedFilters,
+  hasActiveFilters,
+  movieMatchesFilters,
+  applyFeedFilters,
+  describeFeedFilters
+};
@@ -0,0 +1,176 @@
+// utils/feedPaging.js
+// Ordering, item caps and paging for tenant feeds (RSS, Atom and JSON Feed)
+
+/**
+ * Feeds take optional query parameters:
+ *   sort=release|added|rating  order of the items (release date, newest first, is the default)
+ *   limit=100                  items per page (1 - MAX_FEED_PAGE_SIZE)
+ *   offset=200                 items to skip
+ *
+ * Without them the whole feed is one document, which is what Radarr expects: it reads
+ * a single document and never follows paging links, so that document is never cut short.
+ * FEED_MAX_ITEMS only caps the page size a `limit` may ask for. Paged feeds link their other
+ * pages RFC 5005 style (rel="first" / "previous" / "next" / "last"), and JSON Feed through `next_url`.
+ */
+
+const FEED_SORT_ORDERS = ['release', 'added', 'rating'];
+const DEFAULT_FEED_SORT = 'release';
+const MAX_FEED_PAGE_SIZE = 5000;
+
+/**
+ * Validate the paging parameters of a feed request
+ * @param {URLSearchParams} searchParams - Request query
+ * @returns {Object} - { valid, paging: { sort, limit, offset }, error } (limit is null when not set)
+ */
+function parseFeedPaging(searchParams) {
+  const sort = (searchParams.get('sort') || DEFAULT_FEED_SORT).toLowerCase();
+  if (!FEED_SORT_ORDERS.includes(sort)) {
+    return { valid: false, error: `sort must be one of: ${FEED_SORT_ORDERS.join(', ')}` };
+  }
+
+  const paging = { sort, limit: null, offset: 0 };
+
+  const limit = searchParams.get('limit');
+  if (limit !== null && limit !== '') {
+    if (!/^\d+$/.test(limit) || Number(limit) < 1 || Number(limit) > MAX_FEED_PAGE_SIZE) {
+      return { valid: false, error: `limit must be between 1 and ${MAX_FEED_PAGE_SIZE}` };
+    }
+    paging.limit = Number(limit);
+  }
+
+  const offset = searchParams.get('offset');
+  if (offset !== null && offset !== '') {
+    if (!/^\d+$/.test(offset) || !Number.isSafeInteger(Number(offset))) {
+      return { valid: false, error: 'offset must be a non-negative integer' };
+    }
+    paging.offset = Number(offset);
+  }
+
+  return { valid: true, paging };
+}
+
+// Server-wide cap on the `limit` of a paged request (FEED_MAX_ITEMS; unset or 0 means no cap)
+function getMaxFeedItems() {
+  const max = parseInt(process.env.FEED_MAX_ITEMS, 10);
+  return Number.isFinite(max) && max > 0 ? max : null;
+}
+
+// Whether a request asks for the complete, default-ordered feed
+function isDefaultPaging(paging) {
+  return !paging || (paging.sort === DEFAULT_FEED_SORT && paging.limit === null && paging.offset === 0);
+}
+
+// When a movie was added: its own timestamp (smart sources) or its earliest source's
+function getMovieAddedAt(movie) {
+  const times = [movie.addedAt, ...(movie.sources || []).map(source => source.addedAt)]
+    .map(value => (value ? new Date(value).getTime() : NaN))
+    .filter(Number.isFinite);
+  return times.length > 0 ? Math.min(...times) : null;
+}
+
+function getReleaseTime(movie) {
+  const time = new Date(movie.release_date || '1900-01-01').getTime();
+  return Number.isFinite(time) ? time : 0;
+}
+
+// Descending, with unknown values last
+function compareDescending(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return b - a;
+}
+
+/**
+ * Order feed movies; ties (and the default order) fall back to release date, newest first
+ * @param {Array} movies - Feed movies
+ * @param {string} sort - 'release', 'added' or 'rating'
+ * @returns {Array} - Sorted copy
+ */
+function sortFeedMovies(movies, sort = DEFAULT_FEED_SORT) {
+  const byRelease = (a, b) => getReleaseTime(b) - getReleaseTime(a);
+  const compare = {
+    release: byRelease,
+    added: (a, b) => compareDescending(getMovieAddedAt(a), getMovieAddedAt(b)) || byRelease(a, b),
+    rating: (a, b) => compareDescending(a.vote_average ?? null, b.vote_average ?? null) || byRelease(a, b)
+  }[sort] || byRelease;
+
+  return [...movies].sort(compare);
+}
+
+/**
+ * Sort and cut one page out of a feed
+ * @param {Array} movies - All movies in the feed
+ * @param {Object} paging - { sort, limit, offset } from parseFeedPaging
+ * @param {number|null} maxItems - Server cap on `limit` (getMaxFeedItems); feeds without a limit are never cut
+ * @returns {Object} - { movies, total, offset, limit, paged } (limit is null when the rest of the feed is served)
+ */
+function pageFeedMovies(movies, paging = {}, maxItems = getMaxFeedItems()) {
+  const { sort = DEFAULT_FEED_SORT, limit = null, offset = 0 } = paging;
+  const pageSize = limit ? Math.min(limit, maxItems || Infinity) : Infinity;
+  const sorted = sortFeedMovies(movies, sort);
+
+  if (pageSize === Infinity && offset === 0) {
+    return { movies: sorted, total: sorted.length, offset: 0, limit: null, paged: false };
+  }
+
+  const size = pageSize === Infinity ? null : pageSize;
+  return {
+    movies: sorted.slice(offset, size === null ? undefined : offset + size),
+    total: sorted.length,
+    offset,
+    limit: size,
+    paged: true
+  };
+}
+
+/**
+ * Links to the other pages of a paged feed
+ * @param {string} baseUrl - Feed URL including its query (sig, feed, format, sort)
+ * @param {Object} page - Result of pageFeedMovies
+ * @returns {Object} - { self, first, previous, next, last }; missing relations are null
+ */
+function buildPageLinks(baseUrl, page) {
+  const pageUrl = offset => {
+    const url = new URL(baseUrl);
+    url.searchParams.delete('bypass');
+    if (page.limit !== null) {
+      url.searchParams.set('limit', String(page.limit));
+    }
+    if (offset > 0) {
+      url.searchParams.set('offset', String(offset));
+    } else {
+      url.searchParams.delete('offset');
+    }
+    return url.toString();
+  };
+
+  if (!page.paged) {
+    return { self: pageUrl(0), first: null, previous: null, next: null, last: null };
+  }
+
+  const size = page.limit || page.total;
+  const lastOffset = page.total > 0 ? Math.floor((page.total - 1) / size) * size : 0;
+
+  return {
+    self: pageUrl(page.offset),
+    first: pageUrl(0),
+    previous: page.offset > 0 ? pageUrl(Math.max(0, page.offset - size)) : null,
+    next: page.offset + size < page.total ? pageUrl(page.offset + size) : null,
+    last: pageUrl(lastOffset)
+  };
+}
+
+// CommonJS exports
+module.exports = {
+  FEED_SORT_ORDERS,
+  DEFAULT_FEED_SORT,
+  MAX_FEED_PAGE_SIZE,
+  parseFeedPaging,
+  getMaxFeedItems,
+  isDefaultPaging,
+  getMovieAddedAt,
+  sortFeedMovies,
+  pageFeedMovies,
+  buildPageLinks
+};
@@ -0,0 +1,273 @@
+// utils/feeds.js
+// Named feed helpers shared by the API routes and the browser
+
+/**
+ * A tenant always has an implicit default feed (the original RSS URL) containing
+ * every selected movie. Named feeds are optional subsets: a source (person,
+ * collection or company) appears in a named feed when its `feedIds` include it.
+ */
+
+const { normalizeFeedFilters } = require('./feedFilters');
+const { deduplicateMovies } = require('./movieDeduplication');
+const { getTenantExclusions, applyExclusions } = require('./exclusions');
+
+const MAX_FEEDS = 20;
+const MAX_FEED_NAME_LENGTH = 60;
+const FEED_ID_PATTERN = /^[a-z0-9-]{1,40}$/;
+
+/**
+ * Turn a feed name into a URL-safe id, unique among existing feeds
+ * @param {string} name - Human readable feed name
+ * @param {Array} existingFeeds - Feeds already defined
+ * @returns {string} - Feed id like "4k-directors"
+ */
+function generateFeedId(name, existingFeeds = []) {
+  const base = String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 32) || 'feed';
+
+  const existingIds = new Set(existingFeeds.map(feed => feed.id));
+  let id = base;
+  let suffix = 2;
+  while (existingIds.has(id)) {
+    id = `${base}-${suffix++}`;
+  }
+  return id;
+}
+
+/**
+ * Create a new named feed definition
+ * @param {string} name - Feed name
+ * @param {Array} existingFeeds - Feeds already defined
+ * @returns {Object} - Feed definition
+ */
+function createFeed(name, existingFeeds = []) {
+  const trimmedName = String(name || '').trim().substring(0, MAX_FEED_NAME_LENGTH);
+  return {
+    id: generateFeedId(trimmedName, existingFeeds),
+    name: trimmedName,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Validate feed definitions sent by a client
+ * @param {Array} feeds - Feed definitions
+ * @returns {Object} - { valid, feeds, error }
+ */
+function normalizeFeeds(feeds) {
+  if (!Array.isArray(feeds)) {
+    return { valid: false, error: 'Feeds must be an array' };
+  }
+
+  if (feeds.length > MAX_FEEDS) {
+    return { valid: false, error: `A maximum of ${MAX_FEEDS} feeds is allowed` };
+  }
+
+  const seenIds = new Set();
+  const normalized = [];
+
+  for (const feed of feeds) {
+    if (!feed || typeof feed !== 'object') {
+      return { valid: false, error: 'Invalid feed definition' };
+    }
+
+    if (typeof feed.id !== 'string' || !FEED_ID_PATTERN.test(feed.id)) {
+      return { valid: false, error: `Invalid feed id: ${String(feed.id).substring(0, 40)}` };
+    }
+
+    if (seenIds.has(feed.id)) {
+      return { valid: false, error: `Duplicate feed id: ${feed.id}` };
+    }
+
+    const name = typeof feed.name === 'string' ? feed.name.trim() : '';
+    if (!name || name.length > MAX_FEED_NAME_LENGTH) {
+      return { valid: false, error: `Feed name must be 1-${MAX_FEED_NAME_LENGTH} characters` };
+    }
+
+    const filterValidation = normalizeFeedFilters(feed.filters);
+    if (!filterValidation.valid) {
+      return { valid: false, error: `Feed "${name}": ${filterValidation.error}` };
+    }
+
+    seenIds.add(feed.id);
+    normalized.push({
+      id: feed.id,
+      name,
+      createdAt: feed.createdAt || new Date().toISOString(),
+      filters: filterValidation.filters
+    });
+  }
+
+  return { valid: true, feeds: normalized };
+}
+
+/**
+ * Read named feeds from a stored tenant record
+ * @param {Object} tenant - Tenant data
+ * @returns {Array} - Feed definitions (empty when none are defined)
+ */
+function getTenantFeeds(tenant) {
+  if (!tenant || !tenant.feeds) return [];
+
+  try {
+    const feeds = typeof tenant.feeds === 'string' ? JSON.parse(tenant.feeds) : tenant.feeds;
+    return Array.isArray(feeds) ? feeds : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Find a named feed on a tenant
+ * @param {Object} tenant - Tenant data
+ * @param {string} feedId - Feed id
+ * @returns {Object|null} - Feed definition or null
+ */
+function findTenantFeed(tenant, feedId) {
+  return getTenantFeeds(tenant).find(feed => feed.id === feedId) || null;
+}
+
+/**
+ * Filtering rules for a feed (the default feed keeps its own on the tenant)
+ * @param {Object} tenant - Tenant data
+ * @param {Object|null} feed - Named feed definition, or null for the default feed
+ * @returns {Object} - Normalized filters ({} when none are set)
+ */
+function getFeedFilters(tenant, feed = null) {
+  let filters = feed ? feed.filters : null;
+
+  if (!feed && tenant && tenant.feedFilters) {
+    try {
+      filters = typeof tenant.feedFilters === 'string' ? JSON.parse(tenant.feedFilters) : tenant.feedFilters;
+    } catch (error) {
+      filters = null;
+    }
+  }
+
+  const validation = normalizeFeedFilters(filters);
+  return validation.valid ? validation.filters : {};
+}
+
+/**
+ * Data signed for a feed URL (the default feed keeps its original signature)
+ * @param {string} userId - Tenant id
+ * @param {string|null} feedId - Named feed id, or null for the default feed
+ * @returns {string} - Signature payload
+ */
+function getFeedSignatureData(userId, feedId = null) {
+  return feedId ? `rss:${userId}:${feedId}` : `rss:${userId}`;
+}
+
+/**
+ * Signed RSS and list URLs for the default feed and every named feed
+ * @param {string} userId - User ID
+ * @param {Array} feeds - Named feeds
+ * @param {Function} signFeedData - Signs feed signature data with the tenant secret
+ * @returns {Object} - { rssUrl, listUrl, feedUrls: [{ id, name, rssUrl, listUrl }] }
+ */
+function buildFeedUrls(userId, feeds, signFeedData) {
+  const base = 'https://helparr.vercel.app';
+  const bypassParam = process.env.VERCEL_AUTOMATION_BYPASS_SECRET
+    ? `&x-vercel-protection-bypass=${process.env.VERCEL_AUTOMATION_BYPASS_SECRET}`
+    : '';
+
+  const rssSig = signFeedData(getFeedSignatureData(userId));
+
+  // Each named feed gets its own signed URLs so Radarr lists can map to different profiles
+  const feedUrls = (feeds || []).map(feed => {
+    const feedSig = signFeedData(getFeedSignatureData(userId, feed.id));
+    return {
+      id: feed.id,
+      name: feed.name,
+      rssUrl: `${base}/api/rss/${userId}?feed=${feed.id}&sig=${feedSig}${bypassParam}`,
+      listUrl: `${base}/api/list/${userId}?feed=${feed.id}&sig=${feedSig}${bypassParam}`
+    };
+  });
+
+  return {
+    rssUrl: `${base}/api/rss/${userId}?sig=${rssSig}${bypassParam}`,
+    listUrl: `${base}/api/list/${userId}?sig=${rssSig}${bypassParam}`,
+    feedUrls
+  };
+}
+
+/**
+ * Sources assigned to a named feed
+ * @param {Array} people - People/collections from the tenant
+ * @param {string} feedId - Feed id
+ * @returns {Array} - Subset of people in this feed
+ */
+function getFeedPeople(people, feedId) {
+  if (!Array.isArray(people)) return [];
+  return people.filter(person => Array.isArray(person?.feedIds) && person.feedIds.includes(feedId));
+}
+
+/**
+ * Movies Radarr can import for a feed (title plus IMDb id), before filters.
+ * Movies on the tenant's exclusion list never make it into any feed.
+ * @param {Object} tenant - Stored tenant record
+ * @param {string|null} feedId - Named feed id, or null for the default feed
+ * @returns {Array} - Movies in the feed
+ */
+function getFeedMovies(tenant, feedId = null) {
+  const exclusions = getTenantExclusions(tenant);
+  let movies = [];
+
+  try {
+    if (feedId) {
+      // Named feeds are rebuilt from the sources assigned to them
+      const people = JSON.parse(tenant?.people || '[]');
+      movies = deduplicateMovies(getFeedPeople(people, feedId), exclusions);
+    } else {
+      // The default feed's selections are rebuilt from `people` by sync-list on every sync
+      movies = JSON.parse(tenant?.selectedMovies || '[]');
+    }
+  } catch (error) {
+    return [];
+  }
+
+  if (!Array.isArray(movies)) return [];
+
+  // Lists stored before the server rebuilt them may still hold excluded or malformed movies
+  return applyExclusions(movies, exclusions).filter(movie =>
+    movie &&
+    movie.title &&
+    movie.imdb_id &&
+    movie.imdb_id.startsWith('tt')
+  );
+}
+
+/**
+ * Remove a feed from every source that references it
+ * @param {Array} people - People/collections
+ * @param {string} feedId - Feed id being deleted
+ * @returns {Array} - Updated people
+ */
+function removeFeedFromPeople(people, feedId) {
+  return people.map(person => (
+    Array.isArray(person.feedIds) && person.feedIds.includes(feedId)
+      ? { ...person, feedIds: person.feedIds.filter(id => id !== feedId) }
+      : person
+  ));
+}
+
+// CommonJS exports
+module.exports = {
+  MAX_FEEDS,
+  MAX_FEED_NAME_LENGTH,
+  FEED_ID_PATTERN,
+  generateFeedId,
+  createFeed,
+  normalizeFeeds,
+  getTenantFeeds,
+  findTenantFeed,
+  getFeedFilters,
+  getFeedSignatureData,
+  buildFeedUrls,
+  getFeedPeople,
+  getFeedMovies,
+  removeFeedFromPeople
+};
@@ -0,0 +1,77 @@
+// utils/filmography.js
+// Credit helpers shared by the filmography API and server-side smart sources
+
+const logger = require('./logger');
+
+const ALLOWED_ROLE_TYPES = ['actor', 'director', 'producer', 'sound', 'writer'];
+
+// Extract the credits for one role, newest first, one entry per movie - no arbitrary limits
+function extractMovieCredits(credits, roleType) {
+  try {
+    if (!credits || typeof credits !== 'object') {
+      logger.debug('🔍 Invalid credits object:', credits);
+      return [];
+    }
+
+    let movies = [];
+
+    switch (roleType) {
+      case 'actor':
+        movies = Array.isArray(credits.cast) ? credits.cast : [];
+        break;
+      case 'director':
+        movies = Array.isArray(credits.crew)
+          ? credits.crew.filter(job => job && job.job === 'Director')
+          : [];
+        break;
+      case 'producer':
+        movies = Array.isArray(credits.crew)
+          ? credits.crew.filter(job => job && job.job === 'Producer')
+          : [];
+        break;
+      case 'sound':
+        movies = Array.isArray(credits.crew)
+          ? credits.crew.filter(job => job && (job.department === 'Sound' || (job.job && job.job.includes('Sound'))))
+          : [];
+        break;
+      case 'writer':
+        movies = Array.isArray(credits.crew)
+          ? credits.crew.filter(job => job && job.job &&
+              (job.job === 'Writer' || job.job === 'Screenplay' || job.job === 'Story'))
+          : [];
+        break;
+      default:
+        movies = Array.isArray(credits.cast) ? credits.cast : [];
+    }
+
+    logger.debug(`🔍 Extracted ${movies.length} ${roleType} credits`);
+
+    // Get ALL movies, not just recent ones - sort by release date for better UX.
+    // Several characters or jobs on one movie are separate credits, so keep the first.
+    const seen = new Set();
+    return movies
+      .filter(movie => movie && movie.release_date && movie.id)
+      .sort((a, b) => new Date(b.release_date) - new Date(a.release_date))
+      .filter(movie => {
+        if (seen.has(movie.id)) return false;
+        seen.add(movie.id);
+        return true;
+      });
+
+  } catch (error) {
+    logger.error('🔍 Error extracting movie credits:', error);
+    return [];
+  }
+}
+
+// Extract movie IDs for one role, newest first
+function extractMovieIds(credits, roleType) {
+  return extractMovieCredits(credits, roleType).map(movie => movie.id);
+}
+
+// CommonJS exports
+module.exports = {
+  ALLOWED_ROLE_TYPES,
+  extractMovieCredits,
+  extractMovieIds
+};
@@ -1,10 +1,32 @@
 // utils/hmac.js
 
+/**
+ * Three kinds of signatures, all HMAC-SHA256:
+ *   static       <hex>                           HMAC(data) - feed URLs, and API requests from older clients
+ *   timestamped  <unix>.<hex>                    HMAC(`${data}:${unix}`) with the tenant secret
+ *   session      <sessionId>.<unix>.<hex>        HMAC(`${data}:${unix}`) with a device session key
+ * Timestamped and session signatures expire after SIGNATURE_MAX_AGE_SECONDS, so a captured one
+ * is not a permanent credential. Tokens (`<base64url claims>.<hex>`) carry their own `exp`.
+ */
+
+const SIGNATURE_MAX_AGE_SECONDS = 300;
+const CLOCK_SKEW_SECONDS = 60;
+const DIGEST_PATTERN = /^[a-f0-9]{64}$/i;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+function nowInSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+function timestampedData(data, timestamp) {
+  return `${data}:${timestamp}`;
+}
+
 /**
  * Generate an HMAC-SHA256 signature for a string `data` using `secret`.
  * Synchronous version for server-side API routes.
  */
-export function sign(data, secret) {
+function sign(data, secret) {
   if (typeof window !== 'undefined') {
     throw new Error('HMAC signing not available in browser environment');
   }
@@ -20,7 +42,7 @@ export function sign(data, secret) {
  * Verify that a signature matches HMAC-SHA256(data, secret).
  * Synchronous version for server-side API routes.
  */
-export function verify(data, secret, signature) {
+function verify(data, secret, signature) {
   if (typeof signature !== 'string') {
     return false;
   }
@@ -54,7 +76,7 @@ export function verify(data, secret, signature) {
 /**
  * Async version for client-side use with Web Crypto API
  */
-export async function signAsync(data, secret) {
+async function signAsync(data, secret) {
   // Check if we're on the server side (Node.js environment)
   if (typeof window === 'undefined') {
     // Server-side: Use Node.js crypto module
@@ -87,7 +109,7 @@ export async function signAsync(data, secret) {
 /**
  * Async version for client-side use with Web Crypto API
  */
-export async function verifyAsync(data, secret, signature) {
+async function verifyAsync(data, secret, signature) {
   if (typeof signature !== 'string') {
     return false;
   }
@@ -113,3 +135,131 @@ export async function verifyAsync(data, secret, signature) {
     return false;
   }
 }
+
+/**
+ * Split a device credential (`<sessionId>:<deviceKey>`, issued at sign-in)
+ * @returns {Object|null} - { sessionId, deviceKey }, or null for a plain tenant secret
+ */
+function parseDeviceCredential(credential) {
+  if (typeof credential !== 'string') return null;
+
+  const separator = credential.indexOf(':');
+  if (separator <= 0) return null;
+
+  const sessionId = credential.substring(0, separator);
+  const deviceKey = credential.substring(separator + 1);
+  return SESSION_ID_PATTERN.test(sessionId) && deviceKey ? { sessionId, deviceKey } : null;
+}
+
+/**
+ * Read the parts of a timestamped or session signature
+ * @returns {Object|null} - { sessionId, timestamp, digest }, or null for a static signature
+ */
+function parseRequestSignature(signature) {
+  if (typeof signature !== 'string') return null;
+
+  const parts = signature.split('.');
+  if (parts.length !== 2 && parts.length !== 3) return null;
+
+  const [sessionId, timestamp, digest] = parts.length === 3 ? parts : [null, ...parts];
+  if (!/^\d{1,12}$/.test(timestamp) || !DIGEST_PATTERN.test(digest)) return null;
+  if (sessionId !== null && !SESSION_ID_PATTERN.test(sessionId)) return null;
+
+  return { sessionId, timestamp: Number(timestamp), digest };
+}
+
+/**
+ * Sign an API request with a timestamp (server side; see signRequestAsync for the browser)
+ * @param {string} data - Request signature data, e.g. `sync-list:${userId}`
+ * @param {string} secret - Tenant secret or device session key
+ * @param {Object} options - { sessionId, timestamp }
+ */
+function signRequest(data, secret, { sessionId = null, timestamp = nowInSeconds() } = {}) {
+  const digest = sign(timestampedData(data, timestamp), secret);
+  return sessionId ? `${sessionId}.${timestamp}.${digest}` : `${timestamp}.${digest}`;
+}
+
+/**
+ * Sign an API request in the browser
+ * @param {string} data - Request signature data
+ * @param {string} credential - Tenant secret, or a device credential from sign-in
+ */
+async function signRequestAsync(data, credential, timestamp = nowInSeconds()) {
+  const device = parseDeviceCredential(credential);
+  const digest = await signAsync(timestampedData(data, timestamp), device ? device.deviceKey : credential);
+  return device ? `${device.sessionId}.${timestamp}.${digest}` : `${timestamp}.${digest}`;
+}
+
+/**
+ * Verify a timestamped or session signature, including its age
+ * @param {Object} options - { maxAgeSeconds, now } (now in unix seconds)
+ */
+function verifyRequest(data, secret, signature, { maxAgeSeconds = SIGNATURE_MAX_AGE_SECONDS, now = nowInSeconds() } = {}) {
+  const parsed = parseRequestSignature(signature);
+  if (!parsed) return false;
+
+  if (parsed.timestamp > now + CLOCK_SKEW_SECONDS || now - parsed.timestamp > maxAgeSeconds) {
+    return false;
+  }
+
+  return verify(timestampedData(data, parsed.timestamp), secret, parsed.digest);
+}
+
+/**
+ * Issue an expiring signed token (server side)
+ * @param {Object} claims - Payload, e.g. { sub, purpose, jti }
+ * @param {string} secret - Signing secret
+ * @param {number} ttlSeconds - Lifetime
+ * @returns {string} - `<base64url JSON>.<hex>`; the JSON includes `iat` and `exp`
+ */
+function signToken(claims, secret, ttlSeconds) {
+  const iat = nowInSeconds();
+  const payload = Buffer.from(JSON.stringify({ ...claims, iat, exp: iat + ttlSeconds })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Read a token's claims WITHOUT checking it (to find which secret verifies it)
+ * @returns {Object|null}
+ */
+function decodeToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [payload, digest, extra] = token.split('.');
+  if (!payload || !digest || extra !== undefined) return null;
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return claims && typeof claims === 'object' ? claims : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Verify a token's signature and expiry
+ * @returns {Object|null} - Claims, or null when invalid or expired
+ */
+function verifyToken(token, secret, { now = nowInSeconds() } = {}) {
+  const claims = decodeToken(token);
+  if (!claims || typeof claims.exp !== 'number' || claims.exp <= now) return null;
+
+  const [payload, digest] = token.split('.');
+  return verify(payload, secret, digest) ? claims : null;
+}
+
+module.exports = {
+  SIGNATURE_MAX_AGE_SECONDS,
+  sign,
+  verify,
+  signAsync,
+  verifyAsync,
+  parseDeviceCredential,
+  parseRequestSignature,
+  signRequest,
+  signRequestAsync,
+  verifyRequest,
+  signToken,
+  decodeToken,
+  verifyToken
+};
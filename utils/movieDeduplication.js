@@ -1,5 +1,7 @@
 // utils/movieDeduplication.js
 
+const { buildExclusionIndex, isExcluded } = require('./exclusions');
+
 /**
  * Enhanced movie data structure with source tracking
  * Each movie tracks all sources (actors/directors) that contributed it
@@ -81,21 +83,24 @@ function addMovieSource(existingSources = [], newSource) {
     personName: newSource.personName,
     personId: newSource.personId,
     roleType: newSource.roleType,
-    addedAt: new Date().toISOString()
+    addedAt: newSource.addedAt || new Date().toISOString()
   }];
 }
 
 /**
  * Deduplicate movies across all people, maintaining source tracking
  * @param {Array} people - Array of people with their movie lists
- * @returns {Array} - Deduplicated movies with source tracking
+ * @param {Array} exclusions - Tenant exclusion list; excluded movies are skipped for every source
+ * @returns {Object} - { movies, stats: { totalMovieSelections, uniqueMovies, duplicatesRemoved, excluded } }
  */
-function deduplicateMovies(people) {
+function deduplicateMoviesWithStats(people, exclusions = []) {
+  const excluded = buildExclusionIndex(exclusions);
   const movieMap = new Map(); // Key: imdb_id, Value: deduplicated movie
   const deduplicationStats = {
     totalMovieSelections: 0,
     uniqueMovies: 0,
-    duplicatesRemoved: 0
+    duplicatesRemoved: 0,
+    excluded: 0
   };
 
   // Process all people and their movies
@@ -104,6 +109,11 @@ function deduplicateMovies(people) {
       role.movies?.forEach(movie => {
         // Only process selected movies with IMDB IDs
         if (movie.selected !== false && movie.imdb_id) {
+          if (excluded.size > 0 && isExcluded(movie, excluded)) {
+            deduplicationStats.excluded++;
+            return;
+          }
+
           deduplicationStats.totalMovieSelections++;
           
           const movieKey = movie.imdb_id;
@@ -112,6 +122,11 @@ function deduplicateMovies(people) {
             personId: person.id,
             roleType: role.type
           };
+          // When the movie joined this source (feeds can be ordered by it)
+          const addedAt = movie.addedAt || role.addedAt || person.addedAt;
+          if (addedAt) {
+            movieSource.addedAt = addedAt;
+          }
           
           if (movieMap.has(movieKey)) {
             // Movie already exists - merge data and add source
@@ -150,9 +165,19 @@ function deduplicateMovies(people) {
       return dateB - dateA;
     });
   
-  console.log(`🎬 Deduplication complete: ${deduplicationStats.totalMovieSelections} selections → ${deduplicationStats.uniqueMovies} unique movies (removed ${deduplicationStats.duplicatesRemoved} duplicates)`);
+  console.log(`🎬 Deduplication complete: ${deduplicationStats.totalMovieSelections} selections → ${deduplicationStats.uniqueMovies} unique movies (removed ${deduplicationStats.duplicatesRemoved} duplicates${deduplicationStats.excluded ? `, ${deduplicationStats.excluded} excluded` : ''})`);
   
-  return deduplicatedMovies;
+  return { movies: deduplicatedMovies, stats: deduplicationStats };
+}
+
+/**
+ * Deduplicate movies across all people, maintaining source tracking
+ * @param {Array} people - Array of people with their movie lists
+ * @param {Array} exclusions - Tenant exclusion list; excluded movies are skipped for every source
+ * @returns {Array} - Deduplicated movies with source tracking
+ */
+function deduplicateMovies(people, exclusions = []) {
+  return deduplicateMoviesWithStats(people, exclusions).movies;
 }
 
 /**
@@ -261,10 +286,11 @@ function generateRSSSourceAttribution(sources) {
 /**
  * Enhanced movie selection update with deduplication
  * @param {Array} people - Current people array
+ * @param {Array} exclusions - Tenant exclusion list
  * @returns {Array} - Deduplicated selected movies ready for RSS
  */
-function updateSelectedMoviesWithDeduplication(people) {
-  return deduplicateMovies(people);
+function updateSelectedMoviesWithDeduplication(people, exclusions = []) {
+  return deduplicateMovies(people, exclusions);
 }
 
 // CommonJS exports
@@ -272,6 +298,7 @@ module.exports = {
   mergeMovieData,
   addMovieSource,
   deduplicateMovies,
+  deduplicateMoviesWithStats,
   findOtherSources,
   generateDuplicateIndicator,
   generateRSSSourceAttribution,
@@ -0,0 +1,81 @@
+// utils/requestAuth.js
+// Verify signed tenant API requests from signed-in devices and from older clients
+
+const { getSession, touchSession } = require('../lib/accountAuth');
+const { loadTenant } = require('../lib/kv');
+
+const { verify, verifyRequest, parseRequestSignature } = require('./hmac');
+
+/**
+ * Static signatures never expire. They stay accepted by default so browsers set up before
+ * accounts existed keep working; set ALLOW_STATIC_SIGNATURES=false once clients have updated.
+ * Feed URLs (RSS and list) are always static and are not affected.
+ */
+function staticSignaturesAllowed() {
+  return process.env.ALLOW_STATIC_SIGNATURES !== 'false';
+}
+
+/**
+ * Check the signature of a tenant API request
+ * @param {string} userId - User the request is for
+ * @param {Object} tenant - Loaded tenant
+ * @param {string} data - Expected signature data, e.g. `sync-list:${userId}`
+ * @param {string} signature - `sig` from the request
+ * @returns {Promise<Object>} - { valid, method: 'session' | 'secret' | 'static', session, error }
+ */
+async function verifyTenantRequest(userId, tenant, data, signature) {
+  const parsed = parseRequestSignature(signature);
+
+  if (!parsed) {
+    if (staticSignaturesAllowed() && verify(data, tenant.tenantSecret, signature)) {
+      return { valid: true, method: 'static', session: null };
+    }
+    return { valid: false, error: 'Invalid signature' };
+  }
+
+  if (!parsed.sessionId) {
+    return verifyRequest(data, tenant.tenantSecret, signature)
+      ? { valid: true, method: 'secret', session: null }
+      : { valid: false, error: 'Invalid or expired signature' };
+  }
+
+  const session = await getSession(parsed.sessionId);
+  if (!session || session.userId !== userId) {
+    return { valid: false, error: 'Session expired or revoked' };
+  }
+
+  if (!verifyRequest(data, session.deviceKey, signature)) {
+    return { valid: false, error: 'Invalid or expired signature' };
+  }
+
+  await touchSession(session);
+  return { valid: true, method: 'session', session };
+}
+
+/**
+ * Load the tenant and check the request signature, answering 400/404/403 like the other routes
+ * @returns {Promise<Object>} - { tenant, auth } or { error: Response }
+ */
+async function authorizeTenantRequest(userId, data, signature) {
+  if (!userId) {
+    return { error: Response.json({ error: 'Missing user ID' }, { status: 400 }) };
+  }
+
+  const tenant = await loadTenant(userId);
+  if (!tenant) {
+    return { error: Response.json({ error: 'User not found' }, { status: 404 }) };
+  }
+
+  const auth = await verifyTenantRequest(userId, tenant, data, signature);
+  if (!auth.valid) {
+    return { error: Response.json({ error: auth.error }, { status: 403 }) };
+  }
+
+  return { tenant, auth };
+}
+
+module.exports = {
+  staticSignaturesAllowed,
+  verifyTenantRequest,
+  authorizeTenantRequest
+};
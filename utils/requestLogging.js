@@ -26,7 +26,8 @@ function getClientIP(request) {
 function extractPath(url) {
   try {
     const urlObj = new URL(url);
-    return urlObj.pathname + urlObj.search;
+    const query = redactSensitiveQueryParams(urlObj.searchParams);
+    return urlObj.pathname + (query ? `?${query}` : '');
   } catch (error) {
     // Fallback for invalid URLs
     return url || '/unknown';
@@ -37,7 +38,7 @@ function extractPath(url) {
  * Redact sensitive information from query parameters
  */
 function redactSensitiveQueryParams(searchParams) {
-  const sensitiveParams = ['api_key', 'token', 'password', 'secret', 'auth', 'key'];
+  const sensitiveParams = ['api_key', 'token', 'password', 'secret', 'auth', 'key', 'sig'];
   const redacted = new URLSearchParams();
   
   for (const [key, value] of searchParams.entries()) {
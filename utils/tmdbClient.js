@@ -127,7 +127,7 @@ class TMDbClient {
    * @param {string} baseUrl - Base TMDb discover URL without page parameter
    * @param {number} totalPages - Total pages to load
    * @param {string} streamId - Unique identifier for this stream
-   * @param {Object} callbacks - Progress callbacks
+   * @param {Object} callbacks - Progress callbacks (onPageData also receives each raw page)
    */
   async startStreamingLoad(baseUrl, totalPages, streamId, callbacks) {
     const {
@@ -143,7 +143,7 @@ class TMDbClient {
     const streamInfo = {
       id: streamId,
       totalPages,
-      loadedPages: 0,
+      loadedPages: 1, // Page 1 is loaded by the caller before streaming starts
       cancelled: false,
       startTime: Date.now()
     };
@@ -194,6 +194,9 @@ class TMDbClient {
     }
 
     try {
+      // Raw page for callers that cache responses (server-side streams)
+      callbacks.onPageData?.(data, page);
+
       // Extract and process movies from this page
       const movies = (data.results || [])
         .filter(movie => movie && movie.title && movie.release_date)
@@ -31,14 +31,19 @@ const validators = {
 
   // Number validation
   number: (value, options = {}) => {
+    const { min, max, integer = false, strict = false } = options;
+    
+    // Strict numbers must already be numbers (JSON bodies), not numeric strings (query params)
+    if (strict && typeof value !== 'number') {
+      return { valid: false, error: 'Value must be a number' };
+    }
+    
     const num = Number(value);
     
     if (isNaN(num)) {
       return { valid: false, error: 'Value must be a number' };
     }
     
-    const { min, max, integer = false } = options;
-    
     if (integer && !Number.isInteger(num)) {
       return { valid: false, error: 'Value must be an integer' };
     }
@@ -60,7 +65,7 @@ const validators = {
       return { valid: false, error: 'Value must be an array' };
     }
     
-    const { minLength, maxLength, itemValidator } = options;
+    const { minLength, maxLength, itemValidator, items } = options;
     
     if (minLength && value.length < minLength) {
       return { valid: false, error: `Array must have at least ${minLength} items` };
@@ -79,9 +84,43 @@ const validators = {
       }
     }
     
+    // Item rules use the same shape as schema fields, so items can be nested objects
+    if (items) {
+      const errors = [];
+      const validatedItems = value.map((item, i) => {
+        const result = validateField(item, { required: true, ...items }, `[${i}]`);
+        errors.push(...result.errors);
+        return result.value;
+      });
+      
+      if (errors.length > 0) {
+        return { valid: false, error: `${errors[0].field}: ${errors[0].error}`, errors };
+      }
+      return { valid: true, value: validatedItems };
+    }
+    
     return { valid: true, value };
   },
 
+  // Object validation, with an optional schema for its properties
+  object: (value, options = {}) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { valid: false, error: 'Value must be an object' };
+    }
+    
+    const { properties, allowUnknown = false } = options;
+    if (!properties) {
+      return { valid: true, value };
+    }
+    
+    const validation = validateRequestBody(value, properties, { allowUnknown });
+    if (!validation.valid) {
+      return { valid: false, error: `${validation.errors[0].field}: ${validation.errors[0].error}`, errors: validation.errors };
+    }
+    
+    return { valid: true, value: validation.data };
+  },
+
   // Boolean validation
   boolean: (value) => {
     if (typeof value === 'boolean') {
@@ -110,15 +149,18 @@ const validators = {
     return { valid: true, value: value.toLowerCase() };
   },
 
-  // HMAC signature validation
+  // HMAC signature validation: static `<hex>`, timestamped `<unix>.<hex>` or session `<sessionId>.<unix>.<hex>`
   hmacSignature: (value) => {
-    const hmacPattern = /^[a-f0-9]{64}$/i;
+    const parts = typeof value === 'string' ? value.split('.') : [];
+    const digest = parts.pop();
+    const prefixPatterns = [/^[A-Za-z0-9_-]{16,64}$/, /^\d{1,12}$/].slice(2 - parts.length);
     
-    if (typeof value !== 'string' || !hmacPattern.test(value)) {
+    if (!digest || parts.length > 2 || !/^[a-f0-9]{64}$/i.test(digest) || !parts.every((part, i) => prefixPatterns[i].test(part))) {
       return { valid: false, error: 'Invalid HMAC signature format' };
     }
     
-    return { valid: true, value: value.toLowerCase() };
+    // Only the hex digest is case-insensitive; session ids are not
+    return { valid: true, value: [...parts, digest.toLowerCase()].join('.') };
   },
 
   // TMDb ID validation
@@ -174,46 +216,76 @@ function sanitizeObject(obj) {
   return obj;
 }
 
+// Join a nested error path onto its parent field: `people` + `[0]` -> `people[0]`, + `name` -> `people.name`
+function joinFieldPath(parent, child) {
+  if (!parent) return child;
+  return child.startsWith('[') ? `${parent}${child}` : `${parent}.${child}`;
+}
+
+/**
+ * Validate one value against its rules
+ * @param {*} value - Value to check
+ * @param {Object} rules - { type, required, options, message }; `message` replaces any error for the field
+ * @param {string} field - Path reported with errors
+ * @returns {Object} - { valid, value, errors }; `value` is undefined for skipped optional fields
+ */
+function validateField(value, rules, field) {
+  const isEmpty = value === undefined || value === null || value === '';
+  
+  // Check required fields
+  if (isEmpty) {
+    return rules.required
+      ? { valid: false, errors: [{ field, error: rules.message || 'Field is required' }] }
+      : { valid: true, errors: [] };
+  }
+  
+  const validator = validators[rules.type];
+  if (!validator) {
+    return { valid: false, errors: [{ field, error: `Unknown validation type: ${rules.type}` }] };
+  }
+  
+  const result = validator(value, rules.options);
+  if (result.valid) {
+    return { valid: true, value: result.value, errors: [] };
+  }
+  
+  // Nested objects and arrays report every failing path below this field
+  const errors = !rules.message && result.errors
+    ? result.errors.map(nested => ({ field: joinFieldPath(field, nested.field), error: nested.error }))
+    : [{ field, error: rules.message || result.error }];
+  
+  return { valid: false, errors };
+}
+
 /**
  * Validate request body against a schema
+ * @param {Object} body - Parsed body or query parameters
+ * @param {Object} schema - Field name -> rules
+ * @param {Object} options - `allowUnknown` keeps fields the schema doesn't list instead of rejecting them
  */
-function validateRequestBody(body, schema) {
+function validateRequestBody(body, schema, options = {}) {
+  const { allowUnknown = false } = options;
   const errors = [];
   const validated = {};
   
   // Check for unknown fields
   for (const key of Object.keys(body)) {
-    if (!schema[key]) {
+    if (schema[key]) continue;
+    
+    if (allowUnknown) {
+      validated[key] = body[key];
+    } else {
       errors.push({ field: key, error: 'Unknown field' });
     }
   }
   
   // Validate each field
   for (const [field, rules] of Object.entries(schema)) {
-    const value = body[field];
-    
-    // Check required fields
-    if (rules.required && (value === undefined || value === null || value === '')) {
-      errors.push({ field, error: 'Field is required' });
-      continue;
-    }
-    
-    // Skip optional empty fields
-    if (!rules.required && (value === undefined || value === null || value === '')) {
-      continue;
-    }
+    const result = validateField(body[field], rules, field);
     
-    // Validate the field
-    const validator = validators[rules.type];
-    if (!validator) {
-      errors.push({ field, error: `Unknown validation type: ${rules.type}` });
-      continue;
-    }
-    
-    const result = validator(value, rules.options);
     if (!result.valid) {
-      errors.push({ field, error: result.error });
-    } else {
+      errors.push(...result.errors);
+    } else if (result.value !== undefined) {
       validated[field] = result.value;
     }
   }
@@ -276,18 +348,33 @@ const commonSchemas = {
   }
 };
 
+// Sanitize validated fields, except those whose rules say `sanitize: false` (passphrases, settings
+// checked by their own normalizer), which reach the handler as sent
+function sanitizeValidatedData(data, schema) {
+  return Object.fromEntries(Object.entries(data).map(([field, value]) => [
+    field,
+    schema[field] && schema[field].sanitize === false ? value : sanitizeObject(value)
+  ]));
+}
+
 /**
  * Create validation middleware for Next.js API routes
  */
 function createValidationMiddleware(schema) {
   return async (req) => {
     // Validate request body
-    if (req.method === 'POST' || req.method === 'PUT' || req.method === 'PATCH') {
+    if (['POST', 'PUT', 'PATCH', 'DELETE'].includes(req.method)) {
       let body;
       
       try {
-        // Parse JSON body if not already parsed
-        body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+        // Fetch API requests carry a stream: read a clone so the handler can still read the body
+        if (typeof req.clone === 'function' && typeof req.text === 'function') {
+          const text = await req.clone().text();
+          body = text ? JSON.parse(text) : {};
+        } else {
+          // Parse JSON body if not already parsed
+          body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+        }
       } catch (error) {
         return {
           valid: false,
@@ -296,6 +383,14 @@ function createValidationMiddleware(schema) {
         };
       }
       
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return {
+          valid: false,
+          error: 'Request body must be a JSON object',
+          status: 400
+        };
+      }
+      
       const validation = validateRequestBody(body, schema);
       
       if (!validation.valid) {
@@ -308,7 +403,7 @@ function createValidationMiddleware(schema) {
       }
       
       // Sanitize validated data
-      const sanitized = sanitizeObject(validation.data);
+      const sanitized = sanitizeValidatedData(validation.data, schema);
       
       return {
         valid: true,